@@ -0,0 +1,142 @@
+// server/admission/index.js
+// Control de admisión de tap-service: límites de taps concurrentes
+//   global       maxTaps (TAP_MAX_TAPS)
+//   por gateway  maxSessions de la definición del gateway (MTI_MAX_SESSIONS / DG_MAX_SESSIONS)
+//   por clave    maxTapsPerKey (TAP_MAX_TAPS_PER_KEY) sobre el campo limitKey del tap
+//                (tenant, agent_extension...); la sección "keyLimits" del fichero fija
+//                valores concretos ({ acme: 20, globex: 5 })
+// 0 = sin límite. Un tap cuenta desde que se admite hasta que no le queda ninguna sub-sesión
+// ni snoop pendiente; en fan-out cuenta en cada gateway que siga vivo.
+//
+// TapQueue: cola FIFO opcional (queueMax > 0) con caducidad por tap. tap-service la vacía
+// cuando se libera capacidad (comprobando que la llamada sigue viva).
+
+'use strict';
+
+/**
+ * Sección "keyLimits" del fichero -> Map(clave -> máximo). Lanza Error con todos los problemas.
+ * @param {object} [section]
+ */
+function parseKeyLimits(section) {
+  const limits = new Map();
+  if (section === undefined || section === null) return limits;
+  if (typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error('keyLimits must be a mapping of <key>: <max taps>');
+  }
+  const errors = [];
+  for (const [key, max] of Object.entries(section)) {
+    if (!Number.isInteger(max) || max < 0) errors.push(`keyLimits "${key}" must be an integer >= 0 (got ${JSON.stringify(max)})`);
+    else limits.set(key, max);
+  }
+  if (errors.length) throw new Error(`Invalid admission limits:\n  - ${errors.join('\n  - ')}`);
+  return limits;
+}
+
+class AdmissionControl {
+  /**
+   * @param {object} opts
+   * @param {() => { maxTaps: number, maxTapsPerKey: number, limitKey: string,
+   *                 keyLimits: Map<string, number>, gateways: Map<string, number> }} opts.limits
+   *        límites vigentes (se leen en cada check: un reload aplica al siguiente tap)
+   * @param {() => Iterable<{ tapReq: object, gws: string[] }>} opts.taps
+   *        taps admitidos con sus gateways aún vivos
+   */
+  constructor({ limits, taps }) {
+    this._limits = limits;
+    this._taps = taps;
+  }
+
+  keyOf(tapReq, limits = this._limits()) {
+    return String((tapReq && tapReq[limits.limitKey]) || '');
+  }
+
+  /**
+   * @param {object} tapReq
+   * @param {string[]} gws  gateways que pide el tap
+   * @returns {null | { scope: 'global'|'gateway'|'key', limit: number, current: number, gw?: string, key?: string }}
+   *          null = admitido
+   */
+  check(tapReq, gws) {
+    const limits = this._limits();
+    const taps = [...this._taps()];
+
+    if (limits.maxTaps > 0 && taps.length >= limits.maxTaps) {
+      return { scope: 'global', limit: limits.maxTaps, current: taps.length };
+    }
+
+    for (const gw of gws) {
+      const max = limits.gateways.get(gw) || 0;
+      if (!max) continue;
+      const current = taps.filter(t => t.gws.includes(gw)).length;
+      if (current >= max) return { scope: 'gateway', gw, limit: max, current };
+    }
+
+    const key = this.keyOf(tapReq, limits);
+    if (key) {
+      const max = limits.keyLimits.has(key) ? limits.keyLimits.get(key) : limits.maxTapsPerKey;
+      if (max > 0) {
+        const current = taps.filter(t => this.keyOf(t.tapReq, limits) === key).length;
+        if (current >= max) return { scope: 'key', key, limit: max, current };
+      }
+    }
+    return null;
+  }
+}
+
+class TapQueue {
+  /**
+   * @param {object} opts
+   * @param {(entry: object) => void} opts.onExpire  tap que caducó en la cola (ya retirado)
+   * @param {() => void} [opts.onChange]
+   */
+  constructor({ onExpire, onChange }) {
+    this._entries = new Map();   // uuid -> { tapReq, gws, queuedMs, timer } (orden de llegada)
+    this._onExpire = onExpire;
+    this._onChange = onChange || (() => {});
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  has(uuid) {
+    return this._entries.has(uuid);
+  }
+
+  get(uuid) {
+    return this._entries.get(uuid) || null;
+  }
+
+  // posición 1..n
+  position(uuid) {
+    return [...this._entries.keys()].indexOf(uuid) + 1;
+  }
+
+  entries() {
+    return [...this._entries.values()];
+  }
+
+  add(tapReq, gws, timeoutMs) {
+    const entry = { tapReq, gws, queuedMs: Date.now(), timer: null };
+    entry.timer = setTimeout(() => {
+      if (this._entries.get(tapReq.uuid) !== entry) return;
+      this.remove(tapReq.uuid);
+      this._onExpire(entry);
+    }, timeoutMs);
+    entry.timer.unref();
+    this._entries.set(tapReq.uuid, entry);
+    this._onChange();
+    return entry;
+  }
+
+  remove(uuid) {
+    const entry = this._entries.get(uuid);
+    if (!entry) return null;
+    clearTimeout(entry.timer);
+    this._entries.delete(uuid);
+    this._onChange();
+    return entry;
+  }
+}
+
+module.exports = { AdmissionControl, TapQueue, parseKeyLimits };
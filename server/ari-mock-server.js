@@ -0,0 +1,526 @@
+// ari-mock-server.js
+// Asterisk ARI falso para probar tap-service de punta a punta sin PBX.
+// Implementa lo que usa server/ari/ari-client.js, con las respuestas y eventos de Asterisk:
+//   GET/DELETE /ari/channels[/:id]        404 "Channel not found"; el id es el uniqueid, no el nombre
+//                                         (tap-service manda el nombre y cae a su fallback por lista)
+//   POST /ari/channels/:id/snoop          canal Snoop/... + StasisStart (args = appArgs) tras ARI_MOCK_STASIS_DELAY_MS
+//   POST /ari/channels/externalMedia      canal UnicastRTP/... + StasisStart; manda RTP a external_host
+//   POST /ari/bridges, GET/DELETE /ari/bridges[/:id], POST /ari/bridges/:id/addChannel
+//                                         addChannel de un canal que aún no entró en Stasis -> 404
+//                                         "Channel not found" (la carrera que tap-service reintenta)
+//   WS /ari/events?app=&api_key=user:pass eventos: StasisStart / StasisEnd, ChannelHangupRequest,
+//                                         ChannelDestroyed, ChannelEnteredBridge / LeftBridge, Bridge*
+// Colgar una llamada: ChannelHangupRequest -> StasisEnd + ChannelDestroyed de sus snoops -> ChannelDestroyed.
+//
+// RTP: cada ExternalMedia en un bridge con un snoop recibe a 20 ms el audio de la llamada espiada
+// (spy in = L / tono 440 Hz, out = R / tono 660 Hz, both = mezcla) en su formato (slin big-endian
+// como Asterisk, o G.711). Así la cadena /start_tap -> mti-gw -> mti-debug-server corre en una máquina.
+//
+// Control de pruebas (sin auth):
+//   POST   /mock/calls      crea una llamada (query o JSON: exten, caller, callername, durationSec,
+//                           gw, layout, format, agent_*, tenant) y, con ARI_MOCK_TAP_URL, llama a
+//                           /start_tap como el dialplan (CURL)
+//   GET    /mock/calls      llamadas con sus snoops / ExternalMedia
+//   DELETE /mock/calls/:id  cuelga la llamada
+//   GET    /mock/events     últimos eventos emitidos
+//   POST   /mock/ws/drop    corta los WS de eventos (prueba el re-sync de tap-service)
+//
+// Uso:
+//   ARI_MOCK_TAP_URL=http://127.0.0.1:9090 node server/ari-mock-server.js
+//   ARI_URL=http://127.0.0.1:8088 ARI_USER=asterisk ARI_PASS=asterisk TAP_APP_NAME=tap TAP_HTTP_PORT=9090 node server/tap-service.js
+//   curl -X POST 'localhost:8088/mock/calls?exten=100&agent_extension=100&durationSec=30'
+
+const http = require('http');
+const dgram = require('dgram');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { FORMATS, normalizeFormat, createTranscoder, encodeG711, Resampler } = require('./mti/codecs');
+const { parseWav } = require('./mti/wav');
+
+const LISTEN_HOST = process.env.ARI_MOCK_HOST || '0.0.0.0';
+const LISTEN_PORT = Number(process.env.ARI_MOCK_PORT || 8088);
+// prefijo HTTP de Asterisk (ASTERISK_HTTP_PREFIX en tap-service), p.ej. /asterisk
+const PREFIX = process.env.ARI_MOCK_PREFIX ? `/${process.env.ARI_MOCK_PREFIX.replace(/^\/+|\/+$/g, '')}` : '';
+const ARI_USER = process.env.ARI_MOCK_USER || 'asterisk';
+const ARI_PASS = process.env.ARI_MOCK_PASS || 'asterisk';
+// tiempo entre crear un canal (snoop / EM) y su StasisStart: ventana de la carrera de addChannel
+const STASIS_DELAY_MS = Number(process.env.ARI_MOCK_STASIS_DELAY_MS || 50);
+// tap-service al que se llama con /start_tap al crear una llamada (vacío = no se llama)
+const TAP_URL = process.env.ARI_MOCK_TAP_URL || '';
+const TAP_KEY = process.env.ARI_MOCK_TAP_KEY || '';
+const WAV_FILE = process.env.ARI_MOCK_WAV || '';
+const RTP_ENABLED = String(process.env.ARI_MOCK_RTP || 'true').toLowerCase() !== 'false';
+
+const ASTERISK_ID = 'ari-mock';
+const FRAME_MS = 20;
+const KEEP_EVENTS = 200;
+// payload types: estáticos para G.711, dinámico para slin
+const RTP_PT = { ulaw: 0, alaw: 8, slin8: 118, slin16: 118, slin48: 118 };
+
+let seq = 0;
+const channels = new Map();   // id -> rec { json, kind: call|snoop|em, app, args, inStasis, bridgeId, ... }
+const bridges = new Map();    // id -> json
+const recentEvents = [];
+const sockets = new Set();    // ws con .app
+
+// ---------- Utilidades ----------
+
+// 2026-10-18T16:21:52.123+0000 (formato de Asterisk)
+function astTime(d = new Date()) {
+  return d.toISOString().replace('Z', '+0000');
+}
+
+function nextUniqueId() {
+  return `${Math.floor(Date.now() / 1000)}.${++seq}`;
+}
+
+function hex8(n) {
+  return n.toString(16).padStart(8, '0');
+}
+
+// ---------- Audio de las llamadas (slin16 LE, en bucle) ----------
+
+function tone(hz, sec = 5) {
+  const n = 16000 * sec;
+  const buf = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) buf.writeInt16LE(Math.round(6000 * Math.sin((2 * Math.PI * hz * i) / 16000)), i * 2);
+  return buf;
+}
+
+function loadAudio() {
+  if (!WAV_FILE) return { in: tone(440), out: tone(660) };
+  const wav = parseWav(fs.readFileSync(WAV_FILE));
+  const sb = FORMATS[wav.format].sampleBytes;
+  const channel = (ch) => {
+    if (wav.channels === 1) return wav.data;
+    const out = Buffer.alloc(wav.data.length / 2);
+    for (let i = 0, o = 0; i < wav.data.length; i += 2 * sb, o += sb) wav.data.copy(out, o, i + ch * sb, i + ch * sb + sb);
+    return out;
+  };
+  const left = createTranscoder(wav.format, 'slin16').process(channel(0));
+  return { in: left, out: wav.channels === 2 ? createTranscoder(wav.format, 'slin16').process(channel(1)) : left };
+}
+
+let AUDIO;
+try {
+  AUDIO = loadAudio();
+} catch (e) {
+  console.error(`❌ ARI_MOCK_WAV ${WAV_FILE}: ${e.message}`);
+  process.exit(1);
+}
+
+function audioFrame(src, idx) {
+  const frames = Math.floor(src.length / 640);
+  const off = (idx % frames) * 640;
+  return src.subarray(off, off + 640);
+}
+
+function mix(a, b) {
+  const out = Buffer.alloc(640);
+  for (let i = 0; i < 640; i += 2) out.writeInt16LE(Math.max(-32768, Math.min(32767, a.readInt16LE(i) + b.readInt16LE(i))), i);
+  return out;
+}
+
+// ---------- Eventos ----------
+
+function emitEvent(type, fields, app) {
+  const ev = { type, timestamp: astTime(), asterisk_id: ASTERISK_ID, ...fields };
+  if (app) ev.application = app;
+  recentEvents.push(ev);
+  if (recentEvents.length > KEEP_EVENTS) recentEvents.shift();
+
+  const text = JSON.stringify(ev);
+  for (const ws of sockets) {
+    // eventos Stasis solo a su app; el resto a todos (subscribeAll=true)
+    if (app && ws.app !== app) continue;
+    if (ws.readyState === WebSocket.OPEN) ws.send(text);
+  }
+  console.log(`📣 ${type}${fields.channel ? ` ${fields.channel.name}` : ''}${fields.bridge ? ` bridge=${fields.bridge.id}` : ''}${ev.args ? ` args=${ev.args.join(',')}` : ''}`);
+}
+
+// ---------- Canales ----------
+
+function createChannel(kind, name, { exten = '', caller = {}, app = null, appArgs = '' } = {}) {
+  const id = nextUniqueId();
+  const json = {
+    id,
+    name: name.replace('%SEQ%', hex8(seq)),
+    state: 'Up',
+    caller: { name: caller.name || '', number: caller.number || '' },
+    connected: { name: '', number: '' },
+    accountcode: '',
+    dialplan: { context: app ? 'default' : 'from-provider', exten, priority: 1, app_name: app ? 'Stasis' : '', app_data: app ? `${app},${appArgs}` : '' },
+    creationtime: astTime(),
+    language: 'es'
+  };
+  const rec = { json, kind, app, args: appArgs ? String(appArgs).split(',') : [], inStasis: false, bridgeId: null };
+  channels.set(id, rec);
+  emitEvent('ChannelCreated', { channel: json });
+  return rec;
+}
+
+// StasisStart tras STASIS_DELAY_MS (hasta entonces addChannel -> 404)
+function enterStasis(rec) {
+  setTimeout(() => {
+    if (!channels.has(rec.json.id)) return;
+    rec.inStasis = true;
+    emitEvent('StasisStart', { args: rec.args, channel: rec.json }, rec.app);
+  }, STASIS_DELAY_MS);
+}
+
+function leaveBridge(rec) {
+  const bridge = rec.bridgeId && bridges.get(rec.bridgeId);
+  rec.bridgeId = null;
+  if (!bridge) return;
+  bridge.channels = bridge.channels.filter(id => id !== rec.json.id);
+  emitEvent('ChannelLeftBridge', { bridge, channel: rec.json });
+}
+
+function destroyChannel(rec, cause = 16) {
+  if (!channels.has(rec.json.id)) return;
+  leaveBridge(rec);
+  if (rec.inStasis) emitEvent('StasisEnd', { channel: rec.json }, rec.app);
+  channels.delete(rec.json.id);
+  if (rec.rtp) {
+    try { rec.rtp.sock.close(); } catch {}
+    rec.rtp = null;
+  }
+  emitEvent('ChannelDestroyed', { cause, cause_txt: cause === 16 ? 'Normal Clearing' : 'Unknown', channel: rec.json });
+}
+
+// cuelgue de una llamada: Asterisk cuelga también los snoops que la espían
+function hangupCall(rec) {
+  if (!channels.has(rec.json.id)) return;
+  if (rec.hangupTimer) clearTimeout(rec.hangupTimer);
+  emitEvent('ChannelHangupRequest', { cause: 16, channel: rec.json });
+  for (const ch of [...channels.values()]) {
+    if (ch.kind === 'snoop' && ch.spiedId === rec.json.id) destroyChannel(ch);
+  }
+  destroyChannel(rec);
+  console.log(`📴 Call ${rec.json.id} (${rec.json.name}) hung up`);
+}
+
+// ---------- RTP hacia los ExternalMedia ----------
+
+function parseHostPort(s) {
+  const i = String(s).lastIndexOf(':');
+  const port = Number(String(s).slice(i + 1));
+  return i > 0 && Number.isInteger(port) && port > 0 && port < 65536 ? { host: String(s).slice(0, i), port } : null;
+}
+
+// audio (slin16 LE, 20 ms) que "oye" el EM: el del snoop que comparte bridge con él
+function sourceFrame(em) {
+  const bridge = em.bridgeId && bridges.get(em.bridgeId);
+  if (!bridge) return null;
+  const snoop = bridge.channels.map(id => channels.get(id)).find(c => c && c.kind === 'snoop');
+  if (!snoop || !channels.has(snoop.spiedId)) return null;
+  const idx = em.rtp.frames;
+  if (snoop.spy === 'in') return audioFrame(AUDIO.in, idx);
+  if (snoop.spy === 'out') return audioFrame(AUDIO.out, idx);
+  if (snoop.spy === 'both') return mix(audioFrame(AUDIO.in, idx), audioFrame(AUDIO.out, idx));
+  return Buffer.alloc(640);
+}
+
+function encodeFrame(em, pcm16) {
+  const { format } = em.rtp;
+  const pcm = em.rtp.resampler.process(pcm16);
+  if (!FORMATS[format].pcm) return encodeG711(pcm, format);
+  return Buffer.from(pcm).swap16();   // slin en el cable: big-endian (SWAP_ENDIAN=1 en los gateways)
+}
+
+function rtpTick() {
+  for (const em of channels.values()) {
+    if (em.kind !== 'em' || !em.rtp) continue;
+    const pcm16 = sourceFrame(em);
+    if (!pcm16) continue;
+    const payload = encodeFrame(em, pcm16);
+    const r = em.rtp;
+    const h = Buffer.alloc(12);
+    h[0] = 0x80;
+    h[1] = RTP_PT[r.format] | (r.frames === 0 ? 0x80 : 0);
+    h.writeUInt16BE((r.seq0 + r.frames) & 0xffff, 2);
+    h.writeUInt32BE((r.ts0 + r.frames * r.samplesPerFrame) >>> 0, 4);
+    h.writeUInt32BE(r.ssrc, 8);
+    r.sock.send(Buffer.concat([h, payload]), r.port, r.host);
+    r.frames++;
+  }
+}
+
+// ---------- REST ARI ----------
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  if (body === undefined) return res.end();
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function authorized(req, query) {
+  const expected = `${ARI_USER}:${ARI_PASS}`;
+  const h = req.headers.authorization || '';
+  if (h.startsWith('Basic ') && Buffer.from(h.slice(6), 'base64').toString('utf8') === expected) return true;
+  return query.get('api_key') === expected;
+}
+
+function handleAri(req, res, path, q) {
+  const { method } = req;
+  let m;
+
+  if (path === '/ari/channels' && method === 'GET') {
+    return sendJson(res, 200, [...channels.values()].map(c => c.json));
+  }
+
+  if (path === '/ari/channels/externalMedia' && method === 'POST') {
+    const app = q.get('app');
+    const host = parseHostPort(q.get('external_host') || '');
+    const format = normalizeFormat(q.get('format'));
+    if (!app) return sendJson(res, 400, { message: 'app is required' });
+    if (!host) return sendJson(res, 400, { message: 'external_host is required (host:port)' });
+    if (!format) return sendJson(res, 400, { message: `Unsupported format ${q.get('format') || ''}`.trim() });
+    if ((q.get('encapsulation') || 'rtp') !== 'rtp' || (q.get('transport') || 'udp') !== 'udp') {
+      return sendJson(res, 501, { message: 'Only rtp over udp is supported' });
+    }
+    const rec = createChannel('em', `UnicastRTP/${host.host}:${host.port}-0x%SEQ%`, { app, appArgs: q.get('appArgs') || '' });
+    if (RTP_ENABLED) {
+      const f = FORMATS[format];
+      const sock = dgram.createSocket('udp4');
+      sock.on('error', (err) => console.log(`❌ RTP socket ${rec.json.name}: ${err.message}`));
+      sock.bind(0, () => {
+        rec.json.channelvars = { UNICASTRTP_LOCAL_ADDRESS: '127.0.0.1', UNICASTRTP_LOCAL_PORT: String(sock.address().port) };
+      });
+      rec.rtp = {
+        sock, host: host.host, port: host.port, format, frames: 0,
+        samplesPerFrame: (f.rate * FRAME_MS) / 1000,
+        resampler: new Resampler(16000, f.rate),
+        seq0: Math.floor(Math.random() * 0x10000), ts0: Math.floor(Math.random() * 0x7fffffff), ssrc: 1 + Math.floor(Math.random() * 0x7ffffffe)
+      };
+    }
+    enterStasis(rec);
+    console.log(`🎙️  ExternalMedia ${rec.json.id} -> ${host.host}:${host.port} format=${format}`);
+    return sendJson(res, 200, rec.json);
+  }
+
+  if ((m = /^\/ari\/channels\/([^/]+)\/snoop$/.exec(path)) && method === 'POST') {
+    const spied = channels.get(decodeURIComponent(m[1]));
+    if (!spied) return sendJson(res, 404, { message: 'Channel not found' });
+    const app = q.get('app');
+    if (!app) return sendJson(res, 400, { message: 'app is required' });
+    const spy = q.get('spy') || 'none';
+    if (!['none', 'both', 'out', 'in'].includes(spy)) return sendJson(res, 400, { message: `Invalid spy direction ${spy}` });
+    const rec = createChannel('snoop', `Snoop/${spied.json.id}-%SEQ%`, { app, appArgs: q.get('appArgs') || '' });
+    rec.spiedId = spied.json.id;
+    rec.spy = spy;
+    enterStasis(rec);
+    return sendJson(res, 200, rec.json);
+  }
+
+  if ((m = /^\/ari\/channels\/([^/]+)$/.exec(path))) {
+    const rec = channels.get(decodeURIComponent(m[1]));
+    if (!rec) return sendJson(res, 404, { message: 'Channel not found' });
+    if (method === 'GET') return sendJson(res, 200, rec.json);
+    if (method === 'DELETE') {
+      sendJson(res, 204);
+      if (rec.kind === 'call') hangupCall(rec);
+      else destroyChannel(rec);
+      return;
+    }
+  }
+
+  if (path === '/ari/bridges' && method === 'GET') return sendJson(res, 200, [...bridges.values()]);
+
+  if (path === '/ari/bridges' && method === 'POST') {
+    const id = q.get('bridgeId') || `${Date.now().toString(16)}-${hex8(++seq)}`;
+    if (bridges.has(id)) return sendJson(res, 409, { message: 'Bridge with this id already exists' });
+    const bridge = {
+      id,
+      technology: 'simple_bridge',
+      bridge_type: 'mixing',
+      bridge_class: 'stasis',
+      creator: 'Stasis',
+      name: q.get('name') || '',
+      channels: [],
+      creationtime: astTime(),
+      video_mode: 'none'
+    };
+    bridges.set(id, bridge);
+    emitEvent('BridgeCreated', { bridge });
+    return sendJson(res, 200, bridge);
+  }
+
+  if ((m = /^\/ari\/bridges\/([^/]+)\/addChannel$/.exec(path)) && method === 'POST') {
+    const bridge = bridges.get(decodeURIComponent(m[1]));
+    if (!bridge) return sendJson(res, 404, { message: 'Bridge not found' });
+    const ids = String(q.get('channel') || '').split(',').filter(Boolean);
+    if (!ids.length) return sendJson(res, 400, { message: 'channel is required' });
+    const recs = ids.map(id => channels.get(id));
+    // canal desconocido o aún sin StasisStart: la carrera de ExternalMedia recién creado
+    if (recs.some(r => !r || !r.inStasis)) {
+      console.log(`⏳ addChannel ${ids.join(',')} -> 404 (${recs.some(r => !r) ? 'unknown channel' : 'not in Stasis yet'})`);
+      return sendJson(res, 404, { message: 'Channel not found' });
+    }
+    for (const rec of recs) {
+      if (rec.bridgeId === bridge.id) continue;
+      leaveBridge(rec);
+      rec.bridgeId = bridge.id;
+      bridge.channels.push(rec.json.id);
+      emitEvent('ChannelEnteredBridge', { bridge, channel: rec.json });
+    }
+    return sendJson(res, 204);
+  }
+
+  if ((m = /^\/ari\/bridges\/([^/]+)$/.exec(path))) {
+    const bridge = bridges.get(decodeURIComponent(m[1]));
+    if (!bridge) return sendJson(res, 404, { message: 'Bridge not found' });
+    if (method === 'GET') return sendJson(res, 200, bridge);
+    if (method === 'DELETE') {
+      for (const id of [...bridge.channels]) {
+        const rec = channels.get(id);
+        if (rec) leaveBridge(rec);
+      }
+      bridges.delete(bridge.id);
+      emitEvent('BridgeDestroyed', { bridge });
+      return sendJson(res, 204);
+    }
+  }
+
+  sendJson(res, 404, { message: 'Resource not found' });
+}
+
+// ---------- Control de pruebas (/mock) ----------
+
+function callSummary(rec) {
+  const related = [...channels.values()].filter(c => c.kind === 'snoop' && c.spiedId === rec.json.id);
+  const ems = [...channels.values()].filter(c => c.kind === 'em' && c.bridgeId && related.some(s => s.bridgeId === c.bridgeId));
+  return {
+    id: rec.json.id,
+    name: rec.json.name,
+    exten: rec.json.dialplan.exten,
+    caller: rec.json.caller,
+    createdAt: rec.json.creationtime,
+    snoops: related.map(s => ({ id: s.json.id, spy: s.spy, bridge: s.bridgeId, args: s.args })),
+    externalMedia: ems.map(e => ({ id: e.json.id, name: e.json.name, bridge: e.bridgeId, format: e.rtp ? e.rtp.format : null, rtpFrames: e.rtp ? e.rtp.frames : 0 })),
+    tap: rec.tap || null
+  };
+}
+
+// /start_tap como lo hace el dialplan (CURL con el nombre del canal y el uniqueid)
+function startTap(rec, params) {
+  const u = new URL('/start_tap', TAP_URL);
+  u.searchParams.set('chan', rec.json.name);
+  u.searchParams.set('uuid', rec.json.id);
+  for (const k of ['gw', 'layout', 'format', 'exten', 'caller', 'callername', 'agent_extension', 'agent_username', 'agent_id', 'tenant']) {
+    if (params[k]) u.searchParams.set(k, params[k]);
+  }
+  if (TAP_KEY) u.searchParams.set('key', TAP_KEY);
+  return new Promise((resolve) => {
+    const req = http.get(u, { timeout: 5000 }, (res) => {
+      let body = '';
+      res.on('data', c => body += c);
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    });
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.on('error', (e) => resolve({ status: 0, body: e.message }));
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', c => raw += c);
+    req.on('end', () => {
+      try { resolve(raw ? JSON.parse(raw) : {}); } catch { resolve(null); }
+    });
+  });
+}
+
+async function handleMock(req, res, path, q) {
+  let m;
+  if (path === '/mock/calls' && req.method === 'GET') {
+    return sendJson(res, 200, [...channels.values()].filter(c => c.kind === 'call').map(callSummary));
+  }
+
+  if (path === '/mock/calls' && req.method === 'POST') {
+    const body = await readBody(req);
+    if (body === null) return sendJson(res, 400, { message: 'Invalid JSON' });
+    const params = { ...Object.fromEntries(q), ...body };
+    const exten = String(params.exten || '100');
+    const rec = createChannel('call', `PJSIP/${exten}-%SEQ%`, {
+      exten,
+      caller: { number: String(params.caller || '600000000'), name: String(params.callername || 'Mock caller') }
+    });
+    emitEvent('ChannelStateChange', { channel: rec.json });
+    const durationSec = Number(params.durationSec || 0);
+    if (durationSec > 0) rec.hangupTimer = setTimeout(() => hangupCall(rec), durationSec * 1000);
+    console.log(`📞 Call ${rec.json.id} ${rec.json.name} exten=${exten}${durationSec ? ` duration=${durationSec}s` : ''}`);
+
+    if (TAP_URL && params.tap !== false && params.tap !== 'false') {
+      rec.tap = await startTap(rec, { gw: 'mti', exten, caller: rec.json.caller.number, callername: rec.json.caller.name, ...params });
+      console.log(`🔗 /start_tap uuid=${rec.json.id} -> ${rec.tap.status} ${rec.tap.body.slice(0, 120)}`);
+    }
+    return sendJson(res, 200, callSummary(rec));
+  }
+
+  if ((m = /^\/mock\/calls\/([^/]+)$/.exec(path))) {
+    const rec = channels.get(decodeURIComponent(m[1]));
+    if (!rec || rec.kind !== 'call') return sendJson(res, 404, { message: 'Call not found' });
+    if (req.method === 'GET') return sendJson(res, 200, callSummary(rec));
+    if (req.method === 'DELETE') {
+      hangupCall(rec);
+      return sendJson(res, 204);
+    }
+  }
+
+  if (path === '/mock/events' && req.method === 'GET') {
+    const type = q.get('type');
+    return sendJson(res, 200, type ? recentEvents.filter(e => e.type === type) : recentEvents);
+  }
+
+  if (path === '/mock/ws/drop' && req.method === 'POST') {
+    const n = sockets.size;
+    for (const ws of sockets) ws.terminate();
+    console.log(`✂️  Dropped ${n} event WebSocket(s)`);
+    return sendJson(res, 200, { dropped: n });
+  }
+
+  sendJson(res, 404, { message: 'Not found' });
+}
+
+// ---------- Servidor ----------
+
+const server = http.createServer((req, res) => {
+  const u = new URL(req.url, 'http://localhost');
+  if (u.pathname.startsWith('/mock/')) {
+    return handleMock(req, res, u.pathname, u.searchParams).catch((e) => sendJson(res, 500, { message: e.message }));
+  }
+  if (!u.pathname.startsWith(`${PREFIX}/ari/`)) return sendJson(res, 404, { message: 'Not found' });
+  if (!authorized(req, u.searchParams)) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Asterisk REST Interface"');
+    return sendJson(res, 401, { message: 'Authentication required' });
+  }
+  handleAri(req, res, u.pathname.slice(PREFIX.length), u.searchParams);
+});
+
+const wss = new WebSocket.Server({ noServer: true });
+
+server.on('upgrade', (req, socket, head) => {
+  const u = new URL(req.url, 'http://localhost');
+  const path = u.pathname.slice(PREFIX.length);
+  if (path !== '/ari/events' || !authorized(req, u.searchParams) || !u.searchParams.get('app')) {
+    socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    ws.app = u.searchParams.get('app');
+    sockets.add(ws);
+    console.log(`🔌 Events WebSocket app=${ws.app} (${sockets.size} open)`);
+    ws.on('close', () => sockets.delete(ws));
+  });
+});
+
+server.listen(LISTEN_PORT, LISTEN_HOST, () => {
+  console.log(`🧪 ARI mock listening on http://${LISTEN_HOST}:${LISTEN_PORT}${PREFIX}/ari (user=${ARI_USER}) ` +
+    `stasisDelay=${STASIS_DELAY_MS}ms rtp=${RTP_ENABLED ? (WAV_FILE || 'tones') : 'off'}${TAP_URL ? ` tap=${TAP_URL}` : ''}`);
+});
+
+if (RTP_ENABLED) setInterval(rtpTick, FRAME_MS);
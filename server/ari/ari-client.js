@@ -4,11 +4,22 @@
 //
 // Supported:
 // - ari.on(event, fn)
-// - ari.start(appName)  -> opens WS events stream
+// - ari.start(appName)  -> opens WS events stream (auto-reconnect con backoff exponencial)
+// - ari.stop()          -> closes WS events stream (no reconnect)
 // - ari.channels.snoopChannel({...})
 // - ari.channels.externalMedia({...})
 // - ari.channels.get({channelId}) -> returns Channel object with hangup() + on(...)
-// - ari.Bridge() -> { create({type}), addChannel({channel}), destroy() }
+// - ari.channels.list()          -> raw channel JSON array
+// - ari.channels.hangup({channelId})
+// - ari.bridges.list()           -> raw bridge JSON array
+// - ari.bridges.get({bridgeId})  -> raw bridge JSON
+// - ari.Bridge() -> { create({type, name}), addChannel({channel}), destroy() }
+//
+// WS lifecycle events (emitted on ari):
+// - '_ws_open'       -> every successful WS open
+// - '_ws_close'      -> every WS close (a reconnect is scheduled unless stop() was called)
+// - '_ws_reconnecting' -> reconnect scheduled ({ attempt, delayMs })
+// - '_ws_reconnect'  -> WS re-opened after a drop ({ attempt }). Consumers should re-sync state.
 
 'use strict';
 
@@ -18,6 +29,10 @@ const { URL, URLSearchParams } = require('url');
 const EventEmitter = require('events');
 const WebSocket = require('ws');
 
+// Backoff de reconexión del WS de eventos (ms)
+const WS_RECONNECT_MIN_MS = Number(process.env.ARI_WS_RECONNECT_MIN_MS || 1000);
+const WS_RECONNECT_MAX_MS = Number(process.env.ARI_WS_RECONNECT_MAX_MS || 30000);
+
 function joinUrl(base, path) {
   if (!base.endsWith('/')) base += '/';
   if (path.startsWith('/')) path = path.slice(1);
@@ -62,13 +77,14 @@ class AriChannel extends EventEmitter {
 }
 
 class AriBridge {
-  constructor(adapter) {
+  // id: bridge ya existente en Asterisk (p.ej. recuperado del estado persistido)
+  constructor(adapter, id = null) {
     this._adapter = adapter;
-    this.id = null;
+    this.id = id;
     this.json = {};
   }
-  async create({ type = 'mixing' } = {}) {
-    const res = await this._adapter._requestJson('POST', `/ari/bridges`, { type });
+  async create({ type = 'mixing', name } = {}) {
+    const res = await this._adapter._requestJson('POST', `/ari/bridges`, { type, name });
     this.id = res?.id || this.id;
     this.json = res || {};
     return this;
@@ -100,30 +116,66 @@ class AriAdapter extends EventEmitter {
       snoopChannel: (p) => this._snoopChannel(p),
       externalMedia: (p) => this._externalMedia(p),
       get: (p) => this._getChannel(p),
-      list: () => this._listChannels()
+      list: () => this._listChannels(),
+      hangup: (p) => this._hangupChannel(p)
+    };
+
+    this.bridges = {
+      get: (p) => this._getBridge(p),
+      list: () => this._listBridges()
     };
   }
 
-  Bridge() {
-    return new AriBridge(this);
+  Bridge(id) {
+    return new AriBridge(this, id || null);
   }
 
   async start(appName) {
+    this._appName = appName;
+    this._stopped = false;
+    this._everOpened = false;
+    this._reconnectAttempt = 0;
+    this._connectWs();
+  }
+
+  stop() {
+    this._stopped = true;
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    if (this._ws) {
+      try { this._ws.close(); } catch {}
+    }
+  }
+
+  _connectWs() {
     // ARI events WS: <base-with-prefix>/ari/events?app=...&api_key=user:pass&subscribeAll=true
     const wsUrl = buildAriWsUrl(this.baseUrl, {
-      appName,
+      appName: this._appName,
       user: this.user,
       pass: this.pass,
       wsPath: process.env.ARI_WS_PATH
     });
 
+    const ws = new WebSocket(wsUrl);
+    this._ws = ws;
 
-    this._ws = new WebSocket(wsUrl);
-    this._ws.on('open', () => this.emit('_ws_open'));
-    this._ws.on('error', (err) => this.emit('error', err));
-    this._ws.on('close', () => this.emit('_ws_close'));
+    ws.on('open', () => {
+      const attempt = this._reconnectAttempt;
+      this._reconnectAttempt = 0;
+      this.emit('_ws_open');
+      if (this._everOpened) this.emit('_ws_reconnect', { attempt });
+      this._everOpened = true;
+    });
+    ws.on('error', (err) => this.emit('error', err));
+    ws.on('close', () => {
+      this.emit('_ws_close');
+      if (this._ws === ws) this._ws = null;
+      this._scheduleReconnect();
+    });
 
-    this._ws.on('message', (buf) => {
+    ws.on('message', (buf) => {
       let ev;
       try { ev = JSON.parse(buf.toString('utf8')); } catch { return; }
       const type = ev?.type;
@@ -142,6 +194,21 @@ class AriAdapter extends EventEmitter {
     });
   }
 
+  _scheduleReconnect() {
+    if (this._stopped || this._reconnectTimer) return;
+
+    // backoff exponencial: min * 2^n con tope + jitter (evita reconexiones sincronizadas)
+    const n = this._reconnectAttempt++;
+    const base = Math.min(WS_RECONNECT_MAX_MS, WS_RECONNECT_MIN_MS * Math.pow(2, n));
+    const delay = Math.round(base / 2 + Math.random() * base / 2);
+
+    this.emit('_ws_reconnecting', { attempt: n + 1, delayMs: delay });
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (!this._stopped) this._connectWs();
+    }, delay);
+  }
+
   _getOrCreateChannelFromEvent(chData) {
     const id = chData.id;
     let ch = this._channels.get(id);
@@ -167,6 +234,19 @@ class AriAdapter extends EventEmitter {
     return Array.isArray(res) ? res : [];
   }
 
+  async _hangupChannel({ channelId }) {
+    await this._requestJson('DELETE', `/ari/channels/${encodeURIComponent(channelId)}`);
+  }
+
+  async _getBridge({ bridgeId }) {
+    return await this._requestJson('GET', `/ari/bridges/${encodeURIComponent(bridgeId)}`);
+  }
+
+  async _listBridges() {
+    const res = await this._requestJson('GET', `/ari/bridges`);
+    return Array.isArray(res) ? res : [];
+  }
+
   async _snoopChannel({ channelId, app, spy = 'both', appArgs = '' }) {
     const res = await this._requestJson(
       'POST',
@@ -0,0 +1,194 @@
+// server/auth/index.js
+// Autenticación de los endpoints HTTP de control (tap-service y mti-gw).
+//
+//   allowlist IP   <PREFIX>_ALLOW_IPS   IPs / CIDR (IPv4 e IPv6). Vacío = cualquiera.
+//                                       Aplica a todo, /metrics incluido (-> 403).
+//   API key        modo key | any       cabecera X-API-Key, Authorization: Bearer <key> o
+//                                       ?key=<key> (dialplan CURL())
+//   HMAC           modo hmac | any      ?ts=<unix s>&sig=<hex> (o cabeceras X-Auth-Timestamp /
+//                                       X-Auth-Signature). sig = HMAC-SHA256(secret, canónico):
+//                                         METHOD \n path \n query ordenada (sin sig) \n ts \n sha256hex(body)
+//                                       ts fuera de ±maxSkewSec o firma ya vista -> 401 (anti-replay;
+//                                       un parámetro nonce aleatorio permite repetir la misma petición)
+// Sin credenciales válidas -> 401. /metrics no pide credenciales (scrape de Prometheus).
+//
+// Lado cliente (tap-service -> gateways): signedQuery() o cabecera X-API-Key.
+
+'use strict';
+
+const crypto = require('crypto');
+const net = require('net');
+
+const AUTH_MODES = ['off', 'key', 'hmac', 'any'];
+
+// Claves de configuración (server/config) de un servicio: prefix TAP -> TAP_AUTH_MODE...
+function authConfigSchema(prefix) {
+  return {
+    authMode:       { env: `${prefix}_AUTH_MODE`, type: 'enum', values: AUTH_MODES, default: 'off' },
+    apiKeys:        { env: `${prefix}_API_KEYS`, type: 'list', default: [] },
+    hmacSecret:     { env: `${prefix}_HMAC_SECRET`, type: 'string', default: '' },
+    hmacMaxSkewSec: { env: `${prefix}_HMAC_MAX_SKEW_SEC`, type: 'int', min: 1, default: 60 },
+    allowIps:       { env: `${prefix}_ALLOW_IPS`, type: 'list', default: [] }
+  };
+}
+
+// Reglas entre claves (opts.validate de ServiceConfig)
+function validateAuthConfig(v) {
+  const errors = [];
+  if (v.authMode === 'key' && !v.apiKeys.length) errors.push('authMode=key requires apiKeys');
+  if (v.authMode === 'hmac' && !v.hmacSecret) errors.push('authMode=hmac requires hmacSecret');
+  if (v.authMode === 'any' && !v.apiKeys.length && !v.hmacSecret) errors.push('authMode=any requires apiKeys or hmacSecret');
+  for (const entry of v.allowIps) {
+    try {
+      buildBlockList([entry]);
+    } catch (e) {
+      errors.push(`allowIps: ${e.message}`);
+    }
+  }
+  return errors;
+}
+
+function buildBlockList(entries) {
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [addr, bits] = String(entry).split('/');
+    const type = net.isIP(addr) === 6 ? 'ipv6' : net.isIP(addr) === 4 ? 'ipv4' : null;
+    if (!type) throw new Error(`invalid address "${entry}"`);
+    if (bits === undefined) {
+      list.addAddress(addr, type);
+      continue;
+    }
+    const prefix = Number(bits);
+    if (!/^\d+$/.test(bits) || prefix > (type === 'ipv4' ? 32 : 128)) throw new Error(`invalid prefix in "${entry}"`);
+    list.addSubnet(addr, prefix, type);
+  }
+  return list;
+}
+
+// IPv4 que llega como ::ffff:a.b.c.d en sockets dual-stack
+function clientIp(req) {
+  const ip = (req.socket && req.socket.remoteAddress) || '';
+  return ip.startsWith('::ffff:') && net.isIP(ip.slice(7)) === 4 ? ip.slice(7) : ip;
+}
+
+function canonicalQuery(query) {
+  const pairs = [];
+  for (const [k, v] of Object.entries(query || {})) {
+    if (k === 'sig' || v === undefined || v === null) continue;
+    for (const item of Array.isArray(v) ? v : [v]) pairs.push([encodeURIComponent(k), encodeURIComponent(String(item))]);
+  }
+  pairs.sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) : (a[0] < b[0] ? -1 : 1)));
+  return pairs.map(([k, v]) => `${k}=${v}`).join('&');
+}
+
+/**
+ * @param {string} secret
+ * @param {{ method: string, pathname: string, query: object, ts: string|number, body?: string }} req
+ * @returns {string} hex
+ */
+function sign(secret, { method, pathname, query, ts, body = '' }) {
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  const canonical = [String(method).toUpperCase(), pathname, canonicalQuery(query), String(ts), bodyHash].join('\n');
+  return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+}
+
+// query con ts + nonce + sig para una petición sin cuerpo firmada (cliente)
+function signedQuery(secret, method, pathname, query) {
+  const withTs = { ...query, ts: Math.floor(Date.now() / 1000), nonce: crypto.randomBytes(8).toString('hex') };
+  return { ...withTs, sig: sign(secret, { method, pathname, query: withTs, ts: withTs.ts }) };
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+class RequestAuth {
+  /**
+   * @param {object} opts
+   * @param {() => object} opts.settings   valores vigentes (authMode, apiKeys, hmacSecret, hmacMaxSkewSec, allowIps)
+   * @param {string[]} [opts.publicPaths]  sin credenciales (pero sí allowlist)
+   * @param {(reason: string) => void} [opts.onDenied]
+   */
+  constructor({ settings, publicPaths = ['/metrics'], onDenied }) {
+    this._settings = settings;
+    this.publicPaths = publicPaths;
+    this._onDenied = onDenied || (() => {});
+    this._allow = { key: null, list: null };
+    this._seen = new Map();   // sig -> caducidad (ms)
+    this._nextPruneMs = 0;
+  }
+
+  _allowed(ip, entries) {
+    const key = entries.join(',');
+    if (this._allow.key !== key) this._allow = { key, list: buildBlockList(entries) };
+    const type = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+    return !!ip && this._allow.list.check(ip, type);
+  }
+
+  _deny(status, reason, message) {
+    this._onDenied(reason);
+    return { status, reason, message };
+  }
+
+  // firma ya usada dentro de su ventana de validez
+  _replayed(sig, expiresMs) {
+    const now = Date.now();
+    // poda por caducidad, no por orden de llegada: con ts desfasados una entrada viva puede
+    // ir delante de otras ya caducadas. Barrido completo, como mucho una vez por segundo
+    if (now >= this._nextPruneMs) {
+      this._nextPruneMs = now + 1000;
+      for (const [s, exp] of this._seen) {
+        if (exp <= now) this._seen.delete(s);
+      }
+    }
+    const exp = this._seen.get(sig);
+    if (exp !== undefined && exp > now) return true;
+    this._seen.set(sig, expiresMs);
+    return false;
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {{ pathname: string, query: object }} parsed   url.parse(req.url, true)
+   * @param {string} [body]
+   * @returns {null | { status: number, reason: string, message: string }}  null = autorizado
+   */
+  check(req, parsed, body = '') {
+    const s = this._settings();
+    const ip = clientIp(req);
+
+    if (s.allowIps.length && !this._allowed(ip, s.allowIps)) {
+      return this._deny(403, 'ip', `Forbidden: ${ip} not in allowlist`);
+    }
+    if (s.authMode === 'off' || this.publicPaths.includes(parsed.pathname)) return null;
+
+    const h = req.headers || {};
+    const bearer = /^Bearer\s+(.+)$/i.exec(h.authorization || '');
+    const key = h['x-api-key'] || (bearer && bearer[1]) || parsed.query.key;
+    if (key && (s.authMode === 'key' || s.authMode === 'any')) {
+      if (s.apiKeys.some(k => safeEqual(k, key))) return null;
+      return this._deny(401, 'bad-key', 'Unauthorized: invalid API key');
+    }
+
+    const sig = parsed.query.sig || h['x-auth-signature'];
+    const ts = parsed.query.ts || h['x-auth-timestamp'];
+    if (sig && s.hmacSecret && (s.authMode === 'hmac' || s.authMode === 'any')) {
+      const tsNum = Number(ts);
+      if (!Number.isInteger(tsNum) || Math.abs(Date.now() / 1000 - tsNum) > s.hmacMaxSkewSec) {
+        return this._deny(401, 'stale', 'Unauthorized: missing or expired timestamp');
+      }
+      const expected = sign(s.hmacSecret, { method: req.method, pathname: parsed.pathname, query: parsed.query, ts, body });
+      if (!safeEqual(expected, sig)) return this._deny(401, 'bad-signature', 'Unauthorized: invalid signature');
+      if (this._replayed(String(sig), (tsNum + s.hmacMaxSkewSec) * 1000)) {
+        return this._deny(401, 'replay', 'Unauthorized: signature already used');
+      }
+      return null;
+    }
+
+    return this._deny(401, 'missing', `Unauthorized: ${s.authMode === 'key' ? 'API key' : s.authMode === 'hmac' ? 'signature' : 'API key or signature'} required`);
+  }
+}
+
+module.exports = { RequestAuth, authConfigSchema, validateAuthConfig, sign, signedQuery, clientIp, AUTH_MODES };
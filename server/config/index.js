@@ -0,0 +1,213 @@
+// server/config/index.js
+// Configuración de tap-service y mti-gw: defaults < env < fichero YAML/JSON (<SERVICE>_CONFIG_FILE).
+// El fichero manda sobre las env: así un reload (SIGHUP / POST /admin/reload) puede cambiar
+// valores que al arrancar vinieron de las env.
+//
+// Schema (clave camelCase -> definición):
+//   { env: 'MTI_HOST', type: 'string' | 'int' | 'bool' | 'enum' | 'list', default,
+//     min, max (int), values, aliases (enum), required, reload: false (solo al arrancar) }
+//
+// Nada cae en silencio al default: un valor que no cumple el schema (env o fichero), una
+// clave desconocida en el fichero o un YAML mal formado lanzan ConfigError con TODOS los
+// problemas encontrados. En un reload fallido la configuración anterior sigue vigente.
+//
+// Reglas entre claves (p.ej. rango de puertos): opts.validate(values) -> [errores].
+//
+// Secciones (opts.sections): claves de primer nivel del fichero que se pasan tal cual al
+// servicio (p.ej. "gateways" en tap-service), que las valida en reload({ prepare }).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class ConfigError extends Error {
+  constructor(source, errors, service = '') {
+    super(`Invalid ${service ? `${service} ` : ''}configuration (${source}):\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const TRUE_WORDS = ['1', 'true', 'yes', 'on'];
+const FALSE_WORDS = ['0', 'false', 'no', 'off'];
+
+// valor crudo (string de env o valor del fichero) -> [valor, error]
+function coerce(def, raw) {
+  switch (def.type) {
+    case 'int': {
+      const n = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(String(raw).trim()) : NaN);
+      if (!Number.isInteger(n)) return [null, `must be an integer (got "${raw}")`];
+      if (def.min !== undefined && n < def.min) return [null, `must be >= ${def.min} (got ${n})`];
+      if (def.max !== undefined && n > def.max) return [null, `must be <= ${def.max} (got ${n})`];
+      return [n, null];
+    }
+    case 'bool': {
+      if (typeof raw === 'boolean') return [raw, null];
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE_WORDS.includes(s)) return [true, null];
+      if (FALSE_WORDS.includes(s)) return [false, null];
+      return [null, `must be a boolean (got "${raw}")`];
+    }
+    case 'enum': {
+      const s = String(raw).trim().toLowerCase();
+      const v = (def.aliases && def.aliases[s]) || s;
+      if (!def.values.includes(v)) return [null, `must be one of ${def.values.join(' | ')} (got "${raw}")`];
+      return [v, null];
+    }
+    case 'list': {
+      // lista YAML/JSON o "a,b,c" (env)
+      const items = Array.isArray(raw) ? raw : String(raw).split(',');
+      if (items.some(i => i === null || typeof i === 'object')) return [null, 'must be a list of strings'];
+      return [items.map(i => String(i).trim()).filter(Boolean), null];
+    }
+    default: {
+      if (typeof raw === 'object') return [null, 'must be a string'];
+      return [String(raw).trim(), null];
+    }
+  }
+}
+
+// Lee el fichero (.yaml/.yml o .json). `yaml` solo se carga si hace falta.
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new ConfigError(file, [`cannot read file: ${e.message}`]);
+  }
+
+  let obj;
+  const ext = path.extname(file).toLowerCase();
+  try {
+    if (ext === '.yaml' || ext === '.yml') {
+      obj = require('yaml').parse(text);
+    } else {
+      obj = JSON.parse(text);
+    }
+  } catch (e) {
+    throw new ConfigError(file, [`parse error: ${e.message}`]);
+  }
+
+  if (obj === null || obj === undefined) return {};
+  if (typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new ConfigError(file, ['top level must be a mapping of key: value']);
+  }
+  return obj;
+}
+
+class ServiceConfig {
+  /**
+   * @param {object} opts
+   * @param {string} opts.name           tap-service | mti-gw (mensajes)
+   * @param {object} opts.schema         ver cabecera
+   * @param {object} [opts.env]          process.env
+   * @param {string} [opts.file]         fichero YAML/JSON (vacío = solo env)
+   * @param {string[]} [opts.sections]   claves del fichero que no son settings
+   * @param {(values: object) => string[]} [opts.validate]  reglas entre claves
+   */
+  constructor({ name, schema, env = process.env, file, sections = [], validate }) {
+    this.name = name;
+    this.schema = schema;
+    this.validate = validate || null;
+    this.env = env;
+    this.file = file || null;
+    this.sectionNames = sections;
+    this.values = null;
+    this.sections = {};
+  }
+
+  // Construye una configuración completa sin aplicarla -> { values, sections }
+  read() {
+    const errors = [];
+    const raw = this.file ? readConfigFile(this.file) : {};
+
+    const sections = {};
+    for (const k of Object.keys(raw)) {
+      if (this.sectionNames.includes(k)) sections[k] = raw[k];
+      else if (!this.schema[k]) errors.push(`${this.file}: unknown key "${k}"`);
+    }
+
+    const values = {};
+    for (const [key, def] of Object.entries(this.schema)) {
+      let value = def.default === undefined ? null : def.default;
+      let source = null;
+      let invalid = false;
+
+      const envRaw = def.env ? this.env[def.env] : undefined;
+      if (envRaw !== undefined && String(envRaw).trim() !== '') {
+        const [v, err] = coerce(def, envRaw);
+        if (err) {
+          errors.push(`env ${def.env} ${err}`);
+          invalid = true;
+        } else {
+          value = v;
+          source = 'env';
+        }
+      }
+      if (Object.prototype.hasOwnProperty.call(raw, key) && raw[key] !== null) {
+        const [v, err] = coerce(def, raw[key]);
+        if (err) {
+          errors.push(`${this.file}: ${key} ${err}`);
+          invalid = true;
+        } else {
+          value = v;
+          source = 'file';
+        }
+      }
+      if (def.required && !source && !invalid && (value === null || value === '')) {
+        errors.push(`${key} is required (${def.env ? `env ${def.env} or ` : ''}key "${key}" in the config file)`);
+      }
+      values[key] = value;
+    }
+    if (!errors.length && this.validate) errors.push(...this.validate(values));
+
+    if (errors.length) throw new ConfigError(this.file || 'env', errors, this.name);
+    return { values, sections };
+  }
+
+  // Carga inicial (lanza ConfigError)
+  load() {
+    const { values, sections } = this.read();
+    this.values = values;
+    this.sections = sections;
+    return values;
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  section(name) {
+    return this.sections[name];
+  }
+
+  /**
+   * Re-lee env + fichero. `prepare(next)` valida / construye lo que dependa de las
+   * secciones y puede lanzar: en ese caso no se aplica nada.
+   * Las claves con reload:false que cambian se ignoran hasta el próximo arranque.
+   * @returns {{ changed: string[], restartRequired: string[] }}
+   */
+  async reload({ prepare } = {}) {
+    const next = this.read();
+    if (prepare) await prepare(next);
+
+    const changed = [];
+    const restartRequired = [];
+    for (const [key, def] of Object.entries(this.schema)) {
+      if (JSON.stringify(next.values[key]) === JSON.stringify(this.values[key])) continue;
+      if (def.reload === false) {
+        restartRequired.push(key);
+        next.values[key] = this.values[key];
+      } else {
+        changed.push(key);
+      }
+    }
+
+    this.values = next.values;
+    this.sections = next.sections;
+    return { changed, restartRequired };
+  }
+}
+
+module.exports = { ServiceConfig, ConfigError, readConfigFile };
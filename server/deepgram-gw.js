@@ -0,0 +1,739 @@
+// deepgram-gw.js (RTP -> Deepgram streaming, señalización compatible con tap-service)
+//  - tap-service llama a /register?uuid&exten&caller&callername&dir[&format] ANTES de
+//    crear cada ExternalMedia. deepgram-gw abre un puerto UDP propio para ese flujo
+//    (DG_RTP_START..DG_RTP_END) y lo devuelve en JSON { uuid, dir, port }: el EM apunta
+//    a ese puerto, así el audio de cada llamada llega a su flujo sin adivinar por origen
+//    (tap-service: portAllocation=gateway, RTP_HOST_DEEPGRAM).
+//  - 1 flujo (uuid + dir) = 1 WebSocket hacia Deepgram (DG_URL, por defecto la API real;
+//    para pruebas: server/deepgram-mock-server.js).
+//  - Resultados etiquetados agent / customer según DG_ROLE_MODE:
+//      CALLER_IN (por defecto): dir=in = cliente, dir=out = agente
+//      AGENT_IN:                dir=in = agente,  dir=out = cliente
+//  - /unregister?uuid cierra los flujos de la llamada.
+//  - HTTP en WIDGET_PORT: /register /unregister /metrics + widget (public/widget.html)
+//    y feed Socket.IO para supervisores (server/deepgram/widget-feed.js)
+//  - GENERATIVE_ASSISTANT=true: asistente LLM sobre la transcripción (server/deepgram/assistant.js)
+
+const dgram = require('dgram');
+const fs    = require('fs');
+const path  = require('path');
+const EventEmitter = require('events');
+const express   = require('express');
+const WebSocket = require('ws');
+const prom  = require('prom-client');
+const { parseRtp, JitterBuffer } = require('./mti/rtp');
+const { PortPool } = require('./gateways/port-pool');
+const { FORMATS, normalizeFormat } = require('./mti/codecs');
+const { createWidgetFeed } = require('./deepgram/widget-feed');
+const { createAssistant } = require('./deepgram/assistant');
+const { createEngine } = require('./deepgram/assistant-engines');
+
+function envBool(name, def) {
+  const v = process.env[name];
+  if (v === undefined || v === '') return def;
+  return ['1', 'true', 'yes', 'on'].includes(String(v).trim().toLowerCase());
+}
+
+// un puerto RTP por flujo registrado (uuid + dir)
+const DG_RTP_START = Number(process.env.DG_RTP_START || 40000);
+const DG_RTP_END   = Number(process.env.DG_RTP_END || 40199);
+const DG_BIND_RETRIES = Number(process.env.DG_BIND_RETRIES || 5);
+const WIDGET_PORT  = Number(process.env.WIDGET_PORT  || 8080);
+const PUBLIC_DIR   = process.env.WIDGET_PUBLIC_DIR || path.join(__dirname, '..', 'public');
+// false -> el widget no pinta STT (los consumidores internos siguen recibiendo texto)
+const SHOW_TRANSCRIPTION = envBool('SHOW_TRANSCRIPTION', true);
+
+const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY || '';
+const DG_URL           = process.env.DG_URL || 'wss://api.deepgram.com/v1/listen';
+const DG_MODEL         = process.env.DG_MODEL || '';
+const DG_LANGUAGE      = process.env.DG_LANGUAGE || 'es';
+const DG_INTERIM       = envBool('DG_INTERIM', true);
+const DG_PUNCTUATE     = envBool('DG_PUNCTUATE', true);
+const DG_SMART_FORMAT  = envBool('DG_SMART_FORMAT', true);
+const DG_DIARIZE       = envBool('DG_DIARIZE', false);
+const DG_ROLE_MODE     = String(process.env.DG_ROLE_MODE || 'CALLER_IN').trim().toUpperCase() === 'AGENT_IN'
+  ? 'AGENT_IN'
+  : 'CALLER_IN';
+
+// Same semantics as mti-gw: swap 16-bit PCM byte order (only slin* formats)
+const SWAP_ENDIAN = envBool('SWAP_ENDIAN', false);
+// DUMP_WAV=1 -> vuelca ~5s del primer flujo PCM a /tmp/capture.wav
+const DUMP_WAV = envBool('DUMP_WAV', false);
+const DUMP_WAV_FILE = process.env.DUMP_WAV_FILE || '/tmp/capture.wav';
+const DUMP_WAV_SECONDS = 5;
+
+const INACTIVITY_MS     = Number(process.env.DG_INACTIVITY_MS || 15000);
+const PENDING_TTL_MS    = Number(process.env.DG_PENDING_TTL_MS || 15000);
+const KEEPALIVE_MS      = 5000;
+const WS_RECONNECT_MS   = 1000;
+const WS_QUEUE_MAX      = 250;   // paquetes retenidos mientras el WS conecta (~5s a 20ms)
+const WS_CLOSE_GRACE_MS = 2000;  // tras CloseStream, margen para los últimos finales
+// SIGTERM / SIGINT: espera máxima al cierre de los WS de Deepgram antes de salir
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.DG_SHUTDOWN_TIMEOUT_MS || 5000);
+const JITTER_PACKETS    = Number(process.env.DG_JITTER_PACKETS ?? 3);
+// Límite global de llamadas simultáneas (0 = sin límite)
+const DG_MAX_SESSIONS   = Number(process.env.DG_MAX_SESSIONS || 0);
+
+// Asistente generativo (desactivado por defecto)
+const GENERATIVE_ASSISTANT = envBool('GENERATIVE_ASSISTANT', false);
+const GEN_ASS_ENGINE     = process.env.GEN_ASS_ENGINE || 'n8n';
+const GEN_ASS_URL        = process.env.GEN_ASS_URL || '';
+const GEN_ASS_AUTH       = process.env.GEN_ASS_AUTH || '';
+const GEN_ASS_NAME       = process.env.GEN_ASS_NAME || 'BOT';
+const GEN_ASS_MODEL      = process.env.GEN_ASS_MODEL || 'gpt-4o-mini';
+const GEN_ASS_PROMPT     = process.env.GEN_ASS_PROMPT || '';
+const GEN_ASS_INTERVAL   = Number(process.env.GEN_ASS_INTERVAL || 10);
+const GEN_ASS_TAIL_CHARS = Number(process.env.GEN_ASS_TAIL_CHARS ?? 2000);
+const GEN_ASS_MIN_CHARS  = Number(process.env.GEN_ASS_MIN_CHARS ?? 120);
+const GEN_ASS_TIMEOUT_MS = Number(process.env.GEN_ASS_TIMEOUT_MS || 15000);
+
+if (!DEEPGRAM_API_KEY && !process.env.DG_URL) {
+  console.error('[DG-GW] ❌ Missing DEEPGRAM_API_KEY (or DG_URL pointing to a mock)');
+  process.exit(1);
+}
+
+// Formato ExternalMedia -> encoding Deepgram
+const DG_ENCODING = {
+  ulaw: 'mulaw',
+  alaw: 'alaw',
+  slin8: 'linear16',
+  slin16: 'linear16',
+  slin48: 'linear16'
+};
+
+// =======================================================
+// Prometheus metrics
+// =======================================================
+const register = prom.register;
+prom.collectDefaultMetrics({ register });
+
+const gSessions = new prom.Gauge({
+  name: 'dg_sessions_active',
+  help: 'Active Deepgram GW calls (uuid)'
+});
+
+const gStreams = new prom.Gauge({
+  name: 'dg_streams_active',
+  help: 'Active Deepgram streams (uuid + dir)',
+  labelNames: ['dir']
+});
+
+const gPending = new prom.Gauge({
+  name: 'dg_pending_registrations',
+  help: 'Registered streams waiting for their first RTP packet',
+  labelNames: ['dir']
+});
+
+const cRtpPackets = new prom.Counter({
+  name: 'dg_rtp_packets_total',
+  help: 'RTP packets received',
+  labelNames: ['dir']
+});
+
+const cRtpUnmatched = new prom.Counter({
+  name: 'dg_rtp_unmatched_total',
+  help: 'RTP packets dropped because they came from a source other than the stream\'s first one',
+  labelNames: ['dir']
+});
+
+const gPortsInUse = new prom.Gauge({
+  name: 'dg_rtp_ports_in_use',
+  help: 'RTP ports bound for registered streams'
+});
+
+const cPortPoolExhausted = new prom.Counter({
+  name: 'dg_port_pool_exhausted_total',
+  help: '/register calls rejected because no RTP port could be bound'
+});
+
+const cZeroFrames = new prom.Counter({
+  name: 'dg_zero_frames_total',
+  help: 'RTP payloads made only of silence (all-zero PCM / G.711 silence)',
+  labelNames: ['dir']
+});
+
+const cWsReconnects = new prom.Counter({
+  name: 'dg_ws_reconnects_total',
+  help: 'Deepgram WebSocket reconnections'
+});
+
+const cWsErrors = new prom.Counter({
+  name: 'dg_ws_errors_total',
+  help: 'Deepgram WebSocket errors'
+});
+
+const cTranscripts = new prom.Counter({
+  name: 'dg_transcripts_total',
+  help: 'Transcript segments received from Deepgram',
+  labelNames: ['role', 'final']
+});
+
+const cHttpRegister = new prom.Counter({
+  name: 'dg_http_register_total',
+  help: 'HTTP /register calls'
+});
+
+const cHttpUnregister = new prom.Counter({
+  name: 'dg_http_unregister_total',
+  help: 'HTTP /unregister calls'
+});
+
+const cHttpErrors = new prom.Counter({
+  name: 'dg_http_errors_total',
+  help: 'HTTP control errors',
+  labelNames: ['path', 'code']
+});
+
+const gWidgetClients = new prom.Gauge({
+  name: 'dg_widget_clients',
+  help: 'Connected widget Socket.IO clients'
+});
+
+const cWidgetEvents = new prom.Counter({
+  name: 'dg_widget_events_total',
+  help: 'Events pushed to widget clients',
+  labelNames: ['event']
+});
+
+const cAssistantRequests = new prom.Counter({
+  name: 'dg_assistant_requests_total',
+  help: 'Generative assistant requests',
+  labelNames: ['engine', 'result']
+});
+
+const hAssistantLatency = new prom.Histogram({
+  name: 'dg_assistant_latency_seconds',
+  help: 'Generative assistant request latency',
+  labelNames: ['engine'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20]
+});
+
+const cSessionsEnded = new prom.Counter({
+  name: 'dg_sessions_ended_total',
+  help: 'Deepgram GW calls ended',
+  labelNames: ['reason']
+});
+
+// =======================================================
+// Estado
+// =======================================================
+
+// Eventos internos para consumidores (widget, asistente):
+//   'call-start' (call), 'call-end' (call, reason), 'transcript' (segment)
+const events = new EventEmitter();
+
+// uuid -> call = { uuid, exten, caller, callername, startedMs, streams (Map dir -> stream) }
+// stream = { call, uuid, dir, role, format, port, sock, src, ws, wsOpen, wsQueue, jitter,
+//            lastRtpMs, registeredMs, closed, keepAliveTimer, reconnectTimer }
+const calls = new Map();
+
+// puertos RTP de los flujos registrados
+const portPool = new PortPool({ start: DG_RTP_START, end: DG_RTP_END, onChange: () => gPortsInUse.set(portPool.size) });
+
+function roleForDir(dir) {
+  if (DG_ROLE_MODE === 'AGENT_IN') return dir === 'in' ? 'agent' : 'customer';
+  return dir === 'in' ? 'customer' : 'agent';
+}
+
+function updateGauges() {
+  gSessions.set(calls.size);
+  const active = { in: 0, out: 0 };
+  const waiting = { in: 0, out: 0 };
+  for (const call of calls.values()) {
+    for (const st of call.streams.values()) {
+      if (!st.closed) (st.src ? active : waiting)[st.dir]++;
+    }
+  }
+  for (const dir of ['in', 'out']) {
+    gStreams.set({ dir }, active[dir]);
+    gPending.set({ dir }, waiting[dir]);
+  }
+}
+
+function swap16(buf) {
+  const out = Buffer.from(buf);
+  for (let i = 0; i + 1 < out.length; i += 2) {
+    const a = out[i];
+    out[i] = out[i + 1];
+    out[i + 1] = a;
+  }
+  return out;
+}
+
+function isSilence(buf, silenceByte) {
+  for (let i = 0; i < buf.length; i++) if (buf[i] !== silenceByte) return false;
+  return true;
+}
+
+// =======================================================
+// Registro de llamadas / flujos
+// =======================================================
+function bindUdp(port) {
+  return new Promise((resolve, reject) => {
+    const sock = dgram.createSocket('udp4');
+    const onError = (err) => {
+      try { sock.close(); } catch {}
+      reject(err);
+    };
+    sock.once('error', onError);
+    sock.bind(port, '0.0.0.0', () => {
+      sock.removeListener('error', onError);
+      resolve(sock);
+    });
+  });
+}
+
+// Puerto del pool + socket ya abierto; si el bind falla se prueba otro -> { port, sock }
+async function allocateBoundPort() {
+  const failed = [];
+  try {
+    for (let attempt = 0; attempt < DG_BIND_RETRIES; attempt++) {
+      const port = portPool.alloc();
+      if (!port) break;
+      try {
+        return { port, sock: await bindUdp(port) };
+      } catch (e) {
+        console.warn(`[DG-GW] bind failed port=${port}: ${e.code || e.message} -> trying another port`);
+        failed.push(port);
+      }
+    }
+  } finally {
+    for (const p of failed) portPool.free(p);
+  }
+  cPortPoolExhausted.inc();
+  throw new Error(`No free RTP ports in ${portPool.start}-${portPool.end}`);
+}
+
+// -> stream (ya escuchando en su puerto). Lanza error si no hay puerto.
+async function registerStream({ uuid, exten, caller, callername, dir, format }) {
+  // re-register del mismo uuid+dir: idempotente
+  const prev = calls.get(uuid);
+  const existing = prev && prev.streams.get(dir);
+  if (existing && !existing.closed) return existing;
+
+  const { port, sock } = await allocateBoundPort();
+
+  // la llamada puede haberse creado / registrado mientras se abría el puerto
+  let call = calls.get(uuid);
+  if (!call) {
+    call = { uuid, exten, caller, callername, startedMs: Date.now(), streams: new Map() };
+    calls.set(uuid, call);
+    events.emit('call-start', call);
+  } else {
+    call.exten = exten || call.exten;
+    call.caller = caller || call.caller;
+    call.callername = callername || call.callername;
+  }
+
+  const raced = call.streams.get(dir);
+  if (raced && !raced.closed) {
+    sock.close();
+    portPool.free(port);
+    return raced;
+  }
+
+  const fmt = FORMATS[format];
+  const stream = {
+    call,
+    uuid,
+    dir,
+    role: roleForDir(dir),
+    format,
+    port,
+    sock,
+    src: null,
+    ws: null,
+    wsOpen: false,
+    wsQueue: [],
+    jitter: new JitterBuffer({
+      depth: JITTER_PACKETS,
+      bytesPerSample: fmt.sampleBytes,
+      clockRate: fmt.rate,
+      silenceByte: fmt.silenceByte
+    }),
+    lastRtpMs: 0,
+    registeredMs: Date.now(),
+    closed: false,
+    keepAliveTimer: null,
+    reconnectTimer: null
+  };
+
+  call.streams.set(dir, stream);
+  sock.on('message', (msg, rinfo) => onRtp(stream, msg, rinfo));
+  sock.on('error', (err) => console.error(`[DG-GW] UDP error port=${port} uuid=${uuid} dir=${dir}: ${err.message}`));
+  updateGauges();
+  return stream;
+}
+
+// -> promesa que se resuelve cuando el WS de Deepgram queda cerrado
+function closeStream(stream, reason) {
+  if (stream.closed) return Promise.resolve();
+
+  // lo retenido en el jitter buffer sale antes de cerrar
+  for (const p of stream.jitter.flush()) sendAudio(stream, p);
+  stream.closed = true;
+
+  if (stream.keepAliveTimer) clearInterval(stream.keepAliveTimer);
+  if (stream.reconnectTimer) clearTimeout(stream.reconnectTimer);
+
+  try { stream.sock.close(); } catch {}
+  portPool.free(stream.port);
+
+  let wsClosed = Promise.resolve();
+  if (stream.ws && stream.ws.readyState !== WebSocket.CLOSED) {
+    const ws = stream.ws;
+    wsClosed = new Promise(resolve => ws.once('close', resolve));
+    try {
+      if (stream.wsOpen) ws.send(JSON.stringify({ type: 'CloseStream' }));
+    } catch {}
+    // damos margen a Deepgram para devolver los últimos finales
+    setTimeout(() => { try { ws.close(); } catch {} }, WS_CLOSE_GRACE_MS);
+  }
+
+  console.log(`[DG-GW] stream closed uuid=${stream.uuid} dir=${stream.dir} reason=${reason}`);
+  updateGauges();
+  return wsClosed;
+}
+
+// -> promesa: cierre de los WS de Deepgram de la llamada
+function closeCall(uuid, reason) {
+  const call = calls.get(uuid);
+  if (!call) return Promise.resolve();
+
+  const closing = [...call.streams.values()].map(st => closeStream(st, reason));
+  calls.delete(uuid);
+
+  console.log(`[DG-GW] cleanup uuid=${uuid} reason=${reason}`);
+  cSessionsEnded.inc({ reason });
+  updateGauges();
+  events.emit('call-end', call, reason);
+  return Promise.all(closing);
+}
+
+// =======================================================
+// Deepgram WebSocket
+// =======================================================
+function buildDeepgramUrl(stream) {
+  const u = new URL(DG_URL);
+  const fmt = FORMATS[stream.format];
+  u.searchParams.set('encoding', DG_ENCODING[stream.format]);
+  u.searchParams.set('sample_rate', String(fmt.rate));
+  u.searchParams.set('channels', '1');
+  u.searchParams.set('language', DG_LANGUAGE);
+  u.searchParams.set('interim_results', String(DG_INTERIM));
+  u.searchParams.set('punctuate', String(DG_PUNCTUATE));
+  u.searchParams.set('smart_format', String(DG_SMART_FORMAT));
+  u.searchParams.set('diarize', String(DG_DIARIZE));
+  if (DG_MODEL) u.searchParams.set('model', DG_MODEL);
+  return u.toString();
+}
+
+function openDeepgram(stream) {
+  if (stream.closed) return;
+
+  const headers = DEEPGRAM_API_KEY ? { Authorization: `Token ${DEEPGRAM_API_KEY}` } : {};
+  const ws = new WebSocket(buildDeepgramUrl(stream), { headers });
+  stream.ws = ws;
+  stream.wsOpen = false;
+
+  ws.on('open', () => {
+    if (stream.ws !== ws) return;
+    stream.wsOpen = true;
+    console.log(`[DG-GW] Deepgram WS open uuid=${stream.uuid} dir=${stream.dir} role=${stream.role}`);
+
+    if (stream.wsQueue.length) {
+      for (const b of stream.wsQueue) ws.send(b);
+      stream.wsQueue = [];
+    }
+
+    stream.keepAliveTimer = setInterval(() => {
+      if (stream.wsOpen && Date.now() - stream.lastRtpMs > KEEPALIVE_MS) {
+        try { ws.send(JSON.stringify({ type: 'KeepAlive' })); } catch {}
+      }
+    }, KEEPALIVE_MS);
+  });
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return;
+    handleDeepgramMessage(stream, data.toString('utf8'));
+  });
+
+  ws.on('error', (err) => {
+    console.error(`[DG-GW] Deepgram WS error uuid=${stream.uuid} dir=${stream.dir}: ${err.message}`);
+    cWsErrors.inc();
+  });
+
+  ws.on('close', (code) => {
+    if (stream.ws !== ws) return;
+    stream.wsOpen = false;
+    if (stream.keepAliveTimer) {
+      clearInterval(stream.keepAliveTimer);
+      stream.keepAliveTimer = null;
+    }
+    if (stream.closed) return;
+
+    // cierre inesperado con la llamada viva -> reconectamos
+    console.warn(`[DG-GW] Deepgram WS closed code=${code} uuid=${stream.uuid} dir=${stream.dir} -> reconnect`);
+    cWsReconnects.inc();
+    stream.reconnectTimer = setTimeout(() => {
+      stream.reconnectTimer = null;
+      openDeepgram(stream);
+    }, WS_RECONNECT_MS);
+  });
+}
+
+function handleDeepgramMessage(stream, txt) {
+  let msg;
+  try { msg = JSON.parse(txt); } catch { return; }
+  if (msg.type !== 'Results') return;
+
+  const alt = msg.channel?.alternatives?.[0];
+  const text = String(alt?.transcript || '').trim();
+  if (!text) return;
+
+  const isFinal = !!msg.is_final;
+  const call = stream.call;
+  const segment = {
+    uuid: stream.uuid,
+    dir: stream.dir,
+    role: stream.role,
+    exten: call.exten || '',
+    caller: call.caller || '',
+    callername: call.callername || '',
+    text,
+    isFinal,
+    speechFinal: !!msg.speech_final,
+    start: msg.start,
+    duration: msg.duration,
+    speaker: Array.isArray(alt.words) && alt.words.length ? alt.words[0].speaker : undefined,
+    ts: Date.now()
+  };
+
+  cTranscripts.inc({ role: stream.role, final: String(isFinal) });
+  if (isFinal) console.log(`[DG-GW] 📝 uuid=${stream.uuid} ${stream.role}: ${text}`);
+
+  events.emit('transcript', segment);
+}
+
+// =======================================================
+// Audio
+// =======================================================
+const dump = { stream: null, chunks: [], bytes: 0, done: !DUMP_WAV };
+
+function dumpAudio(stream, buf) {
+  if (dump.done) return;
+  const fmt = FORMATS[stream.format];
+  if (!fmt.pcm) return;
+  if (!dump.stream) dump.stream = stream;
+  if (dump.stream !== stream) return;
+
+  dump.chunks.push(buf);
+  dump.bytes += buf.length;
+  if (dump.bytes < fmt.rate * 2 * DUMP_WAV_SECONDS) return;
+
+  dump.done = true;
+  const data = Buffer.concat(dump.chunks);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // mono
+  header.writeUInt32LE(fmt.rate, 24);
+  header.writeUInt32LE(fmt.rate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  fs.writeFile(DUMP_WAV_FILE, Buffer.concat([header, data]), (err) => {
+    if (err) console.error(`[DG-GW] DUMP_WAV failed: ${err.message}`);
+    else console.log(`[DG-GW] 💾 DUMP_WAV written ${DUMP_WAV_FILE} uuid=${stream.uuid} dir=${stream.dir}`);
+  });
+  dump.chunks = [];
+}
+
+function sendAudio(stream, payload) {
+  const fmt = FORMATS[stream.format];
+  // Deepgram linear16 = little-endian
+  const buf = (SWAP_ENDIAN && fmt.pcm) ? swap16(payload) : payload;
+
+  if (isSilence(buf, fmt.silenceByte)) cZeroFrames.inc({ dir: stream.dir });
+  dumpAudio(stream, buf);
+
+  if (stream.wsOpen) {
+    stream.ws.send(buf);
+    return;
+  }
+  stream.wsQueue.push(buf);
+  if (stream.wsQueue.length > WS_QUEUE_MAX) stream.wsQueue.shift();
+}
+
+// RTP en el puerto del flujo: el primer origen queda fijado (tráfico de otro origen se descarta)
+function onRtp(stream, msg, rinfo) {
+  if (stream.closed) return;
+  const { dir } = stream;
+  const src = `${rinfo.address}:${rinfo.port}`;
+
+  if (!stream.src) {
+    stream.src = src;
+    console.log(`[DG-GW] RTP ${src} -> port=${stream.port} uuid=${stream.uuid} dir=${dir} role=${stream.role} format=${stream.format}`);
+    updateGauges();
+    openDeepgram(stream);
+  } else if (stream.src !== src) {
+    cRtpUnmatched.inc({ dir });
+    return;
+  }
+
+  const pkt = parseRtp(msg);
+  if (!pkt) return;
+
+  stream.lastRtpMs = Date.now();
+  cRtpPackets.inc({ dir });
+
+  for (const p of stream.jitter.push(pkt)) sendAudio(stream, p);
+}
+
+// Inactividad RTP y registros que nunca recibieron audio
+setInterval(() => {
+  const now = Date.now();
+  for (const call of [...calls.values()]) {
+    for (const st of call.streams.values()) {
+      if (st.closed) continue;
+      if (st.src && now - st.lastRtpMs > INACTIVITY_MS) closeStream(st, 'inactivity');
+      else if (!st.src && now - st.registeredMs > PENDING_TTL_MS) closeStream(st, 'register-timeout');
+    }
+    const open = [...call.streams.values()].some(st => !st.closed);
+    if (!open) closeCall(call.uuid, 'inactivity');
+  }
+}, 2000);
+
+// ---------- HTTP CONTROL SERVER ----------
+const app = express();
+
+app.use(express.static(PUBLIC_DIR, { index: 'widget.html' }));
+
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.end(await register.metrics());
+});
+
+app.get('/register', async (req, res) => {
+  const uuid = String(req.query.uuid || '');
+  const dir  = String(req.query.dir || '');
+  const format = req.query.format ? normalizeFormat(req.query.format) : 'slin16';
+
+  if (!uuid || !['in', 'out'].includes(dir)) {
+    cHttpErrors.inc({ path: '/register', code: '400' });
+    return res.status(400).send('Missing uuid or dir=in|out');
+  }
+  if (!format) {
+    cHttpErrors.inc({ path: '/register', code: '400' });
+    return res.status(400).send(`Unsupported format: ${req.query.format}`);
+  }
+  if (DG_MAX_SESSIONS > 0 && !calls.has(uuid) && calls.size >= DG_MAX_SESSIONS) {
+    cHttpErrors.inc({ path: '/register', code: '503' });
+    console.warn(`[DG-GW] Max sessions reached (${DG_MAX_SESSIONS}), rejecting uuid=${uuid}`);
+    return res.status(503).send('Max sessions reached');
+  }
+
+  let stream;
+  try {
+    stream = await registerStream({
+      uuid,
+      exten: String(req.query.exten || ''),
+      caller: String(req.query.caller || ''),
+      callername: String(req.query.callername || ''),
+      dir,
+      format
+    });
+  } catch (e) {
+    cHttpErrors.inc({ path: '/register', code: '503' });
+    console.warn(`[DG-GW] register failed uuid=${uuid} dir=${dir}: ${e.message}`);
+    return res.status(503).send(e.message);
+  }
+  cHttpRegister.inc();
+  console.log(
+    `[DG-GW] Registered uuid=${uuid} dir=${dir} port=${stream.port} role=${stream.role} format=${stream.format} ` +
+    `exten=${stream.call.exten} caller=${stream.call.caller}`
+  );
+  res.json({ uuid, dir, port: stream.port, format: stream.format });
+});
+
+app.get('/unregister', (req, res) => {
+  const uuid = String(req.query.uuid || '');
+  if (!uuid) {
+    cHttpErrors.inc({ path: '/unregister', code: '400' });
+    return res.status(400).send('Missing uuid');
+  }
+  closeCall(uuid, 'unregister');
+  cHttpUnregister.inc();
+  res.send('OK');
+});
+
+const httpServer = app.listen(WIDGET_PORT, '0.0.0.0', () => {
+  console.log(`[DG-GW] HTTP listening on :${WIDGET_PORT} (/register /unregister /metrics, widget at /)`);
+  console.log(`[DG-GW] RTP ports ${DG_RTP_START}-${DG_RTP_END} (one per registered stream)`);
+  console.log(`[DG-GW] Deepgram ${DG_URL} language=${DG_LANGUAGE} role_mode=${DG_ROLE_MODE}`);
+  console.log(`[DG-GW] Widget show_transcription=${SHOW_TRANSCRIPTION}`);
+});
+
+const io = createWidgetFeed({
+  httpServer,
+  events,
+  listCalls: () => [...calls.values()],
+  showTranscription: SHOW_TRANSCRIPTION,
+  metrics: { clients: gWidgetClients, emitted: cWidgetEvents }
+});
+
+let assistant = null;
+if (GENERATIVE_ASSISTANT) {
+  try {
+    const engine = createEngine(GEN_ASS_ENGINE, {
+      url: GEN_ASS_URL,
+      auth: GEN_ASS_AUTH,
+      botName: GEN_ASS_NAME,
+      model: GEN_ASS_MODEL,
+      prompt: GEN_ASS_PROMPT,
+      timeoutMs: GEN_ASS_TIMEOUT_MS
+    });
+    assistant = createAssistant({
+      events,
+      engine,
+      botName: GEN_ASS_NAME,
+      intervalMs: GEN_ASS_INTERVAL * 1000,
+      tailChars: GEN_ASS_TAIL_CHARS,
+      minChars: GEN_ASS_MIN_CHARS,
+      metrics: { requests: cAssistantRequests, latency: hAssistantLatency }
+    });
+    console.log(
+      `[DG-GW] Generative assistant engine=${engine.name} interval=${GEN_ASS_INTERVAL}s ` +
+      `tail=${GEN_ASS_TAIL_CHARS} min=${GEN_ASS_MIN_CHARS}`
+    );
+  } catch (e) {
+    console.error(`[DG-GW] ❌ Generative assistant disabled: ${e.message}`);
+  }
+}
+
+// shutdown limpio: CloseStream a cada flujo y se esperan sus últimos finales (acotado)
+let shuttingDown = false;
+function shutdown(sig) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[DG-GW] ${sig} closing sessions...`);
+  const closing = [...calls.keys()].map(uuid => closeCall(uuid, sig.toLowerCase()));
+  const timeout = new Promise(resolve => setTimeout(() => {
+    console.warn(`[DG-GW] Deepgram streams still open after ${SHUTDOWN_TIMEOUT_MS}ms, exiting anyway`);
+    resolve();
+  }, SHUTDOWN_TIMEOUT_MS));
+
+  Promise.race([Promise.all(closing), timeout]).finally(() => {
+    if (assistant) assistant.stop();
+    io.close();
+    httpServer.close();
+    process.exit(0);
+  });
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,99 @@
+// deepgram-mock-server.js
+// Servidor WebSocket que imita el endpoint de streaming de Deepgram (/v1/listen)
+// para probar deepgram-gw sin API key.
+// - Acepta audio binario y responde con Results interim / final
+// - Responde a CloseStream con un último final + Metadata y cierra
+// - Ignora KeepAlive
+//
+// Uso:
+//   node server/deepgram-mock-server.js
+//   DG_URL=ws://127.0.0.1:8091/v1/listen node server/deepgram-gw.js
+
+const WebSocket = require('ws');
+
+const LISTEN_HOST = process.env.DG_MOCK_HOST || '0.0.0.0';
+const LISTEN_PORT = Number(process.env.DG_MOCK_PORT || 8091);
+
+// cada cuánto audio (ms) se emite un interim / un final
+const INTERIM_EVERY_MS = Number(process.env.DG_MOCK_INTERIM_MS || 1000);
+const FINAL_EVERY_MS   = Number(process.env.DG_MOCK_FINAL_MS || 3000);
+
+const BYTES_PER_SAMPLE = { linear16: 2, mulaw: 1, alaw: 1 };
+
+const wss = new WebSocket.Server({ host: LISTEN_HOST, port: LISTEN_PORT, path: '/v1/listen' });
+
+wss.on('listening', () => {
+  console.log(`🎧 Deepgram mock listening on ws://${LISTEN_HOST}:${LISTEN_PORT}/v1/listen`);
+});
+
+wss.on('connection', (ws, req) => {
+  const u = new URL(req.url, 'ws://localhost');
+  const encoding = u.searchParams.get('encoding') || 'linear16';
+  const sampleRate = Number(u.searchParams.get('sample_rate') || 16000);
+  const bytesPerMs = (sampleRate / 1000) * (BYTES_PER_SAMPLE[encoding] || 2);
+  const remote = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+
+  console.log(`\n🔌 ${remote} encoding=${encoding} sample_rate=${sampleRate} language=${u.searchParams.get('language')}`);
+
+  const st = { bytes: 0, segStartMs: 0, lastInterimMs: 0, words: 0, finals: 0 };
+
+  const audioMs = () => st.bytes / bytesPerMs;
+
+  function sendResult(isFinal) {
+    const now = audioMs();
+    st.words++;
+    const transcript = isFinal
+      ? `frase de prueba ${st.finals + 1}`
+      : `frase de prueba ${st.finals + 1} (${st.words})`;
+
+    ws.send(JSON.stringify({
+      type: 'Results',
+      channel_index: [0, 1],
+      duration: (now - st.segStartMs) / 1000,
+      start: st.segStartMs / 1000,
+      is_final: isFinal,
+      speech_final: isFinal,
+      channel: {
+        alternatives: [{
+          transcript,
+          confidence: 0.99,
+          words: [{ word: 'prueba', start: st.segStartMs / 1000, end: now / 1000, confidence: 0.99, speaker: 0 }]
+        }]
+      }
+    }));
+
+    if (isFinal) {
+      st.finals++;
+      st.words = 0;
+      st.segStartMs = now;
+      console.log(`📝 ${remote} final #${st.finals} at ${(now / 1000).toFixed(1)}s`);
+    }
+  }
+
+  ws.on('message', (data, isBinary) => {
+    if (!isBinary) {
+      let msg;
+      try { msg = JSON.parse(data.toString('utf8')); } catch { return; }
+      if (msg.type === 'CloseStream') {
+        if (audioMs() > st.segStartMs) sendResult(true);
+        ws.send(JSON.stringify({ type: 'Metadata', duration: audioMs() / 1000, channels: 1 }));
+        ws.close(1000);
+      }
+      return;
+    }
+
+    st.bytes += data.length;
+    const now = audioMs();
+    if (now - st.segStartMs >= FINAL_EVERY_MS) {
+      sendResult(true);
+      st.lastInterimMs = now;
+    } else if (now - st.lastInterimMs >= INTERIM_EVERY_MS) {
+      sendResult(false);
+      st.lastInterimMs = now;
+    }
+  });
+
+  ws.on('close', (code) => {
+    console.log(`❌ ${remote} closed code=${code} audio=${(audioMs() / 1000).toFixed(1)}s finals=${st.finals}`);
+  });
+});
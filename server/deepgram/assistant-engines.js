@@ -0,0 +1,127 @@
+// deepgram/assistant-engines.js
+// Motores del asistente generativo (GEN_ASS_ENGINE). Todos exponen:
+//   ask({ uuid, exten, caller, callername, transcript }) -> Promise<string|null>
+//
+//  - n8n:    POST JSON al webhook (GEN_ASS_URL). La respuesta puede ser texto plano o
+//            JSON con output | reply | text | message (también en un array de items n8n).
+//  - openai: POST a un endpoint /chat/completions compatible OpenAI (GEN_ASS_URL),
+//            Authorization: Bearer GEN_ASS_AUTH.
+
+const http  = require('http');
+const https = require('https');
+
+const DEFAULT_PROMPT =
+  'Eres un asistente para agentes de contact center. Con la transcripción de la llamada en curso, ' +
+  'sugiere en una o dos frases la siguiente acción o respuesta del agente.';
+
+function postJson(url, body, headers, timeoutMs) {
+  const u = new URL(url);
+  const lib = u.protocol === 'https:' ? https : http;
+  const payload = Buffer.from(JSON.stringify(body), 'utf8');
+
+  const options = {
+    method: 'POST',
+    hostname: u.hostname,
+    port: u.port || undefined,
+    path: `${u.pathname}${u.search}`,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': payload.length,
+      ...headers
+    },
+    timeout: timeoutMs
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = lib.request(options, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', c => data += c);
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.end(payload);
+  });
+}
+
+function checkStatus(res) {
+  if (res.status < 200 || res.status >= 300) {
+    const err = new Error(`HTTP ${res.status}: ${String(res.body).slice(0, 200)}`);
+    err.statusCode = res.status;
+    throw err;
+  }
+}
+
+function pickN8nReply(body) {
+  let data;
+  try { data = JSON.parse(body); } catch { return String(body || '').trim() || null; }
+
+  if (Array.isArray(data)) data = data[0] && (data[0].json || data[0]);
+  if (typeof data === 'string') return data.trim() || null;
+  if (!data || typeof data !== 'object') return null;
+
+  for (const k of ['output', 'reply', 'text', 'message']) {
+    if (typeof data[k] === 'string' && data[k].trim()) return data[k].trim();
+  }
+  return null;
+}
+
+function createN8nEngine({ url, auth, botName, timeoutMs }) {
+  return {
+    name: 'n8n',
+    async ask(ctx) {
+      const headers = auth ? { Authorization: auth } : {};
+      const res = await postJson(url, {
+        uuid: ctx.uuid,
+        exten: ctx.exten,
+        caller: ctx.caller,
+        callername: ctx.callername,
+        bot: botName,
+        transcript: ctx.transcript
+      }, headers, timeoutMs);
+      checkStatus(res);
+      return pickN8nReply(res.body);
+    }
+  };
+}
+
+function createOpenAiEngine({ url, auth, model, prompt, timeoutMs }) {
+  return {
+    name: 'openai',
+    async ask(ctx) {
+      const headers = auth ? { Authorization: `Bearer ${auth}` } : {};
+      const res = await postJson(url, {
+        model,
+        messages: [
+          { role: 'system', content: prompt || DEFAULT_PROMPT },
+          { role: 'user', content: ctx.transcript }
+        ]
+      }, headers, timeoutMs);
+      checkStatus(res);
+
+      let data;
+      try { data = JSON.parse(res.body); } catch { throw new Error('Invalid JSON from openai engine'); }
+      const text = data?.choices?.[0]?.message?.content;
+      return typeof text === 'string' && text.trim() ? text.trim() : null;
+    }
+  };
+}
+
+const ENGINES = {
+  n8n: createN8nEngine,
+  openai: createOpenAiEngine
+};
+
+/**
+ * @param {string} name  n8n | openai
+ * @param {object} opts  { url, auth, botName, model, prompt, timeoutMs }
+ */
+function createEngine(name, opts) {
+  const factory = ENGINES[String(name || '').toLowerCase()];
+  if (!factory) throw new Error(`Unknown GEN_ASS_ENGINE: ${name} (use ${Object.keys(ENGINES).join('|')})`);
+  if (!opts.url) throw new Error('Missing GEN_ASS_URL');
+  return factory(opts);
+}
+
+module.exports = { createEngine, ENGINES };
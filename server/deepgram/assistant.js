@@ -0,0 +1,115 @@
+// deepgram/assistant.js
+// Asistente generativo alimentado por la transcripción en vivo (GEN_ASS_*).
+//  - Construye una transcripción acumulada por uuid con los segmentos finales
+//    ("Agente: ..." / "Cliente: ...")
+//  - Cada GEN_ASS_INTERVAL segundos, si hay al menos GEN_ASS_MIN_CHARS de texto nuevo,
+//    envía la cola (GEN_ASS_TAIL_CHARS, 0 = todo) al motor configurado
+//  - La respuesta se emite como evento 'assistant' en el emisor de deepgram-gw,
+//    el widget la pinta como mensaje del bot
+//  - Como mucho 1 petición en vuelo por llamada
+
+const ROLE_LABEL = { agent: 'Agente', customer: 'Cliente' };
+
+// Deepgram puede devolver finales tras el cierre: el estado se retiene un poco
+const ENDED_GRACE_MS = 10000;
+
+/**
+ * @param {object} opts
+ * @param {import('events').EventEmitter} opts.events  emisor de deepgram-gw
+ * @param {{ name: string, ask: Function }} opts.engine
+ * @param {string}  [opts.botName='BOT']
+ * @param {number}  [opts.intervalMs=10000]
+ * @param {number}  [opts.tailChars=2000]
+ * @param {number}  [opts.minChars=120]
+ * @param {object}  [opts.metrics]  { requests: Counter{engine,result}, latency: Histogram{engine} }
+ */
+function createAssistant({ events, engine, botName = 'BOT', intervalMs = 10000, tailChars = 2000, minChars = 120, metrics = {} }) {
+  // uuid -> { uuid, exten, caller, callername, text, sentLen, inFlight, ended }
+  const calls = new Map();
+
+  function stateFor(seg) {
+    let st = calls.get(seg.uuid);
+    if (!st) {
+      st = { uuid: seg.uuid, exten: '', caller: '', callername: '', text: '', sentLen: 0, inFlight: false, ended: false };
+      calls.set(seg.uuid, st);
+    }
+    st.exten = seg.exten || st.exten;
+    st.caller = seg.caller || st.caller;
+    st.callername = seg.callername || st.callername;
+    return st;
+  }
+
+  function onTranscript(seg) {
+    if (!seg.isFinal) return;
+    const st = stateFor(seg);
+    st.text += `${ROLE_LABEL[seg.role] || seg.role}: ${seg.text}\n`;
+  }
+
+  function onCallEnd(call) {
+    const st = calls.get(call.uuid);
+    if (!st) return;
+    st.ended = true;
+    setTimeout(() => {
+      if (calls.get(call.uuid) === st) calls.delete(call.uuid);
+    }, ENDED_GRACE_MS).unref();
+  }
+
+  async function runCycle(st) {
+    st.inFlight = true;
+    const sentLen = st.text.length;
+    const transcript = tailChars > 0 ? st.text.slice(-tailChars) : st.text;
+    const t0 = Date.now();
+
+    try {
+      const reply = await engine.ask({
+        uuid: st.uuid,
+        exten: st.exten,
+        caller: st.caller,
+        callername: st.callername,
+        transcript
+      });
+      st.sentLen = sentLen;
+      if (metrics.requests) metrics.requests.inc({ engine: engine.name, result: reply ? 'ok' : 'empty' });
+
+      if (reply && !st.ended) {
+        events.emit('assistant', {
+          uuid: st.uuid,
+          exten: st.exten,
+          name: botName,
+          text: reply,
+          ts: Date.now()
+        });
+        console.log(`[GEN-ASS] 🤖 uuid=${st.uuid} ${botName}: ${reply}`);
+      }
+    } catch (e) {
+      if (metrics.requests) metrics.requests.inc({ engine: engine.name, result: 'error' });
+      console.warn(`[GEN-ASS] ${engine.name} failed uuid=${st.uuid}: ${e.message}`);
+    } finally {
+      if (metrics.latency) metrics.latency.observe({ engine: engine.name }, (Date.now() - t0) / 1000);
+      st.inFlight = false;
+    }
+  }
+
+  function tick() {
+    for (const st of calls.values()) {
+      if (st.inFlight || st.ended) continue;
+      if (st.text.length - st.sentLen < minChars) continue;
+      runCycle(st);
+    }
+  }
+
+  events.on('transcript', onTranscript);
+  events.on('call-end', onCallEnd);
+  const timer = setInterval(tick, intervalMs);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      events.off('transcript', onTranscript);
+      events.off('call-end', onCallEnd);
+      calls.clear();
+    }
+  };
+}
+
+module.exports = { createAssistant };
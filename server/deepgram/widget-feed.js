@@ -0,0 +1,147 @@
+// deepgram/widget-feed.js
+// Feed Socket.IO para el widget de supervisión.
+//  - Rooms: `call:<uuid>` (una llamada) y `agent:<exten>` (todas las llamadas de una extensión)
+//  - El cliente se suscribe con ?uuid= / ?exten= en el handshake o con los eventos
+//    'subscribe' / 'unsubscribe' ({ uuid } | { exten })
+//  - Eventos servidor -> cliente:
+//      'calls'      lista de llamadas activas (al conectar)
+//      'call-start' / 'call-end'  (a todos los clientes)
+//      'history'    segmentos finales ya emitidos de una llamada (al suscribirse)
+//      'transcript' segmento interim / final con role agent|customer
+//      'assistant'  respuesta del asistente generativo (role bot), también en 'history'
+//  - SHOW_TRANSCRIPTION=false: no se emiten 'transcript' y 'history' solo lleva los mensajes
+//    del asistente (la lista de llamadas se mantiene)
+
+const { Server } = require('socket.io');
+
+const HISTORY_MAX = 200;           // finales retenidos por llamada
+const HISTORY_GRACE_MS = 10000;    // Deepgram puede devolver finales tras el cierre
+
+function callSummary(call) {
+  return {
+    uuid: call.uuid,
+    exten: call.exten || '',
+    caller: call.caller || '',
+    callername: call.callername || '',
+    startedMs: call.startedMs
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {import('http').Server} opts.httpServer
+ * @param {import('events').EventEmitter} opts.events  emisor de deepgram-gw
+ * @param {() => object[]} opts.listCalls              llamadas activas
+ * @param {boolean} [opts.showTranscription=true]
+ * @param {object} [opts.metrics]                      { clients: Gauge, emitted: Counter }
+ */
+function createWidgetFeed({ httpServer, events, listCalls, showTranscription = true, metrics = {} }) {
+  const io = new Server(httpServer, { cors: { origin: '*' } });
+
+  // uuid -> [segment final]; solo llamadas vistas en 'call-start' y hasta HISTORY_GRACE_MS tras
+  // 'call-end' (un final que llega más tarde no vuelve a crear un historial que nadie borraría)
+  const history = new Map();
+  const historyTimers = new Map();
+
+  function count(event) {
+    if (metrics.emitted) metrics.emitted.inc({ event });
+  }
+
+  function sendHistory(socket, uuid) {
+    const list = history.get(uuid) || [];
+    const segments = showTranscription ? list : list.filter(s => s.role === 'bot');
+    socket.emit('history', { uuid, segments });
+  }
+
+  function subscribe(socket, { uuid, exten } = {}) {
+    if (uuid) {
+      socket.join(`call:${uuid}`);
+      sendHistory(socket, uuid);
+    }
+    if (exten) {
+      socket.join(`agent:${exten}`);
+      for (const c of listCalls()) {
+        if (c.exten === exten) sendHistory(socket, c.uuid);
+      }
+    }
+  }
+
+  function unsubscribe(socket, { uuid, exten } = {}) {
+    if (uuid) socket.leave(`call:${uuid}`);
+    if (exten) socket.leave(`agent:${exten}`);
+  }
+
+  io.on('connection', (socket) => {
+    if (metrics.clients) metrics.clients.inc();
+
+    socket.emit('calls', listCalls().map(callSummary));
+
+    const q = socket.handshake.query || {};
+    subscribe(socket, { uuid: q.uuid ? String(q.uuid) : '', exten: q.exten ? String(q.exten) : '' });
+
+    socket.on('subscribe', (msg) => subscribe(socket, msg || {}));
+    socket.on('unsubscribe', (msg) => unsubscribe(socket, msg || {}));
+
+    socket.on('disconnect', () => {
+      if (metrics.clients) metrics.clients.dec();
+    });
+  });
+
+  events.on('call-start', (call) => {
+    const t = historyTimers.get(call.uuid);
+    if (t) {
+      clearTimeout(t);
+      historyTimers.delete(call.uuid);
+    }
+    if (!history.has(call.uuid)) history.set(call.uuid, []);
+    io.emit('call-start', callSummary(call));
+    count('call-start');
+  });
+
+  events.on('call-end', (call, reason) => {
+    io.emit('call-end', { ...callSummary(call), reason });
+    count('call-end');
+
+    clearTimeout(historyTimers.get(call.uuid));
+    const t = setTimeout(() => {
+      historyTimers.delete(call.uuid);
+      history.delete(call.uuid);
+    }, HISTORY_GRACE_MS);
+    t.unref();
+    historyTimers.set(call.uuid, t);
+  });
+
+  function remember(seg) {
+    const list = history.get(seg.uuid);
+    if (!list) return;
+    list.push(seg);
+    if (list.length > HISTORY_MAX) list.shift();
+  }
+
+  function roomsFor(msg) {
+    const rooms = [`call:${msg.uuid}`];
+    if (msg.exten) rooms.push(`agent:${msg.exten}`);
+    return rooms;
+  }
+
+  events.on('transcript', (seg) => {
+    if (seg.isFinal) remember(seg);
+
+    if (!showTranscription) return;
+
+    io.to(roomsFor(seg)).emit('transcript', seg);
+    count('transcript');
+  });
+
+  // el asistente se muestra aunque SHOW_TRANSCRIPTION=false
+  events.on('assistant', (msg) => {
+    const seg = { ...msg, role: 'bot', isFinal: true };
+    remember(seg);
+    io.to(roomsFor(seg)).emit('assistant', seg);
+    count('assistant');
+  });
+
+  return io;
+}
+
+module.exports = { createWidgetFeed };
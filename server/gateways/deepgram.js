@@ -0,0 +1,48 @@
+// server/gateways/deepgram.js
+// Gateway Deepgram: snoop + EM por dirección (in / out) y /register por stream hacia deepgram-gw,
+// que abre un puerto RTP para cada uno y lo devuelve ({ port }). Así cada EM tiene su destino
+// y deepgram-gw no tiene que adivinar de qué llamada es el RTP.
+// Host RTP: RTP_HOST_DEEPGRAM (o el host de RTP_HOST_DEEPGRAM_IN, de cuando los puertos eran fijos).
+
+'use strict';
+
+const { HttpGateway, parseHostOnly } = require('./http-gateway');
+
+class DeepgramGateway extends HttpGateway {
+  static defaults = {
+    ...HttpGateway.defaults,
+    tag: 'DG',
+    topology: 'split',
+    registerRequired: true,
+    unregisterBy: 'uuid',
+    portAllocation: 'gateway'
+  };
+
+  constructor(def, ctx) {
+    const rtpHost = def.rtpHost || parseHostOnly(def.rtpHostIn) || null;
+    super({ ...def, rtpHost }, ctx);
+  }
+
+  // deepgram-gw ya no escucha en puertos fijos: el destino del EM sale siempre de /register
+  configError() {
+    if (!this.gatewayAllocates) return 'with portAllocation=local (deepgram-gw assigns the RTP port per stream)';
+    return super.configError();
+  }
+
+  registerParams(uuid, sess, { dir }) {
+    return {
+      uuid,
+      exten: sess.exten || '',
+      caller: sess.caller || '',
+      callername: sess.callername || '',
+      dir,
+      format: sess.format
+    };
+  }
+
+  logRegistered(uuid, sess, params) {
+    console.log(`[TAP][DG] register → deepgram-gw uuid=${uuid} dir=${params.dir}${params.port ? ` port=${params.port}` : ''} exten=${params.exten}`);
+  }
+}
+
+module.exports = { DeepgramGateway };
@@ -0,0 +1,465 @@
+// server/gateways/http-gateway.js
+// Gateway genérico: destino RTP (fijo o puerto dinámico) + signaling HTTP GET /register y /unregister.
+// Es la base de los gateways integrados (mti, deepgram) y sirve tal cual (type=http) para
+// declarar un gateway ASR nuevo desde el fichero de configuración.
+//
+// Interfaz usada por tap-service:
+//   start() / stop()               health-check de las instancias (varias instancias del gateway)
+//   layoutFor(tapReq)              -> 'mono' (1 snoop spy=both + bridge mixing) | 'stereo' (snoop + bridge por dir)
+//   snoopDirs(tapReq)              -> ['both'] | ['in', 'out']
+//   appArgs(role, uuid, info, dir) -> appArgs Stasis de snoop / EM
+//   configError()                  -> motivo por el que no se pueden crear EM (null = OK)
+//   open(uuid, sess, dir)          -> destino RTP del EM { host: 'h:p', port|null } ya registrado:
+//                                     reserve + register (+ release si el register falla)
+//   reserve(uuid, sess, dir, inst) -> destino reservado localmente (portAllocation=gateway: aún sin puerto)
+//   release(port)
+//   register(uuid, sess, { port, dir }, inst)  -> puerto asignado por el gateway (portAllocation=gateway) | null
+//                                               (lanza error si es obligatorio y falla)
+//   unregister(uuid, sess, metas)         en el cleanup (metas = emMeta de la sesión)
+//   claimPorts(sess)                      tras cargar la sesión del state store
+//   reregister(uuid, sess)                tras reconciliar con ARI una sesión restaurada que sigue viva
+//
+// Instancias (def.instances): el mismo gateway desplegado N veces, cada una con su controlUrl
+// y su host RTP. Cada sub-sesión elige una al abrir su primer EM (sess.instance = controlUrl)
+// y todo lo demás (otro dir en stereo, unregister, re-register) va a esa misma instancia.
+//   balance=least-sessions  menos sesiones según el último GET <statusPath> (JSON { sessions });
+//                           si la instancia no tiene statusPath (404), mti_sessions_active de /metrics
+//   balance=hash            hashing consistente (rendezvous) por uuid entre las instancias sanas
+// Una instancia que no responde (red / 5xx) queda DOWN hasta el siguiente health-check bueno.
+// Si /register falla por red o 5xx (503 = pool agotado) se prueba otra instancia, siempre que
+// la sub-sesión aún no tenga ningún EM registrado.
+//
+// Autenticación del control HTTP: def.hmacSecret firma cada petición (ts + nonce + sig, ver
+// server/auth); si no, def.apiKey va en la cabecera X-API-Key.
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { PortPool } = require('./port-pool');
+const { signedQuery } = require('../auth');
+
+const CONTROL_TIMEOUT_MS = 2000;
+
+function parseHostOnly(hostport) {
+  if (!hostport) return null;
+  const s = String(hostport).trim();
+  const idx = s.lastIndexOf(':');
+  if (idx > -1 && s.slice(idx + 1).match(/^\d+$/)) {
+    return s.slice(0, idx);
+  }
+  return s;
+}
+
+// GET <controlUrl><pathname>?<qs> -> { status, body }  (respeta un prefijo en controlUrl, p.ej. /acme)
+// auth = { apiKey, hmacSecret } del gateway (opcional)
+function controlRequest(controlUrl, pathname, qs, auth) {
+  const u = new URL(controlUrl);
+  u.pathname = u.pathname.replace(/\/+$/, '') + '/' + String(pathname).replace(/^\/+/, '');
+  for (const [k, v] of Object.entries(qs || {})) {
+    if (v === undefined || v === null) continue;
+    u.searchParams.set(k, String(v));
+  }
+  const headers = {};
+  if (auth && auth.hmacSecret) {
+    const signed = signedQuery(auth.hmacSecret, 'GET', u.pathname, Object.fromEntries(u.searchParams));
+    for (const k of ['ts', 'nonce', 'sig']) u.searchParams.set(k, signed[k]);
+  } else if (auth && auth.apiKey) {
+    headers['X-API-Key'] = auth.apiKey;
+  }
+  const lib = u.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = lib.request(u, { method: 'GET', headers, timeout: CONTROL_TIMEOUT_MS }, (res) => {
+      let data = '';
+      res.on('data', c => data += c);
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.end();
+  });
+}
+
+class HttpGateway {
+  static defaults = {
+    topology: 'mixed',          // mixed | split | per-tap (layout de /start_tap)
+    registerPath: '/register',
+    unregisterPath: '/unregister',
+    registerRequired: true,     // status != 200 en /register aborta el EM
+    unregisterBy: 'uuid',       // uuid (una llamada por sesión) | port (una por EM)
+    reregisterOnRestore: false, // re-/register de los EM vivos tras un restart (acepta 409)
+    portAllocation: 'local',    // local (pool rtpPortStart..rtpPortEnd aquí) | gateway (/register sin port
+                                //   -> el gateway asigna y devuelve { port } en JSON)
+    balance: 'least-sessions',  // least-sessions | hash (solo con varias instancias)
+    statusPath: '/status',
+    healthIntervalMs: 5000      // 0 = sin health-check (una instancia solo cae / vuelve por /register)
+  };
+
+  /**
+   * @param {object} def   definición normalizada (ver gateways/index.js)
+   * @param {object} [ctx]
+   * @param {(gw: string, op: string) => void} [ctx.onHttpError]
+   * @param {() => void} [ctx.onPortsChange]
+   * @param {(gw: string, instance: string, up: boolean|null) => void} [ctx.onInstanceState]  null = retirada
+   * @param {(gw: string, from: string, to: string) => void} [ctx.onFailover]
+   */
+  constructor(def, ctx = {}) {
+    this.def = { ...this.constructor.defaults, ...def };
+    this.name = this.def.name;
+    this.type = this.def.type;
+    this.tag = this.def.tag || this.name.toUpperCase();
+    this._onHttpError = ctx.onHttpError || (() => {});
+    this._onInstanceState = ctx.onInstanceState || (() => {});
+    this._onFailover = ctx.onFailover || (() => {});
+    this._healthTimer = null;
+
+    // sin def.instances: una única instancia con los campos de siempre
+    const list = (this.def.instances && this.def.instances.length) ? this.def.instances : [null];
+    this.instances = list.map(i => ({
+      controlUrl: i ? i.controlUrl : (this.def.controlUrl || null),
+      rtpHost: i ? (i.rtpHost || new URL(i.controlUrl).hostname) : this.def.rtpHost,
+      rtpHostIn: i ? (i.rtpHostIn || null) : this.def.rtpHostIn,
+      rtpHostOut: i ? (i.rtpHostOut || null) : this.def.rtpHostOut,
+      up: true,
+      sessions: 0,  // último /status
+      picked: 0     // sesiones asignadas desde entonces
+    }));
+
+    this.pool = (this.def.portAllocation === 'local' && this.def.rtpPortStart && this.def.rtpPortEnd)
+      ? new PortPool({ start: this.def.rtpPortStart, end: this.def.rtpPortEnd, onChange: ctx.onPortsChange })
+      : null;
+  }
+
+  get gatewayAllocates() {
+    return this.def.portAllocation === 'gateway';
+  }
+
+  get dynamicPort() {
+    return !!this.pool || this.gatewayAllocates;
+  }
+
+  layoutFor(tapReq) {
+    if (this.def.topology === 'split') return 'stereo';
+    if (this.def.topology === 'per-tap') return (tapReq && tapReq.layout) === 'stereo' ? 'stereo' : 'mono';
+    return 'mono';
+  }
+
+  snoopDirs(tapReq) {
+    return this.layoutFor(tapReq) === 'stereo' ? ['in', 'out'] : ['both'];
+  }
+
+  // uuid,role,gw,exten,caller,callername,dir  (las comas de los valores romperían el split de Stasis)
+  appArgs(role, uuid, info, dir) {
+    const clean = (v) => String(v || '').replace(/,/g, ' ');
+    return [uuid, role, this.name, clean(info.exten), clean(info.caller), clean(info.callername), dir].join(',');
+  }
+
+  configError() {
+    for (const inst of this.instances) {
+      if (this.gatewayAllocates && !inst.controlUrl) return 'with portAllocation=gateway but without controlUrl';
+      if (this.dynamicPort) {
+        if (!inst.rtpHost) return 'without RTP host configured';
+        continue;
+      }
+      if (!inst.rtpHost && !(inst.rtpHostIn && inst.rtpHostOut)) return 'without RTP host IN/OUT configured';
+    }
+    return null;
+  }
+
+  // ---------- instancias ----------
+
+  // instancia de la sub-sesión (la primera si no eligió ninguna: sesiones de antes de las instancias)
+  instanceFor(sess) {
+    const url = sess && sess.instance;
+    if (!url) return this.instances[0];
+    // retirada por un reload: basta el controlUrl para unregister / re-register
+    return this.instances.find(i => i.controlUrl === url) || { controlUrl: url, up: true };
+  }
+
+  // elige instancia para un tap nuevo (sin las de `exclude`); si todas están DOWN se prueba igual
+  pick(uuid, exclude = new Set()) {
+    const candidates = this.instances.filter(i => !exclude.has(i.controlUrl));
+    if (!candidates.length) return null;
+    const healthy = candidates.filter(i => i.up);
+    const pool = healthy.length ? healthy : candidates;
+
+    let best = pool[0];
+    if (this.def.balance === 'hash') {
+      let bestScore = -1;
+      for (const inst of pool) {
+        const score = crypto.createHash('md5').update(`${uuid}|${inst.controlUrl}`).digest().readUInt32BE(0);
+        if (score > bestScore) {
+          bestScore = score;
+          best = inst;
+        }
+      }
+    } else {
+      for (const inst of pool) {
+        if (inst.sessions + inst.picked < best.sessions + best.picked) best = inst;
+      }
+    }
+    best.picked++;
+    return best;
+  }
+
+  _setUp(inst, up, why) {
+    if (!this.instances.includes(inst)) return;
+    if (inst.up !== up && this.instances.length > 1) {
+      const label = inst.controlUrl || '(default)';
+      if (up) console.log(`[TAP][${this.tag}] instance ${label} UP`);
+      else console.warn(`[TAP][${this.tag}] instance ${label} DOWN: ${why}`);
+    }
+    inst.up = up;
+    this._onInstanceState(this.name, inst.controlUrl || '', up);
+  }
+
+  // Carga de una instancia: JSON de statusPath / texto de /metrics -> nº de sesiones | null
+  parseStatus(body) {
+    try {
+      const n = Number(JSON.parse(body).sessions);
+      return Number.isFinite(n) ? n : null;
+    } catch {
+      return null;
+    }
+  }
+
+  parseMetrics() {
+    return null;
+  }
+
+  async checkInstance(inst) {
+    try {
+      let res = await controlRequest(inst.controlUrl, this.def.statusPath, null, this.def);
+      let load = null;
+      if (res.status === 200) {
+        load = this.parseStatus(res.body);
+      } else if (res.status === 404) {
+        res = await controlRequest(inst.controlUrl, '/metrics', null, this.def);
+        if (res.status === 200) load = this.parseMetrics(res.body);
+      }
+      if (res.status >= 500) throw new Error(`status=${res.status}`);
+      if (load !== null) {
+        inst.sessions = load;
+        inst.picked = 0;
+      }
+      this._setUp(inst, true);
+    } catch (e) {
+      this._setUp(inst, false, e.message);
+    }
+  }
+
+  start() {
+    for (const inst of this.instances) this._onInstanceState(this.name, inst.controlUrl || '', inst.up);
+    if (this._healthTimer || this.instances.length < 2 || !this.def.healthIntervalMs) return;
+    const run = () => Promise.all(this.instances.map(i => this.checkInstance(i)));
+    this._healthTimer = setInterval(run, this.def.healthIntervalMs);
+    this._healthTimer.unref();
+    run();
+  }
+
+  stop() {
+    if (this._healthTimer) clearInterval(this._healthTimer);
+    this._healthTimer = null;
+    for (const inst of this.instances) this._onInstanceState(this.name, inst.controlUrl || '', null);
+  }
+
+  // ---------- EM ----------
+
+  reserve(uuid, sess, dir, inst = this.instanceFor(sess)) {
+    // el puerto llega en la respuesta de /register (ver open)
+    if (this.gatewayAllocates) return { host: null, port: null };
+    if (this.pool) {
+      const port = this.pool.alloc();
+      if (!port) throw new Error(`No free ${this.name} RTP ports in range`);
+      return { host: `${parseHostOnly(inst.rtpHost)}:${port}`, port };
+    }
+    if (dir === 'out' && inst.rtpHostOut) return { host: inst.rtpHostOut, port: null };
+    return { host: inst.rtpHostIn || inst.rtpHost, port: null };
+  }
+
+  release(port) {
+    if (this.pool) this.pool.free(port);
+  }
+
+  async open(uuid, sess, dir) {
+    // la elección es síncrona: el segundo dir (stereo) ya ve la instancia del primero
+    if (sess.instance === undefined) sess.instance = this.pick(uuid).controlUrl;
+
+    const tried = new Set();
+    let inst = this.instanceFor(sess);
+    for (;;) {
+      const reserved = this.reserve(uuid, sess, dir, inst);
+      tried.add(inst.controlUrl);
+      // con un EM ya registrado la sub-sesión queda atada a su instancia (stereo: mismo gateway)
+      const failover = !(sess.emMeta && sess.emMeta.size) && this.instances.some(i => !tried.has(i.controlUrl));
+
+      let assigned;
+      try {
+        assigned = await this.register(uuid, sess, { port: reserved.port, dir }, inst, { failover });
+      } catch (e) {
+        this.release(reserved.port);
+        if (!e.retryable || !failover) throw e;
+
+        // el otro dir puede haber cambiado ya de instancia (el failover cuenta una vez por sub-sesión)
+        const moved = !!sess.instance && !tried.has(sess.instance);
+        const next = moved ? this.instanceFor(sess) : this.pick(uuid, tried);
+        if (!next) throw e;
+        console.warn(`[TAP][${this.tag}] failover uuid=${uuid} dir=${dir} ${inst.controlUrl} -> ${next.controlUrl}: ${e.message}`);
+        if (!moved) this._onFailover(this.name, inst.controlUrl, next.controlUrl);
+        sess.instance = next.controlUrl;
+        inst = next;
+        continue;
+      }
+      if (!this.gatewayAllocates) return reserved;
+      return { host: `${parseHostOnly(inst.rtpHost)}:${assigned}`, port: assigned };
+    }
+  }
+
+  registerParams(uuid, sess, { port, dir }) {
+    return {
+      uuid,
+      port: port || undefined,
+      dir,
+      layout: sess.layout || 'mono',
+      format: sess.format,
+      exten: sess.exten || '',
+      caller: sess.caller || '',
+      callername: sess.callername || '',
+      agent_extension: sess.agent_extension || '',
+      agent_username: sess.agent_username || '',
+      agent_id: sess.agent_id || ''
+    };
+  }
+
+  async request(pathname, qs, inst = this.instances[0]) {
+    try {
+      return await controlRequest(inst.controlUrl, pathname, qs, this.def);
+    } catch (e) {
+      this._onHttpError(this.name, pathname);
+      throw e;
+    }
+  }
+
+  // failover: un fallo de red / 5xx lanza un error retryable aunque el register no sea obligatorio
+  // (open prueba otra instancia)
+  async register(uuid, sess, { port, dir }, inst = this.instanceFor(sess), { failover = false } = {}) {
+    if (!inst.controlUrl) return null;
+    const params = this.registerParams(uuid, sess, { port, dir });
+    // sin puerto asignado por el gateway no hay EM posible: siempre obligatorio
+    const required = this.def.registerRequired || this.gatewayAllocates;
+    const fail = (msg, retryable) => Object.assign(new Error(`${this.name} register failed${msg}`), { retryable });
+
+    let res;
+    try {
+      res = await this.request(this.def.registerPath, params, inst);
+    } catch (e) {
+      this._setUp(inst, false, e.message);
+      if (required || failover) throw fail(`: ${e.message}`, true);
+      console.warn(`[TAP][${this.tag}] register failed uuid=${uuid} dir=${dir}: ${e.message}`);
+      return null;
+    }
+    this._setUp(inst, res.status < 500, `register status=${res.status}`);
+
+    if (res.status !== 200) {
+      const retryable = res.status >= 500;
+      if (required || (failover && retryable)) {
+        throw fail(` status=${res.status} body=${res.body}`, retryable);
+      }
+      console.warn(`[TAP][${this.tag}] register rejected uuid=${uuid} dir=${dir} status=${res.status}`);
+      return null;
+    }
+
+    if (!this.gatewayAllocates) {
+      this.logRegistered(uuid, sess, params);
+      return null;
+    }
+
+    let assigned = null;
+    try {
+      assigned = Number(JSON.parse(res.body).port) || null;
+    } catch {}
+    if (!assigned) {
+      throw new Error(`${this.name} register returned no port (body=${res.body}); gateway without port allocation? use portAllocation=local`);
+    }
+    this.logRegistered(uuid, sess, { ...params, port: assigned });
+    return assigned;
+  }
+
+  logRegistered(uuid, sess, params) {
+    console.log(`[TAP][${this.tag}] register → ${this.name} uuid=${uuid} dir=${params.dir}${params.port ? ` port=${params.port}` : ''}`);
+  }
+
+  async unregister(uuid, sess, metas) {
+    const inst = this.instanceFor(sess);
+    if (this.def.unregisterBy === 'port') {
+      for (const meta of metas) {
+        if (!meta || !meta.rtpPort) continue;
+        try {
+          if (inst.controlUrl) {
+            await this.request(this.def.unregisterPath, { port: meta.rtpPort }, inst);
+            console.log(`[TAP][${this.tag}] Unregistered port=${meta.rtpPort} uuid=${uuid}`);
+          }
+        } catch (e) {
+          console.warn(`[TAP][${this.tag}] unregister failed port=${meta.rtpPort}: ${e.message}`);
+        } finally {
+          this.release(meta.rtpPort);
+        }
+      }
+      return;
+    }
+
+    for (const meta of metas) if (meta && meta.rtpPort) this.release(meta.rtpPort);
+    if (!inst.controlUrl) return;
+    try {
+      await this.request(this.def.unregisterPath, { uuid }, inst);
+      console.log(`[TAP][${this.tag}] unregister → ${this.name} uuid=${uuid}`);
+    } catch (e) {
+      console.warn(`[TAP][${this.tag}] unregister failed uuid=${uuid}: ${e.message}`);
+    }
+  }
+
+  claimPorts(sess) {
+    if (!this.pool || !sess.emMeta) return;
+    for (const meta of sess.emMeta.values()) this.pool.claim(meta.rtpPort);
+  }
+
+  async reregister(uuid, sess) {
+    const inst = this.instanceFor(sess);
+    if (!this.def.reregisterOnRestore || !inst.controlUrl || !sess.emMeta) return;
+
+    for (const meta of sess.emMeta.values()) {
+      try {
+        const params = this.registerParams(uuid, sess, { port: meta.rtpPort, dir: meta.dir });
+        const reg = await this.request(this.def.registerPath, params, inst);
+        // 409 = el gateway ya lo tenía
+        if (reg.status !== 200 && reg.status !== 409) {
+          console.warn(`[TAP][${this.tag}] restore: re-register port=${meta.rtpPort} uuid=${uuid} status=${reg.status} body=${reg.body}`);
+        }
+      } catch (e) {
+        console.warn(`[TAP][${this.tag}] restore: re-register port=${meta.rtpPort} uuid=${uuid} failed: ${e.message}`);
+      }
+    }
+  }
+
+  // una línea para el log de arranque
+  describe() {
+    if (this.instances.length > 1) {
+      const list = this.instances.map(i => `${i.controlUrl} (rtp ${i.rtpHost || `${i.rtpHostIn}/${i.rtpHostOut}`})`).join(', ');
+      const ports = this.pool ? `ports ${this.pool.start}-${this.pool.end}` : this.gatewayAllocates ? 'ports assigned by gateway' : 'fixed ports';
+      return `${this.name} (${this.type}, ${this.def.topology}) ${this.instances.length} instances balance=${this.def.balance} ` +
+        `health=${this.def.healthIntervalMs ? `${this.def.statusPath} every ${this.def.healthIntervalMs}ms` : 'off'} ${ports}: ${list}`;
+    }
+    const rtp = this.pool
+      ? `${this.def.rtpHost || '(not set)'} ports ${this.pool.start}-${this.pool.end}`
+      : this.gatewayAllocates
+        ? `${this.def.rtpHost || '(not set)'} ports assigned by gateway`
+        : (this.def.rtpHostIn || this.def.rtpHostOut)
+        ? `IN ${this.def.rtpHostIn || '(not set)'} OUT ${this.def.rtpHostOut || '(not set)'}`
+        : (this.def.rtpHost || '(not set)');
+    return `${this.name} (${this.type}, ${this.def.topology}) rtp=${rtp} control=${this.def.controlUrl || '(none)'}`;
+  }
+}
+
+module.exports = { HttpGateway, controlRequest, parseHostOnly };
@@ -0,0 +1,257 @@
+// server/gateways/index.js
+// Registro de gateways de tap-service.
+//
+// Los gateways integrados (mti, deepgram) se definen desde las env de siempre. El fichero
+// TAP_GATEWAYS_FILE (JSON) puede sobreescribir sus campos y declarar gateways nuevos:
+//
+//   { "gateways": {
+//       "mti":  { "rtpPortStart": 42000, "rtpPortEnd": 42999 },
+//       "acme": { "type": "http", "topology": "split",
+//                 "rtpHostIn": "acme-gw:40000", "rtpHostOut": "acme-gw:40001",
+//                 "controlUrl": "http://acme-gw:8080" },
+//       "deepgram": { "enabled": false }
+//   } }
+//
+// Campos de una definición:
+//   type                 mti | deepgram | http
+//   topology             mixed | split | per-tap
+//   rtpHost              host[:port] (con rtpPortStart/rtpPortEnd -> puerto dinámico por EM)
+//   rtpHostIn/rtpHostOut host:port fijos por dirección
+//   portAllocation       local (pool rtpPortStart..rtpPortEnd en tap-service) | gateway (lo asigna
+//                        el gateway en /register; por defecto en mti)
+//   controlUrl           base HTTP de /register y /unregister (vacío = sin signaling)
+//   registerPath, unregisterPath, registerRequired, unregisterBy (uuid | port), reregisterOnRestore
+//   instances            [{ controlUrl, rtpHost?, rtpHostIn?, rtpHostOut? }] mismo gateway desplegado
+//                        varias veces (rtpHost por defecto = host de controlUrl); sustituye a
+//                        controlUrl / rtpHost*. En mti: env MTI_GW_INSTANCES=host:port[@rtpHost],...
+//   balance              least-sessions | hash (elección de instancia por tap)
+//   statusPath           GET de carga / health-check de cada instancia (JSON { sessions })
+//   healthIntervalMs     periodo del health-check (0 = desactivado)
+//   maxSessions          taps concurrentes en este gateway (admisión de tap-service; 0 = sin límite).
+//                        env MTI_MAX_SESSIONS / DG_MAX_SESSIONS en los integrados
+//   apiKey / hmacSecret  credenciales del control HTTP del gateway (server/auth): con hmacSecret
+//                        cada petición va firmada; si no, apiKey en X-API-Key.
+//                        env MTI_GW_API_KEY / MTI_GW_HMAC_SECRET (mismo secreto que usa mti-gw)
+//   tag                  prefijo de log ([TAP][<tag>])
+//   enabled              false = quitar el gateway
+//
+// La sección "gateways" del fichero de configuración de tap-service (TAP_CONFIG_FILE) tiene
+// el mismo formato y se aplica después de TAP_GATEWAYS_FILE.
+
+'use strict';
+
+const fs = require('fs');
+const { HttpGateway } = require('./http-gateway');
+const { MtiGateway } = require('./mti');
+const { DeepgramGateway } = require('./deepgram');
+
+const TYPES = {
+  http: HttpGateway,
+  mti: MtiGateway,
+  deepgram: DeepgramGateway
+};
+
+const TOPOLOGIES = ['mixed', 'split', 'per-tap'];
+const UNREGISTER_BY = ['uuid', 'port'];
+const PORT_ALLOCATION = ['local', 'gateway'];
+const BALANCE = ['least-sessions', 'hash'];
+const KNOWN_FIELDS = [
+  'type', 'topology', 'rtpHost', 'rtpHostIn', 'rtpHostOut', 'rtpPortStart', 'rtpPortEnd',
+  'controlUrl', 'registerPath', 'unregisterPath', 'registerRequired', 'unregisterBy',
+  'reregisterOnRestore', 'portAllocation', 'instances', 'balance', 'statusPath',
+  'healthIntervalMs', 'maxSessions', 'apiKey', 'hmacSecret', 'tag', 'enabled'
+];
+const INSTANCE_FIELDS = ['controlUrl', 'rtpHost', 'rtpHostIn', 'rtpHostOut'];
+
+// MTI_GW_INSTANCES=mti-gw-1:9093@10.0.0.21,mti-gw-2:9093 -> [{ controlUrl, rtpHost? }]
+function parseInstancesEnv(value) {
+  return String(value).split(',').map(s => s.trim()).filter(Boolean).map((item) => {
+    const [control, rtpHost] = item.split('@');
+    const controlUrl = /^https?:\/\//.test(control) ? control : `http://${control}`;
+    return rtpHost ? { controlUrl, rtpHost } : { controlUrl };
+  });
+}
+
+// Definiciones a partir de las env clásicas (retrocompat sin fichero)
+function envGatewayDefs(env) {
+  const mtiHost = env.MTI_GW_HTTP_HOST || 'mti-gw';
+  const mtiPort = env.MTI_GW_HTTP_PORT || 9093;
+  const dgHost = env.DEEPGRAM_GW_HTTP_HOST || 'deepgram-gw';
+  const dgPort = env.DEEPGRAM_GW_HTTP_PORT || 8080;
+
+  return {
+    mti: {
+      type: 'mti',
+      rtpHost: env.RTP_HOST_MTI || null,
+      rtpPortStart: Number(env.MTI_RTP_START || 41000),
+      rtpPortEnd: Number(env.MTI_RTP_END || 41999),
+      controlUrl: `http://${mtiHost}:${mtiPort}`,
+      ...(env.MTI_PORT_ALLOCATION ? { portAllocation: env.MTI_PORT_ALLOCATION } : {}),
+      ...(env.MTI_GW_INSTANCES ? { instances: parseInstancesEnv(env.MTI_GW_INSTANCES) } : {}),
+      ...(env.MTI_GW_BALANCE ? { balance: env.MTI_GW_BALANCE } : {}),
+      ...(env.MTI_MAX_SESSIONS ? { maxSessions: Number(env.MTI_MAX_SESSIONS) } : {}),
+      ...(env.MTI_GW_API_KEY ? { apiKey: env.MTI_GW_API_KEY } : {}),
+      ...(env.MTI_GW_HMAC_SECRET ? { hmacSecret: env.MTI_GW_HMAC_SECRET } : {})
+    },
+    deepgram: {
+      type: 'deepgram',
+      rtpHost: env.RTP_HOST_DEEPGRAM || null,
+      rtpHostIn: env.RTP_HOST_DEEPGRAM_IN || null,
+      rtpHostOut: env.RTP_HOST_DEEPGRAM_OUT || null,
+      controlUrl: `http://${dgHost}:${dgPort}`,
+      // mismo límite que aplica deepgram-gw: sin hueco allí no tiene sentido crear el tap
+      ...(env.DG_MAX_SESSIONS ? { maxSessions: Number(env.DG_MAX_SESSIONS) } : {})
+    }
+  };
+}
+
+function validateDef(name, def) {
+  const errors = [];
+  const at = (msg) => errors.push(`gateway "${name}": ${msg}`);
+
+  // el nombre viaja en los appArgs (separados por comas) y en el nombre de los bridges
+  if (!/^[a-z0-9_-]+$/.test(name)) at('name must match [a-z0-9_-]+');
+  if (!TYPES[def.type]) at(`unknown type "${def.type}" (expected ${Object.keys(TYPES).join(' | ')})`);
+
+  for (const k of Object.keys(def)) {
+    if (!KNOWN_FIELDS.includes(k)) at(`unknown field "${k}"`);
+  }
+
+  if (def.topology !== undefined && !TOPOLOGIES.includes(def.topology)) {
+    at(`topology must be one of ${TOPOLOGIES.join(' | ')}`);
+  }
+  if (def.unregisterBy !== undefined && !UNREGISTER_BY.includes(def.unregisterBy)) {
+    at(`unregisterBy must be one of ${UNREGISTER_BY.join(' | ')}`);
+  }
+
+  if (def.portAllocation !== undefined && !PORT_ALLOCATION.includes(def.portAllocation)) {
+    at(`portAllocation must be one of ${PORT_ALLOCATION.join(' | ')}`);
+  }
+
+  const hasStart = def.rtpPortStart !== undefined && def.rtpPortStart !== null;
+  const hasEnd = def.rtpPortEnd !== undefined && def.rtpPortEnd !== null;
+  if (hasStart !== hasEnd) at('rtpPortStart and rtpPortEnd go together');
+  if (hasStart && hasEnd) {
+    const okPort = (p) => Number.isInteger(p) && p > 0 && p < 65536;
+    if (!okPort(def.rtpPortStart) || !okPort(def.rtpPortEnd)) at('rtpPortStart / rtpPortEnd must be integers 1-65535');
+    else if (def.rtpPortStart > def.rtpPortEnd) at('rtpPortStart must be <= rtpPortEnd');
+  }
+
+  const checkUrl = (value, label) => {
+    try {
+      const u = new URL(value);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') at(`${label} must be http(s)`);
+    } catch {
+      at(`invalid ${label} "${value}"`);
+    }
+  };
+  if (def.controlUrl) checkUrl(def.controlUrl, 'controlUrl');
+
+  if (def.instances !== undefined && def.instances !== null) {
+    if (!Array.isArray(def.instances) || !def.instances.length) {
+      at('instances must be a non-empty list of { controlUrl, rtpHost }');
+    } else {
+      const seen = new Set();
+      def.instances.forEach((inst, i) => {
+        if (!inst || typeof inst !== 'object' || Array.isArray(inst)) {
+          at(`instances[${i}] must be an object`);
+          return;
+        }
+        for (const k of Object.keys(inst)) {
+          if (!INSTANCE_FIELDS.includes(k)) at(`instances[${i}]: unknown field "${k}"`);
+        }
+        if (!inst.controlUrl) {
+          at(`instances[${i}]: controlUrl is required`);
+          return;
+        }
+        checkUrl(inst.controlUrl, `instances[${i}].controlUrl`);
+        if (seen.has(inst.controlUrl)) at(`instances[${i}]: duplicate controlUrl "${inst.controlUrl}"`);
+        seen.add(inst.controlUrl);
+      });
+    }
+  }
+  if (def.balance !== undefined && !BALANCE.includes(def.balance)) {
+    at(`balance must be one of ${BALANCE.join(' | ')}`);
+  }
+  if (def.healthIntervalMs !== undefined && !(Number.isInteger(def.healthIntervalMs) && def.healthIntervalMs >= 0)) {
+    at('healthIntervalMs must be an integer >= 0');
+  }
+  if (def.maxSessions !== undefined && !(Number.isInteger(def.maxSessions) && def.maxSessions >= 0)) {
+    at('maxSessions must be an integer >= 0');
+  }
+  if (def.statusPath !== undefined && (typeof def.statusPath !== 'string' || !def.statusPath.startsWith('/'))) {
+    at('statusPath must be a path starting with /');
+  }
+  for (const k of ['apiKey', 'hmacSecret']) {
+    if (def[k] !== undefined && def[k] !== null && (typeof def[k] !== 'string' || !def[k])) at(`${k} must be a non-empty string`);
+  }
+
+  for (const k of ['registerRequired', 'reregisterOnRestore', 'enabled']) {
+    if (def[k] !== undefined && typeof def[k] !== 'boolean') at(`${k} must be a boolean`);
+  }
+  return errors;
+}
+
+function checkOverrides(what, gateways) {
+  if (!gateways || typeof gateways !== 'object' || Array.isArray(gateways)) {
+    throw new Error(`${what} must be an object "gateways": { <name>: {...} }`);
+  }
+  return gateways;
+}
+
+function readGatewaysFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new Error(`Cannot read gateways file ${file}: ${e.message}`);
+  }
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid JSON in gateways file ${file}: ${e.message}`);
+  }
+  return checkOverrides(`Gateways file ${file}`, obj && obj.gateways);
+}
+
+/**
+ * Construye los gateways (Map nombre -> instancia). Lanza un Error con todos
+ * los problemas de configuración encontrados.
+ * @param {object} opts
+ * @param {object} [opts.env]        process.env
+ * @param {string} [opts.file]       fichero JSON (env TAP_GATEWAYS_FILE)
+ * @param {object} [opts.overrides]  sección "gateways" del fichero de configuración
+ * @param {object} [opts.ctx]        { onHttpError, onPortsChange, onInstanceState, onFailover } para las instancias
+ */
+function loadGateways({ env = process.env, file = env.TAP_GATEWAYS_FILE, overrides, ctx = {} } = {}) {
+  const defs = envGatewayDefs(env);
+
+  const layers = [];
+  if (file) layers.push(readGatewaysFile(file));
+  if (overrides !== undefined && overrides !== null) layers.push(checkOverrides('Config file section', overrides));
+
+  for (const layer of layers) {
+    for (const [name, patch] of Object.entries(layer)) {
+      if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new Error(`gateway "${name}": definition must be an object`);
+      }
+      defs[name] = { ...(defs[name] || { type: 'http' }), ...patch };
+    }
+  }
+
+  const errors = [];
+  for (const [name, def] of Object.entries(defs)) errors.push(...validateDef(name, def));
+  if (errors.length) throw new Error(`Invalid gateway configuration:\n  - ${errors.join('\n  - ')}`);
+
+  const gateways = new Map();
+  for (const [name, def] of Object.entries(defs)) {
+    if (def.enabled === false) continue;
+    const { enabled, ...rest } = def;
+    gateways.set(name, new TYPES[def.type]({ ...rest, name }, ctx));
+  }
+  if (!gateways.size) throw new Error('Invalid gateway configuration: no gateway enabled');
+  return gateways;
+}
+
+module.exports = { loadGateways, validateDef, TYPES };
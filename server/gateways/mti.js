@@ -0,0 +1,55 @@
+// server/gateways/mti.js
+// Gateway MTI: puerto RTP dinámico por EM + /register en mti-gw con metadatos de agente.
+// Por defecto el puerto lo asigna mti-gw (/register sin port -> { port }): varias réplicas de
+// tap-service no se pisan. portAllocation=local (MTI_PORT_ALLOCATION) vuelve al pool
+// MTI_RTP_START..MTI_RTP_END propio de tap-service.
+// Varias instancias de mti-gw (MTI_GW_INSTANCES): ver "Instancias" en http-gateway.js.
+// layout del tap: mono (snoop spy=both, 1 puerto) | stereo (snoop in/out, 2 puertos emparejados por uuid + dir)
+
+'use strict';
+
+const { HttpGateway } = require('./http-gateway');
+
+class MtiGateway extends HttpGateway {
+  static defaults = {
+    ...HttpGateway.defaults,
+    topology: 'per-tap',
+    registerRequired: true,
+    unregisterBy: 'port',
+    reregisterOnRestore: true,
+    portAllocation: 'gateway'
+  };
+
+  // Metadatos opcionales de agente (si no existen, enviamos "" según especificación MTI)
+  registerParams(uuid, sess, { port, dir }) {
+    const regParams = {
+      uuid,
+      port,
+      agent_extension: sess.agent_extension || '',
+      agent_username: sess.agent_username || '',
+      agent_id: sess.agent_id || '',
+      format: sess.format
+    };
+    // stereo: mti-gw empareja los 2 puertos de la llamada por uuid + dir
+    if (sess.layout === 'stereo') {
+      regParams.layout = 'stereo';
+      regParams.dir = dir;
+    }
+    return regParams;
+  }
+
+  // mti-gw sin /status (versiones anteriores): carga desde /metrics
+  parseMetrics(text) {
+    const m = /^mti_sessions_active\s+(\d+)/m.exec(text);
+    return m ? Number(m[1]) : null;
+  }
+
+  logRegistered(uuid, sess, params) {
+    console.log(
+      `[TAP][MTI] ${this.gatewayAllocates ? 'assigned' : 'reserved'} port=${params.port} uuid=${uuid} layout=${sess.layout || 'mono'} dir=${params.dir || 'both'} ` +
+      `agent_extension=${params.agent_extension} agent_username=${params.agent_username} agent_id=${params.agent_id}`
+    );
+  }
+}
+
+module.exports = { MtiGateway };
@@ -0,0 +1,63 @@
+// server/gateways/port-pool.js
+// Pool de puertos RTP dinámicos (uno por ExternalMedia). Lo usan los gateways de tap-service
+// con portAllocation=local y mti-gw, que es quien asigna los puertos por defecto.
+
+'use strict';
+
+class PortPool {
+  constructor({ start, end, onChange }) {
+    this.start = start;
+    this.end = end;
+    this._used = new Set();
+    this._onChange = onChange || (() => {});
+  }
+
+  get size() {
+    return this._used.size;
+  }
+
+  // puerto libre al azar dentro del rango (null si está lleno)
+  alloc() {
+    const span = this.end - this.start + 1;
+    for (let i = 0; i < span; i++) {
+      const p = this.start + Math.floor(Math.random() * span);
+      if (!this._used.has(p)) return this._take(p);
+    }
+    // con el rango casi lleno el azar puede no dar con el hueco: barrido lineal
+    for (let p = this.start; p <= this.end; p++) {
+      if (!this._used.has(p)) return this._take(p);
+    }
+    return null;
+  }
+
+  _take(p) {
+    this._used.add(p);
+    this._onChange();
+    return p;
+  }
+
+  // marca como usado un puerto ya asignado (restore desde el state store)
+  claim(p) {
+    if (!p || this._used.has(p)) return;
+    this._used.add(p);
+    this._onChange();
+  }
+
+  free(p) {
+    if (!p || !this._used.delete(p)) return;
+    this._onChange();
+  }
+
+  has(p) {
+    return this._used.has(p);
+  }
+
+  // Cambia el rango (reload de config). Los puertos en uso fuera del rango nuevo se
+  // conservan hasta que se liberen; las asignaciones nuevas ya salen del rango nuevo.
+  resize(start, end) {
+    this.start = start;
+    this.end = end;
+  }
+}
+
+module.exports = { PortPool };
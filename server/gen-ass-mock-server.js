@@ -0,0 +1,61 @@
+// gen-ass-mock-server.js
+// Servidor HTTP que imita los motores del asistente generativo para pruebas locales.
+// - POST con body { messages: [...] }  -> respuesta estilo OpenAI /chat/completions
+// - POST con body { transcript, ... } -> respuesta estilo webhook n8n { output }
+//
+// Uso:
+//   node server/gen-ass-mock-server.js
+//   GENERATIVE_ASSISTANT=true GEN_ASS_URL=http://127.0.0.1:8092/webhook/test node server/deepgram-gw.js
+//   GEN_ASS_ENGINE=openai GEN_ASS_URL=http://127.0.0.1:8092/v1/chat/completions ...
+
+const http = require('http');
+
+const LISTEN_HOST = process.env.GEN_ASS_MOCK_HOST || '0.0.0.0';
+const LISTEN_PORT = Number(process.env.GEN_ASS_MOCK_PORT || 8092);
+// latencia simulada del "LLM"
+const DELAY_MS = Number(process.env.GEN_ASS_MOCK_DELAY_MS || 300);
+
+function suggestionFor(transcript) {
+  const lines = String(transcript || '').trim().split('\n').filter(Boolean);
+  const last = lines[lines.length - 1] || '';
+  return `Sugerencia (${lines.length} líneas): responde a "${last.slice(0, 80)}"`;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    return res.end('POST only');
+  }
+
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', c => raw += c);
+  req.on('end', () => {
+    let body;
+    try { body = JSON.parse(raw); } catch {
+      res.writeHead(400);
+      return res.end('Invalid JSON');
+    }
+
+    const isOpenAi = Array.isArray(body.messages);
+    const transcript = isOpenAi
+      ? (body.messages.find(m => m.role === 'user') || {}).content
+      : body.transcript;
+
+    console.log(`🤖 ${req.url} engine=${isOpenAi ? 'openai' : 'n8n'} uuid=${body.uuid || '-'} chars=${String(transcript || '').length}`);
+
+    const text = suggestionFor(transcript);
+    const reply = isOpenAi
+      ? { id: 'mock', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }] }
+      : { output: text };
+
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    }, DELAY_MS);
+  });
+});
+
+server.listen(LISTEN_PORT, LISTEN_HOST, () => {
+  console.log(`🧪 Generative assistant mock on http://${LISTEN_HOST}:${LISTEN_PORT}`);
+});
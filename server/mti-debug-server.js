@@ -1,51 +1,107 @@
 // mti-debug-server.js
 // Servidor TCP de debug para validar el protocolo MTI AudioSocket-like.
-// - Parseo de frames [TYPE][LEN_BE][PAYLOAD]
+// - Parseo de frames [TYPE][LEN_BE][PAYLOAD] y validación del protocolo (server/mti/validator):
+//   START JSON (call_uuid, agent_*, audio_format, channels...), audio antes de START,
+//   frames después de END, LEN que no se completa, tamaño de frame AUDIO según el formato
 // - Stats de cadencia (fps), duración, gaps/jitter
-// - Dump opcional de audio RAW por conexión
+// - Dump opcional del audio por conexión: WAV (por defecto) o RAW
+// - Stats por conexión en JSON por HTTP (MTI_DEBUG_HTTP_PORT):
+//     GET /connections       activas + últimas cerradas (resumen)
+//     GET /connections/:id   detalle (START, violaciones, dump)
+//     GET /stats             totales y violaciones por tipo
+// - Listener TLS opcional (para probar MTI_TLS de mti-gw):
+//     MTI_DEBUG_TLS_CERT / MTI_DEBUG_TLS_KEY   certificado del servidor (PEM) -> activa TLS
+//     MTI_DEBUG_TLS_PORT                       puerto TLS (por defecto 9094; el TCP plano sigue)
+//     MTI_DEBUG_TLS_CA                         exige certificado cliente firmado por esta CA (mTLS)
 //
 // Uso:
 //   node mti-debug-server.js
+//   MTI_DEBUG_TLS_CERT=server.crt MTI_DEBUG_TLS_KEY=server.key node mti-debug-server.js
 //
-// Luego, si se creó audio.raw:
-//   ffmpeg -f s16le -ar 16000 -ac 1 -i <file>.raw <file>.wav
+// Dump (MTI_DUMP=wav | raw | off, directorio MTI_DUMP_DIR):
+//   wav -> se abre tal cual (formato y canales del START)
+//   raw -> ffmpeg -f s16le -ar 16000 -ac 1 -i <file>.raw <file>.wav   (el resumen da el comando exacto)
+// MTI_DUMP_RAW=0 (antiguo) sigue desactivando el dump.
 
 const net = require('net');
+const tls = require('tls');
+const http = require('http');
 const fs  = require('fs');
 const path = require('path');
+const { frameTypeName } = require('./mti/protocol');
+const { FORMATS } = require('./mti/codecs');
+const { ProtocolValidator } = require('./mti/validator');
+const { wavHeader } = require('./mti/wav');
 
 const LISTEN_HOST = process.env.MTI_DEBUG_HOST || '0.0.0.0';
 const LISTEN_PORT = Number(process.env.MTI_DEBUG_PORT || 9092);
+// 0 = sin HTTP
+const HTTP_PORT   = Number(process.env.MTI_DEBUG_HTTP_PORT || 9095);
 
-// Activa dump RAW con MTI_DUMP_RAW=1
-const DUMP_RAW = String(process.env.MTI_DUMP_RAW || '1') === '1';
+const TLS_CERT = process.env.MTI_DEBUG_TLS_CERT || '';
+const TLS_KEY  = process.env.MTI_DEBUG_TLS_KEY || '';
+const TLS_CA   = process.env.MTI_DEBUG_TLS_CA || '';
+const TLS_PORT = Number(process.env.MTI_DEBUG_TLS_PORT || 9094);
+
+// Dump de audio: MTI_DUMP=wav|raw|off (MTI_DUMP_RAW=0 lo desactiva, retrocompat)
+const DUMP_MODE = (process.env.MTI_DUMP || (String(process.env.MTI_DUMP_RAW || '1') === '1' ? 'wav' : 'off')).toLowerCase();
+const DUMP_DIR  = process.env.MTI_DUMP_DIR || process.cwd();
 
 // Umbrales para detectar gaps raros
 const EXPECTED_FRAME_MS = 20;         // 20ms por frame
 const GAP_WARN_MS       = 60;         // si hay hueco >60ms lo marcamos
 const FPS_REPORT_EVERY  = 1000;       // reporte 1 vez/seg
 
+// Conexiones cerradas que se conservan para GET /connections
+const KEEP_CLOSED = 100;
+
 function nowMs() { return Date.now(); }
 
-const server = net.createServer((socket) => {
-  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
-  console.log(`\n🔌 New connection from ${remote}`);
+let nextId = 1;
+const connections = new Map();   // id -> st (activas y las últimas KEEP_CLOSED cerradas)
+const totals = { connections: 0, audioFrames: 0, audioBytes: 0, violations: {} };
 
-  let buf = Buffer.alloc(0);
+function safeName(s) {
+  return String(s || '').replace(/[^\w.-]+/g, '_').slice(0, 64);
+}
+
+function handleConnection(socket) {
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  if (socket.encrypted) {
+    const peer = socket.getPeerCertificate();
+    const cn = peer && peer.subject ? peer.subject.CN : null;
+    console.log(`\n🔒 New TLS connection from ${remote} (${socket.getProtocol()}${cn ? `, client cert CN=${cn}` : ''})`);
+  } else {
+    console.log(`\n🔌 New connection from ${remote}`);
+  }
 
-  // Estado por conexión
+  // Estado por conexión (es lo que devuelve GET /connections/:id)
   const st = {
+    id: nextId++,
+    remote,
+    tls: !!socket.encrypted,
+    state: 'waiting-start',
     uuid: null,
+    start: null,
+    format: null,
+    channels: null,
     startMs: nowMs(),
+    closedMs: null,
+    closeReason: null,
     lastAudioMs: null,
+    frames: {},
     audioFrames: 0,
     audioBytes: 0,
     gaps: 0,
     maxGapMs: 0,
     fpsWindow: [], // timestamps de audio en el último segundo
-    rawStream: null,
-    rawFile: null
+    violations: [],
+    dumpStream: null,
+    dumpFile: null,
+    dumpBytes: 0
   };
+  connections.set(st.id, st);
+  totals.connections++;
 
   // timer que saca cadencia
   const fpsTimer = setInterval(() => {
@@ -58,26 +114,41 @@ const server = net.createServer((socket) => {
     }
   }, FPS_REPORT_EVERY);
 
-  function openRaw(uuid) {
-    if (!DUMP_RAW || st.rawStream) return;
-    const safeUuid = uuid.replace(/[^\w.-]/g, '_');
-    const file = path.join(process.cwd(), `mti-${safeUuid}-${Date.now()}.raw`);
-    st.rawFile = file;
-    st.rawStream = fs.createWriteStream(file);
-    console.log(`💾 Dumping RAW audio to: ${file}`);
+  function openDump(start) {
+    if (DUMP_MODE === 'off' || st.dumpStream) return;
+    const meta = start.start || {};
+    const parts = [safeName(start.uuid || `conn${st.id}`), safeName(meta.agent_extension)].filter(Boolean);
+    if (meta.resume) parts.push(`resume${meta.resume_count || 0}`);
+    const file = path.join(DUMP_DIR, `mti-${parts.join('-')}-${Date.now()}.${DUMP_MODE === 'raw' ? 'raw' : 'wav'}`);
+    st.dumpFile = file;
+    st.dumpStream = fs.createWriteStream(file);
+    st.dumpStream.on('error', (err) => console.log(`❌ Dump error ${file}: ${err.message}`));
+    if (DUMP_MODE === 'wav') st.dumpStream.write(wavHeader({ format: st.format, channels: st.channels }));
+    console.log(`💾 Dumping ${DUMP_MODE.toUpperCase()} audio to: ${file}`);
   }
 
-  function closeRaw() {
-    if (st.rawStream) {
-      try { st.rawStream.end(); } catch {}
-      st.rawStream = null;
-    }
+  // WAV: cabecera con el tamaño final al cerrar
+  function closeDump() {
+    const stream = st.dumpStream;
+    if (!stream) return;
+    st.dumpStream = null;
+    stream.end(() => {
+      if (DUMP_MODE !== 'wav') return;
+      try {
+        const fd = fs.openSync(st.dumpFile, 'r+');
+        fs.writeSync(fd, wavHeader({ format: st.format, channels: st.channels, dataBytes: st.dumpBytes }), 0, undefined, 0);
+        fs.closeSync(fd);
+      } catch (e) {
+        console.log(`❌ WAV header not updated ${st.dumpFile}: ${e.message}`);
+      }
+    });
   }
 
   function summary(reason) {
     const durMs = nowMs() - st.startMs;
     const durSec = (durMs / 1000).toFixed(2);
     const avgFps = durMs > 0 ? (st.audioFrames / (durMs / 1000)).toFixed(1) : '0';
+    const errors = st.violations.filter(v => v.severity === 'error').length;
     console.log(`\n✅ SUMMARY (${reason}) uuid=${st.uuid || '(none)'}:`);
     console.log(`   duration: ${durSec}s`);
     console.log(`   audio frames: ${st.audioFrames}`);
@@ -85,26 +156,49 @@ const server = net.createServer((socket) => {
     console.log(`   avg fps:      ${avgFps} frames/s (expected ~50)`);
     console.log(`   gaps >${GAP_WARN_MS}ms: ${st.gaps}`);
     console.log(`   max gap:      ${st.maxGapMs}ms`);
-    if (st.rawFile) {
-      console.log(`   raw file:     ${st.rawFile}`);
-      console.log(`   to WAV:       ffmpeg -f s16le -ar 16000 -ac 1 -i "${st.rawFile}" "${st.rawFile}.wav"`);
+    console.log(`   protocol:     ${errors ? `❌ ${errors} violation(s)` : '✅ OK'}${st.violations.length > errors ? ` (${st.violations.length - errors} warning(s))` : ''}`);
+    for (const [type, n] of Object.entries(countByType(st.violations))) console.log(`     - ${type}: ${n}`);
+    if (st.dumpFile) {
+      console.log(`   ${DUMP_MODE} file:     ${st.dumpFile}`);
+      if (DUMP_MODE === 'raw') {
+        const f = FORMATS[st.format || 'slin16'];
+        const fmt = f.pcm ? 's16le' : f.name === 'ulaw' ? 'mulaw' : 'alaw';
+        console.log(`   to WAV:       ffmpeg -f ${fmt} -ar ${f.rate} -ac ${st.channels || 1} -i "${st.dumpFile}" "${st.dumpFile}.wav"`);
+      }
     }
     console.log('');
   }
 
-  function handleFrame(type, payload) {
-    if (type === 0x01) {
-      const uuid = payload.toString('utf8');
-      st.uuid = uuid;
-      console.log(`🟢 START frame: type=0x01 len=${payload.length} uuid="${uuid}"`);
-      openRaw(uuid);
-      return;
-    }
-
-    if (type === 0x12) {
+  const validator = new ProtocolValidator({
+    onFrame: (type) => {
+      const name = frameTypeName(type);
+      st.frames[name] = (st.frames[name] || 0) + 1;
+    },
+    onViolation: (v) => {
+      st.violations.push({ ...v, at: new Date().toISOString(), afterFrames: st.audioFrames });
+      totals.violations[v.type] = (totals.violations[v.type] || 0) + 1;
+      console.log(`${v.severity === 'error' ? '🚫 PROTOCOL' : '⚠️  protocol'} ${v.type}: ${v.message} (conn=${st.id} uuid=${st.uuid || '-'})`);
+    },
+    onStart: (start) => {
+      st.state = 'streaming';
+      st.uuid = start.uuid || null;
+      st.start = start.start;
+      st.format = start.format;
+      st.channels = start.channels;
+      const meta = start.start || {};
+      console.log(
+        `🟢 START frame: uuid="${st.uuid}" agent_extension="${meta.agent_extension || ''}" ` +
+        `agent_username="${meta.agent_username || ''}" agent_id="${meta.agent_id || ''}" ` +
+        `format=${start.format} channels=${start.channels}${meta.resume ? ` resume=${meta.resume_count}` : ''}${meta.restored ? ' restored' : ''}`
+      );
+      openDump(start);
+    },
+    onAudio: (payload) => {
       const t = nowMs();
       st.audioFrames++;
       st.audioBytes += payload.length;
+      totals.audioFrames++;
+      totals.audioBytes += payload.length;
       st.fpsWindow.push(t);
 
       if (st.lastAudioMs) {
@@ -117,61 +211,158 @@ const server = net.createServer((socket) => {
       }
       st.lastAudioMs = t;
 
-      if (payload.length !== 640) {
-        console.log(`⚠️  AUDIO len unexpected: ${payload.length} (expected 640)`);
+      if (st.dumpStream) {
+        st.dumpStream.write(payload);
+        st.dumpBytes += payload.length;
       }
-
-      if (st.rawStream) st.rawStream.write(payload);
-
-      // No spamear tanto: comenta si quieres ver cada frame
-      // console.log(`🎧 AUDIO frame: type=0x12 len=${payload.length}`);
-      return;
-    }
-
-    if (type === 0x00) {
-      console.log(`🔴 END frame: type=0x00 len=0`);
+    },
+    onEnd: () => {
+      st.state = 'ended';
+      console.log(`🔴 END frame: type=0x00`);
       summary('END');
-      closeRaw();
+      closeDump();
       socket.end();
-      return;
     }
+  });
 
-    console.log(`❓ Unknown frame type=0x${type.toString(16)} len=${payload.length}`);
-  }
-
-  socket.on('data', (chunk) => {
-    buf = Buffer.concat([buf, chunk]);
-
-    while (buf.length >= 3) {
-      const type = buf[0];
-      const len  = buf.readUInt16BE(1);
-      if (buf.length < 3 + len) break;
-
-      const payload = buf.subarray(3, 3 + len);
-      buf = buf.subarray(3 + len);
+  socket.on('data', (chunk) => validator.push(chunk));
 
-      handleFrame(type, payload);
+  let closed = false;
+  function finish(reason) {
+    if (closed) return;
+    closed = true;
+    clearInterval(fpsTimer);
+    validator.close();
+    st.closedMs = nowMs();
+    st.closeReason = reason;
+    if (st.state !== 'ended') {
+      st.state = 'closed';
+      // si cerró sin END, resumen igualmente
+      if (st.audioFrames > 0 || st.uuid || st.violations.length) summary(reason);
     }
-  });
+    closeDump();
+    pruneClosed();
+  }
 
   socket.on('close', () => {
-    clearInterval(fpsTimer);
-    // si cerró sin END, resumen igualmente
-    if (st.audioFrames > 0 || st.uuid) {
-      summary('socket-close');
-    }
-    closeRaw();
+    finish(st.closeReason || 'socket-close');
     console.log(`📴 Connection closed by client (${remote})`);
   });
 
   socket.on('error', (err) => {
-    clearInterval(fpsTimer);
     console.log(`❌ Socket error from ${remote}: ${err.message}`);
-    summary('socket-error');
-    closeRaw();
+    finish('socket-error');
   });
+}
+
+function countByType(violations) {
+  const out = {};
+  for (const v of violations) out[v.type] = (out[v.type] || 0) + 1;
+  return out;
+}
+
+function pruneClosed() {
+  const closed = [...connections.values()].filter(c => c.closedMs);
+  for (const c of closed.slice(0, Math.max(0, closed.length - KEEP_CLOSED))) connections.delete(c.id);
+}
+
+// ---------- HTTP (stats JSON) ----------
+function describeConnection(st, full = false) {
+  const endMs = st.closedMs || nowMs();
+  const out = {
+    id: st.id,
+    remote: st.remote,
+    tls: st.tls,
+    state: st.state,
+    uuid: st.uuid,
+    format: st.format,
+    channels: st.channels,
+    startedAt: new Date(st.startMs).toISOString(),
+    closedAt: st.closedMs ? new Date(st.closedMs).toISOString() : null,
+    closeReason: st.closeReason,
+    durationMs: endMs - st.startMs,
+    frames: st.frames,
+    audioFrames: st.audioFrames,
+    audioBytes: st.audioBytes,
+    fps: st.closedMs ? 0 : st.fpsWindow.filter(x => nowMs() - x <= 1000).length,
+    avgFps: Math.round((st.audioFrames / Math.max(1, endMs - st.startMs)) * 10000) / 10,
+    gaps: st.gaps,
+    maxGapMs: st.maxGapMs,
+    protocolOk: !st.violations.some(v => v.severity === 'error'),
+    violationCounts: countByType(st.violations),
+    dumpFile: st.dumpFile
+  };
+  if (full) {
+    out.start = st.start;
+    out.violations = st.violations;
+  }
+  return out;
+}
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(obj, null, 2));
+}
+
+const httpServer = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+
+  if (pathname === '/stats') {
+    const all = [...connections.values()];
+    return sendJson(res, 200, {
+      uptimeSec: Math.round(process.uptime()),
+      activeConnections: all.filter(c => !c.closedMs).length,
+      totalConnections: totals.connections,
+      audioFrames: totals.audioFrames,
+      audioBytes: totals.audioBytes,
+      violations: totals.violations,
+      dump: DUMP_MODE
+    });
+  }
+  if (pathname === '/connections') {
+    const all = [...connections.values()].map(c => describeConnection(c));
+    return sendJson(res, 200, { active: all.filter(c => !c.closedAt), closed: all.filter(c => c.closedAt) });
+  }
+  const m = /^\/connections\/(\d+)$/.exec(pathname);
+  if (m) {
+    const st = connections.get(Number(m[1]));
+    return st ? sendJson(res, 200, describeConnection(st, true)) : sendJson(res, 404, { error: 'Unknown connection' });
+  }
+  sendJson(res, 404, { error: 'Not found' });
 });
 
+const server = net.createServer(handleConnection);
+
 server.listen(LISTEN_PORT, LISTEN_HOST, () => {
-  console.log(`🚀 MTI debug server listening on ${LISTEN_HOST}:${LISTEN_PORT}`);
+  console.log(`🚀 MTI debug server listening on ${LISTEN_HOST}:${LISTEN_PORT} (dump=${DUMP_MODE}${DUMP_MODE !== 'off' ? ` dir=${DUMP_DIR}` : ''})`);
 });
+
+if (HTTP_PORT) {
+  httpServer.listen(HTTP_PORT, LISTEN_HOST, () => {
+    console.log(`📊 Stats on http://${LISTEN_HOST}:${HTTP_PORT} (/connections /connections/:id /stats)`);
+  });
+}
+
+if (TLS_CERT || TLS_KEY) {
+  let tlsServer;
+  try {
+    tlsServer = tls.createServer({
+      cert: fs.readFileSync(TLS_CERT),
+      key: fs.readFileSync(TLS_KEY),
+      ...(TLS_CA ? { ca: fs.readFileSync(TLS_CA), requestCert: true, rejectUnauthorized: true } : {})
+    }, handleConnection);
+  } catch (e) {
+    console.error(`❌ TLS listener not started (MTI_DEBUG_TLS_CERT / MTI_DEBUG_TLS_KEY / MTI_DEBUG_TLS_CA): ${e.message}`);
+    process.exit(1);
+  }
+  // handshakes fallidos (cliente sin certificado, CA distinta, TCP plano contra el puerto TLS...)
+  tlsServer.on('tlsClientError', (err, socket) => {
+    const from = socket.remoteAddress ? `${socket.remoteAddress}:${socket.remotePort}` : '(closed)';
+    console.log(`❌ TLS handshake failed from ${from}: ${err.code || ''} ${err.message}`);
+  });
+  tlsServer.listen(TLS_PORT, LISTEN_HOST, () => {
+    console.log(`🔒 MTI debug server TLS listening on ${LISTEN_HOST}:${TLS_PORT}${TLS_CA ? ' (client cert required)' : ''}`);
+  });
+}
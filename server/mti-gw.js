@@ -1,7 +1,14 @@
 // mti-gw.js (OPCIÓN 2 DEFINITIVA + START JSON EXTENDIDO)
-//  - Recibe RTP SLIN16 en PUERTOS DINÁMICOS por llamada.
-//  - Cada llamada se registra vía HTTP /register (uuid, port, agent_*).
+//  - Recibe RTP (slin16 por defecto; ulaw/alaw/slin8/slin48 vía /register?format=)
+//    en PUERTOS DINÁMICOS por llamada. Transcodifica a MTI_OUTPUT_FORMAT o lo
+//    pasa tal cual (MTI_CODEC_MODE=passthrough) declarándolo en el START JSON.
+//  - Cada llamada se registra vía HTTP /register (uuid, agent_*). mti-gw es dueño del pool
+//    de puertos RTP (MTI_RTP_START..MTI_RTP_END): sin `port` asigna uno, abre el UDP
+//    (reintenta con otro puerto si el bind falla) y lo devuelve en JSON. Con `port`
+//    explícito se usa ese (retrocompat).
 //  - 1 puerto UDP = 1 sesión = 1 socket TCP hacia MTI.
+//    Excepción layout=stereo: 2 puertos UDP (in / out) = 1 sesión = 1 socket TCP,
+//    audio intercalado en frames 0x12 stereo de 1280 bytes (L=in, R=out).
 //  - START frame (TYPE 0x01) incluye JSON UTF-8:
 //      {
 //        "call_uuid": "…",
@@ -9,31 +16,151 @@
 //        "agent_username": "…",
 //        "agent_id": "…"
 //      }
+//  - Full-duplex: los frames que envía el servidor MTI se leen con el mismo
+//    framing [TYPE][LEN_BE][PAYLOAD]:
+//      0x00 END   -> cierre limpio de la sesión
+//      0xff ERROR -> log + métrica
+//      otros      -> sess.events ('frame' / 'unknown') para consumidores
+//  - Jitter buffer por flujo RTP: reordena por seq, rellena huecos con silencio
+//    según el timestamp RTP y detecta cambios de SSRC (métricas mti_rtp_*).
+//  - Reconexión TCP: si se cae la conexión con MTI la sesión NO termina.
+//    Se reintenta con backoff, el audio se retiene en un ring buffer acotado
+//    (MTI_BUFFER_MS) y al reconectar se re-envía START con "resume": true
+//    seguido del audio retenido.
+//  - Estado persistente (STATE_BACKEND=file|redis|none): cada puerto registrado se
+//    guarda y al arrancar se vuelve a abrir (UDP + TCP con START "restored": true),
+//    p.ej. tras un crash. SIGTERM/SIGINT envía END y borra el estado salvo con
+//    MTI_STATE_HANDOVER=true (reinicio planificado): entonces se cierra sin END y el
+//    siguiente proceso retoma las sesiones.
+//  - Configuración validada (MTI_GW_CONFIG_FILE YAML/JSON sobre las env) y recargable
+//    con SIGHUP o POST /admin/reload sin cortar sesiones.
+//  - GET /status (JSON: sessions, portsInUse, portPool, mtiConnected): carga que usa
+//    tap-service para repartir los taps entre varias instancias de mti-gw.
+//  - Grabación opcional (MTI_RECORD=true): WAV mono/stereo con el audio exacto enviado a MTI,
+//    uno por sesión (+ sidecar JSON) en MTI_RECORD_DIR, con límites de tamaño y retención.
+//    GET /recordings?uuid= (JSON) y GET /recordings/:uuid (WAV).
+//  - TLS opcional hacia MTI (MTI_TLS=true): CA propia (pinning), certificado cliente y SNI;
+//    los fallos de handshake cuentan en mti_tls_handshake_failures_total{reason}.
+//  - Autenticación opcional del control HTTP (server/auth): API key o query firmada HMAC
+//    (MTI_GW_AUTH_MODE, MTI_GW_API_KEYS, MTI_GW_HMAC_SECRET) y allowlist MTI_GW_ALLOW_IPS.
 
 const dgram = require('dgram');
 const net   = require('net');
+const tls   = require('tls');
 const http  = require('http');
 const url   = require('url');
+const path  = require('path');
+const EventEmitter = require('events');
 const prom  = require('prom-client');
+const {
+  FRAME_END,
+  FRAME_START,
+  FRAME_AUDIO,
+  FRAME_ERROR,
+  buildFrame,
+  frameTypeName,
+  FrameReader
+} = require('./mti/protocol');
+const { AudioRing } = require('./mti/audio-ring');
+const { parseRtp, JitterBuffer } = require('./mti/rtp');
+const { FORMATS, normalizeFormat, frameBytes, createTranscoder } = require('./mti/codecs');
+const { createStateStore } = require('./state/store');
+const { ServiceConfig } = require('./config');
+const { PortPool } = require('./gateways/port-pool');
+const { RequestAuth, authConfigSchema, validateAuthConfig } = require('./auth');
+const { loadClientTls, tlsConnectOptions, handshakeFailureReason } = require('./mti/tls');
+const { RecordingStore } = require('./mti/recordings');
 
-const MTI_HOST = process.env.MTI_HOST || '127.0.0.1';
-const MTI_PORT = Number(process.env.MTI_PORT || 9092);
-
-// If enabled, swap byte order for 16-bit PCM samples (s16le <-> s16be).
-// Symptom when needed: audio sounds like loud noise / "digital hash".
-// Set SWAP_ENDIAN=1 to fix.
-const SWAP_ENDIAN = String(process.env.SWAP_ENDIAN || '0') === '1';
-
-// HTTP control
-const MTI_GW_HTTP_PORT = Number(process.env.MTI_GW_HTTP_PORT || 9093);
+// =======================================================
+// Configuración (server/config): defaults < env < MTI_GW_CONFIG_FILE (YAML/JSON)
+// Recargable en caliente (SIGHUP / POST /admin/reload) salvo reload:false.
+// Las sesiones vivas no se cortan: toman al vuelo inactividad, endianness, skew y
+// backoff; el destino MTI se usa en la próxima (re)conexión TCP; códec, buffer y
+// jitter aplican a las sesiones nuevas.
+// =======================================================
+const CONFIG_SCHEMA = {
+  mtiHost:             { env: 'MTI_HOST', type: 'string', default: '127.0.0.1', required: true },
+  mtiPort:             { env: 'MTI_PORT', type: 'int', default: 9092, min: 1, max: 65535 },
+  // TLS hacia MTI (próxima (re)conexión). Rutas a PEM; la CA sustituye a las raíces del sistema
+  mtiTls:              { env: 'MTI_TLS', type: 'bool', default: false },
+  mtiTlsCa:            { env: 'MTI_TLS_CA', type: 'string', default: '' },
+  mtiTlsCert:          { env: 'MTI_TLS_CERT', type: 'string', default: '' },
+  mtiTlsKey:           { env: 'MTI_TLS_KEY', type: 'string', default: '' },
+  // SNI / nombre esperado en el certificado (vacío = mtiHost si es un nombre)
+  mtiTlsServername:    { env: 'MTI_TLS_SERVERNAME', type: 'string', default: '' },
+  // TCP conectado pero sin handshake en este tiempo (p.ej. el puerto MTI no habla TLS) -> reconexión
+  mtiTlsHandshakeTimeoutMs: { env: 'MTI_TLS_HANDSHAKE_TIMEOUT_MS', type: 'int', default: 10000, min: 100 },
+  // Pool de puertos RTP que asigna /register sin port (recargable: afecta a las asignaciones nuevas)
+  rtpPortStart:        { env: 'MTI_RTP_START', type: 'int', default: 41000, min: 1, max: 65535 },
+  rtpPortEnd:          { env: 'MTI_RTP_END', type: 'int', default: 41999, min: 1, max: 65535 },
+  // puertos distintos que se prueban si el bind UDP falla (EADDRINUSE…) antes de rechazar el /register
+  bindRetries:         { env: 'MTI_BIND_RETRIES', type: 'int', default: 5, min: 1 },
+  // HTTP control
+  httpPort:            { env: 'MTI_GW_HTTP_PORT', type: 'int', default: 9093, min: 1, max: 65535, reload: false },
+  // If enabled, swap byte order for 16-bit PCM samples (s16le <-> s16be).
+  // Symptom when needed: audio sounds like loud noise / "digital hash".
+  swapEndian:          { env: 'SWAP_ENDIAN', type: 'bool', default: false },
+  // sin RTP durante este tiempo -> END + cierre de la sesión
+  inactivityMs:        { env: 'MTI_INACTIVITY_MS', type: 'int', default: 8000, min: 1000 },
+  // Códecs: formato de entrada por sesión (/register?format=...) y qué se manda a MTI
+  //  - transcode (por defecto): decodifica/remuestrea a outputFormat (slin8 | slin16 | slin48)
+  //  - passthrough: el audio sale tal cual y el START JSON declara el formato
+  codecMode:           { env: 'MTI_CODEC_MODE', type: 'enum', values: ['transcode', 'passthrough'], default: 'transcode' },
+  outputFormat:        { env: 'MTI_OUTPUT_FORMAT', type: 'enum', values: ['slin8', 'slin16', 'slin48'], aliases: { slin: 'slin8' }, default: 'slin16' },
+  // Reconexión TCP hacia MTI (backoff exponencial) y buffer de audio mientras tanto
+  reconnectMaxAttempts: { env: 'MTI_RECONNECT_MAX_ATTEMPTS', type: 'int', default: 10, min: 0 },
+  reconnectMinMs:      { env: 'MTI_RECONNECT_MIN_MS', type: 'int', default: 250, min: 1 },
+  reconnectMaxMs:      { env: 'MTI_RECONNECT_MAX_MS', type: 'int', default: 5000, min: 1 },
+  // Audio máximo retenido por sesión sin TCP (ms). 10s = 500 frames = ~320KB
+  bufferMs:            { env: 'MTI_BUFFER_MS', type: 'int', default: 10000, min: 20 },
+  // Jitter buffer por flujo RTP: paquetes retenidos antes de dar un hueco por perdido
+  // (latencia máxima añadida = jitterPackets × 20ms). 0 = sin espera.
+  jitterPackets:       { env: 'MTI_JITTER_PACKETS', type: 'int', default: 3, min: 0 },
+  // Relleno máximo de silencio por hueco (ms)
+  jitterMaxGapMs:      { env: 'MTI_JITTER_MAX_GAP_MS', type: 'int', default: 1000, min: 0 },
+  // Grabación WAV de cada sesión (sesiones nuevas). 0 = sin límite
+  recordEnabled:       { env: 'MTI_RECORD', type: 'bool', default: false },
+  recordDir:           { env: 'MTI_RECORD_DIR', type: 'string', default: path.join(process.cwd(), 'recordings'), reload: false },
+  recordMaxFileMb:     { env: 'MTI_RECORD_MAX_FILE_MB', type: 'int', default: 500, min: 0 },
+  recordRetentionDays: { env: 'MTI_RECORD_RETENTION_DAYS', type: 'int', default: 30, min: 0 },
+  recordMaxTotalMb:    { env: 'MTI_RECORD_MAX_TOTAL_MB', type: 'int', default: 0, min: 0 },
+  // Stereo: desfase máximo (frames de 20ms) entre canales antes de rellenar con silencio
+  stereoMaxSkewFrames: { env: 'MTI_STEREO_MAX_SKEW_FRAMES', type: 'int', default: 5, min: 0 },
+  // SIGTERM/SIGINT = reinicio con relevo: sin END y con el estado guardado para el siguiente
+  // proceso. Por defecto una parada es definitiva (END a MTI y estado borrado)
+  stateHandover:       { env: 'MTI_STATE_HANDOVER', type: 'bool', default: false },
+  // Autenticación del control HTTP: MTI_GW_AUTH_MODE (off|key|hmac|any), MTI_GW_API_KEYS,
+  // MTI_GW_HMAC_SECRET, MTI_GW_HMAC_MAX_SKEW_SEC, MTI_GW_ALLOW_IPS
+  ...authConfigSchema('MTI_GW')
+};
+
+const config = new ServiceConfig({
+  name: 'mti-gw',
+  schema: CONFIG_SCHEMA,
+  file: process.env.MTI_GW_CONFIG_FILE,
+  validate: (v) => [
+    ...(v.rtpPortStart > v.rtpPortEnd ? ['rtpPortStart must be <= rtpPortEnd'] : []),
+    ...validateAuthConfig(v)
+  ]
+});
+// Ficheros TLS leídos (null = TCP plano); se rehace en cada reload
+function buildMtiTls(v) {
+  if (!v.mtiTls) return null;
+  return loadClientTls({ ca: v.mtiTlsCa, cert: v.mtiTlsCert, key: v.mtiTlsKey, servername: v.mtiTlsServername });
+}
 
-if (!MTI_HOST || !MTI_PORT) {
-  console.error('[MTI-GW] ❌ Missing MTI_HOST/MTI_PORT');
+let mtiTls = null;
+try {
+  config.load();
+  mtiTls = buildMtiTls(config.values);
+} catch (e) {
+  console.error(`[MTI-GW] ❌ ${e.message}`);
   process.exit(1);
 }
 
-const AUDIO_FRAME_SIZE = 640;
-const INACTIVITY_MS    = 8000;
+const AUDIO_FRAME_MS = 20;
+// Formato implícito del protocolo: si la salida es otra, se declara en START
+const DEFAULT_AUDIO_FORMAT = 'slin16';
 
 // =======================================================
 // Prometheus metrics
@@ -72,6 +199,36 @@ const cRtpBytes = new prom.Counter({
   help: 'RTP payload bytes received'
 });
 
+const cRtpLost = new prom.Counter({
+  name: 'mti_rtp_lost_total',
+  help: 'RTP packets lost (sequence gaps filled with silence)'
+});
+
+const cRtpLate = new prom.Counter({
+  name: 'mti_rtp_late_total',
+  help: 'RTP packets discarded because they arrived after their slot was played out'
+});
+
+const cRtpReordered = new prom.Counter({
+  name: 'mti_rtp_reordered_total',
+  help: 'RTP packets received out of order and reordered by the jitter buffer'
+});
+
+const cRtpDuplicates = new prom.Counter({
+  name: 'mti_rtp_duplicates_total',
+  help: 'Duplicated RTP packets discarded'
+});
+
+const cRtpSsrcChanges = new prom.Counter({
+  name: 'mti_rtp_ssrc_changes_total',
+  help: 'SSRC changes detected in a session RTP stream'
+});
+
+const cRtpConcealedSamples = new prom.Counter({
+  name: 'mti_rtp_concealed_samples_total',
+  help: 'Audio samples of silence inserted to fill RTP gaps'
+});
+
 const cHttpRegister = new prom.Counter({
   name: 'mti_http_register_total',
   help: 'HTTP /register calls'
@@ -93,39 +250,120 @@ const cTcpErrors = new prom.Counter({
   help: 'TCP errors towards MTI server'
 });
 
+const cTcpReconnectAttempts = new prom.Counter({
+  name: 'mti_tcp_reconnect_attempts_total',
+  help: 'TCP reconnect attempts towards MTI server'
+});
+
+const cTcpReconnects = new prom.Counter({
+  name: 'mti_tcp_reconnects_total',
+  help: 'Successful TCP reconnections towards MTI server (session resumed)'
+});
+
+const cAudioFramesDropped = new prom.Counter({
+  name: 'mti_audio_frames_dropped_total',
+  help: 'Audio frames dropped because the reconnect buffer was full'
+});
+
+const cAudioBytesDropped = new prom.Counter({
+  name: 'mti_audio_bytes_dropped_total',
+  help: 'Audio payload bytes dropped because the reconnect buffer was full'
+});
+
+const cStereoPaddedFrames = new prom.Counter({
+  name: 'mti_stereo_padded_frames_total',
+  help: 'Stereo frames where one channel was filled with silence',
+  labelNames: ['dir']
+});
+
+const cTcpFramesReceived = new prom.Counter({
+  name: 'mti_tcp_frames_received_total',
+  help: 'Frames received from MTI server',
+  labelNames: ['type']
+});
+
+const cAuthDenied = new prom.Counter({
+  name: 'mti_auth_denied_total',
+  help: 'HTTP control requests denied by authentication / IP allowlist',
+  labelNames: ['reason']
+});
+
+const cServerErrors = new prom.Counter({
+  name: 'mti_server_errors_total',
+  help: 'ERROR frames received from MTI server'
+});
+
 const cUdpErrors = new prom.Counter({
   name: 'mti_udp_errors_total',
   help: 'UDP socket errors'
 });
 
+const cPortBindErrors = new prom.Counter({
+  name: 'mti_port_bind_errors_total',
+  help: 'UDP bind failures on an RTP port (retried on another port when mti-gw picked it)'
+});
+
+const cPortPoolExhausted = new prom.Counter({
+  name: 'mti_port_pool_exhausted_total',
+  help: '/register rejected because no RTP port could be allocated'
+});
+
 const cInactivityTimeouts = new prom.Counter({
   name: 'mti_inactivity_total',
   help: 'Number of inactivity timeouts in MTI GW'
 });
 
-// RTP payload extractor
-function rtpPayload(buf) {
-  if (buf.length < 12) return null;
-  const cc = buf[0] & 0x0f;
-  const x  = (buf[0] & 0x10) !== 0;
-  let offset = 12 + cc * 4;
-  if (x) {
-    if (buf.length < offset + 4) return null;
-    const extLen = buf.readUInt16BE(offset + 2);
-    offset += 4 + extLen * 4;
-  }
-  if (buf.length <= offset) return null;
-  return buf.subarray(offset);
-}
+const cStateErrors = new prom.Counter({
+  name: 'mti_state_store_errors_total',
+  help: 'State store errors',
+  labelNames: ['op']
+});
 
-function buildFrame(type, payloadBuf) {
-  const len = payloadBuf ? payloadBuf.length : 0;
-  const buf = Buffer.alloc(1 + 2 + len);
-  buf[0] = type;
-  buf.writeUInt16BE(len, 1);
-  if (payloadBuf && len > 0) payloadBuf.copy(buf, 3);
-  return buf;
-}
+const cSessionsRestored = new prom.Counter({
+  name: 'mti_sessions_restored_total',
+  help: 'Registered ports restored from the state store at startup',
+  labelNames: ['result']
+});
+
+const cTlsHandshakeFailures = new prom.Counter({
+  name: 'mti_tls_handshake_failures_total',
+  help: 'TLS handshakes towards MTI server that failed',
+  labelNames: ['reason'] // untrusted | expired | hostname | rejected | timeout | closed | protocol | other
+});
+
+const hTlsHandshake = new prom.Histogram({
+  name: 'mti_tls_handshake_seconds',
+  help: 'TLS handshake duration towards MTI server (TCP connected -> secure)',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+});
+
+const gRecordingsActive = new prom.Gauge({
+  name: 'mti_recordings_active',
+  help: 'Session recordings being written'
+});
+
+const cRecordings = new prom.Counter({
+  name: 'mti_recordings_total',
+  help: 'Session recordings finished',
+  labelNames: ['result'] // completed | truncated | error
+});
+
+const cRecordingBytes = new prom.Counter({
+  name: 'mti_recording_bytes_total',
+  help: 'Audio bytes written to recordings'
+});
+
+const cRecordingsDeleted = new prom.Counter({
+  name: 'mti_recordings_deleted_total',
+  help: 'Recordings removed by the retention / size limits',
+  labelNames: ['reason'] // retention | quota
+});
+
+const cConfigReloads = new prom.Counter({
+  name: 'mti_config_reloads_total',
+  help: 'Configuration reloads (SIGHUP / POST /admin/reload)',
+  labelNames: ['result'] // ok | error
+});
 
 function swap16InPlace(buf) {
   // Swap each 16-bit sample: [lo,hi] -> [hi,lo]
@@ -138,82 +376,454 @@ function swap16InPlace(buf) {
   return buf;
 }
 
-// sessionsByPort[port] = {
-//   port, uuid,
+// sessionsByPort[port] = sess   (stereo: los 2 puertos apuntan a la MISMA sesión)
+// sess = {
+//   port (primer puerto registrado), uuid, layout ('mono' | 'stereo'),
+//   inFormat (RTP de Asterisk), outFormat (hacia MTI), frameSize, sampleBytes, silenceFrame,
 //   agentExtension, agentUsername, agentId,
-//   udpSock, tcpSock, connected, queue, audioBuffer, lastRtpMs, ended, inactivityTimer
+//   legs (Map port -> { port, dir, udpSock, jitter (JitterBuffer), transcoder, audioBuffer }),
+//   tcpSock, connected, everConnected, reconnectAttempts, reconnectTimer,
+//   resumeCount, droppedFrames, queue (AudioRing), lastRtpMs, ended, inactivityTimer,
+//   recording (Recording | null: frames AUDIO escritos hacia MTI),
+//   events (EventEmitter: 'frame' (type, payload), 'server-error' (msg), 'unknown' (type, payload), 'end')
 // }
 const sessionsByPort = new Map();
 
+// Estado persistente: port -> { port, uuid, layout, dir, format, agentExtension, agentUsername, agentId, registeredMs }
+const stateStore = createStateStore({
+  namespace: 'mti-gw',
+  onError: (err, op) => {
+    console.warn(`[MTI-GW] state store ${op} error: ${err.message}`);
+    cStateErrors.inc({ op });
+  }
+});
+
+// parada con relevo (MTI_STATE_HANDOVER): los cleanups no borran el estado, el siguiente proceso
+// retoma las sesiones
+let handingOver = false;
+
+// Grabaciones (MTI_RECORD): límites leídos en cada escritura / limpieza -> recargables
+const recordings = new RecordingStore({
+  dir: config.get('recordDir'),
+  limits: () => ({
+    maxFileBytes: config.get('recordMaxFileMb') * 1024 * 1024,
+    retentionDays: config.get('recordRetentionDays'),
+    maxTotalBytes: config.get('recordMaxTotalMb') * 1024 * 1024
+  }),
+  onFinished: (entry, result) => {
+    cRecordings.inc({ result });
+    gRecordingsActive.set(recordings.activeCount);
+    console.log(`[MTI-GW] Recording ${result} uuid=${entry.uuid} file=${entry.file} bytes=${entry.dataBytes} duration=${entry.durationMs}ms`);
+  },
+  onTruncated: (entry) => {
+    console.warn(`[MTI-GW] Recording size limit reached uuid=${entry.uuid} file=${entry.file} -> stopped recording`);
+  },
+  onDeleted: (entry, reason) => {
+    cRecordingsDeleted.inc({ reason });
+    console.log(`[MTI-GW] Recording deleted (${reason}) file=${entry.file}`);
+  },
+  onError: (err, op, entry) => {
+    console.error(`[MTI-GW] Recording ${op} error${entry ? ` file=${entry.file}` : ''}: ${err.message}`);
+  }
+});
+
+// uuid -> sess (solo stereo: para emparejar el segundo /register de la llamada)
+const stereoByUuid = new Map();
+
 function updateSessionGauges() {
-  const size = sessionsByPort.size;
-  gSessions.set(size);
-  gPortsInUse.set(size);
+  gSessions.set(new Set(sessionsByPort.values()).size);
+  gPortsInUse.set(sessionsByPort.size);
+}
+
+// Pool de puertos RTP (mti-gw asigna; tap-service solo usa el puerto devuelto por /register)
+const portPool = new PortPool({ start: config.get('rtpPortStart'), end: config.get('rtpPortEnd') });
+
+// Abre el UDP antes de crear la sesión: un bind fallido se detecta aquí y no como udp-error
+function bindUdp(port) {
+  return new Promise((resolve, reject) => {
+    const sock = dgram.createSocket('udp4');
+    const onError = (err) => {
+      try { sock.close(); } catch {}
+      reject(err);
+    };
+    sock.once('error', onError);
+    sock.bind(port, '0.0.0.0', () => {
+      sock.removeListener('error', onError);
+      resolve(sock);
+    });
+  });
+}
+
+// Puerto del pool + socket ya abierto. Si el bind falla (puerto ocupado por otro proceso)
+// se prueba otro, hasta bindRetries intentos -> { port, udpSock }
+async function allocateBoundPort() {
+  const failed = [];
+  try {
+    for (let attempt = 0; attempt < config.get('bindRetries'); attempt++) {
+      const port = portPool.alloc();
+      if (!port) break;
+      try {
+        return { port, udpSock: await bindUdp(port) };
+      } catch (e) {
+        cPortBindErrors.inc();
+        console.warn(`[MTI-GW] bind failed port=${port}: ${e.code || e.message} -> trying another port`);
+        failed.push(port);
+      }
+    }
+  } finally {
+    // los puertos que no se pudieron abrir vuelven al pool (otro proceso puede soltarlos)
+    for (const p of failed) portPool.free(p);
+  }
+  cPortPoolExhausted.inc();
+  throw new Error(failed.length
+    ? `No bindable RTP port after ${failed.length} attempt(s) in ${portPool.start}-${portPool.end}`
+    : `No free RTP ports in ${portPool.start}-${portPool.end}`);
+}
+
+// Puerto pedido explícitamente (retrocompat / restore) -> { port, udpSock }
+async function bindRequestedPort(port) {
+  if (sessionsByPort.has(port)) throw new Error(`Port already registered: ${port}`);
+  try {
+    const udpSock = await bindUdp(port);
+    if (port >= portPool.start && port <= portPool.end) portPool.claim(port);
+    return { port, udpSock };
+  } catch (e) {
+    cPortBindErrors.inc();
+    throw new Error(`Cannot bind port ${port}: ${e.code || e.message}`);
+  }
 }
 
-function createSession(port, uuid, meta) {
+// udpSock: socket ya abierto en `port` (bindUdp); la sesión pasa a ser su dueña
+function createSession(port, uuid, meta, udpSock) {
   if (sessionsByPort.has(port)) {
     throw new Error(`Port already registered: ${port}`);
   }
 
+  const layout = (meta && meta.layout) === 'stereo' ? 'stereo' : 'mono';
+  const dir    = layout === 'stereo' ? meta.dir : 'both';
+  const inFormat = (meta && meta.format) || DEFAULT_AUDIO_FORMAT;
+
+  // stereo: el segundo canal de la llamada se engancha a la sesión existente
+  if (layout === 'stereo') {
+    const existing = stereoByUuid.get(uuid);
+    if (existing && !existing.ended) {
+      if (existing.inFormat !== inFormat) {
+        throw new Error(`Format mismatch uuid=${uuid}: ${existing.inFormat} != ${inFormat}`);
+      }
+      for (const leg of existing.legs.values()) {
+        if (leg.dir === dir) throw new Error(`Channel already registered: uuid=${uuid} dir=${dir}`);
+      }
+      addLeg(existing, port, dir, udpSock);
+      return existing;
+    }
+  }
+
   const agentExtension = (meta && meta.agentExtension) || '';
   const agentUsername  = (meta && meta.agentUsername)  || '';
   const agentId        = (meta && meta.agentId)        || '';
 
-  const udpSock = dgram.createSocket('udp4');
-  const tcpSock = new net.Socket();
+  const outFormat = config.get('codecMode') === 'passthrough' ? inFormat : config.get('outputFormat');
+  const frameSize = frameBytes(outFormat, AUDIO_FRAME_MS);
 
   const sess = {
     port,
     uuid,
+    layout,
+    inFormat,
+    outFormat,
+    frameSize,
+    sampleBytes: FORMATS[outFormat].sampleBytes,
+    silenceFrame: Buffer.alloc(frameSize, FORMATS[outFormat].silenceByte),
     agentExtension,
     agentUsername,
     agentId,
-    udpSock,
-    tcpSock,
+    legs: new Map(),
+    tcpSock: null,
     connected: false,
-    queue: [],
-    audioBuffer: Buffer.alloc(0),
+    everConnected: false,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    resumeCount: 0,
+    droppedFrames: 0,
+    queue: new AudioRing(Math.max(1, Math.floor(config.get('bufferMs') / AUDIO_FRAME_MS))),
     lastRtpMs: Date.now(),
     ended: false,
-    inactivityTimer: null
+    inactivityTimer: null,
+    recording: null,
+    events: new EventEmitter()
   };
 
-  sessionsByPort.set(port, sess);
+  if (config.get('recordEnabled')) {
+    try {
+      sess.recording = recordings.start({ uuid, agentExtension, agentUsername, agentId, format: outFormat, layout });
+      gRecordingsActive.set(recordings.activeCount);
+    } catch (e) {
+      // sin grabación la sesión sigue: el stream a MTI manda
+      cRecordings.inc({ result: 'error' });
+      console.error(`[MTI-GW] Recording not started uuid=${uuid}: ${e.message}`);
+    }
+  }
+
+  if (layout === 'stereo') stereoByUuid.set(uuid, sess);
   cSessionsCreated.inc();
+
+  addLeg(sess, port, dir, udpSock);
+
+  // connect TCP ya
+  connectTcp(sess);
+
+  return sess;
+}
+
+// Un leg = 1 puerto UDP = 1 flujo RTP de Asterisk (mono: spy=both / stereo: in u out)
+function addLeg(sess, port, dir, udpSock) {
+  const { uuid } = sess;
+  const leg = { port, dir, udpSock, jitter: null, transcoder: null, audioBuffer: Buffer.alloc(0) };
+  const inFmt = FORMATS[sess.inFormat];
+
+  if (sess.inFormat !== sess.outFormat) {
+    leg.transcoder = createTranscoder(sess.inFormat, sess.outFormat);
+  }
+
+  leg.jitter = new JitterBuffer({
+    depth: config.get('jitterPackets'),
+    bytesPerSample: inFmt.sampleBytes,
+    clockRate: inFmt.rate,
+    maxGapMs: config.get('jitterMaxGapMs'),
+    silenceByte: inFmt.silenceByte
+  }, {
+    onLost: (n) => cRtpLost.inc(n),
+    onLate: () => cRtpLate.inc(),
+    onReordered: () => cRtpReordered.inc(),
+    onDuplicate: () => cRtpDuplicates.inc(),
+    onConcealed: (samples) => cRtpConcealedSamples.inc(samples),
+    onSsrcChange: (from, to) => {
+      cRtpSsrcChanges.inc();
+      console.log(`[MTI-GW] SSRC change port=${port} uuid=${uuid} ${from} -> ${to}`);
+    }
+  });
+
+  sess.legs.set(port, leg);
+  sessionsByPort.set(port, sess);
   updateSessionGauges();
 
+  // UDP listener
+  udpSock.on('message', (msg) => {
+    if (msg.length < 12) return;
+    const pkt = parseRtp(msg);
+    if (!pkt) return;
+
+    sess.lastRtpMs = Date.now();
+
+    // métricas RTP
+    cRtpPackets.inc();
+    cRtpBytes.inc(pkt.payload.length);
+
+    if (sess.ended) return;
+
+    // reordena por seq / rellena huecos antes de trocear en frames
+    appendLegAudio(sess, leg, leg.jitter.push(pkt));
+    pumpAudio(sess, leg);
+  });
+
+  udpSock.on('error', (err) => {
+    console.error(`[MTI-GW] UDP error port=${port} uuid=${uuid}: ${err.message}`);
+    cUdpErrors.inc();
+    sendEndAndClose(sess, 'udp-error');
+  });
+
+  const a = udpSock.address();
+  console.log(`[MTI-GW] RTP listening on ${a.address}:${a.port} uuid=${uuid} dir=${dir}`);
+  return leg;
+}
+
+// RTP payloads (ya ordenados) -> audio en formato de salida acumulado en el leg
+function appendLegAudio(sess, leg, payloads) {
+  if (!payloads.length) return;
+  let audio = payloads.length === 1 ? payloads[0] : Buffer.concat(payloads);
+
+  // Optional endianness swap for 16-bit PCM ("loud noise" workaround)
+  if (config.get('swapEndian') && FORMATS[sess.inFormat].pcm) audio = swap16InPlace(Buffer.from(audio));
+
+  if (leg.transcoder) audio = leg.transcoder.process(audio);
+  leg.audioBuffer = leg.audioBuffer.length ? Buffer.concat([leg.audioBuffer, audio]) : audio;
+}
+
+// Trocea el audio acumulado en frames AUDIO (mono: por leg / stereo: intercalado)
+function pumpAudio(sess, leg, flush = false) {
+  if (sess.layout === 'stereo') {
+    pumpStereo(sess, flush);
+    return;
+  }
+  while (leg.audioBuffer.length >= sess.frameSize) {
+    sendAudioFrame(sess, buildFrame(FRAME_AUDIO, takeChunk(sess, leg)));
+  }
+}
+
+// Saca un frame de 20ms (sess.frameSize) del buffer del leg
+function takeChunk(sess, leg) {
+  const chunk = leg.audioBuffer.subarray(0, sess.frameSize);
+  leg.audioBuffer = leg.audioBuffer.subarray(sess.frameSize);
+  return chunk;
+}
+
+function legByDir(sess, dir) {
+  for (const leg of sess.legs.values()) {
+    if (leg.dir === dir) return leg;
+  }
+  return null;
+}
+
+// Intercala 2 frames mono en 1 frame stereo: [L0 R0 L1 R1 ...]
+// (sampleBytes: 2 para PCM 16-bit, 1 para G.711 en passthrough)
+function interleaveStereo(left, right, sampleBytes = 2) {
+  const out = Buffer.alloc(left.length * 2);
+  for (let i = 0, o = 0; i + sampleBytes <= left.length; i += sampleBytes, o += sampleBytes * 2) {
+    left.copy(out, o, i, i + sampleBytes);
+    right.copy(out, o + sampleBytes, i, i + sampleBytes);
+  }
+  return out;
+}
+
+// Stereo: L = in, R = out. Emite cuando ambos canales tienen 20ms; si uno
+// va adelantado más de stereoMaxSkewFrames (el otro no manda RTP o aún
+// no se ha registrado) el canal que falta se rellena con silencio.
+// `flush`: vacía lo pendiente sin esperar al otro canal (antes de END).
+function pumpStereo(sess, flush = false) {
+  const legIn  = legByDir(sess, 'in');
+  const legOut = legByDir(sess, 'out');
+  const avail = (leg) => (leg ? Math.floor(leg.audioBuffer.length / sess.frameSize) : 0);
+
+  for (;;) {
+    const nIn  = avail(legIn);
+    const nOut = avail(legOut);
+    if (!nIn && !nOut) break;
+    if (!flush && (!nIn || !nOut) && Math.max(nIn, nOut) <= config.get('stereoMaxSkewFrames')) break;
+
+    if (!nIn)  cStereoPaddedFrames.inc({ dir: 'in' });
+    if (!nOut) cStereoPaddedFrames.inc({ dir: 'out' });
+
+    const left  = nIn  ? takeChunk(sess, legIn)  : sess.silenceFrame;
+    const right = nOut ? takeChunk(sess, legOut) : sess.silenceFrame;
+    sendAudioFrame(sess, buildFrame(FRAME_AUDIO, interleaveStereo(left, right, sess.sampleBytes)));
+  }
+}
+
+// Escritura hacia MTI; la grabación guarda exactamente los frames AUDIO que salen
+// (lo descartado por el ring buffer no llega a MTI ni a la grabación)
+function writeToMti(sess, frame) {
+  sess.tcpSock.write(frame);
+  if (sess.recording && frame[0] === FRAME_AUDIO && sess.recording.write(frame.subarray(3))) {
+    cRecordingBytes.inc(frame.length - 3);
+  }
+}
+
+// Mientras no hay TCP (conexión inicial o reconexión) el audio va al ring buffer
+function sendAudioFrame(sess, frame) {
+  if (sess.connected) {
+    writeToMti(sess, frame);
+    return;
+  }
+  const dropped = sess.queue.push(frame);
+  if (dropped) {
+    sess.droppedFrames++;
+    cAudioFramesDropped.inc();
+    cAudioBytesDropped.inc(dropped.length - 3);
+  }
+}
+
+function buildStartPayload(sess) {
+  // START frame JSON UTF-8 según especificación del cliente
+  const startPayloadObj = {
+    call_uuid:        sess.uuid || '',
+    agent_extension:  sess.agentExtension || '',
+    agent_username:   sess.agentUsername || '',
+    agent_id:         sess.agentId || ''
+  };
+
+  // Formato distinto del implícito (slin16): se declara
+  if (sess.outFormat !== DEFAULT_AUDIO_FORMAT) {
+    startPayloadObj.audio_format = sess.outFormat;
+    startPayloadObj.sample_rate = FORMATS[sess.outFormat].rate;
+  }
+
+  // Stereo: frames AUDIO intercalados, canal 0 (L) = in, canal 1 (R) = out
+  if (sess.layout === 'stereo') {
+    startPayloadObj.channels = 2;
+    startPayloadObj.channel_map = ['in', 'out'];
+  }
+
+  // Marcador de reanudación: el servidor MTI recibe un START nuevo con el mismo
+  // call_uuid y sabe que el audio continúa (con posible hueco de dropped_frames)
+  if (sess.everConnected || sess.restored) {
+    startPayloadObj.resume = true;
+    startPayloadObj.resume_count = sess.resumeCount;
+    startPayloadObj.buffered_frames = sess.queue.length;
+    startPayloadObj.dropped_frames = sess.droppedFrames;
+  }
+  // Sesión recuperada tras reiniciar mti-gw (el audio intermedio se ha perdido)
+  if (sess.restored) startPayloadObj.restored = true;
+
+  return Buffer.from(JSON.stringify(startPayloadObj), 'utf8');
+}
+
+function connectTcp(sess) {
+  const { port, uuid } = sess;
+  // destino leído en cada (re)conexión: un reload cambia el MTI de las reconexiones y sesiones nuevas
+  const mtiHost = config.get('mtiHost');
+  const mtiPort = config.get('mtiPort');
+  const useTls = mtiTls;
+  // TLS: tls.connect arranca ya; la sesión empieza en 'secureConnect' (handshake y certificado OK)
+  const tcpSock = useTls ? tls.connect(tlsConnectOptions(useTls, mtiHost, mtiPort)) : new net.Socket();
+  sess.tcpSock = tcpSock;
+
+  let tcpUpMs = 0;
+  let secured = false;
+  if (useTls) {
+    tcpSock.on('connect', () => {
+      tcpUpMs = Date.now();
+      tcpSock.setTimeout(config.get('mtiTlsHandshakeTimeoutMs'), () => {
+        if (!secured) tcpSock.destroy(Object.assign(new Error('TLS handshake timeout'), { code: 'ETLSTIMEOUT' }));
+      });
+    });
+  }
+
   // TCP events
-  tcpSock.on('connect', () => {
+  tcpSock.on(useTls ? 'secureConnect' : 'connect', () => {
+    if (useTls) {
+      secured = true;
+      tcpSock.setTimeout(0);
+      hTlsHandshake.observe((Date.now() - tcpUpMs) / 1000);
+    }
+
+    if (sess.everConnected) {
+      sess.resumeCount++;
+      cTcpReconnects.inc();
+    }
+
     console.log(
-      `[MTI-GW] TCP connected to ${MTI_HOST}:${MTI_PORT} port=${port} uuid=${uuid} ` +
-      `agent_extension=${agentExtension} agent_username=${agentUsername} agent_id=${agentId}`
+      `[MTI-GW] ${useTls ? `TLS (${tcpSock.getProtocol()})` : 'TCP'} connected to ${mtiHost}:${mtiPort} port=${port} uuid=${uuid} ` +
+      `agent_extension=${sess.agentExtension} agent_username=${sess.agentUsername} agent_id=${sess.agentId}` +
+      (sess.everConnected ? ` resume=${sess.resumeCount}` : '')
     );
 
-    // START frame JSON UTF-8 según especificación del cliente
-    const startPayloadObj = {
-      call_uuid:        uuid || '',
-      agent_extension:  agentExtension || '',
-      agent_username:   agentUsername || '',
-      agent_id:         agentId || ''
-    };
-    const payload = Buffer.from(JSON.stringify(startPayloadObj), 'utf8');
-
-    tcpSock.write(buildFrame(0x01, payload));
+    const payload = buildStartPayload(sess);
+    tcpSock.write(buildFrame(FRAME_START, payload));
     console.log(`[MTI-GW] Sent START (0x01 len=${payload.length}) port=${port} uuid=${uuid}`);
 
     sess.connected = true;
+    sess.everConnected = true;
+    sess.reconnectAttempts = 0;
 
     if (sess.queue.length) {
       console.log(`[MTI-GW] Flushing ${sess.queue.length} queued audio frames port=${port}`);
-      for (const f of sess.queue) tcpSock.write(f);
-      sess.queue = [];
+      for (const f of sess.queue.drain()) writeToMti(sess, f);
     }
 
     if (!sess.inactivityTimer) {
       sess.inactivityTimer = setInterval(() => {
         const now = Date.now();
-        if (!sess.ended && now - sess.lastRtpMs > INACTIVITY_MS) {
+        if (!sess.ended && now - sess.lastRtpMs > config.get('inactivityMs')) {
           console.log(`[MTI-GW] Inactivity timeout port=${port} uuid=${uuid}`);
           cInactivityTimeouts.inc();
           sendEndAndClose(sess, 'inactivity');
@@ -222,105 +832,218 @@ function createSession(port, uuid, meta) {
     }
   });
 
+  // Frames MTI -> gw
+  const reader = new FrameReader((type, payload) => handleServerFrame(sess, type, payload));
+  tcpSock.on('data', (chunk) => reader.push(chunk));
+
   tcpSock.on('error', (err) => {
-    console.error(`[MTI-GW] TCP error port=${port} uuid=${uuid}: ${err.message}`);
+    // TCP ya conectado pero sin handshake completado -> fallo TLS. En TLS 1.3 el rechazo
+    // del certificado cliente llega como alerta justo después de 'secureConnect'.
+    if (useTls && tcpUpMs && (!secured || /^ERR_SSL_.*ALERT/.test(err.code || ''))) {
+      const reason = handshakeFailureReason(err);
+      cTlsHandshakeFailures.inc({ reason });
+      console.error(`[MTI-GW] TLS handshake failed (${reason}) with ${mtiHost}:${mtiPort} port=${port} uuid=${uuid}: ${err.code || ''} ${err.message}`);
+    } else {
+      console.error(`[MTI-GW] TCP error port=${port} uuid=${uuid}: ${err.message}`);
+    }
     cTcpErrors.inc();
-    sendEndAndClose(sess, 'tcp-error');
+    // 'close' llega justo después: allí se decide reconectar o cerrar
   });
 
   tcpSock.on('close', () => {
-    cleanupSession(port, 'tcp-close');
-  });
+    if (sess.tcpSock !== tcpSock) return;
+    sess.connected = false;
 
-  // UDP listener
-  udpSock.on('message', (msg) => {
-    if (msg.length < 12) return;
-    const payload = rtpPayload(msg);
-    if (!payload) return;
+    if (sess.ended) {
+      cleanupSession(port, 'tcp-close', sess);
+      return;
+    }
+    scheduleReconnect(sess);
+  });
 
-    sess.lastRtpMs = Date.now();
+  if (!useTls) tcpSock.connect(mtiPort, mtiHost);
+}
 
-    // métricas RTP
-    cRtpPackets.inc();
-    cRtpBytes.inc(payload.length);
+function scheduleReconnect(sess) {
+  if (sess.ended || sess.reconnectTimer) return;
 
-    sess.audioBuffer = Buffer.concat([sess.audioBuffer, payload]);
+  if (sess.reconnectAttempts >= config.get('reconnectMaxAttempts')) {
+    console.error(
+      `[MTI-GW] TCP reconnect exhausted (${sess.reconnectAttempts} attempts) port=${sess.port} uuid=${sess.uuid}`
+    );
+    sess.ended = true;
+    cleanupSession(sess.port, 'tcp-error', sess);
+    return;
+  }
 
-    while (sess.audioBuffer.length >= AUDIO_FRAME_SIZE) {
-      let chunk = sess.audioBuffer.subarray(0, AUDIO_FRAME_SIZE);
-      sess.audioBuffer = sess.audioBuffer.subarray(AUDIO_FRAME_SIZE);
+  const n = sess.reconnectAttempts++;
+  const delay = Math.min(config.get('reconnectMaxMs'), config.get('reconnectMinMs') * Math.pow(2, n));
+  cTcpReconnectAttempts.inc();
 
-      // Optional endianness swap for 16-bit PCM ("loud noise" workaround)
-      if (SWAP_ENDIAN) {
-        const copy = Buffer.from(chunk);
-        swap16InPlace(copy);
-        chunk = copy;
-      }
+  console.warn(
+    `[MTI-GW] TCP down port=${sess.port} uuid=${sess.uuid} -> reconnect #${n + 1} in ${delay}ms ` +
+    `(buffered=${sess.queue.length} frames)`
+  );
 
-      const frame = buildFrame(0x12, chunk);
-      if (sess.ended) return;
+  sess.reconnectTimer = setTimeout(() => {
+    sess.reconnectTimer = null;
+    if (!sess.ended) connectTcp(sess);
+  }, delay);
+}
 
-      if (sess.connected) tcpSock.write(frame);
-      else sess.queue.push(frame);
-    }
-  });
+function payloadPreview(payload, max = 200) {
+  const txt = payload.toString('utf8');
+  return txt.length > max ? `${txt.slice(0, max)}…` : txt;
+}
 
-  udpSock.on('listening', () => {
-    const a = udpSock.address();
-    console.log(`[MTI-GW] RTP listening on ${a.address}:${a.port} uuid=${uuid}`);
-  });
+function handleServerFrame(sess, type, payload) {
+  cTcpFramesReceived.inc({ type: frameTypeName(type) });
+  if (sess.ended && type !== FRAME_END) return;
 
-  udpSock.on('error', (err) => {
-    console.error(`[MTI-GW] UDP error port=${port} uuid=${uuid}: ${err.message}`);
-    cUdpErrors.inc();
-    sendEndAndClose(sess, 'udp-error');
-  });
+  sess.events.emit('frame', type, payload);
 
-  udpSock.bind(port, '0.0.0.0');
+  if (type === FRAME_END) {
+    console.log(`[MTI-GW] END (0x00) received from MTI port=${sess.port} uuid=${sess.uuid}`);
+    sess.events.emit('end');
+    // cierre limpio: no devolvemos END al servidor
+    sess.ended = true;
+    try { sess.tcpSock.end(); } catch {}
+    cleanupSession(sess.port, 'server-end', sess);
+    return;
+  }
 
-  // connect TCP ya
-  tcpSock.connect(MTI_PORT, MTI_HOST);
+  if (type === FRAME_ERROR) {
+    // AudioSocket manda 1 byte de código; MTI puede mandar texto
+    const msg = payload.length === 1
+      ? `code=0x${payload[0].toString(16).padStart(2, '0')}`
+      : payloadPreview(payload);
+    console.error(`[MTI-GW] ERROR frame from MTI port=${sess.port} uuid=${sess.uuid}: ${msg}`);
+    cServerErrors.inc();
+    sess.events.emit('server-error', msg, payload);
+    return;
+  }
 
-  return sess;
+  if (sess.events.listenerCount('unknown') === 0) {
+    console.log(
+      `[MTI-GW] Frame from MTI type=${frameTypeName(type)} len=${payload.length} ` +
+      `port=${sess.port} uuid=${sess.uuid}: ${payloadPreview(payload)}`
+    );
+  }
+  sess.events.emit('unknown', type, payload);
 }
 
 function sendEndAndClose(sess, reason) {
   if (sess.ended) return;
+
+  // lo retenido en jitter buffers / canales stereo sale antes del END
+  if (sess.connected) {
+    for (const leg of sess.legs.values()) appendLegAudio(sess, leg, leg.jitter.flush());
+    for (const leg of sess.legs.values()) pumpAudio(sess, leg, true);
+  }
   sess.ended = true;
 
   try {
     if (sess.connected) {
-      sess.tcpSock.write(buildFrame(0x00, Buffer.alloc(0)));
+      sess.tcpSock.write(buildFrame(FRAME_END, Buffer.alloc(0)));
       console.log(`[MTI-GW] Sent END (0x00) port=${sess.port} reason=${reason}`);
     }
   } catch {}
 
+  if (sess.reconnectTimer) {
+    clearTimeout(sess.reconnectTimer);
+    sess.reconnectTimer = null;
+  }
+
+  if (!sess.connected) {
+    // sin TCP activo (conectando / esperando reconexión): no habrá 'close' útil
+    try { if (sess.tcpSock) sess.tcpSock.destroy(); } catch {}
+    cleanupSession(sess.port, reason, sess);
+    return;
+  }
+
   try { sess.tcpSock.end(); } catch {}
 }
 
-function cleanupSession(port, why) {
+// `expected`: sesión concreta a limpiar (evita que eventos tardíos de un socket
+// antiguo limpien una sesión nueva registrada en el mismo puerto)
+function cleanupSession(port, why, expected) {
   const sess = sessionsByPort.get(port);
   if (!sess) return;
+  if (expected && sess !== expected) return;
 
   console.log(`[MTI-GW] cleanup port=${port} uuid=${sess.uuid} reason=${why}`);
 
+  // fuera del mapa antes de cerrar nada: cleanup re-entrante desde sendEndAndClose es no-op
+  for (const legPort of sess.legs.keys()) {
+    sessionsByPort.delete(legPort);
+    portPool.free(legPort);
+    if (!handingOver) stateStore.delete(legPort);
+  }
+  if (stereoByUuid.get(sess.uuid) === sess) stereoByUuid.delete(sess.uuid);
+  updateSessionGauges();
+
   cSessionsEnded.inc({ reason: why || 'cleanup' });
 
   if (sess.inactivityTimer) clearInterval(sess.inactivityTimer);
 
-  try { sess.udpSock.close(); } catch {}
+  for (const leg of sess.legs.values()) {
+    try { leg.udpSock.close(); } catch {}
+  }
   try {
     if (!sess.ended) sendEndAndClose(sess, why || 'cleanup');
   } catch {}
 
-  sessionsByPort.delete(port);
-  updateSessionGauges();
+  if (sess.reconnectTimer) {
+    clearTimeout(sess.reconnectTimer);
+    sess.reconnectTimer = null;
+  }
+  sess.queue.clear();
+  sess.events.removeAllListeners();
+  // después de sendEndAndClose: incluye lo que quedaba en jitter buffers / canales stereo
+  if (sess.recording) sess.recording.close();
 }
 
 // ---------- HTTP CONTROL SERVER ----------
+// allowlist IP + API key / HMAC; /metrics solo pasa por la allowlist
+const auth = new RequestAuth({
+  settings: () => config.values,
+  onDenied: (reason) => cAuthDenied.inc({ reason })
+});
+
+// cuerpo de un POST (cubierto por la firma HMAC; los endpoints de control no lo usan)
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > 64 * 1024) return req.destroy(new Error('Body too large'));
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
 const httpServer = http.createServer(async (req, res) => {
   const parsed = url.parse(req.url, true);
 
+  let body = '';
+  if (req.method === 'POST') {
+    try {
+      body = await readBody(req);
+    } catch (e) {
+      res.statusCode = 413;
+      return res.end(e.message);
+    }
+  }
+  const denied = auth.check(req, parsed, body);
+  if (denied) {
+    console.warn(`[MTI-GW] ${req.method} ${parsed.pathname} denied (${denied.reason}) from ${req.socket.remoteAddress}`);
+    res.statusCode = denied.status;
+    return res.end(denied.message);
+  }
+
   // Prometheus endpoint
   if (parsed.pathname === '/metrics') {
     res.statusCode = 200;
@@ -328,40 +1051,113 @@ const httpServer = http.createServer(async (req, res) => {
     return res.end(await register.metrics());
   }
 
+  // Carga para el balanceo de tap-service (varias instancias de mti-gw): sesiones + puertos
+  if (parsed.pathname === '/status') {
+    const live = [...new Set(sessionsByPort.values())];
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify({
+      sessions: live.length,
+      portsInUse: sessionsByPort.size,
+      portPool: { start: portPool.start, end: portPool.end, used: portPool.size },
+      mtiConnected: live.filter(s => s.connected).length,
+      uptimeSec: Math.round(process.uptime())
+    }));
+  }
+
+  if (parsed.pathname === '/admin/reload') {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.setHeader('Allow', 'POST');
+      return res.end('Method not allowed');
+    }
+    const result = await reloadConfig('http');
+    res.statusCode = result.ok ? 200 : 400;
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify(result));
+  }
+
   if (parsed.pathname === '/register') {
     const uuid = parsed.query.uuid;
-    const port = Number(parsed.query.port);
+    // sin port -> lo asigna mti-gw y la respuesta es JSON { uuid, port, ... }
+    const requestedPort = parsed.query.port !== undefined && parsed.query.port !== '' ? Number(parsed.query.port) : null;
 
     // Metadatos de agente, strings opacos según especificación del cliente
     const agentExtension = parsed.query.agent_extension || '';
     const agentUsername  = parsed.query.agent_username  || '';
     const agentId        = parsed.query.agent_id        || '';
 
-    if (!uuid || !port) {
+    // Layout: mono (por defecto) | stereo (1 /register por canal: dir=in / dir=out)
+    const layout = parsed.query.layout === 'stereo' ? 'stereo' : 'mono';
+    const dir    = parsed.query.dir || '';
+
+    // Formato del RTP que enviará Asterisk (ExternalMedia format)
+    const format = parsed.query.format ? normalizeFormat(parsed.query.format) : DEFAULT_AUDIO_FORMAT;
+
+    if (!uuid) {
       res.statusCode = 400;
       cHttpErrors.inc({ path: '/register', code: '400' });
-      return res.end('Missing uuid/port');
+      return res.end('Missing uuid');
     }
 
+    if (requestedPort !== null && !(Number.isInteger(requestedPort) && requestedPort > 0 && requestedPort < 65536)) {
+      res.statusCode = 400;
+      cHttpErrors.inc({ path: '/register', code: '400' });
+      return res.end(`Invalid port: ${parsed.query.port}`);
+    }
+
+    if (layout === 'stereo' && !['in', 'out'].includes(dir)) {
+      res.statusCode = 400;
+      cHttpErrors.inc({ path: '/register', code: '400' });
+      return res.end('Stereo layout requires dir=in|out');
+    }
+
+    if (!format) {
+      res.statusCode = 400;
+      cHttpErrors.inc({ path: '/register', code: '400' });
+      return res.end(`Unsupported format: ${parsed.query.format}`);
+    }
+
+    let bound;
     try {
-      createSession(port, uuid, {
-        agentExtension,
-        agentUsername,
-        agentId
-      });
+      bound = requestedPort !== null ? await bindRequestedPort(requestedPort) : await allocateBoundPort();
+    } catch (e) {
+      // pool agotado / sin puerto abrible -> 503 (reintentable); puerto pedido ocupado -> 409
+      const code = requestedPort !== null ? 409 : 503;
+      res.statusCode = code;
+      cHttpErrors.inc({ path: '/register', code: String(code) });
+      console.warn(`[MTI-GW] register rejected uuid=${uuid}: ${e.message}`);
+      return res.end(String(e.message || e));
+    }
+    const { port, udpSock } = bound;
+
+    try {
+      const meta = { agentExtension, agentUsername, agentId, layout, dir, format };
+      createSession(port, uuid, meta, udpSock);
+      stateStore.set(port, { port, uuid, ...meta, registeredMs: Date.now() });
       console.log(
-        `[MTI-GW] Registered port=${port} uuid=${uuid} ` +
+        `[MTI-GW] Registered port=${port}${requestedPort === null ? ' (allocated)' : ''} uuid=${uuid} format=${format} layout=${layout}${layout === 'stereo' ? ` dir=${dir}` : ''} ` +
         `agent_extension=${agentExtension} agent_username=${agentUsername} agent_id=${agentId}`
       );
       cHttpRegister.inc();
-      res.statusCode = 200; return res.end('OK');
+      res.statusCode = 200;
+      if (requestedPort !== null) return res.end('OK');
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify({ uuid, port, layout, dir: layout === 'stereo' ? dir : 'both', format }));
     } catch (e) {
+      try { udpSock.close(); } catch {}
+      if (!sessionsByPort.has(port)) portPool.free(port);
       res.statusCode = 409;
       cHttpErrors.inc({ path: '/register', code: '409' });
       return res.end(String(e.message || e));
     }
   }
 
+  // Grabaciones: GET /recordings[?uuid=] (JSON) | GET /recordings/:uuid[?segment=n] (WAV)
+  if (parsed.pathname === '/recordings' || parsed.pathname.startsWith('/recordings/')) {
+    return serveRecordings(req, res, parsed);
+  }
+
   if (parsed.pathname === '/unregister') {
     const port = Number(parsed.query.port);
     if (!port) {
@@ -377,18 +1173,165 @@ const httpServer = http.createServer(async (req, res) => {
   res.statusCode = 404; res.end('Not found');
 });
 
-httpServer.listen(MTI_GW_HTTP_PORT, '0.0.0.0', () => {
-  console.log(`[MTI-GW] HTTP control listening on :${MTI_GW_HTTP_PORT} (/register /unregister /metrics)`);
-});
+async function serveRecordings(req, res, parsed) {
+  const sendJson = (status, obj) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(obj));
+  };
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendJson(405, { error: 'Method not allowed' });
+  }
+  const describe = (e) => ({ ...e, active: recordings.isActive(e) });
 
-// shutdown limpio
-process.on('SIGINT', () => {
-  console.log('[MTI-GW] SIGINT closing sessions...');
-  for (const p of sessionsByPort.keys()) cleanupSession(p, 'sigint');
-  process.exit(0);
-});
-process.on('SIGTERM', () => {
-  console.log('[MTI-GW] SIGTERM closing sessions...');
-  for (const p of sessionsByPort.keys()) cleanupSession(p, 'sigterm');
-  process.exit(0);
-});
+  if (parsed.pathname === '/recordings') {
+    const list = parsed.query.uuid ? recordings.find(String(parsed.query.uuid)) : recordings.list();
+    return sendJson(200, { count: list.length, recordings: list.map(describe) });
+  }
+
+  let uuid;
+  try {
+    uuid = decodeURIComponent(parsed.pathname.slice('/recordings/'.length));
+  } catch {
+    return sendJson(400, { error: 'Invalid uuid' });
+  }
+  const segments = recordings.find(uuid);
+  if (!segments.length) return sendJson(404, { error: `No recording for uuid ${uuid}` });
+
+  // varios segmentos (sesión restaurada tras un reinicio...): ?segment=1..n, por defecto el último
+  const n = parsed.query.segment !== undefined ? Number(parsed.query.segment) : segments.length;
+  if (!Number.isInteger(n) || n < 1 || n > segments.length) {
+    return sendJson(400, { error: `segment must be 1..${segments.length}` });
+  }
+  const entry = segments[n - 1];
+
+  let file;
+  try {
+    file = await recordings.open(entry);
+  } catch (e) {
+    cHttpErrors.inc({ path: '/recordings', code: '500' });
+    return sendJson(500, { error: `Recording not readable: ${e.message}` });
+  }
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'audio/wav');
+  res.setHeader('Content-Length', file.bytes);
+  res.setHeader('Content-Disposition', `attachment; filename="${entry.file}"`);
+  res.setHeader('X-Recording-Segments', String(segments.length));
+  res.setHeader('X-Recording-Active', String(recordings.isActive(entry)));
+  res.write(file.header);
+  if (!file.stream) return res.end();
+  file.stream.on('error', () => res.destroy());
+  file.stream.pipe(res);
+}
+
+// Re-abre los puertos guardados antes de aceptar /register nuevos.
+// Si el puerto ya no se puede abrir la sesión se descarta (restore failed); si la
+// llamada terminó mientras estábamos caídos, la inactividad RTP la cierra.
+async function restoreSessions() {
+  let saved;
+  try {
+    saved = await stateStore.load();
+  } catch (e) {
+    console.error(`[MTI-GW] state load failed (${stateStore.backend}): ${e.message} -> starting empty`);
+    cStateErrors.inc({ op: 'load' });
+    return;
+  }
+  if (!saved.size) return;
+
+  console.log(`[MTI-GW] Restoring ${saved.size} registered port(s) from ${stateStore.backend} store`);
+
+  for (const rec of saved.values()) {
+    const port = Number(rec && rec.port);
+    if (!port || !rec.uuid) {
+      cSessionsRestored.inc({ result: 'invalid' });
+      continue;
+    }
+    let bound = null;
+    try {
+      bound = await bindRequestedPort(port);
+      const sess = createSession(port, rec.uuid, {
+        agentExtension: rec.agentExtension,
+        agentUsername: rec.agentUsername,
+        agentId: rec.agentId,
+        layout: rec.layout,
+        dir: rec.dir,
+        format: normalizeFormat(rec.format) || DEFAULT_AUDIO_FORMAT
+      }, bound.udpSock);
+      sess.restored = true;
+      cSessionsRestored.inc({ result: 'restored' });
+      console.log(`[MTI-GW] Restored port=${port} uuid=${rec.uuid} layout=${rec.layout || 'mono'}${rec.dir ? ` dir=${rec.dir}` : ''}`);
+    } catch (e) {
+      console.warn(`[MTI-GW] Restore failed port=${port} uuid=${rec.uuid}: ${e.message}`);
+      if (bound && !sessionsByPort.has(port)) {
+        try { bound.udpSock.close(); } catch {}
+        portPool.free(port);
+      }
+      cSessionsRestored.inc({ result: 'failed' });
+      stateStore.delete(port);
+    }
+  }
+}
+
+recordings.init()
+  .catch((e) => console.error(`[MTI-GW] Recordings index failed (${config.get('recordDir')}): ${e.message}`))
+  .then(restoreSessions)
+  .finally(() => {
+    httpServer.listen(config.get('httpPort'), '0.0.0.0', () => {
+      console.log(`[MTI-GW] HTTP control listening on :${config.get('httpPort')} (/register /unregister /status /recordings /admin/reload /metrics)`);
+      console.log(`[MTI-GW] MTI target ${config.get('mtiHost')}:${config.get('mtiPort')}${mtiTls ? ` TLS${config.get('mtiTlsCa') ? ' ca=' + config.get('mtiTlsCa') : ''}${mtiTls.cert ? ' client-cert' : ''}` : ''}`);
+      console.log(`[MTI-GW] RTP port pool ${portPool.start}-${portPool.end}`);
+      console.log(`[MTI-GW] Codec mode=${config.get('codecMode')} output=${config.get('codecMode') === 'passthrough' ? '(as received)' : config.get('outputFormat')}`);
+      console.log(`[MTI-GW] Config ${config.file || '(env only)'}`);
+      console.log(`[MTI-GW] Auth mode=${config.get('authMode')} allowIps=${config.get('allowIps').join(',') || '(any)'}`);
+      console.log(`[MTI-GW] State backend=${stateStore.backend}`);
+      console.log(`[MTI-GW] Recording ${config.get('recordEnabled') ? 'on' : 'off'} dir=${config.get('recordDir')} (${recordings.list().length} file(s))`);
+    });
+  });
+
+// Recarga de configuración: si algo no valida se queda la anterior entera
+async function reloadConfig(trigger) {
+  try {
+    let nextTls = null;
+    const { changed, restartRequired } = await config.reload({
+      prepare: (next) => { nextTls = buildMtiTls(next.values); }
+    });
+    mtiTls = nextTls;
+    portPool.resize(config.get('rtpPortStart'), config.get('rtpPortEnd'));
+    cConfigReloads.inc({ result: 'ok' });
+    console.log(`[MTI-GW] Config reloaded (${trigger}) changed=${changed.join(',') || '(none)'}`);
+    if (restartRequired.length) {
+      console.warn(`[MTI-GW] Config: ${restartRequired.join(',')} changed but only apply on restart`);
+    }
+    return { ok: true, changed, restartRequired };
+  } catch (e) {
+    cConfigReloads.inc({ result: 'error' });
+    console.error(`[MTI-GW] Config reload (${trigger}) rejected, keeping current config: ${e.message}`);
+    return { ok: false, error: e.message, errors: e.errors || [e.message] };
+  }
+}
+
+// shutdown limpio: END a MTI y estado borrado. Con MTI_STATE_HANDOVER (y persistencia) se
+// cierran los sockets sin END y el estado se conserva para el siguiente arranque.
+function shutdown(sig) {
+  const reason = sig.toLowerCase();
+  handingOver = stateStore.backend !== 'none' && config.get('stateHandover');
+  console.log(`[MTI-GW] ${sig} closing sessions${handingOver ? ' (state kept for restart)' : ''}...`);
+
+  for (const sess of new Set(sessionsByPort.values())) {
+    if (handingOver) {
+      // sin END: el servidor MTI verá el START "restored" del nuevo proceso
+      sess.ended = true;
+      try { if (sess.tcpSock) sess.tcpSock.destroy(); } catch {}
+    }
+    cleanupSession(sess.port, reason, sess);
+  }
+
+  // cabeceras WAV y sidecars de las grabaciones antes de salir
+  recordings.flush()
+    .then(() => stateStore.close())
+    .finally(() => process.exit(0));
+}
+process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
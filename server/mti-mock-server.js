@@ -0,0 +1,171 @@
+// mti-mock-server.js
+// Simulador de servidor MTI con inyección de fallos, para probar los caminos de error de mti-gw
+// (tcp-error, reconexión con ring buffer, inactivity, END / ERROR del servidor, backpressure).
+// A diferencia de mti-debug-server (pasivo), cada conexión sigue un escenario:
+//   - elegido por nº de conexión o por el call_uuid del START (ver server/mti/scenarios.js)
+//   - o el escenario por defecto (MTI_MOCK_SCENARIO / `default` del fichero)
+// Acciones: rechazar (RST), retrasar el accept, reset / close a mitad de stream,
+// dejar de leer (stall), mandar END, ERROR o frames arbitrarios.
+//
+// Uso:
+//   MTI_MOCK_SCENARIOS_FILE=scenarios.yaml node server/mti-mock-server.js
+//   MTI_HOST=127.0.0.1 MTI_PORT=9097 node server/mti-gw.js
+// SIGHUP relee el fichero (las conexiones abiertas siguen con su escenario).
+
+const net = require('net');
+const { buildFrame, FRAME_END, FRAME_ERROR, frameTypeName } = require('./mti/protocol');
+const { ProtocolValidator } = require('./mti/validator');
+const { readConfigFile } = require('./config');
+const { parseScenarios, ScenarioSelector } = require('./mti/scenarios');
+
+const LISTEN_HOST = process.env.MTI_MOCK_HOST || '0.0.0.0';
+const LISTEN_PORT = Number(process.env.MTI_MOCK_PORT || 9097);
+const SCENARIOS_FILE = process.env.MTI_MOCK_SCENARIOS_FILE || '';
+const DEFAULT_SCENARIO = process.env.MTI_MOCK_SCENARIO || '';
+
+function loadScenarios() {
+  const obj = SCENARIOS_FILE ? readConfigFile(SCENARIOS_FILE) : {};
+  return new ScenarioSelector(parseScenarios(obj, SCENARIOS_FILE || 'env', DEFAULT_SCENARIO));
+}
+
+let selector;
+try {
+  selector = loadScenarios();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+let connCount = 0;
+
+function handleConnection(socket) {
+  const n = ++connCount;
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  const tag = `conn=${n}`;
+  let scenario = selector.forConnection(n);
+  const byConnection = !!scenario;
+  if (!scenario) scenario = selector.parsed.default;
+
+  const st = { uuid: null, frames: 0, startMs: 0, done: false, stalled: false, timers: [], pending: [] };
+  const log = (msg) => console.log(`${msg} (${tag}${st.uuid ? ` uuid=${st.uuid}` : ''})`);
+
+  console.log(`\n🔌 Connection #${n} from ${remote} scenario=${scenario.name}${byConnection ? ' (by connection)' : ''}`);
+
+  socket.on('error', (err) => log(`❌ Socket error: ${err.code || ''} ${err.message}`));
+  socket.on('close', () => {
+    st.done = true;
+    st.timers.forEach(clearTimeout);
+    log(`📴 Closed after ${st.frames} audio frames`);
+  });
+
+  if (scenario.refuse) {
+    log('⛔ refuse -> RST');
+    socket.resetAndDestroy();
+    return;
+  }
+
+  function runStep(step) {
+    if (st.done) return;
+    switch (step.action) {
+      case 'reset':
+        log(`💥 reset after ${st.frames} frames`);
+        st.done = true;
+        socket.resetAndDestroy();
+        return;
+      case 'close':
+        log(`🚪 close (FIN, no END) after ${st.frames} frames`);
+        st.done = true;
+        socket.end();
+        return;
+      case 'end':
+        log(`🔴 sending END after ${st.frames} frames`);
+        st.done = true;
+        socket.write(buildFrame(FRAME_END, Buffer.alloc(0)));
+        return;
+      case 'error':
+        log(`⚠️  sending ERROR (${step.payload.length === 1 ? `code=0x${step.payload[0].toString(16)}` : step.payload.toString('utf8')})`);
+        socket.write(buildFrame(FRAME_ERROR, step.payload));
+        return;
+      case 'frame':
+        log(`📨 sending frame type=${frameTypeName(step.type)} len=${step.payload.length}`);
+        socket.write(buildFrame(step.type, step.payload));
+        return;
+      case 'stall':
+        log(`🧊 stall reads${step.ms ? ` for ${step.ms}ms` : ' (forever)'} after ${st.frames} frames`);
+        st.stalled = true;
+        socket.pause();
+        if (step.ms) {
+          st.timers.push(setTimeout(() => {
+            if (st.done) return;
+            log(`▶️  resume reads (${socket.bytesRead} bytes read so far)`);
+            st.stalled = false;
+            socket.resume();
+          }, step.ms));
+        }
+        return;
+    }
+  }
+
+  // steps `at: { frames }` que faltan, en orden
+  function checkFrameSteps() {
+    while (st.pending.length && !st.done && st.frames >= st.pending[0].at.frames) runStep(st.pending.shift());
+  }
+
+  const validator = new ProtocolValidator({
+    onViolation: (v) => log(`${v.severity === 'error' ? '🚫' : '⚠️ '} protocol ${v.type}: ${v.message}`),
+    onStart: (start) => {
+      st.uuid = start.uuid || null;
+      st.startMs = Date.now();
+      if (!byConnection) scenario = selector.forUuid(st.uuid);
+      const meta = start.start || {};
+      log(`🟢 START format=${start.format} channels=${start.channels}${meta.resume ? ` resume=${meta.resume_count} buffered=${meta.buffered_frames} dropped=${meta.dropped_frames}` : ''} -> scenario=${scenario.name}`);
+
+      for (const step of scenario.steps) {
+        if (!step.at) runStep(step);
+        else if (step.at.ms !== undefined) st.timers.push(setTimeout(() => runStep(step), step.at.ms));
+      }
+      st.pending = scenario.steps.filter(s => s.at && s.at.frames !== undefined).sort((a, b) => a.at.frames - b.at.frames);
+      checkFrameSteps();
+    },
+    onAudio: () => {
+      st.frames++;
+      checkFrameSteps();
+    },
+    onEnd: () => {
+      log(`🔴 END received after ${st.frames} frames`);
+      st.done = true;
+      socket.end();
+    }
+  });
+
+  socket.on('data', (chunk) => {
+    // tras reset / close / END ya no interpreta nada (mti-gw aún puede tener frames en vuelo)
+    if (!st.done) validator.push(chunk);
+  });
+
+  if (scenario.acceptDelayMs) {
+    log(`⏳ accept delay ${scenario.acceptDelayMs}ms (not reading)`);
+    socket.pause();
+    st.timers.push(setTimeout(() => {
+      if (st.done) return;
+      log('▶️  accept delay over');
+      socket.resume();
+    }, scenario.acceptDelayMs));
+  }
+}
+
+const server = net.createServer(handleConnection);
+
+server.listen(LISTEN_PORT, LISTEN_HOST, () => {
+  const names = [...selector.parsed.scenarios.keys()].join(', ');
+  console.log(`🧪 MTI mock server listening on ${LISTEN_HOST}:${LISTEN_PORT} default=${selector.parsed.default.name} scenarios=[${names}]`);
+});
+
+process.on('SIGHUP', () => {
+  try {
+    selector = loadScenarios();
+    console.log(`🔄 Scenarios reloaded: default=${selector.parsed.default.name} scenarios=[${[...selector.parsed.scenarios.keys()].join(', ')}]`);
+  } catch (e) {
+    console.error(`❌ Reload rejected, keeping previous scenarios: ${e.message}`);
+  }
+});
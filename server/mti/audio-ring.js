@@ -0,0 +1,52 @@
+// server/mti/audio-ring.js
+// Ring buffer acotado de frames de audio ya construidos (Buffer).
+// Se usa en mti-gw mientras el socket TCP hacia MTI no está conectado
+// (conexión inicial o reconexión): si se llena, se descarta el frame más antiguo.
+
+'use strict';
+
+class AudioRing {
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity | 0);
+    this._items = new Array(this.capacity);
+    this._head = 0;   // índice del más antiguo
+    this._size = 0;
+  }
+
+  get length() {
+    return this._size;
+  }
+
+  // Devuelve el frame descartado (si el buffer estaba lleno) o null
+  push(frame) {
+    let dropped = null;
+    if (this._size === this.capacity) {
+      dropped = this._items[this._head];
+      this._items[this._head] = frame;
+      this._head = (this._head + 1) % this.capacity;
+      return dropped;
+    }
+    this._items[(this._head + this._size) % this.capacity] = frame;
+    this._size++;
+    return dropped;
+  }
+
+  // Vacía el buffer devolviendo los frames en orden de llegada
+  drain() {
+    const out = new Array(this._size);
+    for (let i = 0; i < this._size; i++) {
+      const idx = (this._head + i) % this.capacity;
+      out[i] = this._items[idx];
+      this._items[idx] = undefined;
+    }
+    this._head = 0;
+    this._size = 0;
+    return out;
+  }
+
+  clear() {
+    this.drain();
+  }
+}
+
+module.exports = { AudioRing };
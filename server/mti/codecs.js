@@ -0,0 +1,183 @@
+// server/mti/codecs.js
+// Formatos ExternalMedia soportados y transcodificación a PCM s16le.
+//
+//   ulaw / alaw          -> G.711, 8 kHz, 1 byte/muestra
+//   slin8 / slin16 / slin48 -> PCM 16-bit, 8 / 16 / 48 kHz
+//
+// El PCM que llega de Asterisk se trata como opaco salvo que haya que
+// remuestrear: en ese caso se interpreta como s16le (tras SWAP_ENDIAN si aplica).
+
+'use strict';
+
+const FORMATS = {
+  ulaw:   { name: 'ulaw',   rate: 8000,  sampleBytes: 1, silenceByte: 0xff, pcm: false },
+  alaw:   { name: 'alaw',   rate: 8000,  sampleBytes: 1, silenceByte: 0xd5, pcm: false },
+  slin8:  { name: 'slin8',  rate: 8000,  sampleBytes: 2, silenceByte: 0x00, pcm: true },
+  slin16: { name: 'slin16', rate: 16000, sampleBytes: 2, silenceByte: 0x00, pcm: true },
+  slin48: { name: 'slin48', rate: 48000, sampleBytes: 2, silenceByte: 0x00, pcm: true }
+};
+
+// Alias habituales (Asterisk usa "slin" para 8 kHz)
+const ALIASES = {
+  slin: 'slin8',
+  pcmu: 'ulaw',
+  mulaw: 'ulaw',
+  pcma: 'alaw'
+};
+
+function normalizeFormat(raw) {
+  const f = String(raw || '').trim().toLowerCase();
+  if (!f) return null;
+  const name = ALIASES[f] || f;
+  return FORMATS[name] ? name : null;
+}
+
+// Bytes de un frame de `ms` milisegundos (mono)
+function frameBytes(format, ms = 20) {
+  const f = FORMATS[format];
+  return Math.round(f.rate * ms / 1000) * f.sampleBytes;
+}
+
+// ---------- G.711 ----------
+function ulawToLinear(u) {
+  u = ~u & 0xff;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const sample = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign ? -sample : sample;
+}
+
+function alawToLinear(a) {
+  a ^= 0x55;
+  const segment = (a & 0x70) >> 4;
+  let t = (a & 0x0f) << 4;
+  if (segment === 0) t += 8;
+  else if (segment === 1) t += 0x108;
+  else t = (t + 0x108) << (segment - 1);
+  return (a & 0x80) ? t : -t;
+}
+
+const ULAW_TABLE = new Int16Array(256);
+const ALAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  ULAW_TABLE[i] = ulawToLinear(i);
+  ALAW_TABLE[i] = alawToLinear(i);
+}
+
+// Codificación (PCM s16 -> G.711): solo la usan las herramientas de prueba (ari-mock-server)
+function linearToUlaw(x) {
+  const BIAS = 0x84;
+  const sign = x < 0 ? 0x80 : 0;
+  let m = Math.min(32635, Math.abs(x)) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; exponent > 0 && !(m & mask); mask >>= 1) exponent--;
+  const mantissa = (m >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function linearToAlaw(x) {
+  const sign = x >= 0 ? 0x80 : 0;
+  const m = Math.min(32767, x >= 0 ? x : -x - 1) >> 3;
+  let segment = 0;
+  while (segment < 7 && m >= (0x20 << segment)) segment++;
+  const mantissa = segment === 0 ? (m >> 1) & 0x0f : (m >> segment) & 0x0f;
+  return ((sign | (segment << 4) | mantissa) ^ 0x55) & 0xff;
+}
+
+function decodeG711(buf, table) {
+  const out = Buffer.alloc(buf.length * 2);
+  for (let i = 0; i < buf.length; i++) out.writeInt16LE(table[buf[i]], i * 2);
+  return out;
+}
+
+// PCM s16le -> ulaw / alaw
+function encodeG711(buf, format) {
+  const enc = format === 'ulaw' ? linearToUlaw : linearToAlaw;
+  const n = Math.floor(buf.length / 2);
+  const out = Buffer.alloc(n);
+  for (let i = 0; i < n; i++) out[i] = enc(buf.readInt16LE(i * 2));
+  return out;
+}
+
+// ---------- Resampler (ratios enteros: 8k <-> 16k <-> 48k) ----------
+// Subida: interpolación lineal. Bajada: media de cada grupo de muestras
+// (filtro paso-bajo de caja, suficiente para voz hacia un ASR).
+// Mantiene estado entre llamadas para no introducir saltos entre paquetes.
+class Resampler {
+  constructor(fromRate, toRate) {
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    if (toRate === fromRate) this.mode = 'copy';
+    else if (toRate % fromRate === 0) this.mode = 'up';
+    else if (fromRate % toRate === 0) this.mode = 'down';
+    else throw new Error(`Unsupported resample ratio ${fromRate} -> ${toRate}`);
+
+    this.factor = this.mode === 'up' ? toRate / fromRate : fromRate / toRate;
+    this._prev = 0;          // up: última muestra de entrada
+    this._acc = 0;           // down: suma parcial del grupo
+    this._accN = 0;          // down: muestras en el grupo
+  }
+
+  // s16le -> s16le
+  process(buf) {
+    if (this.mode === 'copy') return buf;
+    const n = Math.floor(buf.length / 2);
+
+    if (this.mode === 'up') {
+      const L = this.factor;
+      const out = Buffer.alloc(n * L * 2);
+      let o = 0;
+      for (let i = 0; i < n; i++) {
+        const x = buf.readInt16LE(i * 2);
+        for (let k = 1; k <= L; k++) {
+          out.writeInt16LE(Math.round(this._prev + (x - this._prev) * k / L), o);
+          o += 2;
+        }
+        this._prev = x;
+      }
+      return out;
+    }
+
+    const M = this.factor;
+    const outSamples = Math.floor((this._accN + n) / M);
+    const out = Buffer.alloc(outSamples * 2);
+    let o = 0;
+    for (let i = 0; i < n; i++) {
+      this._acc += buf.readInt16LE(i * 2);
+      if (++this._accN === M) {
+        out.writeInt16LE(Math.round(this._acc / M), o);
+        o += 2;
+        this._acc = 0;
+        this._accN = 0;
+      }
+    }
+    return out;
+  }
+}
+
+// Transcodificador con estado: formato de entrada -> PCM s16le de salida (slin*)
+function createTranscoder(inFormat, outFormat) {
+  const fin = FORMATS[inFormat];
+  const fout = FORMATS[outFormat];
+  if (!fin || !fout) throw new Error(`Unknown format ${inFormat} -> ${outFormat}`);
+  if (!fout.pcm) throw new Error(`Unsupported output format ${outFormat} (PCM only)`);
+
+  const resampler = new Resampler(fin.rate, fout.rate);
+  const decode = inFormat === 'ulaw' ? (b) => decodeG711(b, ULAW_TABLE)
+    : inFormat === 'alaw' ? (b) => decodeG711(b, ALAW_TABLE)
+    : (b) => b;
+
+  return {
+    process: (buf) => resampler.process(decode(buf))
+  };
+}
+
+module.exports = {
+  FORMATS,
+  normalizeFormat,
+  frameBytes,
+  createTranscoder,
+  encodeG711,
+  Resampler
+};
@@ -0,0 +1,82 @@
+// server/mti/protocol.js
+// Framing MTI AudioSocket-like compartido por mti-gw y las herramientas de debug.
+//
+//   [TYPE 1B][LEN 2B big-endian][PAYLOAD LEN bytes]
+//
+// Tipos conocidos:
+//   0x00 END    -> fin de sesión (ambos sentidos)
+//   0x01 START  -> JSON UTF-8 con metadatos de la llamada (gw -> MTI)
+//   0x12 AUDIO  -> PCM (gw -> MTI)
+//   0xff ERROR  -> error reportado por el servidor MTI (MTI -> gw)
+//
+// Cualquier otro tipo (transcripciones, keep-alives, ...) se entrega tal cual
+// al consumidor, que decide qué hacer con él.
+
+'use strict';
+
+const FRAME_END   = 0x00;
+const FRAME_START = 0x01;
+const FRAME_AUDIO = 0x12;
+const FRAME_ERROR = 0xff;
+
+const HEADER_SIZE = 3;
+
+function buildFrame(type, payloadBuf) {
+  const len = payloadBuf ? payloadBuf.length : 0;
+  const buf = Buffer.alloc(HEADER_SIZE + len);
+  buf[0] = type;
+  buf.writeUInt16BE(len, 1);
+  if (payloadBuf && len > 0) payloadBuf.copy(buf, HEADER_SIZE);
+  return buf;
+}
+
+function frameTypeName(type) {
+  switch (type) {
+    case FRAME_END:   return 'end';
+    case FRAME_START: return 'start';
+    case FRAME_AUDIO: return 'audio';
+    case FRAME_ERROR: return 'error';
+    default:          return `0x${type.toString(16).padStart(2, '0')}`;
+  }
+}
+
+// Lector incremental de frames sobre un stream TCP.
+//   const reader = new FrameReader((type, payload) => { ... });
+//   sock.on('data', (chunk) => reader.push(chunk));
+class FrameReader {
+  constructor(onFrame) {
+    this._onFrame = onFrame;
+    this._buf = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+
+    while (this._buf.length >= HEADER_SIZE) {
+      const type = this._buf[0];
+      const len  = this._buf.readUInt16BE(1);
+      if (this._buf.length < HEADER_SIZE + len) break;
+
+      const payload = this._buf.subarray(HEADER_SIZE, HEADER_SIZE + len);
+      this._buf = this._buf.subarray(HEADER_SIZE + len);
+
+      this._onFrame(type, payload);
+    }
+  }
+
+  // bytes recibidos que aún no forman un frame completo
+  get pending() {
+    return this._buf.length;
+  }
+}
+
+module.exports = {
+  FRAME_END,
+  FRAME_START,
+  FRAME_AUDIO,
+  FRAME_ERROR,
+  HEADER_SIZE,
+  buildFrame,
+  frameTypeName,
+  FrameReader
+};
@@ -0,0 +1,297 @@
+// server/mti/recordings.js
+// Grabación de sesiones de mti-gw: el audio exacto de los frames AUDIO que se escriben hacia MTI
+// (formato de salida, stereo intercalado L=in R=out) en WAV, más un sidecar JSON por fichero.
+//
+//   <dir>/<uuid>_<agent_extension>_<agent_username>_<agent_id>_<YYYYMMDDTHHMMSSZ>.wav
+//   <dir>/<mismo nombre>.json   { uuid, agent*, format, channels, layout, headerBytes,
+//                                  startedAt, endedAt, dataBytes, durationMs, truncated }
+//
+// Una sesión puede dejar varios segmentos (p.ej. restaurada tras reiniciar mti-gw).
+// Límites: tamaño máximo por fichero (se deja de grabar, el WAV sigue siendo válido),
+// retención en días y tamaño total del directorio (se borran los más antiguos ya cerrados).
+// Un segmento que quedó abierto por una caída se cierra al arrancar (recovered: true).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { FORMATS } = require('./codecs');
+const { wavHeader } = require('./wav');
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+function safeName(s) {
+  return String(s || '').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+function stamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+function bytesPerMs(entry) {
+  return (FORMATS[entry.format].rate * FORMATS[entry.format].sampleBytes * entry.channels) / 1000;
+}
+
+// escritura atómica del sidecar (tmp + rename)
+async function writeJson(file, obj) {
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(obj, null, 2));
+  await fs.promises.rename(tmp, file);
+}
+
+async function patchHeader(file, entry) {
+  const header = wavHeader({ format: entry.format, channels: entry.channels, dataBytes: entry.dataBytes });
+  const fh = await fs.promises.open(file, 'r+');
+  try {
+    await fh.write(header, 0, header.length, 0);
+  } finally {
+    await fh.close();
+  }
+}
+
+class Recording {
+  constructor(store, entry, stream) {
+    this.store = store;
+    this.entry = entry;
+    this.truncated = false;
+    this.failed = false;
+    this._stream = stream;
+    this._closing = null;
+    stream.on('error', (err) => {
+      if (this.failed) return;
+      this.failed = true;
+      store._onError(err, 'write', entry);
+    });
+  }
+
+  /** @returns {boolean} false si ya no se graba (límite de tamaño, error o cerrada) */
+  write(payload) {
+    if (this.failed || this.truncated || this._closing) return false;
+    const max = this.store._limits().maxFileBytes;
+    if (max > 0 && this.entry.dataBytes + payload.length > max) {
+      this.truncated = true;
+      this.entry.truncated = true;
+      this.store._onTruncated(this.entry);
+      return false;
+    }
+    this.entry.dataBytes += payload.length;
+    this._stream.write(payload);
+    return true;
+  }
+
+  // fin de la sesión: cabecera con el tamaño final + sidecar. Idempotente.
+  close() {
+    if (!this._closing) this._closing = this.store._finish(this);
+    return this._closing;
+  }
+}
+
+class RecordingStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir
+   * @param {() => { maxFileBytes: number, retentionDays: number, maxTotalBytes: number }} opts.limits  0 = sin límite
+   * @param {(entry: object, result: 'completed'|'truncated'|'error') => void} [opts.onFinished]
+   * @param {(entry: object) => void} [opts.onTruncated]
+   * @param {(entry: object, reason: 'retention'|'quota') => void} [opts.onDeleted]
+   * @param {(err: Error, op: string, entry?: object) => void} [opts.onError]
+   */
+  constructor({ dir, limits, onFinished, onTruncated, onDeleted, onError }) {
+    this.dir = dir;
+    this._limits = limits;
+    this._onFinished = onFinished || (() => {});
+    this._onTruncated = onTruncated || (() => {});
+    this._onDeleted = onDeleted || (() => {});
+    this._onError = onError || (() => {});
+    this._entries = new Map();   // fichero wav -> entry
+    this._active = new Map();    // fichero wav -> Recording
+    this._pending = new Set();   // cierres en curso (shutdown espera)
+    this._dirReady = false;
+    this._timer = null;
+  }
+
+  get activeCount() {
+    return this._active.size;
+  }
+
+  // Indexa los sidecars existentes (el directorio puede no existir aún) y arranca la limpieza periódica
+  async init() {
+    let names = [];
+    try {
+      names = await fs.promises.readdir(this.dir);
+      this._dirReady = true;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(path.join(this.dir, name), 'utf8'));
+        if (!entry || !entry.file || !FORMATS[entry.format]) continue;
+        if (!entry.endedAt) await this._recover(entry);
+        this._entries.set(entry.file, entry);
+      } catch (e) {
+        this._onError(e, 'index');
+      }
+    }
+    await this.sweep();
+    this._timer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this._timer.unref();
+  }
+
+  // segmento que quedó abierto (caída del proceso): tamaño real del fichero
+  async _recover(entry) {
+    const file = path.join(this.dir, entry.file);
+    const st = await fs.promises.stat(file);
+    entry.dataBytes = Math.max(0, st.size - entry.headerBytes);
+    entry.endedAt = st.mtime.toISOString();
+    entry.durationMs = Math.round(entry.dataBytes / bytesPerMs(entry));
+    entry.recovered = true;
+    await patchHeader(file, entry);
+    await writeJson(path.join(this.dir, entry.file.replace(/\.wav$/, '.json')), entry);
+  }
+
+  /**
+   * @param {{ uuid: string, agentExtension?: string, agentUsername?: string, agentId?: string,
+   *           format: string, layout: 'mono'|'stereo' }} meta
+   * @returns {Recording}
+   */
+  start(meta) {
+    if (!this._dirReady) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this._dirReady = true;
+    }
+    const now = new Date();
+    const base = [meta.uuid, meta.agentExtension, meta.agentUsername, meta.agentId].map(safeName).filter(Boolean).join('_');
+    let file = `${base}_${stamp(now)}.wav`;
+    for (let n = 2; this._entries.has(file); n++) file = `${base}_${stamp(now)}-${n}.wav`;
+
+    const channels = meta.layout === 'stereo' ? 2 : 1;
+    const header = wavHeader({ format: meta.format, channels });
+    const entry = {
+      uuid: meta.uuid,
+      file,
+      agentExtension: meta.agentExtension || '',
+      agentUsername: meta.agentUsername || '',
+      agentId: meta.agentId || '',
+      format: meta.format,
+      channels,
+      layout: meta.layout,
+      headerBytes: header.length,
+      startedAt: now.toISOString(),
+      endedAt: null,
+      dataBytes: 0,
+      durationMs: 0,
+      truncated: false
+    };
+
+    const stream = fs.createWriteStream(path.join(this.dir, file));
+    stream.write(header);
+    const rec = new Recording(this, entry, stream);
+    this._entries.set(file, entry);
+    this._active.set(file, rec);
+    writeJson(this._sidecar(entry), entry).catch(e => this._onError(e, 'sidecar', entry));
+    return rec;
+  }
+
+  _sidecar(entry) {
+    return path.join(this.dir, entry.file.replace(/\.wav$/, '.json'));
+  }
+
+  async _finish(rec) {
+    const { entry } = rec;
+    const done = (async () => {
+      await new Promise((resolve) => rec._stream.end(resolve));
+      entry.endedAt = new Date().toISOString();
+      entry.durationMs = Math.round(entry.dataBytes / bytesPerMs(entry));
+      try {
+        if (!rec.failed) await patchHeader(path.join(this.dir, entry.file), entry);
+        await writeJson(this._sidecar(entry), entry);
+      } catch (e) {
+        rec.failed = true;
+        this._onError(e, 'close', entry);
+      }
+      this._active.delete(entry.file);
+      this._onFinished(entry, rec.failed ? 'error' : entry.truncated ? 'truncated' : 'completed');
+      return entry;
+    })();
+    this._pending.add(done);
+    try {
+      return await done;
+    } finally {
+      this._pending.delete(done);
+    }
+  }
+
+  // segmentos de una llamada, del más antiguo al más reciente
+  find(uuid) {
+    return this.list().filter(e => e.uuid === uuid);
+  }
+
+  list() {
+    return [...this._entries.values()].sort((a, b) => (a.startedAt < b.startedAt ? -1 : a.startedAt > b.startedAt ? 1 : 0));
+  }
+
+  isActive(entry) {
+    return this._active.has(entry.file);
+  }
+
+  /**
+   * Lectura para servir un segmento (también si sigue grabándose): cabecera con el tamaño
+   * que hay en disco + stream de los datos.
+   * @returns {Promise<{ header: Buffer, stream: fs.ReadStream, bytes: number }>}
+   */
+  async open(entry) {
+    const file = path.join(this.dir, entry.file);
+    const st = await fs.promises.stat(file);
+    const dataBytes = Math.max(0, st.size - entry.headerBytes);
+    const header = wavHeader({ format: entry.format, channels: entry.channels, dataBytes });
+    const stream = dataBytes
+      ? fs.createReadStream(file, { start: entry.headerBytes, end: entry.headerBytes + dataBytes - 1 })
+      : null;
+    return { header, stream, bytes: header.length + dataBytes };
+  }
+
+  // Borra segmentos cerrados: más antiguos que retentionDays y, si el total supera maxTotalBytes,
+  // los más antiguos hasta bajar del límite
+  async sweep() {
+    const { retentionDays, maxTotalBytes } = this._limits();
+    const closed = this.list().filter(e => !this.isActive(e));
+    const victims = [];
+
+    if (retentionDays > 0) {
+      const cutoff = Date.now() - retentionDays * 24 * 3600 * 1000;
+      for (const e of closed) if (Date.parse(e.endedAt) < cutoff) victims.push([e, 'retention']);
+    }
+    if (maxTotalBytes > 0) {
+      const gone = new Set(victims.map(([e]) => e));
+      let total = this.list().filter(e => !gone.has(e)).reduce((n, e) => n + e.headerBytes + e.dataBytes, 0);
+      for (const e of closed) {
+        if (total <= maxTotalBytes) break;
+        if (gone.has(e)) continue;
+        victims.push([e, 'quota']);
+        total -= e.headerBytes + e.dataBytes;
+      }
+    }
+
+    for (const [entry, reason] of victims) {
+      try {
+        await fs.promises.rm(path.join(this.dir, entry.file), { force: true });
+        await fs.promises.rm(this._sidecar(entry), { force: true });
+        this._entries.delete(entry.file);
+        this._onDeleted(entry, reason);
+      } catch (e) {
+        this._onError(e, 'delete', entry);
+      }
+    }
+    return victims.length;
+  }
+
+  // espera a que terminen los cierres en curso (shutdown)
+  async flush() {
+    await Promise.allSettled([...this._active.values()].map(r => r.close()));
+    await Promise.allSettled([...this._pending]);
+  }
+}
+
+module.exports = { RecordingStore };
@@ -0,0 +1,183 @@
+// server/mti/rtp.js
+// Parseo RTP (RFC 3550) + jitter buffer mínimo por flujo.
+//
+// El jitter buffer reordena por número de secuencia, rellena huecos con
+// silencio usando el timestamp RTP y detecta cambios de SSRC. No hace
+// playout temporizado: libera en cuanto el hueco se da por perdido (se
+// acumulan más de `depth` paquetes detrás de él), así que la latencia
+// añadida es como mucho depth × ptime.
+
+'use strict';
+
+const RTP_HEADER_SIZE = 12;
+
+// Diferencia firmada entre números de secuencia de 16 bits (con wrap)
+function seqDiff(a, b) {
+  return ((a - b + 0x8000) & 0xffff) - 0x8000;
+}
+
+// Diferencia firmada entre timestamps de 32 bits (con wrap)
+function tsDiff(a, b) {
+  return ((a - b) | 0);
+}
+
+function parseRtp(buf) {
+  if (buf.length < RTP_HEADER_SIZE) return null;
+  const version = buf[0] >> 6;
+  if (version !== 2) return null;
+
+  const cc = buf[0] & 0x0f;
+  const x  = (buf[0] & 0x10) !== 0;
+  const p  = (buf[0] & 0x20) !== 0;
+  let offset = RTP_HEADER_SIZE + cc * 4;
+  if (x) {
+    if (buf.length < offset + 4) return null;
+    const extLen = buf.readUInt16BE(offset + 2);
+    offset += 4 + extLen * 4;
+  }
+  let end = buf.length;
+  if (p && end > offset) end -= buf[end - 1];
+  if (end <= offset) return null;
+
+  return {
+    marker: (buf[1] & 0x80) !== 0,
+    payloadType: buf[1] & 0x7f,
+    seq: buf.readUInt16BE(2),
+    ts: buf.readUInt32BE(4),
+    ssrc: buf.readUInt32BE(8),
+    payload: buf.subarray(offset, end)
+  };
+}
+
+class JitterBuffer {
+  // opts:
+  //   depth          paquetes retenidos antes de dar un hueco por perdido (0 = sin espera)
+  //   bytesPerSample 2 (slin) / 1 (G.711)
+  //   clockRate      Hz del timestamp RTP (limita el relleno máximo)
+  //   maxGapMs       relleno máximo de silencio por hueco
+  //   silenceByte    0x00 (slin) / 0xff (ulaw) / 0xd5 (alaw)
+  // hooks (opcionales): onLost(n), onLate(), onReordered(), onDuplicate(),
+  //                     onSsrcChange(oldSsrc, newSsrc), onConcealed(samples)
+  constructor(opts = {}, hooks = {}) {
+    this.depth          = Math.max(0, opts.depth ?? 3);
+    this.bytesPerSample = opts.bytesPerSample || 2;
+    this.clockRate      = opts.clockRate || 16000;
+    this.maxGapMs       = opts.maxGapMs ?? 1000;
+    this.silenceByte    = opts.silenceByte || 0x00;
+    this.maxDropout     = opts.maxDropout || 1000;
+    this.hooks = hooks;
+    this._reset();
+  }
+
+  _reset() {
+    this.ssrc = null;
+    this._pending = new Map();   // seq -> pkt
+    this._nextSeq = null;        // siguiente seq a liberar
+    this._highestSeq = null;     // mayor seq recibido
+    this._expectedTs = null;     // timestamp esperado del siguiente paquete liberado
+  }
+
+  _hook(name, ...args) {
+    const fn = this.hooks[name];
+    if (fn) fn(...args);
+  }
+
+  // Entra un paquete parseado ({ seq, ts, ssrc, payload }).
+  // Devuelve los payloads listos para salir, en orden (incluye silencios).
+  push(pkt) {
+    const out = [];
+
+    if (this.ssrc !== null && pkt.ssrc !== this.ssrc) {
+      this._hook('onSsrcChange', this.ssrc, pkt.ssrc);
+      out.push(...this.flush());
+      this._reset();
+    }
+
+    if (this.ssrc === null) {
+      this.ssrc = pkt.ssrc;
+      this._nextSeq = pkt.seq;
+      this._highestSeq = pkt.seq;
+    }
+
+    const d = seqDiff(pkt.seq, this._nextSeq);
+
+    // salto enorme (reinicio de numeración sin cambio de SSRC): resincronizamos
+    if (d > this.maxDropout || d < -this.maxDropout) {
+      out.push(...this.flush());
+      const ssrc = this.ssrc;
+      this._reset();
+      this.ssrc = ssrc;
+      this._nextSeq = pkt.seq;
+      this._highestSeq = pkt.seq;
+    } else if (d < 0) {
+      // ya liberamos (o dimos por perdido) ese seq
+      this._hook('onLate');
+      return out;
+    }
+
+    if (this._pending.has(pkt.seq)) {
+      this._hook('onDuplicate');
+      return out;
+    }
+
+    if (seqDiff(pkt.seq, this._highestSeq) < 0) this._hook('onReordered');
+    else this._highestSeq = pkt.seq;
+
+    this._pending.set(pkt.seq, pkt);
+    this._drain(out, false);
+    return out;
+  }
+
+  // Libera todo lo pendiente (fin de flujo)
+  flush() {
+    const out = [];
+    this._drain(out, true);
+    return out;
+  }
+
+  _drain(out, force) {
+    while (this._pending.size) {
+      const pkt = this._pending.get(this._nextSeq);
+      if (pkt) {
+        this._pending.delete(this._nextSeq);
+        this._emit(out, pkt);
+        this._nextSeq = (this._nextSeq + 1) & 0xffff;
+        continue;
+      }
+
+      // hueco: esperamos mientras haya margen
+      if (!force && this._pending.size <= this.depth) break;
+
+      // damos por perdidos los seq que faltan hasta el siguiente disponible
+      let next = null;
+      for (const seq of this._pending.keys()) {
+        if (next === null || seqDiff(seq, next) < 0) next = seq;
+      }
+      const lost = seqDiff(next, this._nextSeq);
+      this._hook('onLost', lost);
+      this._nextSeq = next;
+    }
+  }
+
+  _emit(out, pkt) {
+    // relleno de silencio según el salto de timestamp
+    if (this._expectedTs !== null) {
+      const gap = tsDiff(pkt.ts, this._expectedTs);
+      const maxGap = Math.round(this.clockRate * this.maxGapMs / 1000);
+      if (gap > 0) {
+        const samples = Math.min(gap, maxGap);
+        out.push(Buffer.alloc(samples * this.bytesPerSample, this.silenceByte));
+        this._hook('onConcealed', samples);
+      }
+    }
+    out.push(pkt.payload);
+    this._expectedTs = (pkt.ts + Math.floor(pkt.payload.length / this.bytesPerSample)) >>> 0;
+  }
+}
+
+module.exports = {
+  RTP_HEADER_SIZE,
+  seqDiff,
+  parseRtp,
+  JitterBuffer
+};
@@ -0,0 +1,193 @@
+// server/mti/scenarios.js
+// Escenarios de fallo del simulador MTI (mti-mock-server): qué hace el "servidor MTI" con cada
+// conexión de mti-gw. Fichero YAML/JSON (MTI_MOCK_SCENARIOS_FILE):
+//
+//   default: normal                 # escenario si ninguna regla elige otro (normal = sin fallos)
+//   scenarios:
+//     reset-mid:
+//       uuid: "^reset-"             # regex sobre call_uuid del START
+//       times: 1                    # como mucho N conexiones por call_uuid (luego: default)
+//       steps:
+//         - { at: { frames: 100 }, action: reset }
+//     slow-accept:
+//       connections: [1, 2]         # nº de conexión (1 = la primera desde que arrancó el simulador)
+//       acceptDelayMs: 3000
+//
+// Antes del START no se conoce el call_uuid: refuse / acceptDelayMs solo tienen efecto si el
+// escenario se elige por `connections` o es el default.
+//
+//   refuse: true        RST nada más aceptar (mti-gw ve ECONNRESET y reconecta)
+//   acceptDelayMs: n    la conexión queda sin leer ni contestar n ms (el START espera en los buffers)
+//   steps: acciones una sola vez, cuando se cumple `at` (sin `at`: al recibir START)
+//     at: { frames: n }   n frames AUDIO recibidos tras START
+//     at: { ms: n }       n ms tras START
+//     action: reset                    RST (mti-gw: tcp error + reconexión)
+//             close                    FIN sin END
+//             stall   [ms]             deja de leer (backpressure); sin ms = para siempre
+//             end                      frame END (cierre limpio iniciado por MTI)
+//             error   [code | message] frame ERROR (1 byte de código o texto)
+//             frame   type [text]      frame arbitrario (tipo 0-255)
+
+'use strict';
+
+const { ConfigError } = require('../config');
+
+const ACTIONS = ['reset', 'close', 'stall', 'end', 'error', 'frame'];
+const SCENARIO_KEYS = new Set(['uuid', 'connections', 'times', 'refuse', 'acceptDelayMs', 'steps']);
+const STEP_KEYS = new Set(['at', 'action', 'ms', 'code', 'message', 'type', 'text']);
+
+// escenario implícito: acepta, lee y nunca falla
+const NORMAL = Object.freeze({ name: 'normal', uuid: null, connections: null, times: 0, refuse: false, acceptDelayMs: 0, steps: [] });
+
+function isNonNegInt(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+function parseStep(where, step, errors) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    errors.push(`${where}: must be a mapping`);
+    return null;
+  }
+  for (const k of Object.keys(step)) if (!STEP_KEYS.has(k)) errors.push(`${where}: unknown key "${k}"`);
+
+  const out = { action: step.action, at: null };
+  if (!ACTIONS.includes(step.action)) errors.push(`${where}.action must be one of ${ACTIONS.join(' | ')}`);
+
+  if (step.at !== undefined) {
+    const at = step.at || {};
+    const keys = Object.keys(at);
+    if (keys.length !== 1 || !['frames', 'ms'].includes(keys[0]) || !isNonNegInt(at[keys[0]])) {
+      errors.push(`${where}.at must be { frames: n } or { ms: n } (n integer >= 0)`);
+    } else {
+      out.at = { [keys[0]]: at[keys[0]] };
+    }
+  }
+
+  if (step.ms !== undefined) {
+    if (step.action !== 'stall') errors.push(`${where}.ms only applies to stall`);
+    else if (!isNonNegInt(step.ms)) errors.push(`${where}.ms must be an integer >= 0`);
+    else out.ms = step.ms;
+  }
+
+  if (step.action === 'error') {
+    if (step.code !== undefined && step.message !== undefined) errors.push(`${where}: error takes code or message, not both`);
+    if (step.code !== undefined && !(isNonNegInt(step.code) && step.code <= 255)) errors.push(`${where}.code must be 0-255`);
+    out.payload = step.message !== undefined
+      ? Buffer.from(String(step.message), 'utf8')
+      : Buffer.from([step.code !== undefined ? step.code : 0]);
+  } else if (step.code !== undefined || step.message !== undefined) {
+    errors.push(`${where}: code / message only apply to error`);
+  }
+
+  if (step.action === 'frame') {
+    if (!(isNonNegInt(step.type) && step.type <= 255)) errors.push(`${where}.type must be 0-255`);
+    out.type = step.type;
+    out.payload = Buffer.from(step.text !== undefined ? String(step.text) : '', 'utf8');
+  } else if (step.type !== undefined || step.text !== undefined) {
+    errors.push(`${where}: type / text only apply to frame`);
+  }
+  return out;
+}
+
+function parseScenario(name, def, errors) {
+  const where = `scenarios.${name}`;
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    errors.push(`${where}: must be a mapping`);
+    return null;
+  }
+  for (const k of Object.keys(def)) if (!SCENARIO_KEYS.has(k)) errors.push(`${where}: unknown key "${k}"`);
+
+  const sc = { ...NORMAL, name, steps: [] };
+  if (def.uuid !== undefined) {
+    try {
+      sc.uuid = new RegExp(String(def.uuid));
+    } catch (e) {
+      errors.push(`${where}.uuid: ${e.message}`);
+    }
+  }
+  if (def.connections !== undefined) {
+    const list = Array.isArray(def.connections) ? def.connections : [def.connections];
+    if (!list.length || !list.every(n => Number.isInteger(n) && n >= 1)) errors.push(`${where}.connections must be connection numbers >= 1`);
+    else sc.connections = new Set(list);
+  }
+  if (def.times !== undefined) {
+    if (!isNonNegInt(def.times)) errors.push(`${where}.times must be an integer >= 0 (0 = always)`);
+    else sc.times = def.times;
+  }
+  if (def.refuse !== undefined) {
+    if (typeof def.refuse !== 'boolean') errors.push(`${where}.refuse must be a boolean`);
+    else sc.refuse = def.refuse;
+  }
+  if (def.acceptDelayMs !== undefined) {
+    if (!isNonNegInt(def.acceptDelayMs)) errors.push(`${where}.acceptDelayMs must be an integer >= 0`);
+    else sc.acceptDelayMs = def.acceptDelayMs;
+  }
+  if (def.steps !== undefined) {
+    if (!Array.isArray(def.steps)) errors.push(`${where}.steps must be a list`);
+    else def.steps.forEach((s, i) => { const st = parseStep(`${where}.steps[${i}]`, s, errors); if (st) sc.steps.push(st); });
+  }
+  return sc;
+}
+
+/**
+ * Valida el contenido del fichero. Lanza ConfigError con todos los problemas.
+ * @param {object} obj      fichero ya parseado ({} = solo el escenario normal)
+ * @param {string} source   nombre para los mensajes
+ * @param {string} [defaultName]  MTI_MOCK_SCENARIO (manda sobre `default` del fichero)
+ * @returns {{ scenarios: Map<string, object>, default: object }}
+ */
+function parseScenarios(obj, source, defaultName) {
+  const errors = [];
+  for (const k of Object.keys(obj)) if (k !== 'default' && k !== 'scenarios') errors.push(`unknown key "${k}"`);
+
+  const scenarios = new Map([['normal', NORMAL]]);
+  const defs = obj.scenarios || {};
+  if (typeof defs !== 'object' || Array.isArray(defs)) {
+    errors.push('scenarios must be a mapping of name: scenario');
+  } else {
+    for (const [name, def] of Object.entries(defs)) {
+      if (name === 'normal') {
+        errors.push('scenarios.normal is built in');
+        continue;
+      }
+      const sc = parseScenario(name, def, errors);
+      if (sc) scenarios.set(name, sc);
+    }
+  }
+
+  const defName = defaultName || obj.default || 'normal';
+  if (!scenarios.has(defName)) errors.push(`default scenario "${defName}" is not defined`);
+  if (errors.length) throw new ConfigError(source, errors, 'mti-mock-server');
+  return { scenarios, default: scenarios.get(defName) };
+}
+
+// Elección de escenario: por nº de conexión al aceptar, por call_uuid al llegar el START
+class ScenarioSelector {
+  constructor(parsed) {
+    this.parsed = parsed;
+    this._uses = new Map();   // `${scenario}\n${uuid}` -> conexiones en las que se aplicó
+  }
+
+  // al aceptar: escenario elegido por connections (o null)
+  forConnection(n) {
+    for (const sc of this.parsed.scenarios.values()) {
+      if (sc.connections && sc.connections.has(n)) return sc;
+    }
+    return null;
+  }
+
+  // al recibir START (si no se eligió ya por connections)
+  forUuid(uuid) {
+    for (const sc of this.parsed.scenarios.values()) {
+      if (!sc.uuid || !sc.uuid.test(uuid || '')) continue;
+      const key = `${sc.name}\n${uuid}`;
+      const used = this._uses.get(key) || 0;
+      if (sc.times && used >= sc.times) continue;
+      this._uses.set(key, used + 1);
+      return sc;
+    }
+    return this.parsed.default;
+  }
+}
+
+module.exports = { parseScenarios, ScenarioSelector, ACTIONS };
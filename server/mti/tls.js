@@ -0,0 +1,82 @@
+// server/mti/tls.js
+// TLS opcional del stream mti-gw -> MTI (MTI_TLS=true) y del listener TLS de mti-debug-server.
+//
+//   ca          PEM con la(s) CA aceptadas. Sustituye a las raíces del sistema: solo vale un
+//               certificado de servidor firmado por esa CA (CA pinning).
+//   cert / key  certificado cliente (mTLS), los dos o ninguno
+//   servername  SNI y nombre que se verifica en el certificado del servidor
+//               (por defecto el host MTI si no es una IP)
+//
+// Los ficheros se leen al arrancar y en cada reload: rotar certificados = SIGHUP.
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+
+function readPem(label, file, errors) {
+  if (!file) return undefined;
+  try {
+    const pem = fs.readFileSync(file);
+    if (!/-----BEGIN [A-Z0-9 ]+-----/.test(pem.toString('utf8'))) {
+      errors.push(`${label} ${file} is not a PEM file`);
+      return undefined;
+    }
+    return pem;
+  } catch (e) {
+    errors.push(`${label} ${file}: ${e.code || e.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Lee los ficheros PEM -> opciones base de tls.connect. Lanza Error con todos los problemas.
+ * @param {{ ca?: string, cert?: string, key?: string, servername?: string }} files  rutas
+ */
+function loadClientTls({ ca, cert, key, servername }) {
+  const errors = [];
+  if (!!cert !== !!key) errors.push('TLS client cert and key must be set together');
+  const opts = {
+    ca: readPem('TLS CA', ca, errors),
+    cert: readPem('TLS cert', cert, errors),
+    key: readPem('TLS key', key, errors),
+    servername: servername || undefined
+  };
+  if (errors.length) throw new Error(`Invalid MTI TLS settings:\n  - ${errors.join('\n  - ')}`);
+  return opts;
+}
+
+// opciones completas para conectar a host:port
+function tlsConnectOptions(base, host, port) {
+  const servername = base.servername || (net.isIP(host) ? undefined : host);
+  return {
+    host,
+    port,
+    ca: base.ca,
+    cert: base.cert,
+    key: base.key,
+    servername,
+    rejectUnauthorized: true
+  };
+}
+
+const UNTRUSTED = new Set([
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'SELF_SIGNED_CERT_IN_CHAIN', 'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'CERT_SIGNATURE_FAILURE', 'CERT_UNTRUSTED'
+]);
+
+// error de un handshake fallido -> etiqueta reason de mti_tls_handshake_failures_total
+function handshakeFailureReason(err) {
+  const code = (err && err.code) || '';
+  if (UNTRUSTED.has(code)) return 'untrusted';
+  if (code === 'CERT_HAS_EXPIRED' || code === 'CERT_NOT_YET_VALID') return 'expired';
+  if (code === 'ERR_TLS_CERT_ALTNAME_INVALID') return 'hostname';
+  // alerta del servidor (p.ej. certificado cliente ausente o de otra CA)
+  if (/^ERR_SSL_(TLSV1|TLSV13|SSLV3)_ALERT/.test(code)) return 'rejected';
+  if (code === 'ETLSTIMEOUT') return 'timeout';
+  if (code === 'ECONNRESET' || code === 'EPIPE') return 'closed';
+  if (code.startsWith('ERR_SSL_') || code.startsWith('ERR_TLS_')) return 'protocol';
+  return 'other';
+}
+
+module.exports = { loadClientTls, tlsConnectOptions, handshakeFailureReason };
@@ -0,0 +1,190 @@
+// server/mti/validator.js
+// Validación del protocolo MTI en el lado servidor (mti-debug-server y pruebas).
+//
+// START (0x01): JSON UTF-8
+//   obligatorio  call_uuid (string no vacío), agent_extension / agent_username / agent_id (string)
+//   opcional     audio_format (ulaw | alaw | slin8 | slin16 | slin48) + sample_rate coherente,
+//                channels (1 | 2) + channel_map ['in', 'out'],
+//                resume (bool), resume_count / buffered_frames / dropped_frames (int >= 0), restored (bool)
+// AUDIO (0x12): 20 ms del formato declarado (slin16 mono = 640 bytes; stereo = el doble)
+// END (0x00): sin payload; nada después
+//
+// Violaciones (type): start-not-json, start-invalid, start-duplicate, audio-before-start,
+// audio-size, frame-after-end, end-payload, end-before-start, unknown-type,
+// len-mismatch (LEN que no llega a completarse antes de cerrar),
+// no-end (cierre sin END: warning, mti-gw lo hace en un handover).
+
+'use strict';
+
+const { FRAME_END, FRAME_START, FRAME_AUDIO, FRAME_ERROR, HEADER_SIZE, frameTypeName } = require('./protocol');
+const { FORMATS, frameBytes } = require('./codecs');
+
+const DEFAULT_FORMAT = 'slin16';
+const FRAME_MS = 20;
+const KNOWN_START_KEYS = new Set([
+  'call_uuid', 'agent_extension', 'agent_username', 'agent_id', 'audio_format', 'sample_rate',
+  'channels', 'channel_map', 'resume', 'resume_count', 'buffered_frames', 'dropped_frames', 'restored'
+]);
+
+/**
+ * @param {Buffer} payload
+ * @returns {{ start: object|null, uuid: string, format: string, channels: number,
+ *             errors: string[], warnings: string[], json: boolean }}
+ */
+function parseStartPayload(payload) {
+  const text = payload.toString('utf8');
+  const res = { start: null, uuid: '', format: DEFAULT_FORMAT, channels: 1, errors: [], warnings: [], json: false };
+
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    // protocolo antiguo: el payload era el uuid tal cual
+    res.uuid = text.trim();
+    res.errors.push('payload is not JSON (legacy raw uuid?)');
+    return res;
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    res.errors.push('payload must be a JSON object');
+    return res;
+  }
+  res.json = true;
+  res.start = obj;
+
+  if (typeof obj.call_uuid !== 'string' || !obj.call_uuid) res.errors.push('call_uuid must be a non-empty string');
+  else res.uuid = obj.call_uuid;
+  for (const k of ['agent_extension', 'agent_username', 'agent_id']) {
+    if (obj[k] === undefined) res.errors.push(`${k} is required`);
+    else if (typeof obj[k] !== 'string') res.errors.push(`${k} must be a string`);
+  }
+
+  if (obj.audio_format !== undefined) {
+    if (!FORMATS[obj.audio_format]) res.errors.push(`audio_format must be one of ${Object.keys(FORMATS).join(' | ')}`);
+    else res.format = obj.audio_format;
+  }
+  if (obj.sample_rate !== undefined && obj.sample_rate !== FORMATS[res.format].rate) {
+    res.errors.push(`sample_rate ${obj.sample_rate} does not match ${res.format} (${FORMATS[res.format].rate})`);
+  }
+  if (obj.audio_format === undefined && obj.sample_rate !== undefined && obj.sample_rate !== FORMATS[DEFAULT_FORMAT].rate) {
+    res.warnings.push('sample_rate without audio_format');
+  }
+
+  if (obj.channels !== undefined) {
+    if (obj.channels !== 1 && obj.channels !== 2) res.errors.push('channels must be 1 or 2');
+    else res.channels = obj.channels;
+  }
+  if (res.channels === 2 && JSON.stringify(obj.channel_map) !== JSON.stringify(['in', 'out'])) {
+    res.errors.push('channel_map must be ["in","out"] with channels=2');
+  }
+
+  for (const k of ['resume', 'restored']) {
+    if (obj[k] !== undefined && typeof obj[k] !== 'boolean') res.errors.push(`${k} must be a boolean`);
+  }
+  for (const k of ['resume_count', 'buffered_frames', 'dropped_frames']) {
+    if (obj[k] !== undefined && !(Number.isInteger(obj[k]) && obj[k] >= 0)) res.errors.push(`${k} must be an integer >= 0`);
+  }
+  for (const k of Object.keys(obj)) {
+    if (!KNOWN_START_KEYS.has(k)) res.warnings.push(`unknown key "${k}"`);
+  }
+  return res;
+}
+
+class ProtocolValidator {
+  /**
+   * Estado del protocolo de una conexión (lo que recibe el servidor MTI).
+   * @param {object} [handlers]
+   * @param {(v: { type: string, severity: 'error'|'warning', message: string }) => void} [handlers.onViolation]
+   * @param {(start: ReturnType<typeof parseStartPayload>) => void} [handlers.onStart]
+   * @param {(payload: Buffer) => void} [handlers.onAudio]     audio aceptado (después de START)
+   * @param {() => void} [handlers.onEnd]
+   * @param {(type: number, payload: Buffer) => void} [handlers.onFrame]  todos los frames
+   */
+  constructor(handlers = {}) {
+    this._h = handlers;
+    this._buf = Buffer.alloc(0);
+    this.state = 'waiting-start';   // waiting-start | streaming | ended
+    this.start = null;
+    this.expectedAudioBytes = frameBytes(DEFAULT_FORMAT, FRAME_MS);
+    this.violations = [];
+  }
+
+  _violation(type, message, severity = 'error') {
+    const v = { type, severity, message };
+    this.violations.push(v);
+    if (this._h.onViolation) this._h.onViolation(v);
+  }
+
+  push(chunk) {
+    this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+    while (this._buf.length >= HEADER_SIZE) {
+      const type = this._buf[0];
+      const len = this._buf.readUInt16BE(1);
+      if (this._buf.length < HEADER_SIZE + len) break;
+      const payload = this._buf.subarray(HEADER_SIZE, HEADER_SIZE + len);
+      this._buf = this._buf.subarray(HEADER_SIZE + len);
+      this._frame(type, payload);
+    }
+  }
+
+  _frame(type, payload) {
+    if (this._h.onFrame) this._h.onFrame(type, payload);
+
+    if (this.state === 'ended') {
+      this._violation('frame-after-end', `${frameTypeName(type)} frame (len=${payload.length}) after END`);
+      return;
+    }
+
+    if (type === FRAME_START) {
+      if (this.state === 'streaming') {
+        this._violation('start-duplicate', 'second START on the same connection (resume must use a new connection)');
+        return;
+      }
+      const start = parseStartPayload(payload);
+      if (!start.json) this._violation('start-not-json', start.errors.join('; '));
+      else if (start.errors.length) this._violation('start-invalid', start.errors.join('; '));
+      for (const w of start.warnings) this._violation('start-invalid', w, 'warning');
+      this.start = start;
+      this.expectedAudioBytes = frameBytes(start.format, FRAME_MS) * start.channels;
+      this.state = 'streaming';
+      if (this._h.onStart) this._h.onStart(start);
+      return;
+    }
+
+    if (type === FRAME_AUDIO) {
+      if (this.state === 'waiting-start') {
+        this._violation('audio-before-start', `AUDIO frame (len=${payload.length}) before START`);
+        return;
+      }
+      if (payload.length !== this.expectedAudioBytes) {
+        this._violation('audio-size', `AUDIO len=${payload.length}, expected ${this.expectedAudioBytes} (${this.start.format} x${this.start.channels}, ${FRAME_MS}ms)`);
+      }
+      if (this._h.onAudio) this._h.onAudio(payload);
+      return;
+    }
+
+    if (type === FRAME_END) {
+      if (payload.length) this._violation('end-payload', `END with ${payload.length} payload byte(s)`);
+      if (this.state === 'waiting-start') this._violation('end-before-start', 'END before START', 'warning');
+      this.state = 'ended';
+      if (this._h.onEnd) this._h.onEnd();
+      return;
+    }
+
+    // ERROR es MTI -> gw: del gateway no debería llegar
+    this._violation('unknown-type', `unexpected frame type ${frameTypeName(type)} (len=${payload.length})${type === FRAME_ERROR ? ' from gateway' : ''}`);
+  }
+
+  // fin de la conexión: frame a medias / sin END
+  close() {
+    if (this._buf.length) {
+      const len = this._buf.length >= HEADER_SIZE ? this._buf.readUInt16BE(1) : null;
+      this._violation('len-mismatch', len === null
+        ? `${this._buf.length} trailing byte(s), incomplete header`
+        : `${frameTypeName(this._buf[0])} frame LEN=${len} but only ${this._buf.length - HEADER_SIZE} byte(s) arrived`);
+      this._buf = Buffer.alloc(0);
+    }
+    if (this.state === 'streaming') this._violation('no-end', 'connection closed without END', 'warning');
+  }
+}
+
+module.exports = { ProtocolValidator, parseStartPayload };
@@ -0,0 +1,93 @@
+// server/mti/wav.js
+// Cabecera WAV (RIFF) para los formatos de mti-gw, sin dependencias.
+//   slin8 / slin16 / slin48  PCM 16-bit little-endian (WAVE_FORMAT_PCM, cabecera de 44 bytes)
+//   ulaw / alaw              G.711 8-bit (WAVE_FORMAT_MULAW / ALAW, fmt de 18 bytes + chunk fact)
+// Los tamaños se conocen al cerrar: la grabación reescribe la cabecera entonces, y quien sirve
+// un fichero aún abierto genera una nueva con el tamaño actual (headerBytes no cambia).
+// parseWav lee lo mismo de vuelta (grabaciones, dumps de mti-debug-server, WAV de pruebas).
+
+'use strict';
+
+const { FORMATS } = require('./codecs');
+
+const WAVE_FORMAT = { pcm: 1, alaw: 6, ulaw: 7 };
+
+/**
+ * @param {{ format: string, channels?: number, dataBytes?: number }} opts
+ * @returns {Buffer}
+ */
+function wavHeader({ format, channels = 1, dataBytes = 0 }) {
+  const f = FORMATS[format];
+  if (!f) throw new Error(`Unsupported WAV format: ${format}`);
+
+  const tag = f.pcm ? WAVE_FORMAT.pcm : WAVE_FORMAT[f.name];
+  const blockAlign = f.sampleBytes * channels;
+  const fmtBytes = f.pcm ? 16 : 18;          // no-PCM: cbSize = 0
+  const factBytes = f.pcm ? 0 : 12;          // no-PCM: 'fact' con el nº de muestras
+  const size = 12 + 8 + fmtBytes + factBytes + 8;
+
+  const h = Buffer.alloc(size);
+  let o = 0;
+  h.write('RIFF', o); o += 4;
+  h.writeUInt32LE(Math.min(0xffffffff, size - 8 + dataBytes), o); o += 4;
+  h.write('WAVE', o); o += 4;
+
+  h.write('fmt ', o); o += 4;
+  h.writeUInt32LE(fmtBytes, o); o += 4;
+  h.writeUInt16LE(tag, o); o += 2;
+  h.writeUInt16LE(channels, o); o += 2;
+  h.writeUInt32LE(f.rate, o); o += 4;
+  h.writeUInt32LE(f.rate * blockAlign, o); o += 4;
+  h.writeUInt16LE(blockAlign, o); o += 2;
+  h.writeUInt16LE(f.sampleBytes * 8, o); o += 2;
+  if (!f.pcm) {
+    h.writeUInt16LE(0, o); o += 2;
+    h.write('fact', o); o += 4;
+    h.writeUInt32LE(4, o); o += 4;
+    h.writeUInt32LE(Math.floor(dataBytes / blockAlign), o); o += 4;
+  }
+
+  h.write('data', o); o += 4;
+  h.writeUInt32LE(Math.min(0xffffffff, dataBytes), o);
+  return h;
+}
+
+/**
+ * WAV -> formato de mti-gw + datos. Solo lo que wavHeader sabe escribir (PCM 16-bit a 8/16/48 kHz,
+ * G.711 a 8 kHz); el resto lanza Error.
+ * @param {Buffer} buf
+ * @returns {{ format: string, channels: number, data: Buffer }}
+ */
+function parseWav(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('not a RIFF/WAVE file');
+  }
+  let fmt = null;
+  let data = null;
+  for (let o = 12; o + 8 <= buf.length;) {
+    const id = buf.toString('ascii', o, o + 4);
+    const size = buf.readUInt32LE(o + 4);
+    const body = buf.subarray(o + 8, Math.min(buf.length, o + 8 + size));
+    if (id === 'fmt ' && body.length >= 16) {
+      fmt = { tag: body.readUInt16LE(0), channels: body.readUInt16LE(2), rate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+      // WAVE_FORMAT_EXTENSIBLE: el formato real está en el subformato
+      if (fmt.tag === 0xfffe && body.length >= 26) fmt.tag = body.readUInt16LE(24);
+    } else if (id === 'data') {
+      data = body;   // tamaño 0 / truncado (grabación abierta): lo que haya
+      break;
+    }
+    o += 8 + size + (size & 1);
+  }
+  if (!fmt) throw new Error('missing fmt chunk');
+  if (!data) throw new Error('missing data chunk');
+
+  const format = Object.values(FORMATS).find((f) => f.rate === fmt.rate && f.sampleBytes * 8 === fmt.bits &&
+    (f.pcm ? fmt.tag === WAVE_FORMAT.pcm : fmt.tag === WAVE_FORMAT[f.name]));
+  if (!format) throw new Error(`unsupported WAV (tag=${fmt.tag} ${fmt.rate} Hz ${fmt.bits}-bit): use PCM 16-bit 8/16/48 kHz or G.711 8 kHz`);
+  if (fmt.channels !== 1 && fmt.channels !== 2) throw new Error(`unsupported WAV channels: ${fmt.channels}`);
+
+  const blockAlign = format.sampleBytes * fmt.channels;
+  return { format: format.name, channels: fmt.channels, data: data.subarray(0, data.length - (data.length % blockAlign)) };
+}
+
+module.exports = { wavHeader, parseWav };
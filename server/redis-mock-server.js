@@ -0,0 +1,112 @@
+// redis-mock-server.js
+// Servidor mínimo con protocolo Redis (RESP2) para probar STATE_BACKEND=redis sin Redis real.
+// Comandos: PING, AUTH, SELECT, HSET, HGET, HDEL, HGETALL, HLEN, DEL, KEYS, FLUSHALL, QUIT
+// Datos solo en memoria (por db).
+//
+// Uso:
+//   node server/redis-mock-server.js
+//   STATE_BACKEND=redis STATE_REDIS_URL=redis://127.0.0.1:6380 node server/mti-gw.js
+
+const net = require('net');
+const { parseResp } = require('./state/redis-store');
+
+const LISTEN_HOST = process.env.REDIS_MOCK_HOST || '0.0.0.0';
+const LISTEN_PORT = Number(process.env.REDIS_MOCK_PORT || 6380);
+const PASSWORD    = process.env.REDIS_MOCK_PASSWORD || '';
+
+// db -> key -> Map(field -> value)
+const dbs = new Map();
+const hashes = (db) => {
+  if (!dbs.has(db)) dbs.set(db, new Map());
+  return dbs.get(db);
+};
+
+const simple = (s) => `+${s}\r\n`;
+const error  = (s) => `-${s}\r\n`;
+const int    = (n) => `:${n}\r\n`;
+const bulk   = (s) => s === null || s === undefined ? '$-1\r\n' : `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+const array  = (items) => `*${items.length}\r\n${items.map(bulk).join('')}`;
+
+function exec(st, args) {
+  const cmd = String(args[0] || '').toUpperCase();
+
+  if (cmd === 'AUTH') {
+    if (!PASSWORD || args[args.length - 1] === PASSWORD) {
+      st.authed = true;
+      return simple('OK');
+    }
+    return error('WRONGPASS invalid password');
+  }
+  if (PASSWORD && !st.authed) return error('NOAUTH Authentication required.');
+
+  const db = hashes(st.db);
+  switch (cmd) {
+    case 'PING': return simple('PONG');
+    case 'QUIT': st.quit = true; return simple('OK');
+    case 'SELECT': st.db = Number(args[1] || 0); return simple('OK');
+    case 'HSET': {
+      if (args.length < 4 || args.length % 2) return error("ERR wrong number of arguments for 'hset' command");
+      if (!db.has(args[1])) db.set(args[1], new Map());
+      const h = db.get(args[1]);
+      let added = 0;
+      for (let i = 2; i < args.length; i += 2) {
+        if (!h.has(args[i])) added++;
+        h.set(args[i], args[i + 1]);
+      }
+      return int(added);
+    }
+    case 'HGET': return bulk((db.get(args[1]) || new Map()).get(args[2]) ?? null);
+    case 'HDEL': {
+      const h = db.get(args[1]);
+      let n = 0;
+      if (h) for (const f of args.slice(2)) if (h.delete(f)) n++;
+      if (h && !h.size) db.delete(args[1]);
+      return int(n);
+    }
+    case 'HGETALL': {
+      const h = db.get(args[1]) || new Map();
+      return array([...h.entries()].flat());
+    }
+    case 'HLEN': return int((db.get(args[1]) || new Map()).size);
+    case 'DEL': {
+      let n = 0;
+      for (const k of args.slice(1)) if (db.delete(k)) n++;
+      return int(n);
+    }
+    case 'KEYS': return array([...db.keys()]);
+    case 'FLUSHALL': dbs.clear(); return simple('OK');
+    default: return error(`ERR unknown command '${cmd}'`);
+  }
+}
+
+const server = net.createServer((socket) => {
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  const st = { db: 0, authed: false, quit: false };
+  let buf = Buffer.alloc(0);
+  console.log(`🔌 ${remote} connected`);
+
+  socket.on('data', (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    let pos = 0;
+    for (;;) {
+      let r;
+      try { r = parseResp(buf, pos); } catch (e) {
+        socket.end(error(`ERR Protocol error: ${e.message}`));
+        return;
+      }
+      if (!r) break;
+      pos = r[1];
+      const args = Array.isArray(r[0]) ? r[0] : String(r[0]).trim().split(/\s+/);
+      socket.write(exec(st, args));
+      if (st.quit) return socket.end();
+    }
+    buf = buf.subarray(pos);
+  });
+
+  socket.on('error', () => {});
+  socket.on('close', () => console.log(`❌ ${remote} closed`));
+});
+
+server.listen(LISTEN_PORT, LISTEN_HOST, () => {
+  console.log(`🧪 Redis mock listening on ${LISTEN_HOST}:${LISTEN_PORT}${PASSWORD ? ' (AUTH required)' : ''}`);
+});
@@ -0,0 +1,456 @@
+// rtp-load-gen.js
+// Generador de carga RTP: hace lo que tap-service + Asterisk harían por llamada, sin PBX.
+//   1. /register en mti-gw o en deepgram-gw (el gateway asigna el puerto RTP de cada pierna)
+//   2. RTP slin16 a ritmo real (20 ms / 640 bytes) desde un WAV (o un tono), un socket UDP por pierna
+//   3. /unregister
+// N llamadas concurrentes (arrancan escalonadas), con pérdida, reordenación y jitter opcionales.
+// Al final compara lo enviado con las métricas del gateway (delta de /metrics antes / después).
+//
+// Uso:
+//   node server/rtp-load-gen.js --wav test.wav --calls 20 --duration 60
+//   node server/rtp-load-gen.js --calls 5 --loss 2 --reorder 1 --jitter 40 --legs 2
+//   node server/rtp-load-gen.js --target deepgram --control http://127.0.0.1:8080 --wav test.wav
+//
+// Endianness: Asterisk manda slin big-endian (por eso SWAP_ENDIAN=1 en los despliegues);
+// --endian le para un gateway con SWAP_ENDIAN=0.
+
+const dgram = require('dgram');
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const { controlRequest } = require('./gateways/http-gateway');
+const { FORMATS, createTranscoder, frameBytes } = require('./mti/codecs');
+const { parseWav } = require('./mti/wav');
+
+const FRAME_MS = 20;
+const FRAME_BYTES = frameBytes('slin16', FRAME_MS);     // 640
+const SAMPLES_PER_FRAME = FRAME_BYTES / 2;
+const RTP_PT_SLIN16 = 118;                              // payload type dinámico de slin16 en Asterisk
+const TONE_HZ = 440;
+const DEFAULT_TONE_SEC = 10;
+
+const USAGE = `Usage: node server/rtp-load-gen.js [options]
+
+  --target mti|deepgram     gateway (default mti)
+  --control <url>           control URL (default http://127.0.0.1:9093, deepgram http://127.0.0.1:8080)
+  --rtp-host <host>         where RTP goes (default: host of --control)
+  --wav <file>              audio to replay (PCM 16-bit 8/16/48 kHz or G.711); default ${TONE_HZ} Hz tone
+  --calls <n>               concurrent synthetic calls (default 1)
+  --duration <sec>          per call; the WAV loops (default: WAV length, tone ${DEFAULT_TONE_SEC}s)
+  --ramp-ms <ms>            delay between call starts (default 100)
+  --legs 1|2                1 = mti mono / deepgram dir=in; 2 = mti stereo / deepgram in+out (default 1)
+  --loss <pct>              random packet loss (default 0)
+  --reorder <pct>           packets swapped with the next one (default 0)
+  --jitter <ms>             random extra delay 0..ms per packet (default 0)
+  --endian be|le            slin16 byte order on the wire (default be, like Asterisk)
+  --api-key <key>           mti-gw API key (default MTI_GW_API_KEY)
+  --hmac-secret <secret>    mti-gw HMAC secret (default MTI_GW_HMAC_SECRET)
+  --uuid-prefix <s>         call uuids <prefix>-<run>-<n> (default loadgen)
+  --json                    print the report as JSON
+  --help
+`;
+
+// métricas del gateway que se comparan antes / después (suma de todas las series)
+const GATEWAY_METRICS = {
+  mti: [
+    'mti_sessions_created_total', 'mti_sessions_ended_total', 'mti_rtp_packets_total', 'mti_rtp_lost_total',
+    'mti_rtp_late_total', 'mti_rtp_reordered_total', 'mti_rtp_duplicates_total', 'mti_rtp_concealed_samples_total',
+    'mti_audio_frames_dropped_total', 'mti_tcp_errors_total', 'mti_tcp_reconnects_total', 'mti_inactivity_total',
+    'mti_port_pool_exhausted_total', 'mti_http_errors_total'
+  ],
+  deepgram: [
+    'dg_sessions_ended_total', 'dg_rtp_packets_total', 'dg_rtp_unmatched_total', 'dg_zero_frames_total',
+    'dg_ws_errors_total', 'dg_ws_reconnects_total', 'dg_transcripts_total', 'dg_port_pool_exhausted_total',
+    'dg_http_errors_total'
+  ]
+};
+
+function fail(msg) {
+  console.error(`[LOADGEN] ${msg}\n`);
+  console.error(USAGE);
+  process.exit(2);
+}
+
+function parseOptions(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        target: { type: 'string', default: 'mti' },
+        control: { type: 'string' },
+        'rtp-host': { type: 'string' },
+        wav: { type: 'string' },
+        calls: { type: 'string', default: '1' },
+        duration: { type: 'string' },
+        'ramp-ms': { type: 'string', default: '100' },
+        legs: { type: 'string', default: '1' },
+        loss: { type: 'string', default: '0' },
+        reorder: { type: 'string', default: '0' },
+        jitter: { type: 'string', default: '0' },
+        endian: { type: 'string', default: 'be' },
+        'api-key': { type: 'string', default: process.env.MTI_GW_API_KEY || '' },
+        'hmac-secret': { type: 'string', default: process.env.MTI_GW_HMAC_SECRET || '' },
+        'uuid-prefix': { type: 'string', default: 'loadgen' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (e) {
+    fail(e.message);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const errors = [];
+  const num = (key, { min = 0, max = Infinity, int = false } = {}) => {
+    const n = Number(values[key]);
+    if (!Number.isFinite(n) || n < min || n > max || (int && !Number.isInteger(n))) {
+      errors.push(`--${key} must be ${int ? 'an integer' : 'a number'} in ${min}..${max}`);
+    }
+    return n;
+  };
+
+  const target = values.target;
+  if (!['mti', 'deepgram'].includes(target)) errors.push('--target must be mti or deepgram');
+  const control = values.control || (target === 'deepgram' ? 'http://127.0.0.1:8080' : 'http://127.0.0.1:9093');
+  let controlHost = '';
+  try {
+    controlHost = new URL(control).hostname;
+  } catch {
+    errors.push(`--control is not a URL: ${control}`);
+  }
+  if (!['be', 'le'].includes(values.endian)) errors.push('--endian must be be or le');
+
+  const opts = {
+    target,
+    control,
+    rtpHost: values['rtp-host'] || controlHost,
+    wav: values.wav || '',
+    calls: num('calls', { min: 1, int: true }),
+    durationSec: values.duration !== undefined ? num('duration', { min: 0.02 }) : null,
+    rampMs: num('ramp-ms', { int: true }),
+    legs: num('legs', { min: 1, max: 2, int: true }),
+    loss: num('loss', { max: 100 }) / 100,
+    reorder: num('reorder', { max: 100 }) / 100,
+    jitterMs: num('jitter', { max: 5000 }),
+    bigEndian: values.endian === 'be',
+    auth: { apiKey: values['api-key'], hmacSecret: values['hmac-secret'] },
+    uuidPrefix: values['uuid-prefix'],
+    json: values.json
+  };
+  if (errors.length) fail(errors.join('\n[LOADGEN] '));
+  return opts;
+}
+
+// ---------- Audio ----------
+
+function channelOf(data, format, channels, ch) {
+  if (channels === 1) return data;
+  const sb = FORMATS[format].sampleBytes;
+  const out = Buffer.alloc(data.length / 2);
+  for (let i = 0, o = 0; i < data.length; i += 2 * sb, o += sb) data.copy(out, o, i + ch * sb, i + ch * sb + sb);
+  return out;
+}
+
+function toneSlin16(sec) {
+  const n = Math.round(sec * 16000);
+  const buf = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) buf.writeInt16LE(Math.round(8000 * Math.sin((2 * Math.PI * TONE_HZ * i) / 16000)), i * 2);
+  return buf;
+}
+
+// -> { in, out } slin16 little-endian (out = in si el WAV es mono)
+function loadAudio(opts) {
+  if (!opts.wav) {
+    const tone = toneSlin16(opts.durationSec || DEFAULT_TONE_SEC);
+    return { source: `${TONE_HZ} Hz tone`, in: tone, out: tone };
+  }
+  let wav;
+  try {
+    wav = parseWav(fs.readFileSync(opts.wav));
+  } catch (e) {
+    fail(`${opts.wav}: ${e.message}`);
+  }
+  const conv = (ch) => createTranscoder(wav.format, 'slin16').process(channelOf(wav.data, wav.format, wav.channels, ch));
+  const left = conv(0);
+  if (!left.length) fail(`${opts.wav}: no audio`);
+  return {
+    source: `${opts.wav} (${wav.format}, ${wav.channels} ch, ${(left.length / 32000).toFixed(1)}s)`,
+    in: left,
+    out: wav.channels === 2 ? conv(1) : left
+  };
+}
+
+// frame i del audio en bucle, en el orden de bytes del cable
+function frameAt(audio, i, bigEndian) {
+  const frames = Math.ceil(audio.length / FRAME_BYTES);
+  const off = (i % frames) * FRAME_BYTES;
+  const frame = Buffer.alloc(FRAME_BYTES);
+  audio.copy(frame, 0, off, Math.min(audio.length, off + FRAME_BYTES));
+  if (bigEndian) frame.swap16();
+  return frame;
+}
+
+function rtpPacket(leg, idx, payload) {
+  const h = Buffer.alloc(12);
+  h[0] = 0x80;
+  h[1] = RTP_PT_SLIN16 | (idx === 0 ? 0x80 : 0);
+  h.writeUInt16BE((leg.seq0 + idx) & 0xffff, 2);
+  h.writeUInt32BE((leg.ts0 + idx * SAMPLES_PER_FRAME) >>> 0, 4);
+  h.writeUInt32BE(leg.ssrc, 8);
+  return Buffer.concat([h, payload]);
+}
+
+// ---------- Métricas del gateway ----------
+
+// texto Prometheus -> { nombre: suma de todas sus series }
+function parseMetrics(text, names) {
+  const out = Object.fromEntries(names.map(n => [n, 0]));
+  for (const line of text.split('\n')) {
+    const m = /^([a-zA-Z_:][\w:]*)(\{[^}]*\})?\s+(\S+)/.exec(line);
+    if (m && m[1] in out) out[m[1]] += Number(m[3]) || 0;
+  }
+  return out;
+}
+
+async function scrapeMetrics(opts) {
+  try {
+    const r = await controlRequest(opts.control, '/metrics', {}, opts.auth);
+    if (r.status !== 200) return null;
+    return parseMetrics(r.body, GATEWAY_METRICS[opts.target]);
+  } catch {
+    return null;
+  }
+}
+
+// ---------- Llamadas ----------
+
+function legDirs(opts) {
+  return opts.legs === 2 ? ['in', 'out'] : [opts.target === 'mti' ? 'both' : 'in'];
+}
+
+async function registerCall(opts, call) {
+  const dirs = legDirs(opts);
+  for (const dir of dirs) {
+    const qs = opts.target === 'mti'
+      ? {
+          uuid: call.uuid, format: 'slin16',
+          agent_extension: String(9000 + call.n), agent_username: opts.uuidPrefix, agent_id: String(call.n),
+          ...(dir === 'both' ? {} : { layout: 'stereo', dir })
+        }
+      : { uuid: call.uuid, dir, format: 'slin16', exten: String(9000 + call.n), caller: `55500${call.n}`, callername: opts.uuidPrefix };
+    const r = await controlRequest(opts.control, '/register', qs, opts.auth);
+    if (r.status !== 200) throw new Error(`register${dir === 'both' ? '' : ` ${dir}`}: HTTP ${r.status} ${String(r.body).slice(0, 120)}`);
+    const { port } = JSON.parse(r.body);
+    call.legs.push({
+      dir,
+      port,
+      sock: dgram.createSocket('udp4'),
+      seq0: crypto.randomInt(0, 0x10000),
+      ts0: crypto.randomInt(0, 0x7fffffff),
+      ssrc: crypto.randomInt(1, 0x7fffffff),
+      sent: 0,
+      lost: 0,
+      reordered: 0,
+      held: null
+    });
+  }
+}
+
+async function unregisterCall(opts, call) {
+  const reqs = opts.target === 'mti'
+    ? call.legs.map(l => ({ port: l.port }))
+    : [{ uuid: call.uuid }];
+  for (const qs of reqs) {
+    try {
+      await controlRequest(opts.control, '/unregister', qs, opts.auth);
+    } catch (e) {
+      call.errors.push(`unregister: ${e.message}`);
+    }
+  }
+  for (const l of call.legs) l.sock.close();
+}
+
+function emit(opts, leg, pkt, stats) {
+  const send = () => leg.sock.send(pkt, leg.port, opts.rtpHost, (err) => { if (err) stats.sendErrors++; });
+  if (opts.jitterMs > 0) {
+    const delay = Math.random() * opts.jitterMs;
+    setTimeout(send, delay);
+  } else {
+    send();
+  }
+}
+
+// un frame de la pierna: pérdida / reordenación (se intercambia con el siguiente) / jitter
+function sendNext(opts, leg, audio, stats) {
+  const idx = leg.sent++;
+  const pkt = rtpPacket(leg, idx, frameAt(audio, idx, opts.bigEndian));
+  if (Math.random() < opts.loss) {
+    leg.lost++;
+    return;
+  }
+  if (!leg.held && opts.reorder > 0 && Math.random() < opts.reorder) {
+    leg.held = pkt;
+    return;
+  }
+  emit(opts, leg, pkt, stats);
+  if (leg.held) {
+    emit(opts, leg, leg.held, stats);
+    leg.held = null;
+    leg.reordered++;
+  }
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+async function main() {
+  const opts = parseOptions(process.argv.slice(2));
+  const audio = loadAudio(opts);
+  const framesPerCall = Math.max(1, Math.round(((opts.durationSec || audio.in.length / 32000) * 1000) / FRAME_MS));
+  const runId = Date.now().toString(36);
+  const log = (msg) => { if (!opts.json) console.log(`[LOADGEN] ${msg}`); };
+
+  log(`${opts.calls} call(s) x ${(framesPerCall * FRAME_MS / 1000).toFixed(1)}s -> ${opts.target} ${opts.control} (RTP to ${opts.rtpHost}) ` +
+    `legs=${opts.legs} source=${audio.source} endian=${opts.bigEndian ? 'be' : 'le'} ` +
+    `loss=${opts.loss * 100}% reorder=${opts.reorder * 100}% jitter=${opts.jitterMs}ms`);
+
+  const before = await scrapeMetrics(opts);
+  if (!before) log(`/metrics not reachable at ${opts.control}: gateway metrics will be missing`);
+
+  const stats = { sendErrors: 0, lateness: [], peakSessions: 0 };
+  const calls = [];
+  const active = new Set();
+  const startedMs = Date.now();
+
+  // Un solo reloj de 20 ms para todas las llamadas; se recupera del retraso (no acumula deriva)
+  const t0 = performance.now();
+  let tick = 0;
+  let clock = null;
+  function onTick() {
+    const late = performance.now() - (t0 + tick * FRAME_MS);
+    stats.lateness.push(Math.max(0, late));
+    for (const call of active) {
+      for (const leg of call.legs) sendNext(opts, leg, leg.dir === 'out' ? audio.out : audio.in, stats);
+      if (call.legs[0].sent >= framesPerCall) {
+        active.delete(call);
+        call.doneStreaming();
+      }
+    }
+    tick++;
+    clock = setTimeout(onTick, Math.max(0, t0 + tick * FRAME_MS - performance.now()));
+  }
+  clock = setTimeout(onTick, 0);
+
+  // mti-gw: sesiones vivas en el gateway (pico durante la prueba)
+  const statusTimer = opts.target === 'mti' ? setInterval(async () => {
+    try {
+      const r = await controlRequest(opts.control, '/status', {}, opts.auth);
+      if (r.status === 200) stats.peakSessions = Math.max(stats.peakSessions, JSON.parse(r.body).sessions);
+    } catch {}
+  }, 1000) : null;
+
+  async function runCall(n) {
+    const call = { n, uuid: `${opts.uuidPrefix}-${runId}-${n}`, legs: [], errors: [], ok: false, registerMs: 0 };
+    calls.push(call);
+    const t = Date.now();
+    try {
+      await registerCall(opts, call);
+    } catch (e) {
+      call.errors.push(e.message);
+      log(`call ${n} uuid=${call.uuid} failed: ${e.message}`);
+      // stereo con la segunda pierna rechazada: la primera ya existe en el gateway
+      if (call.legs.length) await unregisterCall(opts, call);
+      return;
+    }
+    call.registerMs = Date.now() - t;
+    log(`call ${n} uuid=${call.uuid} registered port(s)=${call.legs.map(l => l.port).join(',')} in ${call.registerMs}ms`);
+    await new Promise((resolve) => {
+      call.doneStreaming = resolve;
+      active.add(call);
+    });
+    // lo retenido por reordenación y los envíos con jitter salen antes del /unregister
+    for (const leg of call.legs) {
+      if (leg.held) emit(opts, leg, leg.held, stats);
+      leg.held = null;
+    }
+    await new Promise(r => setTimeout(r, opts.jitterMs + 200));
+    await unregisterCall(opts, call);
+    call.ok = !call.errors.length;
+    log(`call ${n} uuid=${call.uuid} done`);
+  }
+
+  const runs = [];
+  for (let n = 1; n <= opts.calls; n++) {
+    runs.push(runCall(n));
+    if (n < opts.calls && opts.rampMs) await new Promise(r => setTimeout(r, opts.rampMs));
+  }
+  await Promise.all(runs);
+  clearTimeout(clock);
+  if (statusTimer) clearInterval(statusTimer);
+
+  // el gateway actualiza contadores al cerrar sesiones
+  await new Promise(r => setTimeout(r, 500));
+  const after = await scrapeMetrics(opts);
+
+  const legsAll = calls.flatMap(c => c.legs);
+  const sent = legsAll.reduce((s, l) => s + l.sent - l.lost, 0);
+  const lateness = stats.lateness.slice().sort((a, b) => a - b);
+  const report = {
+    target: opts.target,
+    control: opts.control,
+    durationSec: Math.round((Date.now() - startedMs) / 100) / 10,
+    calls: {
+      requested: opts.calls,
+      ok: calls.filter(c => c.ok).length,
+      failed: calls.filter(c => !c.ok).length,
+      errors: calls.filter(c => c.errors.length).map(c => ({ uuid: c.uuid, errors: c.errors })),
+      registerMsMax: Math.max(0, ...calls.map(c => c.registerMs))
+    },
+    generator: {
+      packetsSent: sent,
+      packetsLost: legsAll.reduce((s, l) => s + l.lost, 0),
+      packetsReordered: legsAll.reduce((s, l) => s + l.reordered, 0),
+      sendErrors: stats.sendErrors,
+      // retraso del reloj de 20 ms respecto al ideal (CPU saturada = números altos)
+      tickLateMs: {
+        p50: Math.round(percentile(lateness, 50) * 10) / 10,
+        p99: Math.round(percentile(lateness, 99) * 10) / 10,
+        max: Math.round((lateness[lateness.length - 1] || 0) * 10) / 10
+      }
+    },
+    gateway: before && after
+      ? Object.fromEntries(Object.keys(after).map(k => [k, after[k] - before[k]]))
+      : null
+  };
+  if (opts.target === 'mti') report.gateway = report.gateway && { ...report.gateway, peakSessions: stats.peakSessions };
+
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const g = report.generator;
+    console.log(`\n[LOADGEN] Report (${report.durationSec}s)`);
+    console.log(`  calls:      ${report.calls.ok}/${report.calls.requested} ok, ${report.calls.failed} failed (max register ${report.calls.registerMsMax}ms)`);
+    for (const c of report.calls.errors) console.log(`    ${c.uuid}: ${c.errors.join('; ')}`);
+    console.log(`  sent:       ${g.packetsSent} packets (lost on purpose ${g.packetsLost}, reordered ${g.packetsReordered}, send errors ${g.sendErrors})`);
+    console.log(`  pacing:     tick late p50=${g.tickLateMs.p50}ms p99=${g.tickLateMs.p99}ms max=${g.tickLateMs.max}ms`);
+    if (report.gateway) {
+      console.log('  gateway (delta):');
+      for (const [k, v] of Object.entries(report.gateway)) console.log(`    ${k.padEnd(34)} ${v}`);
+    } else {
+      console.log('  gateway:    no metrics');
+    }
+  }
+  process.exitCode = report.calls.failed ? 1 : 0;
+}
+
+main().catch((e) => {
+  console.error(`[LOADGEN] ${e.stack || e.message}`);
+  process.exit(1);
+});
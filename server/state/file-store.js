@@ -0,0 +1,83 @@
+// server/state/file-store.js
+// Backend de estado en fichero JSON (uno por namespace: <dir>/<namespace>.json).
+// Mantiene el estado en memoria y vuelca un snapshot completo con escritura
+// atómica (tmp + rename), agrupando cambios seguidos (WRITE_DEBOUNCE_MS) en una sola escritura.
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const WRITE_DEBOUNCE_MS = 50;
+
+class FileStore {
+  constructor({ dir, namespace, onError }) {
+    this.backend = 'file';
+    this.file = path.join(dir, `${namespace}.json`);
+    this._dir = dir;
+    this._data = new Map();
+    this._timer = null;
+    this._onError = onError || (() => {});
+  }
+
+  async load() {
+    await fs.promises.mkdir(this._dir, { recursive: true });
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return new Map();
+      throw e;
+    }
+
+    try {
+      const obj = JSON.parse(raw);
+      this._data = new Map(Object.entries(obj && typeof obj === 'object' ? obj : {}));
+    } catch (e) {
+      // fichero corrupto: se aparta para no perderlo y se arranca vacío
+      const bad = `${this.file}.corrupt-${Date.now()}`;
+      await fs.promises.rename(this.file, bad).catch(() => {});
+      this._onError(new Error(`Corrupt state file moved to ${bad}: ${e.message}`), 'load');
+      this._data = new Map();
+    }
+    return new Map(this._data);
+  }
+
+  async set(key, value) {
+    this._data.set(String(key), value);
+    this._schedule();
+  }
+
+  async delete(key) {
+    if (this._data.delete(String(key))) this._schedule();
+  }
+
+  _schedule() {
+    if (this._timer) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._flush();
+    }, WRITE_DEBOUNCE_MS);
+  }
+
+  // Escritura síncrona: el snapshot es pequeño (decenas de sesiones) y así
+  // close() desde un handler de señal nunca compite con una escritura en vuelo
+  _flush() {
+    const tmp = `${this.file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this._data)));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      this._onError(e, 'write');
+    }
+  }
+
+  async close() {
+    if (!this._timer) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._flush();
+  }
+}
+
+module.exports = { FileStore };
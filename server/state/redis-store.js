@@ -0,0 +1,205 @@
+// server/state/redis-store.js
+// Backend de estado sobre protocolo Redis (RESP2), sin dependencias externas.
+// Todo el namespace vive en un HASH: <prefix>:<namespace>  (campo = clave, valor = JSON)
+//   load   -> HGETALL
+//   set    -> HSET
+//   delete -> HDEL
+// URL: redis://[:password@]host[:port][/db]
+// Si la conexión cae, los comandos se encolan y se reenvían al reconectar.
+
+'use strict';
+
+const net = require('net');
+
+const RECONNECT_MIN_MS = 250;
+const RECONNECT_MAX_MS = 5000;
+const MAX_PENDING = 10000;
+
+// Parser RESP2 incremental. Devuelve [valor, bytesConsumidos] o null si falta data.
+function parseResp(buf, offset = 0) {
+  if (offset >= buf.length) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const eol = buf.indexOf('\r\n', offset);
+  if (eol < 0) return null;
+  const line = buf.toString('utf8', offset + 1, eol);
+  const next = eol + 2;
+
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [Object.assign(new Error(line), { redis: true }), next];
+    case ':': return [Number(line), next];
+    case '$': {
+      const len = Number(line);
+      if (len < 0) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString('utf8', next, next + len), next + len + 2];
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return [null, next];
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const r = parseResp(buf, pos);
+        if (!r) return null;
+        items.push(r[0]);
+        pos = r[1];
+      }
+      return [items, pos];
+    }
+    default:
+      throw new Error(`Invalid RESP type byte: ${type}`);
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+class RedisStore {
+  constructor({ url, namespace, prefix = 'asr-gw', onError }) {
+    this.backend = 'redis';
+    const u = new URL(url || 'redis://127.0.0.1:6379');
+    this._host = u.hostname || '127.0.0.1';
+    this._port = Number(u.port || 6379);
+    this._password = u.password ? decodeURIComponent(u.password) : '';
+    this._db = Number((u.pathname || '/').slice(1) || 0);
+    this.key = `${prefix}:${namespace}`;
+    this._onError = onError || (() => {});
+
+    this._sock = null;
+    this._ready = false;
+    this._closed = false;
+    this._buf = Buffer.alloc(0);
+    this._inflight = [];   // { resolve, reject } en orden de envío
+    this._pending = [];    // { args, resolve, reject } esperando conexión
+    this._attempt = 0;
+    this._reconnectTimer = null;
+  }
+
+  _connect() {
+    const sock = net.createConnection({ host: this._host, port: this._port });
+    this._sock = sock;
+    this._buf = Buffer.alloc(0);
+
+    sock.on('connect', () => {
+      this._attempt = 0;
+      // AUTH / SELECT van primero, antes que lo encolado
+      const hello = [];
+      if (this._password) hello.push(['AUTH', this._password]);
+      if (this._db) hello.push(['SELECT', this._db]);
+      for (const args of hello) {
+        this._write(args, { resolve: () => {}, reject: (e) => this._onError(e, 'auth') });
+      }
+      this._ready = true;
+      const queued = this._pending;
+      this._pending = [];
+      for (const p of queued) this._write(p.args, p);
+    });
+
+    sock.on('data', (chunk) => {
+      this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+      let pos = 0;
+      for (;;) {
+        let r;
+        try {
+          r = parseResp(this._buf, pos);
+        } catch (e) {
+          this._onError(e, 'protocol');
+          sock.destroy();
+          return;
+        }
+        if (!r) break;
+        pos = r[1];
+        const waiter = this._inflight.shift();
+        if (!waiter) continue;
+        if (r[0] instanceof Error) waiter.reject(r[0]);
+        else waiter.resolve(r[0]);
+      }
+      this._buf = this._buf.subarray(pos);
+    });
+
+    sock.on('error', (err) => this._onError(err, 'connection'));
+
+    sock.on('close', () => {
+      this._ready = false;
+      // lo que estaba en vuelo puede no haberse aplicado: se reintenta
+      const lost = this._inflight;
+      this._inflight = [];
+      for (const w of lost) {
+        if (w.args) this._pending.push(w);
+        else w.reject(new Error('Redis connection closed'));
+      }
+      if (this._closed) return;
+      const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * Math.pow(2, this._attempt++));
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null;
+        this._connect();
+      }, delay);
+    });
+  }
+
+  _write(args, waiter) {
+    this._inflight.push(waiter);
+    this._sock.write(encodeCommand(args));
+  }
+
+  command(...args) {
+    if (this._closed) return Promise.reject(new Error('Redis store closed'));
+    return new Promise((resolve, reject) => {
+      const entry = { args, resolve, reject };
+      if (this._ready) return this._write(args, entry);
+      if (this._pending.length >= MAX_PENDING) {
+        return reject(new Error('Redis store offline: pending queue full'));
+      }
+      this._pending.push(entry);
+    });
+  }
+
+  async load() {
+    if (!this._sock) this._connect();
+    const flat = await this.command('HGETALL', this.key);
+    const out = new Map();
+    for (let i = 0; i + 1 < (flat || []).length; i += 2) {
+      try {
+        out.set(flat[i], JSON.parse(flat[i + 1]));
+      } catch (e) {
+        this._onError(new Error(`Invalid JSON for ${this.key}/${flat[i]}: ${e.message}`), 'load');
+      }
+    }
+    return out;
+  }
+
+  async set(key, value) {
+    if (!this._sock) this._connect();
+    try {
+      await this.command('HSET', this.key, String(key), JSON.stringify(value));
+    } catch (e) {
+      this._onError(e, 'write');
+    }
+  }
+
+  async delete(key) {
+    if (!this._sock) this._connect();
+    try {
+      await this.command('HDEL', this.key, String(key));
+    } catch (e) {
+      this._onError(e, 'write');
+    }
+  }
+
+  async close() {
+    this._closed = true;
+    if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+    if (this._sock) this._sock.end();
+    for (const p of this._pending) p.reject(new Error('Redis store closed'));
+    this._pending = [];
+  }
+}
+
+module.exports = { RedisStore, parseResp, encodeCommand };
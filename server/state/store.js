@@ -0,0 +1,76 @@
+// server/state/store.js
+// Almacén de estado persistente para tap-service y mti-gw (sobrevivir a reinicios).
+// Interfaz común (todas async):
+//   load()           -> Map(clave -> objeto)   estado guardado al arrancar
+//   set(clave, obj)  -> guarda / reemplaza
+//   delete(clave)
+//   close()          -> vuelca lo pendiente
+//
+// Backends (STATE_BACKEND):
+//   file  (por defecto) JSON en STATE_DIR/<namespace>.json
+//   redis               HASH en STATE_REDIS_URL (cualquier servidor con protocolo Redis)
+//   none                sin persistencia (comportamiento anterior)
+
+'use strict';
+
+const path = require('path');
+const { FileStore }  = require('./file-store');
+const { RedisStore } = require('./redis-store');
+
+const LOAD_TIMEOUT_MS = 5000;
+
+class NoopStore {
+  constructor() { this.backend = 'none'; }
+  async load() { return new Map(); }
+  async set() {}
+  async delete() {}
+  async close() {}
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.namespace               tap-service | mti-gw
+ * @param {string} [opts.backend]               file | redis | none   (env STATE_BACKEND)
+ * @param {string} [opts.dir]                   backend file          (env STATE_DIR)
+ * @param {string} [opts.url]                   backend redis         (env STATE_REDIS_URL)
+ * @param {(err: Error, op: string) => void} [opts.onError]
+ */
+function createStateStore(opts) {
+  const backend = String(opts.backend || process.env.STATE_BACKEND || 'file').trim().toLowerCase();
+  const onError = opts.onError;
+
+  let store;
+  if (backend === 'none') {
+    store = new NoopStore();
+  } else if (backend === 'redis') {
+    store = new RedisStore({
+      url: opts.url || process.env.STATE_REDIS_URL,
+      prefix: process.env.STATE_REDIS_PREFIX || 'asr-gw',
+      namespace: opts.namespace,
+      onError
+    });
+  } else {
+    if (backend !== 'file') {
+      console.warn(`[STATE] Unknown STATE_BACKEND="${backend}" -> fallback to file`);
+    }
+    store = new FileStore({
+      dir: opts.dir || process.env.STATE_DIR || path.join(process.cwd(), 'state'),
+      namespace: opts.namespace,
+      onError
+    });
+  }
+
+  // Un backend caído no debe bloquear el arranque del servicio
+  const load = store.load.bind(store);
+  store.load = () => new Promise((resolve, reject) => {
+    const t = setTimeout(() => reject(new Error(`state load timeout (${store.backend})`)), LOAD_TIMEOUT_MS);
+    load().then(
+      (v) => { clearTimeout(t); resolve(v); },
+      (e) => { clearTimeout(t); reject(e); }
+    );
+  });
+
+  return store;
+}
+
+module.exports = { createStateStore };
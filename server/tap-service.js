@@ -3,16 +3,41 @@
 // - MTI mantiene comportamiento EXACTO en audio:
 //     snoop spy=both, bridge mixing, EM dinámico con /register en mti-gw
 // - Deepgram:
-//     dual-snoop (in/out) + bridges por dir + EM fijo por dir a RTP_HOST_DEEPGRAM_IN/OUT
-//     signaling HTTP /register a deepgram-gw por cada stream (dir)
+//     dual-snoop (in/out) + bridges por dir + EM por dir a RTP_HOST_DEEPGRAM, al puerto que
+//     devuelve el /register a deepgram-gw de cada stream (dir)
 // - FIX: cleanup idempotente + destroy bridges deepgram por dir
-// - Retrocompat si gw viene en lista (mti,deepgram): usa el primero
+// - Gateways como plugins (server/gateways/): topología de snoop, puertos, register/unregister
+//      y appArgs los define cada gateway; TAP_GATEWAYS_FILE añade / modifica gateways
+// - Fan-out: gw=mti,deepgram -> una sub-sesión por gateway (snoops / bridges / EM propios,
+//      cleanup independiente: si un gateway falla los demás siguen)
 // - EXTENSIÓN MTI: /register hacia mti-gw incluye metadatos de agente
 //      (agent_extension, agent_username, agent_id) para el START frame JSON.
+// - MTI stereo (layout=stereo): dual-snoop (in/out) + bridge por dir + 2 EM dinámicos,
+//      cada uno con su puerto; mti-gw los intercala en frames stereo (L=in, R=out)
+// - Formato ExternalMedia por tap (/start_tap?format=ulaw|alaw|slin8|slin16|slin48),
+//      se informa al gateway en /register para que decodifique/remuestree
+// - ARI WS auto-reconnect: tras reconectar se re-sincroniza `sessions` contra
+//      ari.channels.list() (cleanup de taps huérfanos + re-attach si la llamada sigue viva)
+// - API REST JSON: GET /taps, GET /taps/:uuid, POST /taps (body JSON), DELETE /taps/:uuid
+// - Estado persistente (STATE_BACKEND=file|redis|none): al arrancar se reconstruyen
+//      sessions / chan2tap / puertos y se reconcilian contra ARI (mismo flujo que el resync)
+// - Reaper periódico (TAP_REAPER_INTERVAL_MS): destruye bridges / snoops / EM de TAP_APP_NAME
+//      que Asterisk mantiene vivos pero no pertenecen a ninguna sesión (p.ej. tras un crash)
+// - Configuración validada (TAP_CONFIG_FILE YAML/JSON sobre las env, incluidos los gateways)
+//      y recargable con SIGHUP o POST /admin/reload sin cortar los taps vivos
+// - Varias instancias por gateway (MTI_GW_INSTANCES / instances): cada tap elige una
+//      (least-sessions o hash), health-check periódico y failover si /register falla
+// - Control de admisión (server/admission): límites de taps global / por gateway / por clave
+//      (tenant, agent_extension...) -> 429 o cola opcional hasta que haya hueco
 
 const http   = require('http');
 const url    = require('url');
 const { connectAri } = require('./ari/ari-client');
+const { createStateStore } = require('./state/store');
+const { loadGateways } = require('./gateways');
+const { ServiceConfig } = require('./config');
+const { AdmissionControl, TapQueue, parseKeyLimits } = require('./admission');
+const { RequestAuth, authConfigSchema, validateAuthConfig } = require('./auth');
 const prom   = require('prom-client');
 
 // =======================================================
@@ -62,6 +87,41 @@ const cTapGatewayHttpErrors = new prom.Counter({
   labelNames: ['gw', 'op']
 });
 
+const gTapGatewayInstanceUp = new prom.Gauge({
+  name: 'tap_gateway_instance_up',
+  help: 'Gateway instance health as seen by tap-service (1 = up, 0 = down)',
+  labelNames: ['gw', 'instance']
+});
+
+const cTapGatewayFailovers = new prom.Counter({
+  name: 'tap_gateway_failovers_total',
+  help: 'Taps moved to another gateway instance after a failed /register',
+  labelNames: ['gw']
+});
+
+const cTapAdmissionRejected = new prom.Counter({
+  name: 'tap_admission_rejected_total',
+  help: 'Taps rejected by admission control (HTTP 429)',
+  labelNames: ['scope', 'gw']
+});
+
+const gTapAdmissionQueue = new prom.Gauge({
+  name: 'tap_admission_queue_size',
+  help: 'Taps waiting in the admission queue'
+});
+
+const cTapAdmissionDequeued = new prom.Counter({
+  name: 'tap_admission_dequeued_total',
+  help: 'Taps leaving the admission queue',
+  labelNames: ['result']
+});
+
+const cTapAuthDenied = new prom.Counter({
+  name: 'tap_auth_denied_total',
+  help: 'HTTP requests denied by authentication / IP allowlist',
+  labelNames: ['reason']
+});
+
 const cTapErrors = new prom.Counter({
   name: 'tap_errors_total',
   help: 'Unhandled errors in tap-service',
@@ -70,7 +130,7 @@ const cTapErrors = new prom.Counter({
 
 const gTapMtiPortsInUse = new prom.Gauge({
   name: 'tap_mti_ports_in_use',
-  help: 'MTI dynamic RTP ports currently allocated'
+  help: 'Dynamic RTP ports in use by taps (local pools + ports assigned by the gateway, MTI by default)'
 });
 
 // 🔢 métricas básicas adicionales para el dashboard unificado
@@ -90,36 +150,105 @@ const cTapCleanupTotal = new prom.Counter({
   labelNames: ['gw', 'reason']
 });
 
+const cTapAriReconnects = new prom.Counter({
+  name: 'tap_ari_ws_reconnects_total',
+  help: 'ARI events WebSocket reconnections'
+});
+
+const cTapResync = new prom.Counter({
+  name: 'tap_resync_sessions_total',
+  help: 'Sessions reconciled after ARI WS reconnect',
+  labelNames: ['gw', 'action']
+});
+
+const cTapStateErrors = new prom.Counter({
+  name: 'tap_state_store_errors_total',
+  help: 'State store errors',
+  labelNames: ['op']
+});
+
+const cTapRestored = new prom.Counter({
+  name: 'tap_sessions_restored_total',
+  help: 'Taps loaded from the state store at startup',
+  labelNames: ['gw', 'result']
+});
+
+const cTapConfigReloads = new prom.Counter({
+  name: 'tap_config_reloads_total',
+  help: 'Configuration reloads (SIGHUP / POST /admin/reload)',
+  labelNames: ['result'] // ok | error
+});
+
+const cTapOrphansReaped = new prom.Counter({
+  name: 'tap_orphans_reaped_total',
+  help: 'Untracked Asterisk objects destroyed by the orphan reaper',
+  labelNames: ['kind'] // bridge | snoop | externalmedia
+});
+
+const cTapReaperRuns = new prom.Counter({
+  name: 'tap_reaper_runs_total',
+  help: 'Orphan reaper passes',
+  labelNames: ['result'] // ok | error
+});
+
 // === ENV ===
+// Conexión ARI y nombre de la app: solo env (credenciales, requieren reinicio)
 const {
   ARI_URL,
   ARI_USER,
   ARI_PASS,
   ASTERISK_HTTP_PREFIX,
-
-  TAP_APP_NAME,
-  TAP_HTTP_PORT,
-
-  RTP_HOST_MTI,
-  RTP_HOST_DEEPGRAM_IN,
-  RTP_HOST_DEEPGRAM_OUT,
-
-  MTI_GW_HTTP_HOST,
-  MTI_GW_HTTP_PORT,
-
-  MTI_RTP_START,
-  MTI_RTP_END,
-
-  // opcional: para signaling Deepgram desde TAP
-  DEEPGRAM_GW_HTTP_HOST,
-  DEEPGRAM_GW_HTTP_PORT
+  TAP_APP_NAME
 } = process.env;
 
-if (!ARI_URL || !ARI_USER || !ARI_PASS || !TAP_APP_NAME || !TAP_HTTP_PORT) {
-  console.error('[TAP] ❌ Missing env (ARI_URL, ARI_USER, ARI_PASS, TAP_APP_NAME, TAP_HTTP_PORT)');
+if (!ARI_URL || !ARI_USER || !ARI_PASS || !TAP_APP_NAME) {
+  console.error('[TAP] ❌ Missing env (ARI_URL, ARI_USER, ARI_PASS, TAP_APP_NAME)');
   process.exit(1);
 }
 
+// === Formatos ExternalMedia soportados ===
+const EM_FORMATS = ['ulaw', 'alaw', 'slin8', 'slin16', 'slin48'];
+
+// === Campos del tap que pueden ser clave de límite (TAP_LIMIT_KEY) ===
+const LIMIT_KEYS = ['tenant', 'agent_extension', 'agent_id', 'agent_username', 'exten', 'caller'];
+
+// === CONFIG ===
+// defaults < env < TAP_CONFIG_FILE (YAML/JSON, server/config). Recargable con SIGHUP o
+// POST /admin/reload; las claves reload:false solo se aplican al reiniciar.
+// RTP_HOST_MTI, MTI_GW_HTTP_*, MTI_RTP_START/END, RTP_HOST_DEEPGRAM y
+// DEEPGRAM_GW_HTTP_* se leen en gateways/index.js (definición de los gateways integrados);
+// la sección "gateways" del fichero los modifica / añade otros.
+const CONFIG_SCHEMA = {
+  httpPort:         { env: 'TAP_HTTP_PORT', type: 'int', min: 1, max: 65535, required: true, reload: false },
+  // layout MTI por defecto si /start_tap no trae layout: mono | stereo
+  mtiLayout:        { env: 'MTI_LAYOUT', type: 'enum', values: ['mono', 'stereo'], default: 'mono' },
+  // formato ExternalMedia por defecto si /start_tap no trae format
+  format:           { env: 'TAP_FORMAT', type: 'enum', values: EM_FORMATS, aliases: { slin: 'slin8' }, default: 'slin16' },
+  // reaper de huérfanos: cada cuánto se revisa ARI (0 = desactivado) y
+  // cuánto tiempo debe seguir huérfano un objeto antes de destruirlo
+  reaperIntervalMs: { env: 'TAP_REAPER_INTERVAL_MS', type: 'int', min: 0, default: 60000 },
+  reaperGraceMs:    { env: 'TAP_REAPER_GRACE_MS', type: 'int', min: 0, default: 30000 },
+  // admisión (0 = sin límite): taps concurrentes en total y por clave (campo limitKey del tap;
+  // la sección "keyLimits" fija valores por clave). Los límites por gateway van en su definición.
+  maxTaps:          { env: 'TAP_MAX_TAPS', type: 'int', min: 0, default: 0 },
+  limitKey:         { env: 'TAP_LIMIT_KEY', type: 'enum', values: LIMIT_KEYS, default: 'tenant' },
+  maxTapsPerKey:    { env: 'TAP_MAX_TAPS_PER_KEY', type: 'int', min: 0, default: 0 },
+  // cola de admisión: taps en espera (0 = sin cola, se rechazan) y cuánto esperan como mucho
+  queueMax:         { env: 'TAP_QUEUE_MAX', type: 'int', min: 0, default: 0 },
+  queueTimeoutMs:   { env: 'TAP_QUEUE_TIMEOUT_MS', type: 'int', min: 1000, default: 30000 },
+  // autenticación de la API (server/auth): TAP_AUTH_MODE, TAP_API_KEYS, TAP_HMAC_SECRET,
+  // TAP_HMAC_MAX_SKEW_SEC, TAP_ALLOW_IPS
+  ...authConfigSchema('TAP')
+};
+
+const config = new ServiceConfig({
+  name: 'tap-service',
+  schema: CONFIG_SCHEMA,
+  file: process.env.TAP_CONFIG_FILE,
+  sections: ['gateways', 'keyLimits'],
+  validate: validateAuthConfig
+});
+
 
 // === Bloque de ARI_BASE_URL
 function stripSlashes(s) {
@@ -149,155 +278,300 @@ const ARI_BASE_URL = buildAriBaseUrl(ARI_URL, ASTERISK_HTTP_PREFIX);
 
 
 // === GW config ===
-const GATEWAYS = {
-  mti: {
-    name: 'mti',
-    rtpHost: RTP_HOST_MTI || null,
-    dynamicPort: true
+// nombre -> instancia de gateway (server/gateways). Cada sub-sesión guarda la instancia con la
+// que se creó (sess.gateway): tras un reload las sesiones vivas siguen haciendo unregister
+// contra el gateway en el que se registraron.
+let GATEWAYS;
+// gateway por defecto si /start_tap no trae gw (o no trae ninguno conocido)
+let DEFAULT_GW;
+// sección "keyLimits": clave -> máximo de taps (sobre maxTapsPerKey)
+let KEY_LIMITS;
+
+const GATEWAY_CTX = {
+  onHttpError: (gw, op) => cTapGatewayHttpErrors.inc({ gw, op }),
+  onPortsChange: () => gTapMtiPortsInUse.set(portsInUse()),
+  onInstanceState: (gw, instance, up) => {
+    if (up === null) gTapGatewayInstanceUp.remove({ gw, instance });
+    else gTapGatewayInstanceUp.set({ gw, instance }, up ? 1 : 0);
   },
-  deepgram: {
-    name: 'deepgram',
-    rtpHostIn:  RTP_HOST_DEEPGRAM_IN  || null,
-    rtpHostOut: RTP_HOST_DEEPGRAM_OUT || null,
-    dynamicPort: false
-  }
+  onFailover: (gw) => cTapGatewayFailovers.inc({ gw })
 };
 
-// === MTI HTTP control target ===
-const MTI_HTTP_HOST = MTI_GW_HTTP_HOST || 'mti-gw';
-const MTI_HTTP_PORT = Number(MTI_GW_HTTP_PORT || 9093);
+// Construye los gateways de una configuración. Las instancias cuya definición no cambia se
+// reutilizan; las nuevas reclaman los puertos de las sesiones vivas de su gateway.
+function buildGateways(section, current = null) {
+  const next = loadGateways({ overrides: section, ctx: GATEWAY_CTX });
+  if (!current) return next;
+
+  for (const [name, g] of next.entries()) {
+    const old = current.get(name);
+    if (old && JSON.stringify(old.def) === JSON.stringify(g.def)) {
+      next.set(name, old);
+      continue;
+    }
+    for (const { gw, sess } of listSessions()) if (gw === name) g.claimPorts(sess);
+  }
+  return next;
+}
 
-// === Deepgram HTTP signaling target ===
-const DG_HTTP_HOST = DEEPGRAM_GW_HTTP_HOST || 'deepgram-gw';
-const DG_HTTP_PORT = Number(DEEPGRAM_GW_HTTP_PORT || 8080);
+// Los gateways que salen de la configuración paran su health-check (sus sesiones vivas solo
+// los usan ya para unregister); los nuevos lo arrancan.
+function setGateways(next) {
+  const kept = new Set(next.values());
+  if (GATEWAYS) for (const g of GATEWAYS.values()) if (!kept.has(g)) g.stop();
+  GATEWAYS = next;
+  DEFAULT_GW = GATEWAYS.has('mti') ? 'mti' : [...GATEWAYS.keys()][0];
+  for (const g of GATEWAYS.values()) g.start();
+}
 
-// === MTI RTP dynamic range ===
-const RTP_START = Number(MTI_RTP_START || 41000);
-const RTP_END   = Number(MTI_RTP_END   || 41999);
-const usedPorts = new Set();
+// Puertos RTP dinámicos en uso: pools locales + los asignados por el gateway a EM vivos
+function portsInUse() {
+  if (!GATEWAYS) return 0;
+  let n = 0;
+  for (const g of GATEWAYS.values()) if (g.pool) n += g.pool.size;
+  for (const { sess } of listSessions()) {
+    if (!sess.gateway || !sess.gateway.gatewayAllocates || !sess.emMeta) continue;
+    for (const meta of sess.emMeta.values()) if (meta && meta.rtpPort) n++;
+  }
+  return n;
+}
+
+// Un error de configuración (settings o gateways) para el arranque con la lista completa
+try {
+  config.load();
+  setGateways(buildGateways(config.section('gateways')));
+  KEY_LIMITS = parseKeyLimits(config.section('keyLimits'));
+} catch (e) {
+  console.error(`[TAP] ❌ ${e.message}`);
+  process.exit(1);
+}
+
+// SIGHUP = reload (ver Main). Antes de terminar el arranque se ignora: por defecto mataría el proceso.
+let onSighup = () => console.warn('[TAP] SIGHUP before startup completed -> ignored');
+process.on('SIGHUP', () => onSighup());
 
 // === STATE ===
-// uuid -> session
-// MTI: { gw:'mti', bridge, snoopId, emIds[], emMeta(Map), ari, cleaned?,
-//        agent_extension, agent_username, agent_id }
-// Deepgram: { gw:'deepgram', bridges{in,out}, bridgePromises{in,out}, emIds[], emMeta(Map), ari,
+// uuid -> Map(gw -> session)   (fan-out: gw=mti,deepgram -> una sub-sesión por gateway,
+//                               cada una con sus snoops / bridges / EM y su propio cleanup)
+// (todas) format: formato ExternalMedia del tap
+// (todas) gateway: instancia del plugin con la que se creó (no cambia con un reload de config)
+// (todas) instance: controlUrl de la instancia del gateway elegida al abrir el primer EM
+// MTI: { gw:'mti', layout, bridge, bridges{in,out}, bridgePromises{in,out}, snoopId, snoopIds[],
+//        emIds[], emMeta(Map), ari, cleaned?, agent_extension, agent_username, agent_id }
+//   (mono usa bridge; stereo usa bridges por dir)
+// Deepgram: { gw:'deepgram', bridges{in,out}, bridgePromises{in,out}, snoopIds[], emIds[], emMeta(Map), ari,
 //             exten, caller, callername, cleaned? }
 const sessions = new Map();
 
-// uuid -> { agent_extension, agent_username, agent_id }
-// Solo usado para MTI: metadatos que queremos mandar al mti-gw en /register
-const mtiAgentByUuid = new Map();
+const getSession = (uuid, gw) => {
+  const subs = sessions.get(uuid);
+  return (subs && subs.get(gw)) || null;
+};
+const setSession = (uuid, gw, sess) => {
+  if (!sessions.has(uuid)) sessions.set(uuid, new Map());
+  sessions.get(uuid).set(gw, sess);
+};
+const deleteSession = (uuid, gw) => {
+  const subs = sessions.get(uuid);
+  if (!subs) return;
+  subs.delete(gw);
+  if (!subs.size) sessions.delete(uuid);
+};
+// [{ uuid, gw, sess }] de todas las sub-sesiones
+const listSessions = () => {
+  const out = [];
+  for (const [uuid, subs] of sessions.entries()) {
+    for (const [gw, sess] of subs.entries()) out.push({ uuid, gw, sess });
+  }
+  return out;
+};
+const sessionCount = () => {
+  let n = 0;
+  for (const subs of sessions.values()) n += subs.size;
+  return n;
+};
+
+// uuid -> parámetros originales de /start_tap
+// { chan, gw, gws[], exten, caller, callername, agent_extension, agent_username, agent_id, layout, format, startedMs }
+// (gw = primer gateway de gws, retrocompat)
+// Usado para crear las sub-sesiones (metadatos que cada gateway manda en /register)
+// y para re-attach tras reconexión del WS de ARI
+const tapRequests = new Map();
+
+// uuid -> Set(gw) con snoops pedidos pero aún sin StasisStart (sub-sesión no creada)
+const pendingGws = new Map();
+const clearPending = (uuid, gw) => {
+  const set = pendingGws.get(uuid);
+  if (!set) return;
+  set.delete(gw);
+  if (!set.size) pendingGws.delete(uuid);
+};
+
+const tapGws = (tapReq) => (tapReq && tapReq.gws && tapReq.gws.length) ? tapReq.gws : [tapReq && tapReq.gw || DEFAULT_GW];
 
-// map channelId -> uuid (para cleanup por eventos)
-const chan2uuid = new Map();
-const mapChan = (uuid, channelId) => {
-  if (uuid && channelId) chan2uuid.set(channelId, uuid);
+// map channelId -> { uuid, gw } (para cleanup por eventos)
+const chan2tap = new Map();
+const mapChan = (uuid, gw, channelId) => {
+  if (uuid && channelId) chan2tap.set(channelId, { uuid, gw });
 };
 const unmapChan = (channelId) => {
-  if (channelId) chan2uuid.delete(channelId);
+  if (channelId) chan2tap.delete(channelId);
+};
+const findTapByChannel = (channelId) => chan2tap.get(channelId);
+
+// snoops contados en gTapSnoopActive: cada canal se descuenta una sola vez, lo vea antes
+// el StasisEnd global, el cleanup o el resync (si no, el gauge deriva a negativo)
+const countedSnoops = new Set();
+const countSnoop = (channelId) => {
+  if (!channelId || countedSnoops.has(channelId)) return;
+  countedSnoops.add(channelId);
+  gTapSnoopActive.inc();
+};
+const uncountSnoop = (channelId) => {
+  if (countedSnoops.delete(channelId)) gTapSnoopActive.dec();
 };
-const findUuidByChannel = (channelId) => chan2uuid.get(channelId);
-
-// =======================
-// Helpers
-// =======================
 
-function normalizeGw(raw) {
-  if (!raw) return 'mti';
-  const s = String(raw).trim();
-  const first = s.split(',').map(x => x.trim()).filter(Boolean)[0] || 'mti';
-  const gw = first.toLowerCase();
-  if (!['mti', 'deepgram'].includes(gw)) {
-    console.warn(`[TAP] Unknown gw="${raw}" -> fallback to mti`);
-    return 'mti';
+// === PERSISTENCIA ===
+// uuid -> { tapReq, gateways{gw: session}, pending[] } (session = campos serializables de `sessions`)
+// (registros antiguos: { tapReq, session|null } con una sola sesión)
+const stateStore = createStateStore({
+  namespace: 'tap-service',
+  onError: (err, op) => {
+    console.warn(`[TAP] state store ${op} error: ${err.message}`);
+    cTapStateErrors.inc({ op });
   }
-  if (s.includes(',')) {
-    console.warn(`[TAP] gw list "${raw}" received. Using first="${gw}" (retrocompat).`);
+});
+
+// Olvida la petición cuando ya no queda ninguna sub-sesión ni snoop pendiente
+function forgetTapIfIdle(uuid) {
+  if (sessions.has(uuid) || pendingGws.has(uuid)) return false;
+  tapRequests.delete(uuid);
+  stateStore.delete(uuid);
+  onCapacityFreed();
+  return true;
+}
+
+// === ADMISIÓN ===
+// Taps admitidos con sus gateways aún vivos (snoop pendiente o sub-sesión sin cleanup)
+function* admittedTaps() {
+  for (const [uuid, tapReq] of tapRequests.entries()) {
+    const subs = sessions.get(uuid);
+    const pending = pendingGws.get(uuid);
+    const gws = tapGws(tapReq).filter(gw =>
+      (pending && pending.has(gw)) || (subs && subs.has(gw) && !subs.get(gw).cleaned)
+    );
+    if (gws.length) yield { tapReq, gws };
   }
-  return gw;
 }
 
-function parseHostOnly(hostport) {
-  if (!hostport) return null;
-  const s = String(hostport).trim();
-  const idx = s.lastIndexOf(':');
-  if (idx > -1 && s.slice(idx + 1).match(/^\d+$/)) {
-    return s.slice(0, idx);
+const admission = new AdmissionControl({
+  limits: () => ({
+    maxTaps: config.get('maxTaps'),
+    maxTapsPerKey: config.get('maxTapsPerKey'),
+    limitKey: config.get('limitKey'),
+    keyLimits: KEY_LIMITS,
+    gateways: new Map([...GATEWAYS.values()].map(g => [g.name, g.def.maxSessions || 0]))
+  }),
+  taps: admittedTaps
+});
+
+// uuid -> tap en espera de capacidad (solo en memoria: un restart la vacía)
+const tapQueue = new TapQueue({
+  onExpire: ({ tapReq, queuedMs }) => {
+    console.warn(`[TAP] queue: uuid=${tapReq.uuid} expired after ${Date.now() - queuedMs}ms without capacity`);
+    cTapAdmissionDequeued.inc({ result: 'expired' });
+  },
+  onChange: () => gTapAdmissionQueue.set(tapQueue.size)
+});
+
+// Se libera capacidad (tap / sub-sesión terminada, reload) -> vaciar la cola (ver Main)
+let onCapacityFreed = () => {};
+
+function snapshotSession(sess) {
+  return {
+    gw: sess.gw,
+    layout: sess.layout || null,
+    format: sess.format,
+    bridgeId: sess.bridge ? sess.bridge.id : null,
+    bridgeIds: {
+      in: sess.bridges && sess.bridges.in ? sess.bridges.in.id : null,
+      out: sess.bridges && sess.bridges.out ? sess.bridges.out.id : null
+    },
+    snoopIds: [...new Set([sess.snoopId, ...(sess.snoopIds || [])].filter(Boolean))],
+    emIds: sess.emIds || [],
+    emMeta: sess.emMeta ? [...sess.emMeta.entries()] : [],
+    instance: sess.instance || null,
+    exten: sess.exten || '',
+    caller: sess.caller || '',
+    callername: sess.callername || '',
+    agent_extension: sess.agent_extension || '',
+    agent_username: sess.agent_username || '',
+    agent_id: sess.agent_id || ''
+  };
+}
+
+function persistTap(uuid) {
+  const tapReq = tapRequests.get(uuid);
+  const subs = sessions.get(uuid);
+  if (!tapReq && !subs) return;
+
+  const gateways = {};
+  for (const [gw, sess] of (subs || new Map()).entries()) {
+    if (!sess.cleaned) gateways[gw] = snapshotSession(sess);
   }
-  return s;
+  const pending = [...(pendingGws.get(uuid) || [])];
+  if (subs && !Object.keys(gateways).length && !pending.length) return;
+
+  stateStore.set(uuid, { tapReq: tapReq || null, gateways, pending });
 }
 
-function allocPort() {
-  const maxTries = (RTP_END - RTP_START + 1);
-  for (let i = 0; i < maxTries; i++) {
-    const p = RTP_START + Math.floor(Math.random() * (RTP_END - RTP_START + 1));
-    if (!usedPorts.has(p)) {
-      usedPorts.add(p);
-      gTapMtiPortsInUse.set(usedPorts.size);
-      return p;
+// =======================
+// Helpers
+// =======================
+
+// gw=mti | deepgram | mti,deepgram (fan-out) -> lista sin duplicados de gateways configurados
+function normalizeGws(raw) {
+  const list = String(raw || '').split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+  const gws = [];
+  for (const gw of list) {
+    if (!GATEWAYS.has(gw)) {
+      console.warn(`[TAP] Unknown gw="${gw}" in "${raw}" -> ignored`);
+      continue;
     }
+    if (!gws.includes(gw)) gws.push(gw);
+  }
+  if (!gws.length) {
+    if (list.length) console.warn(`[TAP] No known gw in "${raw}" -> fallback to ${DEFAULT_GW}`);
+    return [DEFAULT_GW];
   }
-  return null;
+  return gws;
 }
 
-function freePort(p) {
-  if (!p) return;
-  usedPorts.delete(p);
-  gTapMtiPortsInUse.set(usedPorts.size);
+// gateway único (appArgs de StasisStart)
+function normalizeGw(raw) {
+  return normalizeGws(raw)[0];
 }
 
-function mtiHttp(pathname, qs) {
-  const q = new URLSearchParams(qs).toString();
-  const options = {
-    host: MTI_HTTP_HOST,
-    port: MTI_HTTP_PORT,
-    path: `${pathname}?${q}`,
-    method: 'GET',
-    timeout: 2000
-  };
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', c => data += c);
-      res.on('end', () => resolve({ status: res.statusCode, body: data }));
-    });
-    req.on('error', (err) => {
-      cTapGatewayHttpErrors.inc({ gw: 'mti', op: pathname });
-      reject(err);
-    });
-    req.on('timeout', () => {
-      cTapGatewayHttpErrors.inc({ gw: 'mti', op: pathname });
-      req.destroy(new Error('timeout'));
-    });
-    req.end();
-  });
+function normalizeLayout(raw) {
+  const l = String(raw || '').trim().toLowerCase();
+  if (!l) return 'mono';
+  if (l !== 'mono' && l !== 'stereo') {
+    console.warn(`[TAP] Unknown layout="${raw}" -> fallback to mono`);
+    return 'mono';
+  }
+  return l;
 }
 
-// signaling Deepgram (solo deepgram)
-function deepgramHttp(pathname, qs) {
-  const q = new URLSearchParams(qs).toString();
-  const options = {
-    host: DG_HTTP_HOST,
-    port: DG_HTTP_PORT,
-    path: `${pathname}?${q}`,
-    method: 'GET',
-    timeout: 2000
-  };
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      res.on('data', ()=>{});
-      res.on('end', () => resolve(res.statusCode));
-    });
-    req.on('error', (err) => {
-      cTapGatewayHttpErrors.inc({ gw: 'deepgram', op: pathname });
-      reject(err);
-    });
-    req.on('timeout', () => {
-      cTapGatewayHttpErrors.inc({ gw: 'deepgram', op: pathname });
-      req.destroy(new Error('timeout'));
-    });
-    req.end();
-  });
+function normalizeFormat(raw, fallback = config.get('format')) {
+  const f = String(raw || '').trim().toLowerCase();
+  if (!f) return fallback;
+  // Asterisk llama "slin" al PCM de 8 kHz
+  const name = f === 'slin' ? 'slin8' : f;
+  if (!EM_FORMATS.includes(name)) {
+    console.warn(`[TAP] Unknown format="${raw}" -> fallback to ${fallback}`);
+    return fallback;
+  }
+  return name;
 }
 
 async function resolveAriChannelIdByName(ari, channelName) {
@@ -330,6 +604,19 @@ async function snoopChannelCompat(ari, params) {
   }
 }
 
+// channels.get con el mismo fallback: el dialplan pasa chan=${CHANNEL(name)} y GET /channels/{id}
+// da 404 para un nombre. null si el canal no existe.
+async function getChannelCompat(ari, chan) {
+  try {
+    return await ari.channels.get({ channelId: chan });
+  } catch (e) {
+    const is404 = (e && (e.statusCode === 404 || String(e.message || '').includes('-> 404')));
+    if (!is404 || !String(chan).includes('/')) return null;
+  }
+  const resolvedId = await resolveAriChannelIdByName(ari, chan).catch(() => null);
+  return resolvedId ? await ari.channels.get({ channelId: resolvedId }).catch(() => null) : null;
+}
+
 // retry sobre addChannel para evitar "Channel not found" race
 async function addToBridgeWithRetry(bridge, channelId, tries = 12, delayMs = 80) {
   for (let i = 0; i < tries; i++) {
@@ -345,8 +632,11 @@ async function addToBridgeWithRetry(bridge, channelId, tries = 12, delayMs = 80)
   throw new Error(`Channel not found after retry channelId=${channelId}`);
 }
 
-// bridge por dirección para Deepgram (evita mezcla)
-async function getOrCreateBridgeDir(sess, ari, uuid, dir, tag='DG') {
+// Nombre de los bridges creados por el tap: permite al reaper reconocerlos como propios
+const tapBridgeName = (uuid, gw, dir) => `${TAP_APP_NAME}:${uuid}:${gw}:${dir}`;
+
+// bridge por dirección (snoops in/out, evita mezcla)
+async function getOrCreateBridgeDir(sess, ari, uuid, dir, tag) {
   if (!sess.bridges) sess.bridges = {};
   if (!sess.bridgePromises) sess.bridgePromises = {};
 
@@ -355,7 +645,7 @@ async function getOrCreateBridgeDir(sess, ari, uuid, dir, tag='DG') {
 
   sess.bridgePromises[dir] = (async () => {
     const bridge = ari.Bridge();
-    await bridge.create({ type: 'mixing' });
+    await bridge.create({ type: 'mixing', name: tapBridgeName(uuid, sess.gw, dir) });
     sess.bridges[dir] = bridge;
     console.log(`[TAP][${tag}] Bridge created id=${bridge.id} uuid=${uuid} dir=${dir}`);
     return bridge;
@@ -369,8 +659,17 @@ async function getOrCreateBridgeDir(sess, ari, uuid, dir, tag='DG') {
 // =======================
 // Cleanup (idempotente)
 // =======================
-const cleanupSession = async (uuid, why = 'cleanup') => {
-  const sess = sessions.get(uuid);
+// gw = null -> todas las sub-sesiones del uuid; gw = 'mti' | 'deepgram' -> solo esa
+// (un gateway que falla no tumba a los demás)
+const cleanupSession = async (uuid, why = 'cleanup', gw = null) => {
+  const subs = sessions.get(uuid);
+  if (!subs) return;
+  const gws = gw ? [gw] : [...subs.keys()];
+  for (const g of gws) await cleanupGateway(uuid, g, why);
+};
+
+const cleanupGateway = async (uuid, gw, why) => {
+  const sess = getSession(uuid, gw);
   if (!sess) return;
 
   if (sess.cleaned) return;
@@ -392,9 +691,9 @@ const cleanupSession = async (uuid, why = 'cleanup') => {
     reason: why || 'unknown'
   });
 
-  // EM metrics + MTI unregister dynamic ports
+  // EM metrics
   if (emMeta) {
-    for (const [emId, meta] of emMeta.entries()) {
+    for (const meta of emMeta.values()) {
       const gwName = meta?.gwName || sess.gw || 'unknown';
       const dir    = meta?.dir || 'both';
 
@@ -402,32 +701,23 @@ const cleanupSession = async (uuid, why = 'cleanup') => {
       cTapEmDestroyed.inc({ gw: gwName, dir, reason: why || 'cleanup' });
       gTapEmActive.dec({ gw: gwName, dir });
       gTapExternalMediaActive.dec();
-
-      if (meta?.gwName === 'mti' && meta?.rtpPort) {
-        try {
-          await mtiHttp('/unregister', { port: meta.rtpPort });
-          console.log(`[TAP][MTI] Unregistered port=${meta.rtpPort} uuid=${uuid}`);
-        } catch (e) {
-          console.warn(`[TAP][MTI] unregister failed port=${meta.rtpPort}: ${e.message}`);
-        } finally {
-          freePort(meta.rtpPort);
-        }
-      }
     }
   }
 
-  // Deepgram unregister por uuid
-  if (sess.gw === 'deepgram') {
-    try {
-      await deepgramHttp('/unregister', { uuid });
-      console.log(`[TAP][DG] unregister → deepgram-gw uuid=${uuid}`);
-    } catch (e) {
-      console.warn(`[TAP][DG] unregister failed uuid=${uuid}: ${e.message}`);
-    }
+  // unregister en el gateway (por puerto o por uuid según el plugin) + liberar puertos
+  const gateway = sess.gateway || GATEWAYS.get(sess.gw);
+  const metas = [...(emMeta ? emMeta.values() : [])];
+  if (gateway) {
+    await gateway.unregister(uuid, sess, metas);
+  } else {
+    console.warn(`[TAP] cleanup uuid=${uuid}: gateway ${sess.gw} no longer configured, skipping unregister`);
   }
+  // tras un reload el gateway vigente puede ser otra instancia que también reclamó los puertos
+  const current = GATEWAYS.get(sess.gw);
+  if (current && current !== gateway) for (const meta of metas) current.release(meta && meta.rtpPort);
 
-  // destruir bridges Deepgram por-dir
-  if (sess.gw === 'deepgram' && sess.bridges) {
+  // destruir bridges por-dir (Deepgram / MTI stereo)
+  if (sess.bridges) {
     for (const d of ['in', 'out']) {
       const b = sess.bridges[d];
       if (b) {
@@ -452,117 +742,417 @@ const cleanupSession = async (uuid, why = 'cleanup') => {
     } catch {}
   };
 
+  // desmapear ANTES de colgar: el StasisEnd de nuestros propios hangups ya no es de este tap
+  const snoopIds = new Set([snoopId, ...(sess.snoopIds || [])].filter(Boolean));
+  for (const id of snoopIds) {
+    unmapChan(id);
+    uncountSnoop(id);
+  }
+  if (Array.isArray(emIds)) for (const emId of emIds) unmapChan(emId);
+
   // cuelga snoops
-  await hangupIfAlive(snoopId, 'snoop');
+  for (const id of snoopIds) await hangupIfAlive(id, 'snoop');
 
   // cuelga EM
   if (Array.isArray(emIds)) {
     for (const emId of emIds) await hangupIfAlive(emId, 'externalMedia');
   }
 
-  if (snoopId) unmapChan(snoopId);
-  if (Array.isArray(emIds)) for (const emId of emIds) unmapChan(emId);
-
-  sessions.delete(uuid);
-  gTapSessionsActive.set(sessions.size);
+  deleteSession(uuid, gw);
+  gTapSessionsActive.set(sessionCount());
+  gTapMtiPortsInUse.set(portsInUse());
 
-  // Limpieza de metadatos MTI
-  mtiAgentByUuid.delete(uuid);
+  // última sub-sesión: fuera la petición y los metadatos MTI; si no, se guarda lo que queda
+  if (!forgetTapIfIdle(uuid)) {
+    persistTap(uuid);
+    // el tap sigue en otros gateways, pero este ya tiene hueco
+    onCapacityFreed();
+  }
 };
 
 // =======================
-// ExternalMedia factory (MTI / Deepgram)
+// Snoop launcher (/start_tap + re-attach)
 // =======================
-async function createExternalMediaForGw(ari, uuid, bridge, gwName, sess, dir = 'both') {
-  const gw = GATEWAYS[gwName];
-  if (!gw) {
-    console.warn(`[TAP] Unknown gateway gw=${gwName} uuid=${uuid}`);
-    return null;
+// gws: gateways a arrancar (por defecto todos los del tap). Cada gateway pide sus
+// propios snoops; si alguno falla se sigue con el resto y solo se lanza error si no arrancó ninguno.
+async function startSnoops(ari, tapReq, gws = tapGws(tapReq)) {
+  const { uuid } = tapReq;
+
+  tapRequests.set(uuid, tapReq);
+  if (!pendingGws.has(uuid)) pendingGws.set(uuid, new Set());
+  for (const gw of gws) pendingGws.get(uuid).add(gw);
+  persistTap(uuid);
+
+  const started = [];
+  let lastErr = null;
+  for (const gw of gws) {
+    try {
+      await startGatewaySnoops(ari, tapReq, gw);
+      started.push(gw);
+    } catch (e) {
+      lastErr = e;
+      clearPending(uuid, gw);
+      if (gws.length > 1) {
+        console.error(`[TAP] snoop failed uuid=${uuid} gw=${gw}: ${e.message} (other gateways continue)`);
+        cTapErrors.inc({ place: 'start_snoop', gw });
+      }
+    }
   }
+  persistTap(uuid);
 
-  // validar host según gateway
-  if (gwName === 'mti' && !gw.rtpHost) {
-    console.warn(`[TAP] Gateway mti without RTP host configured uuid=${uuid}`);
-    return null;
+  if (!started.length) throw lastErr;
+  return started;
+}
+
+// Topología según el gateway: un snoop spy=both (mono) o uno por dirección in/out (stereo)
+async function startGatewaySnoops(ari, tapReq, gw) {
+  const { chan, uuid } = tapReq;
+  const gateway = GATEWAYS.get(gw);
+  if (!gateway) throw new Error(`Gateway ${gw} not configured`);
+
+  for (const dir of gateway.snoopDirs(tapReq)) {
+    await snoopChannelCompat(ari, {
+      channelId: chan,
+      app: TAP_APP_NAME,
+      spy: dir,
+      appArgs: gateway.appArgs('snoop', uuid, tapReq, dir)
+    });
   }
-  if (gwName === 'deepgram' && (!gw.rtpHostIn || !gw.rtpHostOut)) {
-    console.warn(`[TAP] Gateway deepgram without RTP host IN/OUT configured uuid=${uuid}`);
+}
+
+// =======================
+// Re-sync tras reconexión ARI
+// =======================
+// Durante el corte del WS se pierden StasisEnd/ChannelHangupRequest: comparamos
+// cada sub-sesión (uuid + gw) contra los canales vivos en Asterisk.
+//  - todos sus canales (snoop/EM) siguen vivos -> se mantiene
+//  - falta alguno -> cleanup; si el canal original de la llamada sigue vivo -> re-attach
+// Devuelve la lista de canales ARI usada (null si no se pudo obtener)
+async function resyncSessions(ari) {
+  let chans;
+  try {
+    chans = await ari.channels.list();
+  } catch (e) {
+    console.error(`[TAP] resync: channels.list failed: ${e.message}`);
+    cTapErrors.inc({ place: 'resync', gw: 'unknown' });
     return null;
   }
 
-  // externalHost base
-  let externalHost = (gwName === 'mti') ? gw.rtpHost : gw.rtpHostIn;
-  let rtpPort = null;
+  const aliveIds = new Set(chans.map(c => c && c.id).filter(Boolean));
+  const aliveNames = new Set(chans.map(c => c && c.name).filter(Boolean));
+
+  // 'uuid|gw' -> [channelId] (snoops + EM registrados de cada sub-sesión)
+  const chansByTap = new Map();
+  for (const [channelId, { uuid, gw }] of chan2tap.entries()) {
+    const key = `${uuid}|${gw}`;
+    if (!chansByTap.has(key)) chansByTap.set(key, []);
+    chansByTap.get(key).push(channelId);
+  }
+
+  console.log(`[TAP] resync: sessions=${sessionCount()} ari_channels=${chans.length}`);
+
+  for (const { uuid, gw, sess } of listSessions()) {
+    const tracked = chansByTap.get(`${uuid}|${gw}`) || [];
+    const missing = tracked.filter(id => !aliveIds.has(id));
+
+    if (tracked.length && !missing.length) {
+      cTapResync.inc({ gw, action: 'kept' });
+      continue;
+    }
+
+    // snoops perdidos sin StasisEnd: corregimos el gauge
+    for (const id of missing) uncountSnoop(id);
 
-  // Deepgram por-dir (dual-port)
-  if (gwName === 'deepgram') {
-    if (dir === 'in') externalHost = gw.rtpHostIn;
-    else if (dir === 'out') externalHost = gw.rtpHostOut;
-    else externalHost = gw.rtpHostIn; // fallback
+    const tapReq = tapRequests.get(uuid);
+    console.log(`[TAP] resync: uuid=${uuid} gw=${gw} missing=${missing.join(',') || '(none tracked)'}`);
+    await cleanupSession(uuid, 'ari-resync', gw);
+
+    const callAlive = tapReq && (aliveIds.has(tapReq.chan) || aliveNames.has(tapReq.chan));
+    if (!callAlive) {
+      cTapResync.inc({ gw, action: 'cleaned' });
+      continue;
+    }
+
+    try {
+      await startSnoops(ari, tapReq, [gw]);
+      console.log(`[TAP] resync: re-attached uuid=${uuid} gw=${gw} chan=${tapReq.chan}`);
+      cTapResync.inc({ gw, action: 'reattached' });
+    } catch (e) {
+      console.error(`[TAP] resync: re-attach failed uuid=${uuid}: ${e.message}`);
+      cTapErrors.inc({ place: 'resync', gw });
+      cTapResync.inc({ gw, action: 'cleaned' });
+    }
   }
+  return chans;
+}
 
-  // MTI dynamic port + register
-  if (gw.dynamicPort) {
-    rtpPort = allocPort();
-    if (!rtpPort) throw new Error('No free MTI RTP ports in range');
+// =======================
+// Restore desde el state store (arranque)
+// =======================
 
-    const hostOnly = parseHostOnly(gw.rtpHost);
-    externalHost = `${hostOnly}:${rtpPort}`;
+// Reconstruye sessions / chan2tap / puertos de los gateways / métricas desde el estado guardado.
+// Devuelve [{ uuid, gws }] con los gateways que solo tenían petición (snoop pedido, sin StasisStart).
+async function restoreSessions(ari) {
+  let saved;
+  try {
+    saved = await stateStore.load();
+  } catch (e) {
+    console.error(`[TAP] state load failed (${stateStore.backend}): ${e.message} -> starting empty`);
+    cTapStateErrors.inc({ op: 'load' });
+    return [];
+  }
+  if (!saved.size) return [];
 
-    // Metadatos opcionales de agente (si no existen, enviamos "" según especificación MTI)
-    const agent_extension = (sess.agent_extension || '');
-    const agent_username  = (sess.agent_username || '');
-    const agent_id        = (sess.agent_id || '');
+  console.log(`[TAP] Restoring ${saved.size} tap(s) from ${stateStore.backend} store`);
+  const pendingOnly = [];
 
-    const reg = await mtiHttp('/register', {
-      uuid,
-      port: rtpPort,
-      agent_extension,
-      agent_username,
-      agent_id
-    });
-    if (reg.status !== 200) {
-      freePort(rtpPort);
-      throw new Error(`MTI register failed status=${reg.status} body=${reg.body}`);
+  for (const [uuid, rec] of saved.entries()) {
+    const tapReq = rec && rec.tapReq;
+    // registros antiguos: una sola sesión en rec.session
+    const gateways = (rec && rec.gateways) || (rec && rec.session ? { [rec.session.gw]: rec.session } : {});
+    const pending = (rec && rec.pending) || (rec && rec.session ? [] : tapGws(tapReq));
+
+    if (!tapReq && !Object.keys(gateways).length) {
+      stateStore.delete(uuid);
+      continue;
     }
 
-    console.log(
-      `[TAP][MTI] reserved port=${rtpPort} uuid=${uuid} ` +
-      `agent_extension=${agent_extension} agent_username=${agent_username} agent_id=${agent_id}`
-    );
+    if (tapReq) {
+      tapRequests.set(uuid, tapReq);
+      if (pending.length) {
+        pendingGws.set(uuid, new Set(pending));
+        pendingOnly.push({ uuid, gws: pending });
+      }
+    }
+
+    for (const [gw, snap] of Object.entries(gateways)) {
+      const sess = {
+        gw,
+        gateway: GATEWAYS.get(gw) || null,
+        layout: snap.layout || undefined,
+        format: snap.format || config.get('format'),
+        bridge: snap.bridgeId ? ari.Bridge(snap.bridgeId) : null,
+        bridges: (snap.bridgeIds && (snap.bridgeIds.in || snap.bridgeIds.out)) ? {
+          in: snap.bridgeIds.in ? ari.Bridge(snap.bridgeIds.in) : null,
+          out: snap.bridgeIds.out ? ari.Bridge(snap.bridgeIds.out) : null
+        } : null,
+        bridgePromises: null,
+        snoopId: null,
+        snoopIds: snap.snoopIds || [],
+        emIds: snap.emIds || [],
+        emMeta: new Map(snap.emMeta || []),
+        instance: snap.instance || undefined,
+        ari,
+        exten: snap.exten,
+        caller: snap.caller,
+        callername: snap.callername,
+        agent_extension: snap.agent_extension,
+        agent_username: snap.agent_username,
+        agent_id: snap.agent_id,
+        restored: true
+      };
+      setSession(uuid, gw, sess);
+
+      for (const id of sess.snoopIds) {
+        mapChan(uuid, gw, id);
+        countSnoop(id);
+      }
+      for (const id of sess.emIds) mapChan(uuid, gw, id);
+      if (sess.gateway) sess.gateway.claimPorts(sess);
+      for (const meta of sess.emMeta.values()) {
+        gTapEmActive.inc({ gw: meta.gwName || gw, dir: meta.dir || 'both' });
+        gTapExternalMediaActive.inc();
+      }
+
+      cTapRestored.inc({ gw, result: 'loaded' });
+    }
   }
 
-  // signaling Deepgram antes de crear EM
-  if (gwName === 'deepgram') {
+  gTapSessionsActive.set(sessionCount());
+  gTapMtiPortsInUse.set(portsInUse());
+  return pendingOnly;
+}
+
+// Tras restaurar: resync contra ARI (kept / cleaned / reattached), relanza los gateways
+// que no llegaron a StasisStart y re-registra en mti-gw los puertos de las sesiones vivas
+// (200 o 409 = mti-gw ya lo tenía).
+async function reconcileRestored(ari, pendingOnly) {
+  const chans = await resyncSessions(ari);
+  if (!chans) return false;
+
+  const aliveIds = new Set(chans.map(c => c && c.id).filter(Boolean));
+  const aliveNames = new Set(chans.map(c => c && c.name).filter(Boolean));
+
+  for (const { uuid, gws } of pendingOnly) {
+    const tapReq = tapRequests.get(uuid);
+    const todo = gws.filter(gw => !getSession(uuid, gw) && (pendingGws.get(uuid) || new Set()).has(gw));
+    if (!tapReq || !todo.length) continue;
+
+    const dropPending = () => {
+      for (const gw of todo) {
+        clearPending(uuid, gw);
+        cTapRestored.inc({ gw, result: 'dropped' });
+      }
+      if (!forgetTapIfIdle(uuid)) persistTap(uuid);
+    };
+
+    if (!aliveIds.has(tapReq.chan) && !aliveNames.has(tapReq.chan)) {
+      dropPending();
+      continue;
+    }
     try {
-      await deepgramHttp('/register', {
-        uuid,
-        exten: sess.exten || '',
-        caller: sess.caller || '',
-        callername: sess.callername || '',
-        dir
-      });
-      console.log(`[TAP][DG] register → deepgram-gw uuid=${uuid} dir=${dir} exten=${sess.exten || ''}`);
+      const started = await startSnoops(ari, tapReq, todo);
+      for (const gw of todo) {
+        cTapRestored.inc({ gw, result: started.includes(gw) ? 'reattached' : 'dropped' });
+      }
     } catch (e) {
-      console.warn(`[TAP][DG] register failed uuid=${uuid} dir=${dir}: ${e.message}`);
+      console.error(`[TAP] restore: start failed uuid=${uuid}: ${e.message}`);
+      dropPending();
     }
   }
 
-  console.log(`[TAP] ExternalMedia → gw=${gwName} host=${externalHost} uuid=${uuid} dir=${dir}`);
+  for (const { uuid, gw, sess } of listSessions()) {
+    if (!sess.restored || sess.cleaned) continue;
+    sess.restored = false;
+    cTapRestored.inc({ gw, result: 'kept' });
+    if (sess.gateway) await sess.gateway.reregister(uuid, sess);
+  }
+  return true;
+}
 
-  // appArgs
-  let emArgs;
-  if (gwName === 'mti') {
-    emArgs = `${uuid},em,mti`;
-  } else {
-    emArgs = `${uuid},em,deepgram,${sess.exten || ''},${sess.caller || ''},${sess.callername || ''},${dir}`;
+// =======================
+// Reaper de huérfanos
+// =======================
+// Si el proceso muere entre bridge.create y cleanupSession, los bridges mixing,
+// snoops y UnicastRTP quedan vivos en Asterisk para siempre. Cada reaperIntervalMs
+// se listan canales y bridges y se destruyen los de TAP_APP_NAME que no pertenecen
+// a ninguna sesión. Un objeto debe verse huérfano durante reaperGraceMs antes de
+// destruirlo: cubre el hueco entre crearlo en ARI y registrarlo en `sessions`.
+const orphanSince = new Map(); // 'kind:id' -> ms en que se vio huérfano por primera vez
+let reaperRunning = false;
+
+// Canal creado por este tap: snoop o EM dentro de Stasis(TAP_APP_NAME, ...)
+function isTapChannel(c) {
+  const name = String(c?.name || '');
+  if (!name.startsWith('Snoop/') && !name.startsWith('UnicastRTP/')) return false;
+  const dp = c.dialplan || {};
+  if (String(dp.app_name || '').toLowerCase() !== 'stasis') return false;
+  const app = String(dp.app_data || '').split(',')[0].trim();
+  return app === TAP_APP_NAME;
+}
+
+function trackedBridgeIds() {
+  const ids = new Set();
+  for (const { sess } of listSessions()) {
+    if (sess.bridge?.id) ids.add(sess.bridge.id);
+    for (const b of Object.values(sess.bridges || {})) if (b?.id) ids.add(b.id);
   }
+  return ids;
+}
+
+function trackedChannelIds() {
+  const ids = new Set(chan2tap.keys());
+  for (const { sess } of listSessions()) {
+    for (const id of [sess.snoopId, ...(sess.snoopIds || []), ...(sess.emIds || [])]) {
+      if (id) ids.add(id);
+    }
+  }
+  return ids;
+}
+
+// true si el objeto lleva huérfano al menos reaperGraceMs
+function orphanExpired(key, now, seen) {
+  seen.add(key);
+  if (!orphanSince.has(key)) orphanSince.set(key, now);
+  return now - orphanSince.get(key) >= config.get('reaperGraceMs');
+}
+
+async function reapOrphans(ari) {
+  if (reaperRunning) return;
+  reaperRunning = true;
+  try {
+    let chans, bridges;
+    try {
+      [chans, bridges] = await Promise.all([ari.channels.list(), ari.bridges.list()]);
+    } catch (e) {
+      console.warn(`[TAP] reaper: ARI list failed: ${e.message}`);
+      cTapReaperRuns.inc({ result: 'error' });
+      return;
+    }
+
+    const now = Date.now();
+    const seen = new Set();
+    const trackedChans = trackedChannelIds();
+    const trackedBridges = trackedBridgeIds();
+
+    const orphanChans = chans.filter(c => c && c.id && isTapChannel(c) && !trackedChans.has(c.id));
+    const orphanChanIds = new Set(orphanChans.map(c => c.id));
+
+    // bridges propios: por nombre, o sin nombre pero solo con canales huérfanos del tap
+    const bridgePrefix = `${TAP_APP_NAME}:`;
+    const orphanBridges = bridges.filter(b => {
+      if (!b || !b.id || trackedBridges.has(b.id)) return false;
+      const members = Array.isArray(b.channels) ? b.channels : [];
+      if (String(b.name || '').startsWith(bridgePrefix)) return true;
+      return members.length > 0 && members.every(id => orphanChanIds.has(id));
+    });
+
+    // mismo orden que cleanupSession: bridges primero, luego canales
+    for (const b of orphanBridges) {
+      if (!orphanExpired(`bridge:${b.id}`, now, seen)) continue;
+      try {
+        await ari.Bridge(b.id).destroy();
+        console.log(`[TAP] reaper: destroyed orphan bridge id=${b.id} name=${b.name || '-'}`);
+        cTapOrphansReaped.inc({ kind: 'bridge' });
+      } catch (e) {
+        if (e.statusCode !== 404) console.warn(`[TAP] reaper: bridge destroy failed id=${b.id}: ${e.message}`);
+      }
+    }
+
+    for (const c of orphanChans) {
+      const kind = String(c.name).startsWith('UnicastRTP/') ? 'externalmedia' : 'snoop';
+      if (!orphanExpired(`${kind}:${c.id}`, now, seen)) continue;
+      try {
+        await ari.channels.hangup({ channelId: c.id });
+        console.log(`[TAP] reaper: hung up orphan ${kind} id=${c.id} name=${c.name}`);
+        cTapOrphansReaped.inc({ kind });
+      } catch (e) {
+        if (e.statusCode !== 404) console.warn(`[TAP] reaper: hangup failed id=${c.id}: ${e.message}`);
+      }
+    }
+
+    // lo que ya no está huérfano (o ya no existe) deja de contar
+    for (const key of [...orphanSince.keys()]) {
+      if (!seen.has(key)) orphanSince.delete(key);
+    }
+    cTapReaperRuns.inc({ result: 'ok' });
+  } finally {
+    reaperRunning = false;
+  }
+}
+
+// =======================
+// ExternalMedia factory
+// =======================
+// Destino RTP, register y appArgs los decide el plugin del gateway
+async function createExternalMedia(ari, uuid, bridge, gateway, sess, dir = 'both') {
+  const problem = gateway.configError();
+  if (problem) {
+    console.warn(`[TAP] Gateway ${gateway.name} ${problem} uuid=${uuid}`);
+    return null;
+  }
+
+  // destino RTP + signaling al gateway antes de crear el EM (el puerto puede asignarlo el gateway)
+  const { host: externalHost, port: rtpPort } = await gateway.open(uuid, sess, dir);
+
+  const format = sess.format || config.get('format');
+  console.log(`[TAP] ExternalMedia → gw=${gateway.name} host=${externalHost} format=${format} uuid=${uuid} dir=${dir}`);
 
   const em = await ari.channels.externalMedia({
     app: TAP_APP_NAME,
-    appArgs: emArgs,
+    appArgs: gateway.appArgs('em', uuid, sess, dir),
     external_host: externalHost,
-    format: 'slin16',
+    format,
     transport: 'udp',
     encapsulation: 'rtp'
   });
@@ -570,118 +1160,272 @@ async function createExternalMediaForGw(ari, uuid, bridge, gwName, sess, dir = '
   await addToBridgeWithRetry(bridge, em.id);
 
   if (!sess.emMeta) sess.emMeta = new Map();
-  sess.emMeta.set(em.id, { gwName, rtpPort, dir });
+  sess.emMeta.set(em.id, { gwName: gateway.name, rtpPort, dir });
+  gTapMtiPortsInUse.set(portsInUse());
 
   // métricas EM
-  cTapEmCreated.inc({ gw: gwName, dir });
-  gTapEmActive.inc({ gw: gwName, dir });
+  cTapEmCreated.inc({ gw: gateway.name, dir });
+  gTapEmActive.inc({ gw: gateway.name, dir });
   gTapExternalMediaActive.inc();
 
-  console.log(`[TAP] EM added em.id=${em.id} gw=${gwName} uuid=${uuid}`);
+  console.log(`[TAP] EM added em.id=${em.id} gw=${gateway.name} uuid=${uuid}`);
   return em.id;
 }
 
 // =======================
-// GW-specific pipelines
+// Pipeline por snoop (común a todos los gateways)
 // =======================
-
-async function handleSnoopMTI({ ari, ch, uuid }) {
-  console.log(`[TAP][MTI] StasisStart snoop ch=${ch.id} uuid=${uuid}`);
-
-  mapChan(uuid, ch.id);
-
-  let sess = sessions.get(uuid);
+// dir=both -> bridge mixing de la sesión; dir=in|out -> bridge independiente por dir (sin mezcla)
+async function handleSnoop({ ari, ch, uuid, gw, exten, caller, callername, dir = 'both' }) {
+  // el segundo snoop (stereo) sigue con la instancia de la sesión aunque haya habido un reload
+  const existing = getSession(uuid, gw);
+  const gateway = existing ? existing.gateway : GATEWAYS.get(gw);
+  if (!gateway) throw new Error(`Gateway ${gw} not configured`);
+  const tag = gateway.tag;
+  console.log(`[TAP][${tag}] StasisStart snoop dir=${dir} ch=${ch.id} uuid=${uuid} exten=${exten}`);
+
+  mapChan(uuid, gw, ch.id);
+
+  let sess = existing;
   if (!sess) {
-    // Recuperamos metadatos opcionales para MTI (si los hubiera)
-    const meta = mtiAgentByUuid.get(uuid) || {};
+    // metadatos de la petición (agente, formato) para el /register del gateway
+    const req = tapRequests.get(uuid) || {};
     sess = {
-      gw: 'mti',
+      gw,
+      gateway,
+      layout: (dir === 'in' || dir === 'out') ? 'stereo' : 'mono',
+      format: req.format || config.get('format'),
       bridge: null,
-      snoopId: ch.id,
+      bridges: null,
+      bridgePromises: null,
+      snoopIds: [],
       emIds: [],
       emMeta: new Map(),
       ari,
-      agent_extension: meta.agent_extension || '',
-      agent_username: meta.agent_username || '',
-      agent_id: meta.agent_id || ''
+      exten: exten || req.exten || '',
+      caller: caller || req.caller || '',
+      callername: callername || req.callername || '',
+      agent_extension: req.agent_extension || '',
+      agent_username: req.agent_username || '',
+      agent_id: req.agent_id || ''
     };
-    sessions.set(uuid, sess);
-    cTapSessionsStarted.inc({ gw: 'mti' });
-    gTapSessionsActive.set(sessions.size);
+    setSession(uuid, gw, sess);
+    clearPending(uuid, gw);
+    cTapSessionsStarted.inc({ gw });
+    gTapSessionsActive.set(sessionCount());
+  } else {
+    sess.exten = exten || sess.exten;
+    sess.caller = caller || sess.caller;
+    sess.callername = callername || sess.callername;
   }
+  if (!sess.snoopIds.includes(ch.id)) sess.snoopIds.push(ch.id);
 
-  // Bridge mixing MTI
-  if (!sess.bridge) {
-    const bridge = ari.Bridge();
-    await bridge.create({ type: 'mixing' });
-    sess.bridge = bridge;
-    console.log(`[TAP][MTI] Bridge created id=${bridge.id} uuid=${uuid}`);
+  let bridge;
+  if (dir === 'in' || dir === 'out') {
+    bridge = await getOrCreateBridgeDir(sess, ari, uuid, dir, tag);
+  } else {
+    if (!sess.bridge) {
+      const b = ari.Bridge();
+      await b.create({ type: 'mixing', name: tapBridgeName(uuid, gw, 'both') });
+      sess.bridge = b;
+      console.log(`[TAP][${tag}] Bridge created id=${b.id} uuid=${uuid}`);
+    }
+    bridge = sess.bridge;
   }
 
-  const bridge = sess.bridge;
-
   await bridge.addChannel({ channel: ch.id });
-  console.log('[TAP][MTI] Snoop added to bridge');
+  console.log(`[TAP][${tag}] Snoop added to bridge dir=${dir} bridge=${bridge.id}`);
 
-  const emId = await createExternalMediaForGw(ari, uuid, bridge, 'mti', sess);
+  const emId = await createExternalMedia(ari, uuid, bridge, gateway, sess, dir);
   if (emId) {
     sess.emIds.push(emId);
-    mapChan(uuid, emId);
+    mapChan(uuid, gw, emId);
   }
 
   ch.on('StasisEnd', () => {
-    console.log(`[TAP][MTI] StasisEnd snoop ch=${ch.id} uuid=${uuid}`);
-    cleanupSession(uuid, 'mti-snoop-stasis-end');
+    console.log(`[TAP][${tag}] StasisEnd snoop ch=${ch.id} uuid=${uuid} dir=${dir}`);
+    cleanupSession(uuid, `${tag.toLowerCase()}-snoop-stasis-end`, gw);
   });
 
-  sessions.set(uuid, sess);
+  persistTap(uuid);
 }
 
-async function handleSnoopDeepgram({ ari, ch, uuid, exten, caller, callername, dir }) {
-  console.log(`[TAP][DG] StasisStart snoop dir=${dir} ch=${ch.id} uuid=${uuid} exten=${exten}`);
+// =======================
+// HTTP API helpers
+// =======================
 
-  mapChan(uuid, ch.id);
+// Parámetros de tap desde query-string (/start_tap) o body JSON (POST /taps)
+function parseTapParams(src) {
+  const str = (v) => (v === undefined || v === null) ? '' : String(v);
 
-  let sess = sessions.get(uuid);
-  if (!sess) {
-    sess = {
-      gw: 'deepgram',
-      bridges: null,
-      bridgePromises: null,
-      emIds: [],
-      emMeta: new Map(),
-      ari,
+  const chan = str(src.chan);
+  const uuid = str(src.uuid);
+  if (!chan || !uuid) return { error: 'Missing chan or uuid' };
+
+  const exten = str(src.exten);
+  // gw=mti,deepgram -> fan-out (un juego de snoops / bridges / EM por gateway)
+  const gws = normalizeGws(Array.isArray(src.gw) ? src.gw.join(',') : src.gw);
+
+  return {
+    tapReq: {
+      chan,
+      uuid,
+      gw: gws[0],
+      gws,
+      // Campos usados para Deepgram (widget) y/o MTI (metadatos de agente)
       exten,
-      caller,
-      callername
-    };
-    sessions.set(uuid, sess);
-    cTapSessionsStarted.inc({ gw: 'deepgram' });
-    gTapSessionsActive.set(sessions.size);
-  } else {
-    sess.exten = exten || sess.exten;
-    sess.caller = caller || sess.caller;
-    sess.callername = callername || sess.callername;
-  }
+      caller: str(src.caller),
+      callername: str(src.callername),
+      // Campos específicos MTI (opcionales, string opaco)
+      // Si no vienen, usamos fallback razonable:
+      //  - agent_extension: exten
+      //  - agent_username / agent_id: vacío
+      agent_extension: str(src.agent_extension) || exten,
+      agent_username: str(src.agent_username),
+      agent_id: str(src.agent_id),
+      // Cliente / tenant (opcional): clave de límite por defecto (TAP_LIMIT_KEY)
+      tenant: str(src.tenant),
+      // Layout MTI: mono (mezcla) | stereo (in/out separados)
+      layout: src.layout ? normalizeLayout(src.layout) : config.get('mtiLayout'),
+      // Formato ExternalMedia (RTP Asterisk -> gateway)
+      format: normalizeFormat(src.format),
+      startedMs: Date.now()
+    },
+    // queue=0 -> si no hay capacidad, 429 aunque la cola esté activa
+    queue: !['0', 'false', 'no'].includes(str(src.queue).trim().toLowerCase())
+  };
+}
 
-  // bridge independiente por cada dir
-  const bridge = await getOrCreateBridgeDir(sess, ari, uuid, dir, 'DG');
+// Estado de una sub-sesión (un gateway del tap) para la API
+function describeGateway(uuid, gw) {
+  const sess = getSession(uuid, gw);
+  const req = tapRequests.get(uuid) || {};
+  const s = sess || {};
 
-  await bridge.addChannel({ channel: ch.id });
-  console.log(`[TAP][DG] Snoop added to bridge dir=${dir} bridge=${bridge.id}`);
+  const externalMedia = [];
+  if (s.emMeta) {
+    for (const [id, meta] of s.emMeta.entries()) {
+      externalMedia.push({ id, gw: meta.gwName, dir: meta.dir, rtpPort: meta.rtpPort || null });
+    }
+  }
 
-  const emId = await createExternalMediaForGw(ari, uuid, bridge, 'deepgram', sess, dir);
-  if (emId) {
-    sess.emIds.push(emId);
-    mapChan(uuid, emId);
+  let state = 'stopped';
+  if (sess) state = s.cleaned ? 'stopping' : 'active';
+  else if ((pendingGws.get(uuid) || new Set()).has(gw)) state = 'starting';
+  else if (tapQueue.has(uuid)) state = 'queued';
+
+  return {
+    gw,
+    state,
+    layout: s.layout || (GATEWAYS.has(gw) ? GATEWAYS.get(gw).layoutFor(req) : null),
+    format: s.format || req.format,
+    instance: s.instance || null,
+    bridges: {
+      mixed: s.bridge ? s.bridge.id : null,
+      in: s.bridges && s.bridges.in ? s.bridges.in.id : null,
+      out: s.bridges && s.bridges.out ? s.bridges.out.id : null
+    },
+    snoopIds: [...new Set([s.snoopId, ...(s.snoopIds || [])].filter(Boolean))],
+    externalMedia,
+    ports: externalMedia.map(e => e.rtpPort).filter(Boolean)
+  };
+}
+
+// Estado de un tap para la API: sub-sesiones ARI por gateway (si ya hubo StasisStart) + petición original.
+// Los campos de primer nivel agregan todos los gateways (layout / bridges: los del primero).
+function describeTap(uuid) {
+  const subs = sessions.get(uuid);
+  const queued = tapQueue.get(uuid);
+  const req = tapRequests.get(uuid) || (queued && queued.tapReq);
+  if (!subs && !req) return null;
+
+  const r = req || {};
+  const gws = [...new Set([...(req ? tapGws(req) : []), ...(subs ? subs.keys() : [])])];
+  const gateways = gws.map(gw => describeGateway(uuid, gw));
+  const live = [...(subs ? subs.values() : [])];
+  const pick = (field) => (live.find(x => x[field]) || {})[field] || r[field] || '';
+
+  const states = gateways.map(g => g.state);
+  let state = 'stopped';
+  for (const st of ['active', 'starting', 'stopping', 'queued']) {
+    if (states.includes(st)) { state = st; break; }
   }
 
-  ch.on('StasisEnd', () => {
-    console.log(`[TAP][DG] StasisEnd snoop ch=${ch.id} uuid=${uuid} dir=${dir}`);
-    cleanupSession(uuid, 'dg-snoop-stasis-end');
-  });
+  const externalMedia = gateways.flatMap(g => g.externalMedia);
+
+  return {
+    uuid,
+    state,
+    gw: gws.join(','),
+    chan: r.chan || null,
+    layout: gateways[0] ? gateways[0].layout : null,
+    format: r.format || (live[0] || {}).format,
+    startedAt: r.startedMs ? new Date(r.startedMs).toISOString() : null,
+    ...(queued ? { queue: { position: tapQueue.position(uuid), queuedAt: new Date(queued.queuedMs).toISOString() } } : {}),
+    tenant: r.tenant || '',
+    exten: pick('exten'),
+    caller: pick('caller'),
+    callername: pick('callername'),
+    agent: {
+      extension: pick('agent_extension'),
+      username: pick('agent_username'),
+      id: pick('agent_id')
+    },
+    bridges: gateways[0] ? gateways[0].bridges : { mixed: null, in: null, out: null },
+    snoopIds: gateways.flatMap(g => g.snoopIds),
+    externalMedia,
+    ports: externalMedia.map(e => e.rtpPort).filter(Boolean),
+    gateways
+  };
+}
+
+function listTapUuids() {
+  return [...new Set([...tapRequests.keys(), ...sessions.keys(), ...tapQueue.entries().map(e => e.tapReq.uuid)])];
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
 
-  sessions.set(uuid, sess);
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Cuerpo crudo, leído una sola vez (la firma HMAC lo cubre y POST /taps lo parsea después)
+function readRawBody(req) {
+  if (!req.rawBodyPromise) {
+    req.rawBodyPromise = new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', (c) => {
+        size += c.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(Object.assign(new Error('Body too large'), { statusCode: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(c);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+  return req.rawBodyPromise;
+}
+
+async function readJsonBody(req) {
+  const raw = await readRawBody(req);
+  if (!raw.trim()) return {};
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400 });
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw Object.assign(new Error('JSON body must be an object'), { statusCode: 400 });
+  }
+  return body;
 }
 
 // =======================
@@ -706,7 +1450,7 @@ async function handleSnoopDeepgram({ ari, ch, uuid, exten, caller, callername, d
     const exten      = args[3] || '';
     const caller     = args[4] || '';
     const callername = args[5] || '';
-    const dir        = args[6] || 'both'; // in/out para deepgram
+    const dir        = args[6] || 'both'; // in/out en gateways con snoop por dirección
 
     // Ignorar ExternalMedia re-entries
     if (role === 'em' || String(ch.name || '').startsWith('UnicastRTP/')) {
@@ -715,155 +1459,398 @@ async function handleSnoopDeepgram({ ari, ch, uuid, exten, caller, callername, d
     }
 
     // métrica de snoop activo (uno por canal snoop)
-    gTapSnoopActive.inc();
+    countSnoop(ch.id);
 
     try {
-      if (gw === 'mti') {
-        await handleSnoopMTI({ ari, ch, uuid });
-      } else if (gw === 'deepgram') {
-        await handleSnoopDeepgram({ ari, ch, uuid, exten, caller, callername, dir });
-      } else {
-        await handleSnoopMTI({ ari, ch, uuid });
-      }
+      await handleSnoop({ ari, ch, uuid, gw, exten, caller, callername, dir });
     } catch (err) {
       console.error('[TAP] ❌ Error in GW flow:', err?.message || err);
       cTapErrors.inc({ place: 'stasis_start', gw });
-      await cleanupSession(uuid, 'exception');
+      // solo este gateway: el resto del fan-out sigue
+      clearPending(uuid, gw);
+      if (getSession(uuid, gw)) await cleanupSession(uuid, 'exception', gw);
+      else if (!forgetTapIfIdle(uuid)) persistTap(uuid);
     }
   });
 
   // Cleanup por eventos globales
   ari.on('ChannelHangupRequest', async (ev) => {
     const channelId = ev.channel?.id;
-    const uuid = findUuidByChannel(channelId);
-    if (uuid) {
-      console.log(`[TAP] ChannelHangupRequest channel=${channelId} uuid=${uuid}`);
-      await cleanupSession(uuid, 'hangup-request');
+    const tap = findTapByChannel(channelId);
+    if (tap) {
+      console.log(`[TAP] ChannelHangupRequest channel=${channelId} uuid=${tap.uuid} gw=${tap.gw}`);
+      await cleanupSession(tap.uuid, 'hangup-request', tap.gw);
     }
   });
 
   ari.on('StasisEnd', async (ev, ch) => {
     const channelId = ch?.id;
-    const uuid = findUuidByChannel(channelId);
-    if (uuid) {
-      const name = String(ch?.name || '');
-      const isEm = name.startsWith('UnicastRTP/');
-
-      // si el canal que termina es un snoop, decrementamos
-      if (!isEm) {
-        gTapSnoopActive.dec();
-      }
-      // (externalMedia ya se descuenta en cleanupSession vía emMeta)
-
-      console.log(`[TAP] StasisEnd (global) channel=${channelId} uuid=${uuid}`);
-      await cleanupSession(uuid, 'global-stasis-end');
+    // si el canal que termina es un snoop contado, decrementamos (aunque no llegase a tener sesión)
+    // (externalMedia ya se descuenta en cleanupSession vía emMeta)
+    uncountSnoop(channelId);
+
+    const tap = findTapByChannel(channelId);
+    if (tap) {
+      console.log(`[TAP] StasisEnd (global) channel=${channelId} uuid=${tap.uuid} gw=${tap.gw}`);
+      await cleanupSession(tap.uuid, 'global-stasis-end', tap.gw);
     }
   });
 
+  ari.on('_ws_close', () => {
+    console.warn('[TAP] ARI WS closed');
+  });
+
+  ari.on('_ws_reconnecting', ({ attempt, delayMs }) => {
+    console.warn(`[TAP] ARI WS reconnecting attempt=${attempt} in ${delayMs}ms`);
+  });
+
+  ari.on('_ws_reconnect', async ({ attempt }) => {
+    console.log(`[TAP] ARI WS reconnected after ${attempt} attempt(s) -> resync sessions`);
+    cTapAriReconnects.inc();
+    await resyncSessions(ari);
+  });
+
+  // Estado persistido del proceso anterior -> memoria ANTES de arrancar la app: un StasisStart
+  // que llegue durante la carga no debe ser pisado por ella (ni reconciliado contra estado viejo)
+  const pendingOnly = await restoreSessions(ari);
+
   ari.start(TAP_APP_NAME);
   console.log(`[TAP] Listening ARI app: ${TAP_APP_NAME}`);
 
-  // HTTP /start_tap + /metrics
-  const port = Number(TAP_HTTP_PORT);
-  const server = http.createServer(async (req, res) => {
+  // memoria -> reconciliación con ARI
+  if (sessions.size || pendingOnly.length) {
+    const ok = await reconcileRestored(ari, pendingOnly);
+    if (!ok) {
+      // ARI no disponible aún: se reconcilia en cuanto abra el WS
+      console.warn('[TAP] restore: ARI unreachable, reconciling when the events WS opens');
+      ari.once('_ws_open', () => reconcileRestored(ari, pendingOnly));
+    }
+  }
+
+  // (re)programa el reaper con el intervalo vigente
+  let reaperTimer = null;
+  function scheduleReaper() {
+    if (reaperTimer) clearInterval(reaperTimer);
+    reaperTimer = null;
+    const every = config.get('reaperIntervalMs');
+    if (every > 0) {
+      reaperTimer = setInterval(() => {
+        reapOrphans(ari).catch(e => console.error(`[TAP] reaper error: ${e.message}`));
+      }, every).unref();
+      console.log(`[TAP] Orphan reaper every ${every}ms (grace ${config.get('reaperGraceMs')}ms)`);
+    } else {
+      console.log('[TAP] Orphan reaper disabled');
+    }
+  }
+  scheduleReaper();
+
+  // Recarga de configuración. Los gateways se construyen antes de aplicar nada: si algo no
+  // valida se mantiene la configuración anterior entera. Los taps vivos no se tocan; los
+  // cambios de gateway aplican a los taps nuevos.
+  async function reloadConfig(trigger) {
+    let nextGateways = null;
+    let nextKeyLimits = null;
+    try {
+      const { changed, restartRequired } = await config.reload({
+        prepare: (next) => {
+          nextGateways = buildGateways(next.sections.gateways, GATEWAYS);
+          nextKeyLimits = parseKeyLimits(next.sections.keyLimits);
+        }
+      });
+
+      const gateways = {
+        added: [...nextGateways.keys()].filter(n => !GATEWAYS.has(n)),
+        removed: [...GATEWAYS.keys()].filter(n => !nextGateways.has(n)),
+        changed: [...nextGateways.keys()].filter(n => GATEWAYS.has(n) && GATEWAYS.get(n) !== nextGateways.get(n))
+      };
+      setGateways(nextGateways);
+      KEY_LIMITS = nextKeyLimits;
+      gTapMtiPortsInUse.set(portsInUse());
+      if (changed.includes('reaperIntervalMs')) scheduleReaper();
+      // límites más altos: la cola puede avanzar
+      onCapacityFreed();
+
+      cTapConfigReloads.inc({ result: 'ok' });
+      console.log(
+        `[TAP] Config reloaded (${trigger}) changed=${changed.join(',') || '(none)'} ` +
+        `gateways added=${gateways.added.join(',') || '-'} removed=${gateways.removed.join(',') || '-'} changed=${gateways.changed.join(',') || '-'}`
+      );
+      if (restartRequired.length) {
+        console.warn(`[TAP] Config: ${restartRequired.join(',')} changed but only apply on restart`);
+      }
+      return { ok: true, changed, restartRequired, gateways, defaultGw: DEFAULT_GW };
+    } catch (e) {
+      cTapConfigReloads.inc({ result: 'error' });
+      console.error(`[TAP] Config reload (${trigger}) rejected, keeping current config: ${e.message}`);
+      return { ok: false, error: e.message, errors: e.errors || [e.message] };
+    }
+  }
+  onSighup = () => reloadConfig('SIGHUP');
+
+  // HTTP /start_tap + /taps + /admin/reload + /metrics
+  const port = config.get('httpPort');
+
+  async function launchTap(tapReq, place) {
+    const { chan, uuid, gw, layout, format, exten, caller, agent_extension, agent_username, agent_id } = tapReq;
+    console.log(
+      `[TAP] ${place} chan=${chan} uuid=${uuid} gw=${tapGws(tapReq).join(',')} ` +
+      `layout=${layout} format=${format} exten=${exten} caller=${caller} agent_extension=${agent_extension} agent_username=${agent_username} agent_id=${agent_id}`
+    );
+
+    try {
+      await startSnoops(ari, tapReq);
+      return true;
+    } catch (err) {
+      console.error('[TAP] ❌ Error creating SnoopChannel:', err?.message || err);
+      cTapErrors.inc({ place: 'start_tap', gw });
+      // la petición no llegó a Asterisk: que no aparezca en /taps
+      forgetTapIfIdle(uuid);
+      return false;
+    }
+  }
+
+  const describeLimit = (limit) => {
+    const what = limit.scope === 'gateway' ? `gateway ${limit.gw}`
+      : limit.scope === 'key' ? `${config.get('limitKey')}=${limit.key}`
+      : 'global';
+    return `${what} limit ${limit.current}/${limit.limit}`;
+  };
+
+  // Admisión -> { result: 'started' | 'failed' | 'queued' | 'rejected', limit? }
+  async function admitTap(tapReq, place, { queue = true } = {}) {
+    const gws = tapGws(tapReq);
+    const limit = admission.check(tapReq, gws);
+    if (!limit) return { result: (await launchTap(tapReq, place)) ? 'started' : 'failed' };
+
+    const queueMax = config.get('queueMax');
+    if (queue && queueMax > 0 && tapQueue.size < queueMax) {
+      tapQueue.add(tapReq, gws, config.get('queueTimeoutMs'));
+      console.log(`[TAP] ${place} queued uuid=${tapReq.uuid} gw=${gws.join(',')} (${describeLimit(limit)}) position=${tapQueue.position(tapReq.uuid)}`);
+      return { result: 'queued', limit };
+    }
+
+    cTapAdmissionRejected.inc({ scope: limit.scope, gw: limit.gw || gws[0] });
+    console.warn(
+      `[TAP] ${place} rejected uuid=${tapReq.uuid} gw=${gws.join(',')}: ${describeLimit(limit)}` +
+      `${queue && queueMax > 0 ? ` (queue full ${tapQueue.size}/${queueMax})` : ''}`
+    );
+    return { result: 'rejected', limit };
+  }
+
+  // Cola de admisión: en orden de llegada, arranca los taps que ya caben (uno bloqueado por
+  // su clave no frena a los demás) si la llamada sigue viva en Asterisk.
+  let draining = false;
+  let drainAgain = false;
+  async function drainQueue() {
+    if (draining) {
+      drainAgain = true;
+      return;
+    }
+    draining = true;
+    try {
+      do {
+        drainAgain = false;
+        for (const entry of tapQueue.entries()) {
+          const { tapReq, gws } = entry;
+          if (tapQueue.get(tapReq.uuid) !== entry || admission.check(tapReq, gws)) continue;
+
+          const ch = await getChannelCompat(ari, tapReq.chan);
+          // cancelado / caducado mientras tanto
+          if (tapQueue.get(tapReq.uuid) !== entry) continue;
+          if (!ch) {
+            tapQueue.remove(tapReq.uuid);
+            console.log(`[TAP] queue: uuid=${tapReq.uuid} dropped, channel ${tapReq.chan} is gone`);
+            cTapAdmissionDequeued.inc({ result: 'call-gone' });
+            continue;
+          }
+          // otro tap pudo ocupar el hueco durante la consulta a ARI
+          if (admission.check(tapReq, gws)) continue;
+
+          tapQueue.remove(tapReq.uuid);
+          const waited = Date.now() - entry.queuedMs;
+          tapReq.startedMs = Date.now();
+          const ok = await launchTap(tapReq, `queue (waited ${waited}ms)`);
+          cTapAdmissionDequeued.inc({ result: ok ? 'started' : 'failed' });
+        }
+      } while (drainAgain);
+    } finally {
+      draining = false;
+    }
+  }
+  onCapacityFreed = () => {
+    if (tapQueue.size) drainQueue().catch(e => console.error(`[TAP] queue drain error: ${e.message}`));
+  };
+
+  // allowlist IP + API key / HMAC (la configuración vigente, recargable)
+  const auth = new RequestAuth({
+    settings: () => config.values,
+    onDenied: (reason) => cTapAuthDenied.inc({ reason })
+  });
+
+  async function handleHttp(req, res) {
     const parsed = url.parse(req.url, true);
+    const pathname = parsed.pathname;
+
+    // la firma HMAC cubre el cuerpo: en POST se lee antes de autenticar
+    let rawBody = '';
+    if (req.method === 'POST') {
+      try {
+        rawBody = await readRawBody(req);
+      } catch (e) {
+        return sendJson(res, e.statusCode || 400, { error: e.message });
+      }
+    }
+    const denied = auth.check(req, parsed, rawBody);
+    if (denied) {
+      console.warn(`[TAP] ${req.method} ${pathname} denied (${denied.reason}) from ${req.socket.remoteAddress}`);
+      return sendJson(res, denied.status, { error: denied.message });
+    }
 
     // Endpoint Prometheus
-    if (parsed.pathname === '/metrics') {
+    if (pathname === '/metrics') {
       res.statusCode = 200;
       res.setHeader('Content-Type', register.contentType);
       return res.end(await register.metrics());
     }
 
-    if (parsed.pathname !== '/start_tap') {
-      res.statusCode = 404; return res.end('Not found');
+    if (pathname === '/admin/reload') {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return sendJson(res, 405, { error: 'Method not allowed' });
+      }
+      const result = await reloadConfig('http');
+      return sendJson(res, result.ok ? 200 : 400, result);
     }
 
-    const chan = parsed.query.chan;
-    const uuid = parsed.query.uuid;
-    const gw   = normalizeGw(parsed.query.gw);
+    // Legacy: GET /start_tap?chan&uuid&gw...
+    // (429 LIMIT <scope> sin capacidad, 202 QUEUED si queda en la cola de admisión)
+    if (pathname === '/start_tap') {
+      const { tapReq, queue, error } = parseTapParams(parsed.query);
+      if (error) {
+        res.statusCode = 400; return res.end(error);
+      }
 
-    // Campos usados para Deepgram (widget) y/o MTI (metadatos de agente)
-    const exten      = parsed.query.exten || '';
-    const caller     = parsed.query.caller || '';
-    const callername = parsed.query.callername || '';
+      const { result, limit } = await admitTap(tapReq, '/start_tap', { queue });
+      if (result === 'rejected') {
+        res.statusCode = 429; return res.end(`LIMIT ${limit.scope}`);
+      }
+      if (result === 'queued') {
+        res.statusCode = 202; return res.end('QUEUED');
+      }
+      res.statusCode = result === 'started' ? 200 : 500;
+      return res.end(result === 'started' ? 'OK' : 'ERROR');
+    }
 
-    // Campos específicos MTI (opcionales, string opaco)
-    // Si no vienen, usamos fallback razonable:
-    //  - agent_extension: exten
-    //  - agent_username / agent_id: vacío
-    const agent_extension = parsed.query.agent_extension || exten || '';
-    const agent_username  = parsed.query.agent_username  || '';
-    const agent_id        = parsed.query.agent_id        || '';
+    if (pathname === '/taps' || pathname === '/taps/') {
+      if (req.method === 'GET') {
+        const taps = listTapUuids().map(describeTap).filter(Boolean);
+        return sendJson(res, 200, { count: taps.length, taps });
+      }
 
-    if (!chan || !uuid) {
-      res.statusCode = 400; return res.end('Missing chan or uuid');
-    }
+      if (req.method === 'POST') {
+        let body;
+        try {
+          body = await readJsonBody(req);
+        } catch (e) {
+          return sendJson(res, e.statusCode || 400, { error: e.message });
+        }
 
-    console.log(
-      `[TAP] /start_tap chan=${chan} uuid=${uuid} gw=${gw} ` +
-      `exten=${exten} caller=${caller} agent_extension=${agent_extension} agent_username=${agent_username} agent_id=${agent_id}`
-    );
+        const { tapReq, queue, error } = parseTapParams(body);
+        if (error) return sendJson(res, 400, { error });
+        if (describeTap(tapReq.uuid)) {
+          return sendJson(res, 409, { error: `Tap already exists uuid=${tapReq.uuid}` });
+        }
 
-    // Guardamos metadatos MTI para usarlos más tarde cuando creemos el EM y llamemos a mti-gw /register
-    if (gw === 'mti') {
-      mtiAgentByUuid.set(uuid, {
-        agent_extension,
-        agent_username,
-        agent_id
-      });
+        const { result, limit } = await admitTap(tapReq, 'POST /taps', { queue });
+        if (result === 'rejected') {
+          return sendJson(res, 429, { error: `Tap limit reached (${describeLimit(limit)})`, ...limit });
+        }
+        if (result === 'failed') return sendJson(res, 500, { error: 'Error creating SnoopChannel' });
+        return sendJson(res, result === 'queued' ? 202 : 201, describeTap(tapReq.uuid));
+      }
+
+      res.setHeader('Allow', 'GET, POST');
+      return sendJson(res, 405, { error: 'Method not allowed' });
     }
 
-  try {
-    if (gw === 'mti') {
-      await snoopChannelCompat(ari, {
-        channelId: chan,
-        app: TAP_APP_NAME,
-        spy: 'both',
-        appArgs: `${uuid},snoop,mti`
-      });
-    } else if (gw === 'deepgram') {
-      const baseArgs = `${uuid},snoop,deepgram,${exten},${caller},${callername}`;
-
-      await snoopChannelCompat(ari, {
-        channelId: chan,
-        app: TAP_APP_NAME,
-        spy: 'in',
-        appArgs: `${baseArgs},in`
-      });
+    const m = pathname.match(/^\/taps\/([^/]+)\/?$/);
+    if (m) {
+      let uuid;
+      try {
+        uuid = decodeURIComponent(m[1]);
+      } catch {
+        return sendJson(res, 400, { error: 'Invalid uuid' });
+      }
 
-      await snoopChannelCompat(ari, {
-        channelId: chan,
-        app: TAP_APP_NAME,
-        spy: 'out',
-        appArgs: `${baseArgs},out`
-      });
-    } else {
-      await snoopChannelCompat(ari, {
-        channelId: chan,
-        app: TAP_APP_NAME,
-        spy: 'both',
-        appArgs: `${uuid},snoop,mti`
-      });
+      if (req.method === 'GET') {
+        const tap = describeTap(uuid);
+        if (!tap) return sendJson(res, 404, { error: `Tap not found uuid=${uuid}` });
+        return sendJson(res, 200, tap);
+      }
+
+      if (req.method === 'DELETE') {
+        const tap = describeTap(uuid);
+        if (!tap) return sendJson(res, 404, { error: `Tap not found uuid=${uuid}` });
+
+        // en cola: se cancela entero (también con ?gw)
+        if (tapQueue.remove(uuid)) {
+          console.log(`[TAP] DELETE /taps/${uuid} (queued) -> removed from queue`);
+          cTapAdmissionDequeued.inc({ result: 'cancelled' });
+          const gateways = tap.gateways.map(g => ({ ...g, state: 'stopped' }));
+          return sendJson(res, 200, { ...tap, state: 'stopped', queue: undefined, gateways });
+        }
+
+        // ?gw=deepgram -> para solo ese gateway del fan-out
+        if (parsed.query.gw) {
+          const gw = String(parsed.query.gw).trim().toLowerCase();
+          const sub = tap.gateways.find(g => g.gw === gw && g.state !== 'stopped');
+          if (!sub) return sendJson(res, 404, { error: `Gateway ${gw} not active on tap uuid=${uuid}` });
+
+          console.log(`[TAP] DELETE /taps/${uuid}?gw=${gw} (state=${sub.state})`);
+          clearPending(uuid, gw);
+          if (getSession(uuid, gw)) await cleanupSession(uuid, 'manual', gw);
+          else if (!forgetTapIfIdle(uuid)) persistTap(uuid);
+          return sendJson(res, 200, describeTap(uuid) || { ...tap, state: 'stopped' });
+        }
+
+        console.log(`[TAP] DELETE /taps/${uuid} (state=${tap.state})`);
+        // snoops aún sin StasisStart: se olvida la petición
+        pendingGws.delete(uuid);
+        if (sessions.has(uuid)) await cleanupSession(uuid, 'manual');
+        else forgetTapIfIdle(uuid);
+        const gateways = tap.gateways.map(g => ({ ...g, state: 'stopped' }));
+        return sendJson(res, 200, { ...tap, state: 'stopped', gateways });
+      }
+
+      res.setHeader('Allow', 'GET, DELETE');
+      return sendJson(res, 405, { error: 'Method not allowed' });
     }
 
-    res.statusCode = 200;
-    res.end('OK');
-  } catch (err) {
-    console.error('[TAP] ❌ Error creating SnoopChannel:', err?.message || err);
-    cTapErrors.inc({ place: 'start_tap', gw });
-    res.statusCode = 500;
-    res.end('ERROR');
+    res.statusCode = 404;
+    res.end('Not found');
   }
 
+  // un error inesperado de un handler no debe tumbar el proceso (y con él todos los taps)
+  const server = http.createServer((req, res) => {
+    handleHttp(req, res).catch((e) => {
+      console.error(`[TAP] ${req.method} ${req.url} error: ${e.stack || e.message}`);
+      if (res.headersSent) return res.destroy();
+      sendJson(res, 500, { error: 'Internal error' });
+    });
   });
 
   server.listen(port, '0.0.0.0', () => {
-    console.log(`[TAP] HTTP listening on :${port} (/start_tap, /metrics)`);
-    console.log(`[TAP] MTI dynamic RTP range ${RTP_START}-${RTP_END}`);
-    console.log(`[TAP] MTI register target http://${MTI_HTTP_HOST}:${MTI_HTTP_PORT}`);
-    console.log(`[TAP] Deepgram RTP host IN  ${RTP_HOST_DEEPGRAM_IN  || '(not set)'}`);
-    console.log(`[TAP] Deepgram RTP host OUT ${RTP_HOST_DEEPGRAM_OUT || '(not set)'}`);
-    console.log(`[TAP] Deepgram register target http://${DG_HTTP_HOST}:${DG_HTTP_PORT}`);
+    console.log(`[TAP] HTTP listening on :${port} (/start_tap, /taps, /admin/reload, /metrics)`);
+    console.log(`[TAP] Config ${config.file || '(env only)'}`);
+    console.log(`[TAP] Auth mode=${config.get('authMode')} allowIps=${config.get('allowIps').join(',') || '(any)'}`);
+    console.log(`[TAP] Default ExternalMedia format ${config.get('format')}`);
+    console.log(`[TAP] Default gw=${DEFAULT_GW} layout=${config.get('mtiLayout')}`);
+    for (const g of GATEWAYS.values()) console.log(`[TAP] Gateway ${g.describe()}`);
+    console.log(
+      `[TAP] Admission maxTaps=${config.get('maxTaps') || 'unlimited'} ` +
+      `per ${config.get('limitKey')}=${config.get('maxTapsPerKey') || 'unlimited'} (${KEY_LIMITS.size} key override(s)) ` +
+      `gateways ${[...GATEWAYS.values()].map(g => `${g.name}=${g.def.maxSessions || 'unlimited'}`).join(' ')} ` +
+      `queue=${config.get('queueMax') ? `${config.get('queueMax')} x ${config.get('queueTimeoutMs')}ms` : 'off'}`
+    );
   });
 })();
@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AdmissionControl, TapQueue, parseKeyLimits } = require('../server/admission');
+
+function limits(over = {}) {
+  return { maxTaps: 0, maxTapsPerKey: 0, limitKey: 'tenant', keyLimits: new Map(), gateways: new Map(), ...over };
+}
+
+function tap(uuid, tenant, gws = ['mti']) {
+  return { tapReq: { uuid, tenant }, gws };
+}
+
+test('no limits admits everything', () => {
+  const ac = new AdmissionControl({ limits: () => limits(), taps: () => [tap('a', 'x'), tap('b', 'x')] });
+  assert.equal(ac.check({ uuid: 'c', tenant: 'x' }, ['mti']), null);
+});
+
+test('global limit counts every admitted tap', () => {
+  const taps = [tap('a', 'x'), tap('b', 'y', ['deepgram'])];
+  const ac = new AdmissionControl({ limits: () => limits({ maxTaps: 2 }), taps: () => taps });
+  assert.deepEqual(ac.check({ uuid: 'c' }, ['mti']), { scope: 'global', limit: 2, current: 2 });
+  taps.pop();
+  assert.equal(ac.check({ uuid: 'c' }, ['mti']), null);
+});
+
+test('gateway limit only counts taps still alive on that gateway', () => {
+  const taps = [tap('a', 'x', ['mti', 'deepgram']), tap('b', 'x', ['deepgram'])];
+  const ac = new AdmissionControl({
+    limits: () => limits({ gateways: new Map([['deepgram', 2], ['mti', 2]]) }),
+    taps: () => taps
+  });
+  assert.deepEqual(ac.check({ uuid: 'c' }, ['mti', 'deepgram']), { scope: 'gateway', gw: 'deepgram', limit: 2, current: 2 });
+  assert.equal(ac.check({ uuid: 'c' }, ['mti']), null);
+});
+
+test('per-key limit uses keyLimits overrides before the default', () => {
+  const taps = [tap('a', 'acme'), tap('b', 'acme'), tap('c', 'globex')];
+  const ac = new AdmissionControl({
+    limits: () => limits({ maxTapsPerKey: 2, keyLimits: new Map([['globex', 1], ['big', 0]]) }),
+    taps: () => taps
+  });
+  assert.deepEqual(ac.check({ uuid: 'd', tenant: 'acme' }, ['mti']), { scope: 'key', key: 'acme', limit: 2, current: 2 });
+  assert.deepEqual(ac.check({ uuid: 'd', tenant: 'globex' }, ['mti']), { scope: 'key', key: 'globex', limit: 1, current: 1 });
+  // override 0 = sin límite para esa clave; sin clave no aplica el límite por clave
+  assert.equal(ac.check({ uuid: 'd', tenant: 'big' }, ['mti']), null);
+  assert.equal(ac.check({ uuid: 'd' }, ['mti']), null);
+});
+
+test('limits are read on every check (reload applies to the next tap)', () => {
+  let current = limits({ maxTaps: 1 });
+  const ac = new AdmissionControl({ limits: () => current, taps: () => [tap('a', 'x')] });
+  assert.equal(ac.check({ uuid: 'b' }, ['mti']).scope, 'global');
+  current = limits({ maxTaps: 5 });
+  assert.equal(ac.check({ uuid: 'b' }, ['mti']), null);
+});
+
+test('parseKeyLimits validates the keyLimits section', () => {
+  assert.deepEqual([...parseKeyLimits({ acme: 20, globex: 0 })], [['acme', 20], ['globex', 0]]);
+  assert.equal(parseKeyLimits(undefined).size, 0);
+  assert.throws(() => parseKeyLimits([1]), /mapping/);
+  assert.throws(() => parseKeyLimits({ a: -1, b: 'x' }), (e) => /"a"/.test(e.message) && /"b"/.test(e.message));
+});
+
+test('TapQueue keeps FIFO positions and removes entries', () => {
+  const changes = [];
+  const q = new TapQueue({ onExpire: () => {}, onChange: () => changes.push(q.size) });
+  q.add({ uuid: 'a' }, ['mti'], 60000);
+  q.add({ uuid: 'b' }, ['mti'], 60000);
+  q.add({ uuid: 'c' }, ['mti'], 60000);
+  assert.deepEqual([q.position('a'), q.position('b'), q.position('c'), q.position('z')], [1, 2, 3, 0]);
+
+  assert.equal(q.remove('b').tapReq.uuid, 'b');
+  assert.equal(q.remove('b'), null);
+  assert.equal(q.position('c'), 2);
+  assert.deepEqual(q.entries().map(e => e.tapReq.uuid), ['a', 'c']);
+  assert.deepEqual(changes, [1, 2, 3, 2]);
+  q.remove('a');
+  q.remove('c');
+});
+
+test('TapQueue expires entries after their timeout', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const expired = [];
+  const q = new TapQueue({ onExpire: (e) => expired.push(e.tapReq.uuid) });
+  q.add({ uuid: 'a' }, ['mti'], 1000);
+  q.add({ uuid: 'b' }, ['mti'], 3000);
+
+  t.mock.timers.tick(999);
+  assert.deepEqual(expired, []);
+  t.mock.timers.tick(1);
+  assert.deepEqual(expired, ['a']);
+  assert.equal(q.has('a'), false);
+  assert.equal(q.position('b'), 1);
+
+  t.mock.timers.tick(2000);
+  assert.deepEqual(expired, ['a', 'b']);
+  assert.equal(q.size, 0);
+});
+
+test('TapQueue: a removed or re-queued entry does not expire with the old timer', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const expired = [];
+  const q = new TapQueue({ onExpire: (e) => expired.push(e.tapReq.uuid) });
+  q.add({ uuid: 'a' }, ['mti'], 1000);
+  q.remove('a');
+  q.add({ uuid: 'b' }, ['mti'], 1000);
+  t.mock.timers.tick(500);
+  q.add({ uuid: 'b' }, ['mti'], 1000);   // re-encolado: vale la nueva caducidad
+
+  t.mock.timers.tick(500);
+  assert.deepEqual(expired, []);
+  assert.equal(q.has('b'), true);
+  t.mock.timers.tick(500);
+  assert.deepEqual(expired, ['b']);
+});
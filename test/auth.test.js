@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestAuth, sign, signedQuery, validateAuthConfig } = require('../server/auth');
+
+const SECRET = 's3cret';
+
+function settings(over = {}) {
+  return { authMode: 'hmac', apiKeys: [], hmacSecret: SECRET, hmacMaxSkewSec: 60, allowIps: [], ...over };
+}
+
+function req({ method = 'GET', ip = '127.0.0.1', headers = {} } = {}) {
+  return { method, headers, socket: { remoteAddress: ip } };
+}
+
+// petición firmada como la manda tap-service (ts + nonce + sig en la query)
+function signed(pathname, query = {}, { method = 'GET', secret = SECRET } = {}) {
+  return { pathname, query: signedQuery(secret, method, pathname, query) };
+}
+
+test('a valid signature is accepted once and rejected when replayed', () => {
+  const denied = [];
+  const auth = new RequestAuth({ settings: () => settings(), onDenied: (r) => denied.push(r) });
+  const parsed = signed('/register', { uuid: 'u1' });
+
+  assert.equal(auth.check(req(), parsed), null);
+  const again = auth.check(req(), parsed);
+  assert.equal(again.status, 401);
+  assert.equal(again.reason, 'replay');
+  assert.deepEqual(denied, ['replay']);
+});
+
+test('the same request with a fresh nonce is not a replay', () => {
+  const auth = new RequestAuth({ settings: () => settings() });
+  assert.equal(auth.check(req(), signed('/register', { uuid: 'u1' })), null);
+  assert.equal(auth.check(req(), signed('/register', { uuid: 'u1' })), null);
+});
+
+test('a timestamp outside the skew window is rejected as stale', () => {
+  const auth = new RequestAuth({ settings: () => settings({ hmacMaxSkewSec: 30 }) });
+  for (const offset of [-31, 31]) {
+    const query = { uuid: 'u1', nonce: `n${offset}`, ts: Math.floor(Date.now() / 1000) + offset };
+    query.sig = sign(SECRET, { method: 'GET', pathname: '/register', query, ts: query.ts });
+    const res = auth.check(req(), { pathname: '/register', query });
+    assert.equal(res && res.reason, 'stale', `offset ${offset}`);
+  }
+  const noTs = auth.check(req(), { pathname: '/register', query: { sig: 'ab' } });
+  assert.equal(noTs.reason, 'stale');
+});
+
+test('a tampered query, method or body invalidates the signature', () => {
+  const auth = new RequestAuth({ settings: () => settings() });
+  const parsed = signed('/register', { uuid: 'u1' });
+  assert.equal(auth.check(req(), { ...parsed, query: { ...parsed.query, uuid: 'u2' } }).reason, 'bad-signature');
+  assert.equal(auth.check(req({ method: 'POST' }), signed('/register', { uuid: 'u1' })).reason, 'bad-signature');
+
+  const ts = Math.floor(Date.now() / 1000);
+  const query = { ts, nonce: 'b1' };
+  query.sig = sign(SECRET, { method: 'POST', pathname: '/taps', query, ts, body: '{"uuid":"a"}' });
+  assert.equal(auth.check(req({ method: 'POST' }), { pathname: '/taps', query }, '{"uuid":"b"}').reason, 'bad-signature');
+  assert.equal(auth.check(req({ method: 'POST' }), { pathname: '/taps', query }, '{"uuid":"a"}'), null);
+});
+
+test('a signature from another secret is rejected', () => {
+  const auth = new RequestAuth({ settings: () => settings() });
+  assert.equal(auth.check(req(), signed('/register', {}, { secret: 'other' })).reason, 'bad-signature');
+});
+
+test('expired signatures are pruned by expiry, not arrival order', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000_000 });
+  const auth = new RequestAuth({ settings: () => settings({ hmacMaxSkewSec: 60 }) });
+  const now = Math.floor(Date.now() / 1000);
+  const at = (ts, nonce) => {
+    const query = { ts, nonce };
+    query.sig = sign(SECRET, { method: 'GET', pathname: '/status', query, ts });
+    return { pathname: '/status', query };
+  };
+
+  // llegan primero uno con ts adelantado (caduca tarde) y después otro con ts atrasado
+  assert.equal(auth.check(req(), at(now + 50, 'ahead')), null);
+  assert.equal(auth.check(req(), at(now - 50, 'behind')), null);
+  assert.equal(auth._seen.size, 2);
+
+  // el atrasado caduca (ts + 60 s) aunque el de delante siga vivo
+  t.mock.timers.tick(15_000);
+  assert.equal(auth.check(req(), at(now + 10, 'later')), null);
+  assert.equal(auth._seen.size, 2);
+  assert.equal(auth.check(req(), at(now + 50, 'ahead')).reason, 'replay');
+});
+
+test('API keys are accepted from header, bearer or query', () => {
+  const auth = new RequestAuth({ settings: () => settings({ authMode: 'any', apiKeys: ['k1'] }) });
+  assert.equal(auth.check(req({ headers: { 'x-api-key': 'k1' } }), { pathname: '/taps', query: {} }), null);
+  assert.equal(auth.check(req({ headers: { authorization: 'Bearer k1' } }), { pathname: '/taps', query: {} }), null);
+  assert.equal(auth.check(req(), { pathname: '/start_tap', query: { key: 'k1' } }), null);
+  assert.equal(auth.check(req(), { pathname: '/taps', query: { key: 'k2' } }).reason, 'bad-key');
+  assert.equal(auth.check(req(), { pathname: '/taps', query: {} }).reason, 'missing');
+});
+
+test('the IP allowlist applies to public paths too', () => {
+  const auth = new RequestAuth({ settings: () => settings({ authMode: 'off', allowIps: ['10.0.0.0/24', '::1'] }) });
+  assert.equal(auth.check(req({ ip: '::ffff:10.0.0.7' }), { pathname: '/taps', query: {} }), null);
+  assert.equal(auth.check(req({ ip: '::1' }), { pathname: '/taps', query: {} }), null);
+  const res = auth.check(req({ ip: '10.0.1.7' }), { pathname: '/metrics', query: {} });
+  assert.equal(res.status, 403);
+  assert.equal(res.reason, 'ip');
+});
+
+test('validateAuthConfig reports missing credentials and bad CIDRs', () => {
+  const base = { authMode: 'off', apiKeys: [], hmacSecret: '', allowIps: [] };
+  assert.deepEqual(validateAuthConfig(base), []);
+  assert.deepEqual(validateAuthConfig({ ...base, authMode: 'hmac' }), ['authMode=hmac requires hmacSecret']);
+  assert.equal(validateAuthConfig({ ...base, allowIps: ['10.0.0.0/33', 'nope'] }).length, 2);
+});
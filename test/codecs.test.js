@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeFormat, frameBytes, createTranscoder, encodeG711, Resampler } = require('../server/mti/codecs');
+
+function pcm(samples) {
+  const buf = Buffer.alloc(samples.length * 2);
+  samples.forEach((v, i) => buf.writeInt16LE(v, i * 2));
+  return buf;
+}
+
+function samplesOf(buf) {
+  const out = [];
+  for (let i = 0; i + 1 < buf.length; i += 2) out.push(buf.readInt16LE(i));
+  return out;
+}
+
+// todos los valores s16 en pasos pequeños, extremos incluidos
+const SWEEP = [];
+for (let x = -32768; x <= 32767; x += 7) SWEEP.push(x);
+SWEEP.push(32767, -1, 0, 1);
+
+for (const format of ['ulaw', 'alaw']) {
+  test(`${format}: every code decodes and re-encodes to the same level`, () => {
+    const codes = Buffer.from([...Array(256).keys()]);
+    const decode = createTranscoder(format, 'slin8');
+    const levels = decode.process(codes);
+    const again = decode.process(encodeG711(levels, format));
+    assert.deepEqual(samplesOf(again), samplesOf(levels));
+  });
+
+  test(`${format}: PCM round-trip error stays within the companding step`, () => {
+    const decode = createTranscoder(format, 'slin8');
+    const back = samplesOf(decode.process(encodeG711(pcm(SWEEP), format)));
+    for (let i = 0; i < SWEEP.length; i++) {
+      const x = SWEEP[i];
+      const err = Math.abs(back[i] - x);
+      // 4 bits de mantisa: error <= medio paso = (|x| + bias ulaw 0x84) / 32, con un mínimo
+      // fijo en el segmento 0 (y el recorte de ulaw en ±32635)
+      const limit = Math.max(16, (Math.abs(x) + 0x84) / 32 + 1, format === 'ulaw' ? Math.abs(x) - 32124 : 0);
+      assert.ok(err <= limit, `${format} x=${x} -> ${back[i]} (err ${err} > ${limit})`);
+      assert.ok(x === 0 || back[i] === 0 || Math.sign(back[i]) === Math.sign(x), `${format} sign x=${x} -> ${back[i]}`);
+    }
+  });
+}
+
+test('G.711 silence bytes decode to (near) zero', () => {
+  assert.deepEqual(samplesOf(createTranscoder('ulaw', 'slin8').process(Buffer.from([0xff]))), [0]);
+  assert.ok(Math.abs(samplesOf(createTranscoder('alaw', 'slin8').process(Buffer.from([0xd5])))[0]) <= 8);
+});
+
+test('normalizeFormat accepts aliases and rejects unknown formats', () => {
+  assert.equal(normalizeFormat(' SLIN '), 'slin8');
+  assert.equal(normalizeFormat('pcmu'), 'ulaw');
+  assert.equal(normalizeFormat('PCMA'), 'alaw');
+  assert.equal(normalizeFormat('slin16'), 'slin16');
+  assert.equal(normalizeFormat('opus'), null);
+  assert.equal(normalizeFormat(''), null);
+});
+
+test('frameBytes gives 20 ms frame sizes', () => {
+  assert.equal(frameBytes('ulaw'), 160);
+  assert.equal(frameBytes('slin8'), 320);
+  assert.equal(frameBytes('slin16'), 640);
+  assert.equal(frameBytes('slin48', 10), 960);
+});
+
+test('Resampler up-samples by linear interpolation, continuous across calls', () => {
+  const r = new Resampler(8000, 16000);
+  assert.deepEqual(samplesOf(r.process(pcm([100, 200]))), [50, 100, 150, 200]);
+  // la primera muestra del siguiente paquete interpola desde la última del anterior
+  assert.deepEqual(samplesOf(r.process(pcm([0]))), [100, 0]);
+});
+
+test('Resampler down-samples by averaging, keeping partial groups between calls', () => {
+  const r = new Resampler(48000, 16000);
+  assert.deepEqual(samplesOf(r.process(pcm([3, 6, 9, 30, 60]))), [6]);
+  assert.deepEqual(samplesOf(r.process(pcm([90, -3]))), [60]);
+  assert.equal(r.process(pcm([-3])).length, 0);
+});
+
+test('Resampler keeps the sample count proportional over a stream', () => {
+  const up = new Resampler(16000, 48000);
+  const down = new Resampler(48000, 8000);
+  let upOut = 0;
+  let downOut = 0;
+  for (let i = 0; i < 50; i++) {
+    upOut += up.process(Buffer.alloc(640)).length;
+    downOut += down.process(Buffer.alloc(1918)).length;   // 959 muestras: grupos partidos
+  }
+  assert.equal(upOut, 50 * 640 * 3);
+  assert.equal(downOut, Math.floor(50 * 959 / 6) * 2);
+});
+
+test('Resampler rejects non-integer ratios and copies at equal rates', () => {
+  assert.throws(() => new Resampler(16000, 44100), /Unsupported resample ratio/);
+  const buf = pcm([1, 2, 3]);
+  assert.equal(new Resampler(8000, 8000).process(buf), buf);
+});
+
+test('createTranscoder decodes G.711 and resamples to the output rate', () => {
+  const t = createTranscoder('ulaw', 'slin16');
+  assert.equal(t.process(Buffer.alloc(160, 0xff)).length, 640);
+  assert.throws(() => createTranscoder('slin16', 'ulaw'), /PCM only/);
+  assert.throws(() => createTranscoder('opus', 'slin16'), /Unknown format/);
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { seqDiff, parseRtp, JitterBuffer } = require('../server/mti/rtp');
+
+// paquete slin16 de 20 ms (320 muestras); el primer byte del payload identifica el seq.
+// ts por defecto continuo a través del wrap: los seq bajos van detrás de 0xffff
+function pkt(seq, { ssrc = 1, ts = (seq < 0x8000 ? seq + 0x10000 : seq) * 320 } = {}) {
+  const payload = Buffer.alloc(640, 0);
+  payload[0] = seq & 0xff;
+  return { seq, ts: ts >>> 0, ssrc, payload };
+}
+
+function rtpBuf(seq, ts, ssrc, payload) {
+  const head = Buffer.alloc(12);
+  head[0] = 0x80;
+  head[1] = 0x0b;
+  head.writeUInt16BE(seq, 2);
+  head.writeUInt32BE(ts, 4);
+  head.writeUInt32BE(ssrc, 8);
+  return Buffer.concat([head, payload]);
+}
+
+test('seqDiff is signed across the 16-bit wrap', () => {
+  assert.equal(seqDiff(0, 0xffff), 1);
+  assert.equal(seqDiff(0xffff, 0), -1);
+  assert.equal(seqDiff(5, 0xfffe), 7);
+  assert.equal(seqDiff(100, 90), 10);
+});
+
+test('parseRtp reads the header and strips CSRC / padding', () => {
+  const p = parseRtp(rtpBuf(0xfffe, 0xdeadbeef, 42, Buffer.from([1, 2, 3])));
+  assert.equal(p.seq, 0xfffe);
+  assert.equal(p.ts, 0xdeadbeef);
+  assert.equal(p.ssrc, 42);
+  assert.equal(p.payloadType, 11);
+  assert.deepEqual([...p.payload], [1, 2, 3]);
+
+  const padded = rtpBuf(1, 0, 1, Buffer.from([9, 9, 0, 0, 3]));
+  padded[0] |= 0x20;
+  assert.deepEqual([...parseRtp(padded).payload], [9, 9]);
+
+  assert.equal(parseRtp(Buffer.alloc(8)), null);
+  assert.equal(parseRtp(Buffer.from([0x40, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1])), null);
+});
+
+test('in-order packets across seq 0xffff -> 0 flow through without loss', () => {
+  const hooks = { lost: 0, late: 0 };
+  const jb = new JitterBuffer({ depth: 3 }, { onLost: () => hooks.lost++, onLate: () => hooks.late++ });
+  const out = [];
+  for (const seq of [0xfffd, 0xfffe, 0xffff, 0, 1, 2]) out.push(...jb.push(pkt(seq)));
+
+  assert.deepEqual(out.map(b => b[0]), [0xfd, 0xfe, 0xff, 0, 1, 2]);
+  assert.deepEqual(hooks, { lost: 0, late: 0 });
+});
+
+test('packets reordered around the wrap come out in sequence order', () => {
+  let reordered = 0;
+  const jb = new JitterBuffer({ depth: 3 }, { onReordered: () => reordered++ });
+  const out = [];
+  for (const seq of [0xfffe, 0, 0xffff, 1]) out.push(...jb.push(pkt(seq)));
+
+  assert.deepEqual(out.map(b => b[0]), [0xfe, 0xff, 0, 1]);
+  assert.equal(reordered, 1);
+});
+
+test('a packet older than the release point is late, a repeated one a duplicate', () => {
+  const counts = { late: 0, dup: 0 };
+  const jb = new JitterBuffer({ depth: 3 }, { onLate: () => counts.late++, onDuplicate: () => counts.dup++ });
+  jb.push(pkt(0xffff));
+  jb.push(pkt(0));
+  assert.deepEqual(jb.push(pkt(0xffff)), []);
+  jb.push(pkt(2));
+  assert.deepEqual(jb.push(pkt(2)), []);
+  assert.deepEqual(counts, { late: 1, dup: 1 });
+});
+
+test('a gap is declared lost after depth packets and filled with silence', () => {
+  const lost = [];
+  const jb = new JitterBuffer({ depth: 2, silenceByte: 0x00 }, { onLost: (n) => lost.push(n) });
+  const out = [];
+  for (const seq of [0xfffe, /* 0xffff perdido */ 0, 1]) out.push(...jb.push(pkt(seq)));
+  assert.equal(out.length, 1);
+  out.push(...jb.push(pkt(2)));
+
+  assert.deepEqual(lost, [1]);
+  // 0xfffe, silencio de 320 muestras, 0, 1, 2
+  assert.equal(out.length, 5);
+  assert.equal(out[1].length, 640);
+  assert.ok(out[1].every(b => b === 0));
+  assert.deepEqual([out[2][0], out[3][0], out[4][0]], [0, 1, 2]);
+});
+
+test('timestamp wrap does not insert silence', () => {
+  const jb = new JitterBuffer({ depth: 0 });
+  const out = [];
+  out.push(...jb.push(pkt(10, { ts: 0xffffffff - 319 })));
+  out.push(...jb.push(pkt(11, { ts: 0 })));
+  assert.equal(out.length, 2);
+});
+
+test('an SSRC change flushes the old stream and restarts numbering', () => {
+  const changes = [];
+  const jb = new JitterBuffer({ depth: 3 }, { onSsrcChange: (a, b) => changes.push([a, b]) });
+  jb.push(pkt(0xffff, { ssrc: 1 }));
+  jb.push(pkt(1, { ssrc: 1 }));   // retenido esperando al 0
+  const out = jb.push(pkt(500, { ssrc: 2, ts: 0 }));
+
+  assert.deepEqual(changes, [[1, 2]]);
+  assert.equal(jb.ssrc, 2);
+  assert.deepEqual(out.filter(b => b.length === 640 && b[0] !== 0).map(b => b[0]), [1, 500 & 0xff]);
+});